@@ -0,0 +1,244 @@
+// Gang sheet PDF export.
+// One page per sheet. The trim box is the exact sheet size; each instance's original
+// raster is placed at its position and rotation, so the RIP scales it losslessly.
+// Crop/registration marks and the job-ticket strip go in a slug outside the trim box,
+// so the printable area is never covered. Mirrored output flips the artwork across the
+// trim box; marks and the ticket stay readable.
+//
+// Lives under api/_lib so Vercel doesn't expose it as a route.
+
+const {
+  PDFDocument,
+  StandardFonts,
+  cmyk,
+  concatTransformationMatrix,
+  degrees,
+  popGraphicsState,
+  pushGraphicsState,
+} = require("pdf-lib");
+const sharp = require("sharp");
+const { getGangSheets, getSheetDimensions } = require("./gang-sheet-render");
+
+const POINTS_PER_INCH = 72;
+
+// Slug around the trim box when marks or the job ticket are on
+const SLUG_IN = 0.5;
+const TICKET_SLUG_IN = 0.75;
+const CROP_MARK_LENGTH_IN = 0.25;
+const CROP_MARK_OFFSET_IN = 0.0625;
+const REGISTRATION_RADIUS_IN = 0.1;
+
+// Registration colour prints on every plate
+const REGISTRATION = cmyk(1, 1, 1, 1);
+
+function normalizeRotation(deg) {
+  const normalized = ((Number(deg) || 0) % 360 + 360) % 360;
+  return Math.abs(normalized - 360) < 1e-9 ? 0 : normalized;
+}
+
+// pdf-lib embeds PNG and JPEG directly; anything else is converted to PNG first
+async function embedArtwork(pdf, artwork) {
+  const { format } = await sharp(artwork, { limitInputPixels: false }).metadata();
+  if (format === "jpeg") {
+    return pdf.embedJpg(artwork);
+  }
+  const png = await sharp(artwork, { limitInputPixels: false })
+    .toColorspace("srgb")
+    .png({ progressive: false })
+    .toBuffer();
+  return pdf.embedPng(png);
+}
+
+function drawCropMarks(page, trim) {
+  const length = CROP_MARK_LENGTH_IN * POINTS_PER_INCH;
+  const offset = CROP_MARK_OFFSET_IN * POINTS_PER_INCH;
+  const corners = [
+    { x: trim.left, y: trim.bottom, dx: -1, dy: -1 },
+    { x: trim.right, y: trim.bottom, dx: 1, dy: -1 },
+    { x: trim.left, y: trim.top, dx: -1, dy: 1 },
+    { x: trim.right, y: trim.top, dx: 1, dy: 1 },
+  ];
+  corners.forEach(({ x, y, dx, dy }) => {
+    // Horizontal mark level with the edge, vertical mark in line with the other edge
+    page.drawLine({
+      start: { x: x + dx * offset, y },
+      end: { x: x + dx * (offset + length), y },
+      thickness: 0.25,
+      color: REGISTRATION,
+    });
+    page.drawLine({
+      start: { x, y: y + dy * offset },
+      end: { x, y: y + dy * (offset + length) },
+      thickness: 0.25,
+      color: REGISTRATION,
+    });
+  });
+}
+
+function drawRegistrationMarks(page, trim) {
+  const radius = REGISTRATION_RADIUS_IN * POINTS_PER_INCH;
+  const gap = (SLUG_IN / 2) * POINTS_PER_INCH;
+  const centerX = (trim.left + trim.right) / 2;
+  const centerY = (trim.bottom + trim.top) / 2;
+  const targets = [
+    { x: trim.left - gap, y: centerY },
+    { x: trim.right + gap, y: centerY },
+    { x: centerX, y: trim.bottom - gap },
+  ];
+  targets.forEach(({ x, y }) => {
+    page.drawCircle({ x, y, size: radius, borderColor: REGISTRATION, borderWidth: 0.25 });
+    page.drawLine({
+      start: { x: x - radius * 1.5, y },
+      end: { x: x + radius * 1.5, y },
+      thickness: 0.25,
+      color: REGISTRATION,
+    });
+    page.drawLine({
+      start: { x, y: y - radius * 1.5 },
+      end: { x, y: y + radius * 1.5 },
+      thickness: 0.25,
+      color: REGISTRATION,
+    });
+  });
+}
+
+function drawJobTicket(page, trim, font, text) {
+  const size = 9;
+  page.drawText(text, {
+    x: trim.left,
+    y: trim.top + ((TICKET_SLUG_IN * POINTS_PER_INCH) - size) / 2,
+    size,
+    font,
+    color: cmyk(0, 0, 0, 1),
+  });
+}
+
+/**
+ * Build the gang sheet PDF for an order
+ * @param {Object} params
+ * @param {Object} params.data - gang_sheet_data
+ * @param {Function} params.loadArtwork - async (designId) => Buffer|null, the original artwork
+ * @param {Object} [params.options]
+ * @param {boolean} [params.options.cropMarks=false]
+ * @param {boolean} [params.options.registrationMarks=false]
+ * @param {boolean} [params.options.jobTicket=true]
+ * @param {number|string} [params.options.orderId]
+ * @param {number} [params.options.quantity]
+ * @param {boolean} [params.options.mirror=false] - Flip the artwork horizontally
+ * @returns {Promise<Object>} {pdf: Buffer, pageCount, missingDesignIds}
+ */
+async function buildGangSheetPdf({ data, loadArtwork, options = {} }) {
+  const {
+    cropMarks = false,
+    registrationMarks = false,
+    jobTicket = true,
+    orderId = null,
+    mirror = false,
+  } = options;
+  const quantity = options.quantity || data.quantity || 1;
+  const designFiles = Array.isArray(data.designFiles) ? data.designFiles : [];
+  const designIds = new Set(designFiles.map((design) => design.id));
+
+  const pdf = await PDFDocument.create();
+  pdf.setTitle(orderId ? `Order ${orderId} gang sheets` : "Gang sheets");
+  pdf.setCreator("12ozCollective gang builder");
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+
+  // Each design is embedded once and drawn as often as it appears
+  const embedded = new Map();
+  const missingDesignIds = new Set();
+  async function getEmbeddedArtwork(designId) {
+    if (!embedded.has(designId)) {
+      const artwork = designIds.has(designId) ? await loadArtwork(designId) : null;
+      embedded.set(designId, artwork ? await embedArtwork(pdf, artwork) : null);
+    }
+    return embedded.get(designId);
+  }
+
+  const sheets = getGangSheets(data);
+  for (let i = 0; i < sheets.length; i++) {
+    const sheet = sheets[i];
+    const { widthIn, heightIn } = getSheetDimensions(sheet);
+    const hasMarks = cropMarks || registrationMarks;
+    const slug = {
+      left: hasMarks ? SLUG_IN : 0,
+      right: hasMarks ? SLUG_IN : 0,
+      bottom: hasMarks ? SLUG_IN : 0,
+      top: jobTicket ? TICKET_SLUG_IN : hasMarks ? SLUG_IN : 0,
+    };
+
+    const pageWidth = (widthIn + slug.left + slug.right) * POINTS_PER_INCH;
+    const pageHeight = (heightIn + slug.bottom + slug.top) * POINTS_PER_INCH;
+    const page = pdf.addPage([pageWidth, pageHeight]);
+    const trim = {
+      left: slug.left * POINTS_PER_INCH,
+      bottom: slug.bottom * POINTS_PER_INCH,
+      right: (slug.left + widthIn) * POINTS_PER_INCH,
+      top: (slug.bottom + heightIn) * POINTS_PER_INCH,
+    };
+    page.setTrimBox(trim.left, trim.bottom, trim.right - trim.left, trim.top - trim.bottom);
+
+    // x -> trim.left + trim.right - x flips the artwork within the trim box
+    if (mirror) {
+      page.pushOperators(
+        pushGraphicsState(),
+        concatTransformationMatrix(-1, 0, 0, 1, trim.left + trim.right, 0)
+      );
+    }
+
+    for (const instance of sheet.instanceLayout || []) {
+      const image = await getEmbeddedArtwork(instance.designId);
+      if (!image) {
+        missingDesignIds.add(instance.designId);
+        continue;
+      }
+
+      // Layout coordinates are inches from the sheet's top-left with y down; PDF is y up.
+      // pdf-lib rotates counter-clockwise around the image's bottom-left corner, so work
+      // out where that corner lands when the image turns clockwise around its center.
+      const width = instance.widthIn * POINTS_PER_INCH;
+      const height = instance.heightIn * POINTS_PER_INCH;
+      const centerX = trim.left + (instance.xIn + instance.widthIn / 2) * POINTS_PER_INCH;
+      const centerY = trim.top - (instance.yIn + instance.heightIn / 2) * POINTS_PER_INCH;
+      const angle = -normalizeRotation(instance.rotationDeg);
+      const radians = (angle * Math.PI) / 180;
+      const cos = Math.cos(radians);
+      const sin = Math.sin(radians);
+
+      page.drawImage(image, {
+        x: centerX + (-width / 2) * cos - (-height / 2) * sin,
+        y: centerY + (-width / 2) * sin + (-height / 2) * cos,
+        width,
+        height,
+        rotate: degrees(angle),
+      });
+    }
+
+    if (mirror) page.pushOperators(popGraphicsState());
+
+    if (cropMarks) drawCropMarks(page, trim);
+    if (registrationMarks) drawRegistrationMarks(page, trim);
+    if (jobTicket) {
+      const parts = [
+        orderId ? `Order #${orderId}` : null,
+        `Sheet ${sheet.index || i + 1} of ${sheets.length}`,
+        `${widthIn}" x ${heightIn}"`,
+        `Qty ${quantity}`,
+        `${(sheet.instanceLayout || []).length} designs placed`,
+        mirror ? "MIRRORED" : null,
+      ];
+      drawJobTicket(page, trim, font, parts.filter(Boolean).join("  ·  "));
+    }
+  }
+
+  const bytes = await pdf.save();
+  return {
+    pdf: Buffer.from(bytes),
+    pageCount: sheets.length,
+    missingDesignIds: Array.from(missingDesignIds),
+  };
+}
+
+module.exports = {
+  buildGangSheetPdf,
+};
@@ -0,0 +1,178 @@
+// Print-ready gang sheet rendering.
+// Composites an order's original artwork onto a transparent sheet at true physical
+// size (300 DPI by default), using the instanceLayout saved by the builder.
+// Runs on the CPU with sharp/libvips, so it works headless in a serverless function.
+// Mirrored output flips the whole sheet horizontally for printers that print the film
+// mirrored; the builder canvas always shows the customer the un-mirrored sheet.
+//
+// Lives under api/_lib so Vercel doesn't expose it as a route.
+
+const sharp = require("sharp");
+
+const PRINT_DPI = 300;
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+// Orders placed before multi-sheet support stored a single sheet at the top level
+function getGangSheets(data) {
+  if (Array.isArray(data.sheets) && data.sheets.length > 0) {
+    return data.sheets;
+  }
+  return [
+    {
+      index: 1,
+      sheetSizeId: data.sheetSizeId,
+      usageStats: data.usageStats,
+      instanceLayout: data.instanceLayout || [],
+    },
+  ];
+}
+
+// Physical sheet size in inches. Older orders only stored the size ID ("22x60").
+function getSheetDimensions(sheet) {
+  if (sheet.sheetWidthIn > 0 && sheet.sheetHeightIn > 0) {
+    return { widthIn: sheet.sheetWidthIn, heightIn: sheet.sheetHeightIn };
+  }
+  const match = /^(\d+(?:\.\d+)?)x(\d+(?:\.\d+)?)$/.exec(String(sheet.sheetSizeId || ""));
+  if (!match) {
+    throw new Error(`Unknown sheet size: ${sheet.sheetSizeId}`);
+  }
+  return { widthIn: Number(match[1]), heightIn: Number(match[2]) };
+}
+
+// Match each design to the order file uploaded for it. cart.js uploads each design's
+// artwork under a "design:<designId>" field and orders.js records the ID and role on
+// the file. Vector sources share the design ID but are never rendered. Older orders
+// have neither, so their files are paired with the remaining designs in upload order,
+// but only when the counts agree; otherwise those designs stay unmatched.
+function matchDesignFiles(designFiles, files) {
+  const matches = new Map();
+  designFiles.forEach((design) => {
+    const file = files.find(
+      (candidate) => candidate.designId === design.id && candidate.role === "design"
+    );
+    if (file && file.key) {
+      matches.set(design.id, file);
+    }
+  });
+
+  const legacyFiles = files.filter((file) => !file.designId && file.key);
+  const unmatched = designFiles.filter((design) => !matches.has(design.id));
+  if (legacyFiles.length > 0 && legacyFiles.length === unmatched.length) {
+    unmatched.forEach((design, index) => matches.set(design.id, legacyFiles[index]));
+  }
+  return matches;
+}
+
+function normalizeRotation(deg) {
+  const normalized = ((Number(deg) || 0) % 360 + 360) % 360;
+  return Math.abs(normalized - 360) < 1e-9 ? 0 : normalized;
+}
+
+// Resize artwork to its printed pixel size, then rotate it clockwise around its center.
+// sharp applies rotation before resizing within one pipeline, so this takes two passes.
+// A mirrored copy is the flopped artwork turned the other way.
+async function rasterizeInstance(artwork, widthPx, heightPx, rotationDeg, mirror) {
+  let raster = await sharp(artwork, { limitInputPixels: false })
+    .ensureAlpha()
+    .flop(mirror)
+    .resize(widthPx, heightPx, { fit: "fill" })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  if (rotationDeg !== 0) {
+    raster = await sharp(raster.data, { raw: raster.info })
+      .rotate(mirror ? 360 - rotationDeg : rotationDeg, { background: TRANSPARENT })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  }
+  return raster;
+}
+
+/**
+ * Render one sheet to a transparent PNG
+ * @param {Object} params
+ * @param {Object} params.sheet - Sheet from gang_sheet_data ({sheetSizeId, instanceLayout})
+ * @param {Array} params.designFiles - gang_sheet_data.designFiles
+ * @param {Function} params.loadArtwork - async (designId) => Buffer|null, the original artwork
+ * @param {number} [params.dpi=300]
+ * @param {boolean} [params.mirror=false] - Flip the sheet horizontally
+ * @returns {Promise<Object>} {png, widthPx, heightPx, dpi, mirrored, missingDesignIds}
+ */
+async function renderSheetPng({ sheet, designFiles, loadArtwork, dpi = PRINT_DPI, mirror = false }) {
+  const { widthIn, heightIn } = getSheetDimensions(sheet);
+  const widthPx = Math.round(widthIn * dpi);
+  const heightPx = Math.round(heightIn * dpi);
+  const designIds = new Set(designFiles.map((design) => design.id));
+
+  // Copies of a design at the same size and angle share one raster
+  const rasters = new Map();
+  const artworkCache = new Map();
+  const missingDesignIds = new Set();
+  const composites = [];
+
+  for (const instance of sheet.instanceLayout || []) {
+    if (!designIds.has(instance.designId)) {
+      missingDesignIds.add(instance.designId);
+      continue;
+    }
+
+    const instanceWidthPx = Math.max(1, Math.round(instance.widthIn * dpi));
+    const instanceHeightPx = Math.max(1, Math.round(instance.heightIn * dpi));
+    const rotationDeg = normalizeRotation(instance.rotationDeg);
+    const rasterKey = `${instance.designId}|${instanceWidthPx}|${instanceHeightPx}|${rotationDeg}`;
+
+    if (!rasters.has(rasterKey)) {
+      if (!artworkCache.has(instance.designId)) {
+        artworkCache.set(instance.designId, await loadArtwork(instance.designId));
+      }
+      const artwork = artworkCache.get(instance.designId);
+      if (!artwork) {
+        missingDesignIds.add(instance.designId);
+        continue;
+      }
+      rasters.set(rasterKey, await rasterizeInstance(artwork, instanceWidthPx, instanceHeightPx, rotationDeg, mirror));
+    }
+
+    // xIn/yIn is the top-left of the unrotated graphic; rotation is around its center
+    const { data, info } = rasters.get(rasterKey);
+    const layoutCenterXPx = (instance.xIn + instance.widthIn / 2) * dpi;
+    const centerXPx = mirror ? widthPx - layoutCenterXPx : layoutCenterXPx;
+    const centerYPx = (instance.yIn + instance.heightIn / 2) * dpi;
+    const left = Math.round(centerXPx - info.width / 2);
+    const top = Math.round(centerYPx - info.height / 2);
+
+    composites.push({
+      input: data,
+      raw: { width: info.width, height: info.height, channels: info.channels },
+      // Rounding can push a copy that sits on the deadspace edge a pixel off the sheet
+      left: Math.min(Math.max(0, left), Math.max(0, widthPx - info.width)),
+      top: Math.min(Math.max(0, top), Math.max(0, heightPx - info.height)),
+    });
+  }
+
+  const png = await sharp({
+    create: { width: widthPx, height: heightPx, channels: 4, background: TRANSPARENT },
+    limitInputPixels: false,
+  })
+    .composite(composites)
+    .withMetadata({ density: dpi })
+    .png({ compressionLevel: 6 })
+    .toBuffer();
+
+  return {
+    png,
+    widthPx,
+    heightPx,
+    dpi,
+    mirrored: mirror,
+    missingDesignIds: Array.from(missingDesignIds),
+  };
+}
+
+module.exports = {
+  PRINT_DPI,
+  getGangSheets,
+  getSheetDimensions,
+  matchDesignFiles,
+  renderSheetPng,
+};
@@ -0,0 +1,54 @@
+// DTF printer profiles and the mirror setting for production files.
+// Some printers need the film printed mirrored, others mirror in the RIP. Profiles
+// come from DTF_PRINTERS, a JSON array such as
+//   [{"id":"epson-f2100","name":"Epson F2100","mirror":true}]
+// An order can pin a printer (gang_sheet_data.printerId) and override the printer's
+// default with gang_sheet_data.mirror (true/false; null or missing uses the printer).
+//
+// Lives under api/_lib so Vercel doesn't expose it as a route.
+
+function getPrinters() {
+  if (!process.env.DTF_PRINTERS) return [];
+  try {
+    const printers = JSON.parse(process.env.DTF_PRINTERS);
+    return Array.isArray(printers)
+      ? printers
+          .filter((printer) => printer && printer.id)
+          .map((printer) => ({
+            id: String(printer.id),
+            name: printer.name || String(printer.id),
+            mirror: printer.mirror === true,
+          }))
+      : [];
+  } catch (err) {
+    console.error("DTF_PRINTERS is not valid JSON:", err);
+    return [];
+  }
+}
+
+function getPrinter(printerId) {
+  if (!printerId) return null;
+  return getPrinters().find((printer) => printer.id === printerId) || null;
+}
+
+/**
+ * Work out whether an order's production files are mirrored
+ * @param {Object} data - gang_sheet_data
+ * @returns {Object} {mirror, source: "order"|"printer"|"default", printer}
+ */
+function resolveMirror(data) {
+  const printer = getPrinter(data && data.printerId);
+  if (data && typeof data.mirror === "boolean") {
+    return { mirror: data.mirror, source: "order", printer };
+  }
+  if (printer) {
+    return { mirror: printer.mirror, source: "printer", printer };
+  }
+  return { mirror: false, source: "default", printer: null };
+}
+
+module.exports = {
+  getPrinters,
+  getPrinter,
+  resolveMirror,
+};
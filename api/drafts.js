@@ -0,0 +1,288 @@
+// Shared gang sheet drafts.
+// POST saves a builder draft (layout JSON + artwork) and returns a short share token.
+// Only operators (signed in through /api/operator/login) can create share links.
+// GET ?token=<token> loads it back with signed artwork URLs so /order?sheet=<token>
+// can open it read-only in the builder. GET ?token=<token>&designId=<id> streams one
+// design's artwork from this origin, so duplicating a sheet doesn't rely on bucket CORS.
+//
+// Expects this table:
+//   CREATE TABLE gang_sheet_drafts (
+//     id UUID PRIMARY KEY,
+//     share_token TEXT UNIQUE NOT NULL,
+//     name TEXT,
+//     layout JSONB NOT NULL,
+//     files JSONB NOT NULL,
+//     created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+//   );
+
+const crypto = require("crypto");
+const Busboy = require("busboy");
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const { Pool } = require("pg");
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 3,
+});
+
+const s3 = new S3Client({
+  region: process.env.AWS_S3_REGION,
+  credentials: {
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+  },
+});
+
+// Keep uploads bounded - a draft is a handful of artwork files, not a file dump.
+// Vercel rejects request bodies over 4.5 MB, so that caps the whole draft.
+const MAX_REQUEST_BYTES = 4.5 * 1024 * 1024;
+const MAX_FILES = 50;
+const MAX_FILE_BYTES = 4 * 1024 * 1024;
+const MAX_LAYOUT_BYTES = 1024 * 1024;
+
+function sendJson(res, statusCode, body) {
+  res.statusCode = statusCode;
+  res.setHeader("Content-Type", "application/json");
+  return res.end(JSON.stringify(body));
+}
+
+function getSessionTokenFromCookie(req) {
+  const header = req.headers.cookie;
+  if (!header) return null;
+  const parts = header.split(";").map((c) => c.trim());
+  for (const part of parts) {
+    if (part.startsWith("op_session=")) {
+      return decodeURIComponent(part.split("=")[1] || "");
+    }
+  }
+  return null;
+}
+
+function requireOperatorAuth(req, res) {
+  const expectedSession = process.env.OPERATOR_SESSION_TOKEN;
+  if (!expectedSession) {
+    sendJson(res, 500, {
+      error: "Operator session token not configured. Set OPERATOR_SESSION_TOKEN.",
+    });
+    return false;
+  }
+  if (getSessionTokenFromCookie(req) !== expectedSession) {
+    sendJson(res, 401, { error: "Sign in to the operator dashboard to create share links." });
+    return false;
+  }
+  return true;
+}
+
+// Remove artwork already put in S3 for a draft that isn't saved after all
+async function discardUploads(fileUploads) {
+  const results = await Promise.allSettled(fileUploads);
+  await Promise.allSettled(
+    results
+      .filter((result) => result.status === "fulfilled")
+      .map((result) =>
+        s3.send(
+          new DeleteObjectCommand({
+            Bucket: process.env.AWS_S3_BUCKET,
+            Key: result.value.key,
+          })
+        )
+      )
+  );
+}
+
+// 8 URL-safe characters, short enough to read out over the phone
+function createShareToken() {
+  return crypto.randomBytes(6).toString("base64url");
+}
+
+function handlePost(req, res) {
+  if (!requireOperatorAuth(req, res)) return;
+  if (Number(req.headers["content-length"]) > MAX_REQUEST_BYTES) {
+    return sendJson(res, 413, { error: "Draft too large to share." });
+  }
+
+  const draftId = crypto.randomUUID();
+  const busboy = Busboy({
+    headers: req.headers,
+    limits: { files: MAX_FILES, fileSize: MAX_FILE_BYTES, fieldSize: MAX_LAYOUT_BYTES },
+  });
+  const fields = {};
+  const fileUploads = [];
+  let totalBytes = 0;
+  let tooLarge = false;
+
+  busboy.on("field", (name, value) => {
+    fields[name] = value;
+  });
+
+  // Each file's field name is the design ID it belongs to
+  busboy.on("file", (designId, file, info) => {
+    const { filename, mimeType } = info;
+    const chunks = [];
+    file.on("data", (data) => {
+      totalBytes += data.length;
+      if (totalBytes > MAX_REQUEST_BYTES) tooLarge = true;
+      if (!tooLarge) chunks.push(data);
+    });
+    file.on("limit", () => {
+      tooLarge = true;
+      file.resume();
+    });
+    file.on("end", () => {
+      if (!filename || tooLarge) return;
+      const buffer = Buffer.concat(chunks);
+      const safeName = filename.replace(/[^\w.-]+/g, "_");
+      const key = `dtf-drafts/${draftId}/${designId}-${safeName}`;
+
+      fileUploads.push(
+        s3
+          .send(
+            new PutObjectCommand({
+              Bucket: process.env.AWS_S3_BUCKET,
+              Key: key,
+              Body: buffer,
+              ContentType: mimeType,
+            })
+          )
+          .then(() => ({ designId, filename, mimetype: mimeType, size: buffer.length, key }))
+      );
+    });
+  });
+
+  busboy.on("finish", async () => {
+    if (tooLarge) {
+      await discardUploads(fileUploads);
+      return sendJson(res, 413, { error: "Draft too large to share." });
+    }
+
+    let layout;
+    try {
+      layout = JSON.parse(fields.layout || "");
+    } catch (err) {
+      await discardUploads(fileUploads);
+      return sendJson(res, 400, { error: "layout (JSON) is required." });
+    }
+    if (!layout || !Array.isArray(layout.sheets) || !Array.isArray(layout.designFiles)) {
+      await discardUploads(fileUploads);
+      return sendJson(res, 400, { error: "layout must include sheets and designFiles." });
+    }
+
+    try {
+      const uploadedFiles = await Promise.all(fileUploads);
+      const name = (fields.name || "").slice(0, 120) || null;
+
+      const client = await pool.connect();
+      try {
+        // Retry on the (unlikely) token collision
+        for (let attempt = 0; attempt < 3; attempt++) {
+          const shareToken = createShareToken();
+          try {
+            await client.query(
+              `INSERT INTO gang_sheet_drafts (id, share_token, name, layout, files)
+               VALUES ($1, $2, $3, $4::jsonb, $5::jsonb)`,
+              [draftId, shareToken, name, JSON.stringify(layout), JSON.stringify(uploadedFiles)]
+            );
+            return sendJson(res, 200, { ok: true, id: draftId, token: shareToken });
+          } catch (err) {
+            if (err.code !== "23505" || attempt === 2) throw err;
+          }
+        }
+      } finally {
+        client.release();
+      }
+    } catch (err) {
+      console.error("Failed to save shared draft:", err);
+      await discardUploads(fileUploads);
+      if (err.code === "42P01") {
+        console.error("ERROR: The gang_sheet_drafts table does not exist. See the schema at the top of api/drafts.js.");
+      }
+      return sendJson(res, 500, {
+        error: "Failed to save draft. Check server logs and environment configuration.",
+      });
+    }
+  });
+
+  req.pipe(busboy);
+}
+
+async function handleGet(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const token = (url.searchParams.get("token") || "").trim();
+  if (!/^[\w-]{4,32}$/.test(token)) {
+    return sendJson(res, 400, { error: "token is required." });
+  }
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      "SELECT id, name, layout, files, created_at FROM gang_sheet_drafts WHERE share_token = $1",
+      [token]
+    );
+    if (result.rowCount === 0) {
+      return sendJson(res, 404, { error: "Shared sheet not found." });
+    }
+
+    const draft = result.rows[0];
+    const files = Array.isArray(draft.files) ? draft.files : [];
+
+    const designId = url.searchParams.get("designId");
+    if (designId) {
+      const file = files.find((candidate) => candidate.designId === designId);
+      if (!file) {
+        return sendJson(res, 404, { error: "Artwork not found." });
+      }
+      const object = await s3.send(
+        new GetObjectCommand({
+          Bucket: process.env.AWS_S3_BUCKET,
+          Key: file.key,
+        })
+      );
+      res.statusCode = 200;
+      res.setHeader("Content-Type", file.mimetype || "application/octet-stream");
+      res.setHeader("Cache-Control", "private, max-age=3600");
+      return res.end(Buffer.from(await object.Body.transformToByteArray()));
+    }
+
+    const urls = {};
+    await Promise.all(
+      files.map(async (file) => {
+        const command = new GetObjectCommand({
+          Bucket: process.env.AWS_S3_BUCKET,
+          Key: file.key,
+        });
+        urls[file.designId] = await getSignedUrl(s3, command, { expiresIn: 3600 });
+      })
+    );
+
+    return sendJson(res, 200, {
+      ok: true,
+      draft: {
+        id: draft.id,
+        name: draft.name,
+        createdAt: draft.created_at,
+        layout: draft.layout,
+        imageUrls: urls,
+      },
+    });
+  } catch (err) {
+    console.error("Failed to load shared draft:", err);
+    return sendJson(res, 500, { error: "Failed to load shared sheet. Check server logs." });
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = async (req, res) => {
+  if (req.method === "POST") return handlePost(req, res);
+  if (req.method === "GET") return handleGet(req, res);
+
+  res.statusCode = 405;
+  res.setHeader("Allow", "GET, POST");
+  return res.end(JSON.stringify({ error: "Method not allowed. Use GET or POST." }));
+};
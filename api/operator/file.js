@@ -62,6 +62,9 @@ module.exports = async (req, res) => {
   const url = new URL(req.url, `http://${req.headers.host}`);
   const orderId = Number(url.searchParams.get("orderId"));
   const index = Number(url.searchParams.get("index") || "0");
+  // Rendered print files (see api/operator/render.js) are addressed by sheet index
+  const renderParam = url.searchParams.get("render");
+  const renderIndex = renderParam === null ? null : Number(renderParam);
 
   if (!orderId || index < 0) {
     res.statusCode = 400;
@@ -74,7 +77,7 @@ module.exports = async (req, res) => {
   const client = await pool.connect();
   try {
     const result = await client.query(
-      "SELECT files FROM dtf_orders WHERE id = $1",
+      "SELECT files, gang_sheet_data FROM dtf_orders WHERE id = $1",
       [orderId]
     );
     if (result.rowCount === 0) {
@@ -83,16 +86,36 @@ module.exports = async (req, res) => {
       return res.end(JSON.stringify({ error: "Order not found." }));
     }
 
-    const files = Array.isArray(result.rows[0].files)
-      ? result.rows[0].files
-      : [];
-    if (!files.length || !files[index]) {
-      res.statusCode = 404;
-      res.setHeader("Content-Type", "application/json");
-      return res.end(JSON.stringify({ error: "No files for this order." }));
+    let file;
+    if (renderIndex !== null) {
+      const gangSheetData =
+        typeof result.rows[0].gang_sheet_data === "string"
+          ? JSON.parse(result.rows[0].gang_sheet_data)
+          : result.rows[0].gang_sheet_data;
+      const renders =
+        gangSheetData && Array.isArray(gangSheetData.renders)
+          ? gangSheetData.renders
+          : [];
+      file = renders.find((render) => render.sheetIndex === renderIndex);
+      if (!file) {
+        res.statusCode = 404;
+        res.setHeader("Content-Type", "application/json");
+        return res.end(
+          JSON.stringify({ error: "No print file rendered for this sheet." })
+        );
+      }
+    } else {
+      const files = Array.isArray(result.rows[0].files)
+        ? result.rows[0].files
+        : [];
+      if (!files.length || !files[index]) {
+        res.statusCode = 404;
+        res.setHeader("Content-Type", "application/json");
+        return res.end(JSON.stringify({ error: "No files for this order." }));
+      }
+      file = files[index];
     }
 
-    const file = files[index];
     const key = file.key;
     if (!key) {
       res.statusCode = 400;
@@ -103,6 +126,10 @@ module.exports = async (req, res) => {
     const command = new GetObjectCommand({
       Bucket: process.env.AWS_S3_BUCKET,
       Key: key,
+      // Print files download under a readable name instead of their S3 key
+      ...(renderIndex !== null && file.filename
+        ? { ResponseContentDisposition: `attachment; filename="${file.filename}"` }
+        : {}),
     });
     const signedUrl = await getSignedUrl(s3, command, { expiresIn: 300 });
 
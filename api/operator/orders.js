@@ -1,4 +1,5 @@
 const { Pool } = require("pg");
+const { getPrinters } = require("../_lib/printers");
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -71,6 +72,7 @@ async function handleGet(req, res) {
       JSON.stringify({
         ok: true,
         orders: result.rows,
+        printers: getPrinters(),
       })
     );
   } finally {
@@ -100,8 +102,53 @@ function readJsonBody(req) {
   });
 }
 
+// Printer and mirror setting for an order's production files, kept in gang_sheet_data.
+// mirror: true/false overrides the printer's default; null goes back to the printer.
+async function handleOutputPatch(res, body) {
+  const { orderId } = body;
+  const printerId = body.printerId ? String(body.printerId) : null;
+  const mirror = typeof body.mirror === "boolean" ? body.mirror : null;
+
+  if (!orderId) {
+    res.statusCode = 400;
+    res.setHeader("Content-Type", "application/json");
+    return res.end(JSON.stringify({ error: "orderId is required." }));
+  }
+  if (printerId && !getPrinters().some((printer) => printer.id === printerId)) {
+    res.statusCode = 400;
+    res.setHeader("Content-Type", "application/json");
+    return res.end(JSON.stringify({ error: "Unknown printer." }));
+  }
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `UPDATE dtf_orders
+       SET gang_sheet_data = gang_sheet_data::jsonb || $1::jsonb
+       WHERE id = $2 AND gang_sheet_data IS NOT NULL
+       RETURNING id, gang_sheet_data`,
+      [JSON.stringify({ printerId, mirror }), orderId]
+    );
+
+    if (result.rowCount === 0) {
+      res.statusCode = 404;
+      res.setHeader("Content-Type", "application/json");
+      return res.end(JSON.stringify({ error: "Gang sheet order not found." }));
+    }
+
+    res.statusCode = 200;
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ ok: true, order: result.rows[0] }));
+  } finally {
+    client.release();
+  }
+}
+
 async function handlePatch(req, res) {
   const body = await readJsonBody(req);
+  if (body && ("printerId" in body || "mirror" in body)) {
+    return handleOutputPatch(res, body);
+  }
   const { orderId, status } = body || {};
 
   if (!orderId || !status) {
@@ -121,6 +168,7 @@ async function handlePatch(req, res) {
 
     if (result.rowCount === 0) {
       res.statusCode = 404;
+      res.setHeader("Content-Type", "application/json");
       return res.end(JSON.stringify({ error: "Order not found." }));
     }
 
@@ -0,0 +1,165 @@
+// Export an order's gang sheets as a print PDF.
+// GET ?orderId=<id> builds one page per sheet at the exact sheet size with the
+// original artwork placed at its position and rotation, uploads it to S3 and
+// returns a short-lived download URL (PDFs with full-size artwork are too large
+// to send back from the function directly).
+// Options: cropMarks=1, registrationMarks=1, jobTicket=0 (the ticket strip is on by default).
+// The artwork is mirrored when the order's mirror setting says so (see _lib/printers).
+
+const { Pool } = require("pg");
+const { S3Client, GetObjectCommand, PutObjectCommand } = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const { matchDesignFiles } = require("../_lib/gang-sheet-render");
+const { buildGangSheetPdf } = require("../_lib/gang-sheet-pdf");
+const { resolveMirror } = require("../_lib/printers");
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 3,
+});
+
+const s3 = new S3Client({
+  region: process.env.AWS_S3_REGION,
+  credentials: {
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+  },
+});
+
+function getSessionTokenFromCookie(req) {
+  const header = req.headers.cookie;
+  if (!header) return null;
+  const parts = header.split(";").map((c) => c.trim());
+  for (const part of parts) {
+    if (part.startsWith("op_session=")) {
+      return decodeURIComponent(part.split("=")[1] || "");
+    }
+  }
+  return null;
+}
+
+function requireOperatorAuth(req, res) {
+  const expectedSession = process.env.OPERATOR_SESSION_TOKEN;
+  if (!expectedSession) {
+    res.statusCode = 500;
+    res.setHeader("Content-Type", "application/json");
+    res.end(
+      JSON.stringify({
+        error:
+          "OPERATOR_SESSION_TOKEN not configured. Set it in your environment.",
+      })
+    );
+    return false;
+  }
+  const cookieToken = getSessionTokenFromCookie(req);
+  if (cookieToken !== expectedSession) {
+    res.statusCode = 401;
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ error: "Unauthorized" }));
+    return false;
+  }
+  return true;
+}
+
+function sendJson(res, statusCode, body) {
+  res.statusCode = statusCode;
+  res.setHeader("Content-Type", "application/json");
+  return res.end(JSON.stringify(body));
+}
+
+async function downloadFromS3(key) {
+  const result = await s3.send(
+    new GetObjectCommand({
+      Bucket: process.env.AWS_S3_BUCKET,
+      Key: key,
+    })
+  );
+  return Buffer.from(await result.Body.transformToByteArray());
+}
+
+module.exports = async (req, res) => {
+  if (!requireOperatorAuth(req, res)) return;
+
+  if (req.method !== "GET") {
+    res.statusCode = 405;
+    res.setHeader("Allow", "GET");
+    return res.end(JSON.stringify({ error: "Method not allowed." }));
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const orderId = Number(url.searchParams.get("orderId"));
+  if (!orderId) {
+    return sendJson(res, 400, { error: "orderId (number) is required." });
+  }
+  const options = {
+    cropMarks: url.searchParams.get("cropMarks") === "1",
+    registrationMarks: url.searchParams.get("registrationMarks") === "1",
+    jobTicket: url.searchParams.get("jobTicket") !== "0",
+    orderId,
+  };
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      "SELECT quantity, files, gang_sheet_data FROM dtf_orders WHERE id = $1",
+      [orderId]
+    );
+    if (result.rowCount === 0) {
+      return sendJson(res, 404, { error: "Order not found." });
+    }
+
+    const { quantity, files, gang_sheet_data: rawData } = result.rows[0];
+    if (!rawData) {
+      return sendJson(res, 400, { error: "This order has no gang sheet layout." });
+    }
+    const data = typeof rawData === "string" ? JSON.parse(rawData) : rawData;
+    const designFiles = Array.isArray(data.designFiles) ? data.designFiles : [];
+    const fileByDesign = matchDesignFiles(designFiles, Array.isArray(files) ? files : []);
+    if (designFiles.length > 0 && fileByDesign.size === 0) {
+      return sendJson(res, 400, { error: "Legacy order: its files can't be matched to the gang sheet designs." });
+    }
+
+    const { mirror } = resolveMirror(data);
+    const { pdf, missingDesignIds } = await buildGangSheetPdf({
+      data,
+      loadArtwork: (designId) => {
+        const file = fileByDesign.get(designId);
+        return file ? downloadFromS3(file.key) : null;
+      },
+      options: { ...options, quantity: data.quantity || quantity, mirror },
+    });
+
+    if (missingDesignIds.length > 0) {
+      console.warn(`Order ${orderId} PDF is missing artwork for designs:`, missingDesignIds);
+    }
+
+    const filename = `order-${orderId}-gang-sheets${mirror ? "-mirrored" : ""}.pdf`;
+    const key = `dtf-exports/${orderId}/${Date.now()}-${filename}`;
+    await s3.send(
+      new PutObjectCommand({
+        Bucket: process.env.AWS_S3_BUCKET,
+        Key: key,
+        Body: pdf,
+        ContentType: "application/pdf",
+      })
+    );
+    const signedUrl = await getSignedUrl(
+      s3,
+      new GetObjectCommand({
+        Bucket: process.env.AWS_S3_BUCKET,
+        Key: key,
+        ResponseContentDisposition: `attachment; filename="${filename}"`,
+      }),
+      { expiresIn: 300 }
+    );
+
+    return sendJson(res, 200, { ok: true, url: signedUrl, mirrored: mirror, missingDesignIds });
+  } catch (err) {
+    console.error("Failed to build gang sheet PDF:", err);
+    return sendJson(res, 500, {
+      error: "Failed to build gang sheet PDF. Check server logs.",
+    });
+  } finally {
+    client.release();
+  }
+};
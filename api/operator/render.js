@@ -0,0 +1,207 @@
+// Render an order's gang sheets to print-ready PNGs.
+// POST { orderId } composites the original S3 artwork for every sheet in
+// gang_sheet_data at 300 DPI, uploads one transparent PNG per sheet to S3 and
+// records them in gang_sheet_data.renders. Operators download them through
+// /api/operator/file?orderId=<id>&render=<sheet index>.
+// Sheets are flipped horizontally when the order's mirror setting says so
+// (see _lib/printers); each render records whether it was mirrored.
+
+const { Pool } = require("pg");
+const { S3Client, GetObjectCommand, PutObjectCommand } = require("@aws-sdk/client-s3");
+const {
+  PRINT_DPI,
+  getGangSheets,
+  matchDesignFiles,
+  renderSheetPng,
+} = require("../_lib/gang-sheet-render");
+const { resolveMirror } = require("../_lib/printers");
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 3,
+});
+
+const s3 = new S3Client({
+  region: process.env.AWS_S3_REGION,
+  credentials: {
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+  },
+});
+
+function getSessionTokenFromCookie(req) {
+  const header = req.headers.cookie;
+  if (!header) return null;
+  const parts = header.split(";").map((c) => c.trim());
+  for (const part of parts) {
+    if (part.startsWith("op_session=")) {
+      return decodeURIComponent(part.split("=")[1] || "");
+    }
+  }
+  return null;
+}
+
+function requireOperatorAuth(req, res) {
+  const expectedSession = process.env.OPERATOR_SESSION_TOKEN;
+  if (!expectedSession) {
+    res.statusCode = 500;
+    res.setHeader("Content-Type", "application/json");
+    res.end(
+      JSON.stringify({
+        error:
+          "OPERATOR_SESSION_TOKEN not configured. Set it in your environment.",
+      })
+    );
+    return false;
+  }
+  const cookieToken = getSessionTokenFromCookie(req);
+  if (cookieToken !== expectedSession) {
+    res.statusCode = 401;
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ error: "Unauthorized" }));
+    return false;
+  }
+  return true;
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      try {
+        const body = Buffer.concat(chunks).toString();
+        resolve(body ? JSON.parse(body) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, statusCode, body) {
+  res.statusCode = statusCode;
+  res.setHeader("Content-Type", "application/json");
+  return res.end(JSON.stringify(body));
+}
+
+async function downloadFromS3(key) {
+  const result = await s3.send(
+    new GetObjectCommand({
+      Bucket: process.env.AWS_S3_BUCKET,
+      Key: key,
+    })
+  );
+  return Buffer.from(await result.Body.transformToByteArray());
+}
+
+module.exports = async (req, res) => {
+  if (!requireOperatorAuth(req, res)) return;
+
+  if (req.method !== "POST") {
+    res.statusCode = 405;
+    res.setHeader("Allow", "POST");
+    return res.end(JSON.stringify({ error: "Method not allowed. Use POST." }));
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (err) {
+    return sendJson(res, 400, { error: "Invalid JSON body." });
+  }
+  const orderId = Number(body.orderId);
+  if (!orderId) {
+    return sendJson(res, 400, { error: "orderId (number) is required." });
+  }
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      "SELECT files, gang_sheet_data FROM dtf_orders WHERE id = $1",
+      [orderId]
+    );
+    if (result.rowCount === 0) {
+      return sendJson(res, 404, { error: "Order not found." });
+    }
+
+    const { files, gang_sheet_data: rawData } = result.rows[0];
+    if (!rawData) {
+      return sendJson(res, 400, { error: "This order has no gang sheet layout." });
+    }
+    const data = typeof rawData === "string" ? JSON.parse(rawData) : rawData;
+    const designFiles = Array.isArray(data.designFiles) ? data.designFiles : [];
+    const fileByDesign = matchDesignFiles(designFiles, Array.isArray(files) ? files : []);
+    if (designFiles.length > 0 && fileByDesign.size === 0) {
+      return sendJson(res, 400, { error: "Legacy order: its files can't be matched to the gang sheet designs." });
+    }
+
+    // Each design's artwork is downloaded once and shared by every sheet
+    const artwork = new Map();
+    const loadArtwork = (designId) => {
+      const file = fileByDesign.get(designId);
+      if (!file) return null;
+      if (!artwork.has(designId)) {
+        artwork.set(designId, downloadFromS3(file.key));
+      }
+      return artwork.get(designId);
+    };
+
+    const { mirror } = resolveMirror(data);
+    const renders = [];
+    const sheets = getGangSheets(data);
+    for (let i = 0; i < sheets.length; i++) {
+      const sheet = sheets[i];
+      const sheetIndex = sheet.index || i + 1;
+      const rendered = await renderSheetPng({
+        sheet,
+        designFiles,
+        loadArtwork,
+        dpi: PRINT_DPI,
+        mirror,
+      });
+      const key = `dtf-renders/${orderId}/sheet-${sheetIndex}-${Date.now()}.png`;
+
+      await s3.send(
+        new PutObjectCommand({
+          Bucket: process.env.AWS_S3_BUCKET,
+          Key: key,
+          Body: rendered.png,
+          ContentType: "image/png",
+        })
+      );
+
+      renders.push({
+        sheetIndex,
+        sheetSizeId: sheet.sheetSizeId,
+        key,
+        filename: `order-${orderId}-sheet-${sheetIndex}${mirror ? "-mirrored" : ""}.png`,
+        mimetype: "image/png",
+        size: rendered.png.length,
+        widthPx: rendered.widthPx,
+        heightPx: rendered.heightPx,
+        dpi: rendered.dpi,
+        mirrored: rendered.mirrored,
+        missingDesignIds: rendered.missingDesignIds,
+        renderedAt: new Date().toISOString(),
+      });
+    }
+
+    await client.query(
+      `UPDATE dtf_orders
+       SET gang_sheet_data = jsonb_set(gang_sheet_data::jsonb, '{renders}', $1::jsonb)
+       WHERE id = $2`,
+      [JSON.stringify(renders), orderId]
+    );
+
+    return sendJson(res, 200, { ok: true, renders });
+  } catch (err) {
+    console.error("Failed to render gang sheet:", err);
+    return sendJson(res, 500, {
+      error: "Failed to render gang sheet. Check server logs.",
+    });
+  } finally {
+    client.release();
+  }
+};
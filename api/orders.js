@@ -39,7 +39,14 @@ module.exports = (req, res) => {
     fields[name] = value;
   });
 
-  busboy.on("file", (fieldname, file, filename, encoding, mimetype) => {
+  // Gang sheet artwork arrives as "design:<designId>" and vector sources as
+  // "source:<designId>"; the ID and role are stored on the file so renders match
+  // artwork by design rather than by position. Single-image orders use "files".
+  busboy.on("file", (fieldname, file, info) => {
+    const { filename, mimeType: mimetype } = info;
+    const separator = fieldname.indexOf(":");
+    const role = separator > 0 ? fieldname.slice(0, separator) : null;
+    const designId = separator > 0 ? fieldname.slice(separator + 1) : null;
     const chunks = [];
     file.on("data", (data) => chunks.push(data));
     file.on("limit", () => {
@@ -68,6 +75,7 @@ module.exports = (req, res) => {
           mimetype,
           size: buffer.length,
           key,
+          ...(designId ? { designId, role } : {}),
         }));
 
       fileUploads.push(putPromise);
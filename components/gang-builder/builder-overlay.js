@@ -7,6 +7,8 @@
 import { SheetCanvas } from "./sheet-canvas.js";
 import { SheetControlsPanel } from "./sheet-controls-panel.js";
 import { StatsPanel } from "./stats-panel.js";
+import { DraftsPanel } from "./drafts-panel.js";
+import * as store from "../../lib/gang-builder/store.js";
 
 /**
  * Create and initialize the builder overlay
@@ -21,19 +23,43 @@ export function createBuilderOverlay(container, onClose) {
     <div class="gang-builder-container">
       <div class="gang-builder-header">
         <h2>Gang Sheet Builder</h2>
-        <button class="gang-builder-close" type="button" aria-label="Close builder">×</button>
+        <div class="gang-builder-header-actions">
+          <span class="gang-draft-status" id="gang-draft-status" aria-live="polite"></span>
+          <button class="gang-btn gang-btn-secondary" id="gang-drafts-toggle" type="button">Drafts</button>
+          <button class="gang-builder-close" type="button" aria-label="Close builder">×</button>
+        </div>
+      </div>
+      <div id="gang-builder-drafts"></div>
+      <div class="gang-shared-banner" id="gang-shared-banner" hidden>
+        <span class="gang-shared-banner-text" id="gang-shared-banner-text"></span>
+        <button class="gang-btn gang-btn-primary" id="gang-shared-duplicate" type="button">Duplicate into my builder</button>
       </div>
       <div class="gang-builder-layout">
-        <div class="gang-builder-left-panel">
+        <div class="gang-builder-left-panel" id="gang-builder-left-panel" data-bottom-sheet="controls">
+          <div class="gang-bottom-sheet-header">
+            <span class="gang-bottom-sheet-handle" aria-hidden="true"></span>
+            <h3>Artwork &amp; sheet</h3>
+            <button class="gang-bottom-sheet-close" type="button" aria-label="Close artwork and sheet panel">×</button>
+          </div>
           <div id="gang-builder-controls"></div>
         </div>
         <div class="gang-builder-center">
           <div id="gang-builder-canvas"></div>
         </div>
-        <div class="gang-builder-right-panel">
+        <div class="gang-builder-right-panel" id="gang-builder-right-panel" data-bottom-sheet="stats">
+          <div class="gang-bottom-sheet-header">
+            <span class="gang-bottom-sheet-handle" aria-hidden="true"></span>
+            <h3>Summary</h3>
+            <button class="gang-bottom-sheet-close" type="button" aria-label="Close summary panel">×</button>
+          </div>
           <div id="gang-builder-stats"></div>
         </div>
       </div>
+      <div class="gang-bottom-sheet-scrim" id="gang-bottom-sheet-scrim" hidden></div>
+      <div class="gang-bottom-sheet-bar" role="toolbar" aria-label="Panels">
+        <button class="gang-bottom-sheet-toggle" type="button" data-bottom-sheet="controls" aria-controls="gang-builder-left-panel" aria-expanded="false">Artwork &amp; sheet</button>
+        <button class="gang-bottom-sheet-toggle" type="button" data-bottom-sheet="stats" aria-controls="gang-builder-right-panel" aria-expanded="false">Summary</button>
+      </div>
     </div>
   `;
 
@@ -42,6 +68,15 @@ export function createBuilderOverlay(container, onClose) {
   const controlsContainer = overlay.querySelector("#gang-builder-controls");
   const canvasContainer = overlay.querySelector("#gang-builder-canvas");
   const statsContainer = overlay.querySelector("#gang-builder-stats");
+  const draftsContainer = overlay.querySelector("#gang-builder-drafts");
+  const draftsToggle = overlay.querySelector("#gang-drafts-toggle");
+  const draftStatus = overlay.querySelector("#gang-draft-status");
+  const sharedBanner = overlay.querySelector("#gang-shared-banner");
+  const sharedBannerText = overlay.querySelector("#gang-shared-banner-text");
+  const duplicateBtn = overlay.querySelector("#gang-shared-duplicate");
+  const bottomSheets = overlay.querySelectorAll(".gang-builder-layout [data-bottom-sheet]");
+  const bottomSheetToggles = overlay.querySelectorAll(".gang-bottom-sheet-toggle");
+  const bottomSheetScrim = overlay.querySelector("#gang-bottom-sheet-scrim");
 
   // Lock body scroll when overlay is open
   const originalOverflow = document.body.style.overflow;
@@ -53,8 +88,80 @@ export function createBuilderOverlay(container, onClose) {
   document.body.style.width = "100%";
   document.body.style.top = `-${scrollY}px`;
 
+  // Small screens: the controls and summary panels turn into bottom sheets
+  // over the canvas (see styles.css), opened from the bar along the bottom.
+  // On wider screens the classes are harmless and the panels stay put.
+  let openBottomSheet = null;
+
+  const setOpenBottomSheet = (name) => {
+    openBottomSheet = name;
+    bottomSheets.forEach((panel) => {
+      panel.classList.toggle("gang-bottom-sheet-open", panel.dataset.bottomSheet === name);
+    });
+    bottomSheetToggles.forEach((btn) => {
+      btn.setAttribute("aria-expanded", String(btn.dataset.bottomSheet === name));
+    });
+    bottomSheetScrim.hidden = !name;
+  };
+
+  bottomSheetToggles.forEach((btn) => {
+    btn.addEventListener("click", () => {
+      setOpenBottomSheet(openBottomSheet === btn.dataset.bottomSheet ? null : btn.dataset.bottomSheet);
+    });
+  });
+  bottomSheetScrim.addEventListener("click", () => setOpenBottomSheet(null));
+
+  // Close button, or drag the header down to dismiss
+  bottomSheets.forEach((panel) => {
+    const header = panel.querySelector(".gang-bottom-sheet-header");
+    panel.querySelector(".gang-bottom-sheet-close").addEventListener("click", () => setOpenBottomSheet(null));
+
+    let dragStartY = null;
+    header.addEventListener("pointerdown", (e) => {
+      if (e.target.closest("button")) return;
+      dragStartY = e.clientY;
+      header.setPointerCapture(e.pointerId);
+    });
+    header.addEventListener("pointermove", (e) => {
+      if (dragStartY === null) return;
+      panel.style.transform = `translateY(${Math.max(0, e.clientY - dragStartY)}px)`;
+    });
+    const endDrag = (e) => {
+      if (dragStartY === null) return;
+      const draggedPx = e.clientY - dragStartY;
+      dragStartY = null;
+      panel.style.transform = "";
+      if (e.type === "pointerup" && draggedPx > 80) setOpenBottomSheet(null);
+    };
+    header.addEventListener("pointerup", endDrag);
+    header.addEventListener("pointercancel", endDrag);
+  });
+
+  // Undo/redo shortcuts: Ctrl/Cmd+Z undoes, adding Shift redoes.
+  // Text fields keep their own undo. Escape closes an open bottom sheet.
+  const handleKeydown = (e) => {
+    if (e.key === "Escape" && openBottomSheet) {
+      setOpenBottomSheet(null);
+      return;
+    }
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== "z") return;
+    const target = e.target;
+    if (target && (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))) return;
+
+    e.preventDefault();
+    if (e.shiftKey) {
+      store.redo();
+    } else {
+      store.undo();
+    }
+  };
+  document.addEventListener("keydown", handleKeydown);
+
   // Close handlers
   const handleClose = () => {
+    document.removeEventListener("keydown", handleKeydown);
+    store.setAutosave(false);
+
     // Restore body scroll
     document.body.style.overflow = originalOverflow;
     document.body.style.position = originalPosition;
@@ -73,6 +180,41 @@ export function createBuilderOverlay(container, onClose) {
   SheetControlsPanel.create(controlsContainer);
   SheetCanvas.create(canvasContainer);
   StatsPanel.create(statsContainer);
+  const draftsPanel = DraftsPanel.create(draftsContainer, draftStatus);
+  draftsToggle.addEventListener("click", () => draftsPanel.toggle());
+
+  // Shared sheets (/order?sheet=<token>) open view-only until duplicated
+  store.subscribe((state) => {
+    overlay.classList.toggle("gang-builder-readonly", state.readOnly);
+    sharedBanner.hidden = !state.readOnly;
+    if (state.sharedSheet) {
+      sharedBannerText.textContent = `Viewing shared sheet "${state.sharedSheet.name}" (view only)`;
+    }
+  });
+
+  duplicateBtn.addEventListener("click", async () => {
+    duplicateBtn.disabled = true;
+    const duplicated = await store.duplicateSharedSheet();
+    duplicateBtn.disabled = false;
+    if (!duplicated) {
+      alert("Couldn't copy this sheet into your builder. Please try again.");
+      return;
+    }
+    // The link has done its job - a refresh should resume the copy, not reopen the shared sheet
+    const url = new URL(window.location.href);
+    url.searchParams.delete("sheet");
+    window.history.replaceState(null, "", url);
+  });
+
+  // Work autosaves to a draft while the builder is open. Starting with an
+  // empty builder offers to pick up the last saved draft.
+  store.setAutosave(true);
+  const initialState = store.getState();
+  if (!initialState.readOnly && initialState.designFiles.length === 0) {
+    draftsPanel.open(true).then((hasDraft) => {
+      if (!hasDraft) draftsPanel.close();
+    });
+  }
 
   // Append to container
   container.appendChild(overlay);
@@ -80,6 +222,8 @@ export function createBuilderOverlay(container, onClose) {
   return {
     overlay,
     destroy: () => {
+      document.removeEventListener("keydown", handleKeydown);
+      store.setAutosave(false);
       overlay.remove();
     },
   };
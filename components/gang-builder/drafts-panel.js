@@ -0,0 +1,207 @@
+/**
+ * Drafts Panel Component
+ *
+ * Dropdown under the builder header for saved drafts: a "Resume your last
+ * sheet" prompt when the builder opens, naming and saving the current draft,
+ * and the list of saved drafts with open and delete.
+ */
+
+import * as store from "../../lib/gang-builder/store.js";
+import { escapeHtml } from "./html.js";
+
+/**
+ * Format a save time for the drafts list
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function formatSavedAt(timestamp) {
+  const date = new Date(timestamp);
+  const today = new Date().toDateString() === date.toDateString();
+  return today
+    ? date.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })
+    : date.toLocaleDateString([], { month: "short", day: "numeric" });
+}
+
+/**
+ * Create the drafts panel
+ * @param {HTMLElement} container
+ * @param {HTMLElement} statusEl - Element in the header that shows the autosave status
+ * @returns {Object} {open(withResumePrompt), close(), toggle()}
+ */
+export function create(container, statusEl) {
+  container.innerHTML = `
+    <div class="gang-drafts-panel" id="gang-drafts-panel" hidden>
+      <div class="gang-drafts-resume" id="gang-drafts-resume" hidden>
+        <h3 class="gang-controls-heading">Resume your last sheet</h3>
+        <p class="gang-drafts-resume-name" id="gang-drafts-resume-name"></p>
+        <div class="gang-drafts-actions">
+          <button type="button" class="gang-btn gang-btn-primary" id="gang-drafts-resume-btn">Resume</button>
+          <button type="button" class="gang-btn gang-btn-secondary" id="gang-drafts-new-btn">Start new</button>
+        </div>
+      </div>
+      <div class="gang-drafts-save">
+        <label class="gang-drafts-label" for="gang-draft-name">Draft name</label>
+        <div class="gang-drafts-actions">
+          <input type="text" id="gang-draft-name" class="gang-input" maxlength="80" />
+          <button type="button" class="gang-btn gang-btn-secondary" id="gang-draft-save">Save</button>
+        </div>
+      </div>
+      <div class="gang-drafts-share">
+        <button type="button" class="gang-btn gang-btn-secondary" id="gang-share-btn">Create share link</button>
+        <div class="gang-drafts-actions" id="gang-share-result" hidden>
+          <input type="text" id="gang-share-url" class="gang-input" readonly aria-label="Share link" />
+          <button type="button" class="gang-btn gang-btn-secondary" id="gang-share-copy">Copy</button>
+        </div>
+        <p class="gang-drafts-label" id="gang-share-status" aria-live="polite"></p>
+      </div>
+      <h3 class="gang-controls-heading">Saved drafts</h3>
+      <ul class="gang-drafts-list" id="gang-drafts-list"></ul>
+    </div>
+  `;
+
+  const panel = container.querySelector("#gang-drafts-panel");
+  const resumeSection = container.querySelector("#gang-drafts-resume");
+  const resumeName = container.querySelector("#gang-drafts-resume-name");
+  const resumeBtn = container.querySelector("#gang-drafts-resume-btn");
+  const newBtn = container.querySelector("#gang-drafts-new-btn");
+  const nameInput = container.querySelector("#gang-draft-name");
+  const saveBtn = container.querySelector("#gang-draft-save");
+  const list = container.querySelector("#gang-drafts-list");
+  const saveSection = container.querySelector(".gang-drafts-save");
+  const shareBtn = container.querySelector("#gang-share-btn");
+  const shareResult = container.querySelector("#gang-share-result");
+  const shareUrlInput = container.querySelector("#gang-share-url");
+  const shareCopyBtn = container.querySelector("#gang-share-copy");
+  const shareStatus = container.querySelector("#gang-share-status");
+
+  let lastDraft = null;
+
+  async function refreshList() {
+    const drafts = await store.listDrafts();
+    const currentId = store.getState().draft.id;
+    lastDraft = drafts.find((draft) => draft.id !== currentId) || null;
+
+    list.innerHTML = "";
+    if (drafts.length === 0) {
+      list.innerHTML = `<li class="gang-drafts-empty">No saved drafts yet. Your work saves automatically.</li>`;
+      return drafts;
+    }
+
+    drafts.forEach((draft) => {
+      const item = document.createElement("li");
+      item.className = "gang-drafts-item";
+      item.classList.toggle("gang-drafts-item-current", draft.id === currentId);
+      item.innerHTML = `
+        <div class="gang-drafts-item-info">
+          <span class="gang-drafts-item-name">${escapeHtml(draft.name)}</span>
+          <span class="gang-drafts-item-meta">${draft.designCount} design${draft.designCount === 1 ? "" : "s"} · ${draft.instanceCount} placed · ${formatSavedAt(draft.updatedAt)}</span>
+        </div>
+        <button type="button" class="gang-btn gang-btn-secondary gang-drafts-open">${draft.id === currentId ? "Current" : "Open"}</button>
+        <button type="button" class="gang-drafts-delete" aria-label="Delete draft ${escapeHtml(draft.name)}">×</button>
+      `;
+      const openBtn = item.querySelector(".gang-drafts-open");
+      openBtn.disabled = draft.id === currentId;
+      openBtn.addEventListener("click", async () => {
+        if (await store.restoreDraft(draft.id)) close();
+      });
+      item.querySelector(".gang-drafts-delete").addEventListener("click", async () => {
+        if (!confirm(`Delete the draft "${draft.name}"?`)) return;
+        await store.deleteDraft(draft.id);
+        refreshList();
+      });
+      list.appendChild(item);
+    });
+    return drafts;
+  }
+
+  function updateResumePrompt(show) {
+    resumeSection.hidden = !show || !lastDraft;
+    if (lastDraft) {
+      resumeName.textContent = `${lastDraft.name} · saved ${formatSavedAt(lastDraft.updatedAt)}`;
+    }
+  }
+
+  async function open(withResumePrompt = false) {
+    panel.hidden = false;
+    nameInput.value = store.getState().draft.name;
+    await refreshList();
+    updateResumePrompt(withResumePrompt);
+    return lastDraft !== null;
+  }
+
+  function close() {
+    panel.hidden = true;
+    resumeSection.hidden = true;
+  }
+
+  function toggle() {
+    if (panel.hidden) {
+      open();
+    } else {
+      close();
+    }
+  }
+
+  resumeBtn.addEventListener("click", async () => {
+    if (lastDraft && (await store.restoreDraft(lastDraft.id))) close();
+  });
+
+  newBtn.addEventListener("click", () => close());
+
+  saveBtn.addEventListener("click", async () => {
+    await store.saveDraft(nameInput.value);
+    refreshList();
+  });
+
+  nameInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") saveBtn.click();
+  });
+
+  // Share link - uploads the sheet so it can be opened with /order?sheet=<token>
+  shareBtn.addEventListener("click", async () => {
+    shareBtn.disabled = true;
+    shareStatus.textContent = "Uploading…";
+    const shared = await store.shareSheet();
+    shareBtn.disabled = false;
+    if (shared.error) {
+      shareStatus.textContent = shared.error;
+      return;
+    }
+    shareStatus.textContent = "Anyone with this link can view the sheet.";
+    shareUrlInput.value = shared.url;
+    shareResult.hidden = false;
+    shareUrlInput.select();
+  });
+
+  shareCopyBtn.addEventListener("click", async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrlInput.value);
+      shareStatus.textContent = "Link copied.";
+    } catch (err) {
+      shareUrlInput.select();
+      shareStatus.textContent = "Press Ctrl+C to copy the link.";
+    }
+  });
+
+  // Header autosave status
+  store.subscribe((state) => {
+    // Shared sheets aren't saved as drafts until they're duplicated
+    saveSection.hidden = state.readOnly;
+    shareBtn.disabled = state.designFiles.length === 0;
+
+    const { status, savedAt } = state.draft;
+    if (status === "saving") {
+      statusEl.textContent = "Saving…";
+    } else if (status === "error") {
+      statusEl.textContent = "Couldn't save draft";
+    } else if (savedAt) {
+      statusEl.textContent = `Saved ${formatSavedAt(savedAt)}`;
+    } else {
+      statusEl.textContent = "";
+    }
+  });
+
+  return { open, close, toggle };
+}
+
+export const DraftsPanel = { create };
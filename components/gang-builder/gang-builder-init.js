@@ -5,6 +5,7 @@
  */
 
 import { createBuilderOverlay } from "./builder-overlay.js";
+import * as store from "../../lib/gang-builder/store.js";
 
 document.addEventListener("DOMContentLoaded", () => {
   const tabs = Array.from(document.querySelectorAll(".order-tab"));
@@ -29,5 +30,24 @@ document.addEventListener("DOMContentLoaded", () => {
       }
     });
   });
+
+  // Shared sheet links (/order?sheet=<token>) open straight into the builder, view-only
+  const sharedToken = new URLSearchParams(window.location.search).get("sheet");
+  if (sharedToken) {
+    store.loadSharedSheet(sharedToken).then((loaded) => {
+      if (loaded) {
+        buildSheetTab.click();
+        return;
+      }
+      const banner = document.getElementById("order-banner");
+      const message = "This shared sheet link is invalid or no longer available.";
+      if (banner) {
+        banner.textContent = message;
+        banner.className = "order-banner order-banner--error";
+      } else {
+        alert(message);
+      }
+    });
+  }
 });
 
@@ -0,0 +1,14 @@
+/**
+ * HTML helpers shared by the builder components
+ */
+
+/**
+ * Escape text for use in innerHTML
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
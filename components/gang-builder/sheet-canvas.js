@@ -5,8 +5,117 @@
  */
 
 import * as store from "../../lib/gang-builder/store.js";
-import { getSheetSize } from "../../lib/gang-builder/config.js";
-import { convertInchesToPixels, convertPixelsToInches, snapToGrid, isWithinBounds } from "../../lib/gang-builder/layout.js";
+import { getSheetSize, GARMENT_COLORS } from "../../lib/gang-builder/config.js";
+import {
+  convertInchesToPixels,
+  convertPixelsToInches,
+  snapToGrid,
+  getOrientedBox,
+  isPointInOrientedBox,
+  getBoundingBox,
+  normalizeRotation,
+  getSmartGuideSnap,
+  DEADSPACE_IN,
+} from "../../lib/gang-builder/layout.js";
+import { getInstanceQuality, getEffectiveDpi, getQualityLevel } from "../../lib/gang-builder/quality.js";
+import { createUnderbasePreview } from "../../lib/gang-builder/underbase.js";
+
+/**
+ * Distance of the rotation handle above the selected instance's top edge (CSS pixels)
+ */
+const ROTATION_HANDLE_OFFSET_PX = 24;
+const ROTATION_HANDLE_RADIUS_PX = 6;
+
+/**
+ * Resize handles on the selected instance's corners and edge midpoints,
+ * as signs along the graphic's own (unrotated) axes
+ */
+const RESIZE_HANDLES = [
+  { hx: -1, hy: -1 }, { hx: 0, hy: -1 }, { hx: 1, hy: -1 },
+  { hx: 1, hy: 0 }, { hx: 1, hy: 1 }, { hx: 0, hy: 1 },
+  { hx: -1, hy: 1 }, { hx: -1, hy: 0 },
+];
+const RESIZE_HANDLE_SIZE_PX = 8;
+
+/**
+ * Smallest size a copy can be dragged or typed down to (inches)
+ */
+const MIN_INSTANCE_SIZE_IN = 0.25;
+
+/**
+ * How close (CSS pixels) an edge or center has to come to another one to snap to it
+ */
+const SMART_GUIDE_THRESHOLD_PX = 6;
+const SMART_GUIDE_COLOR = "rgba(255, 72, 170, 0.9)";
+
+/**
+ * Arrow-key nudge when snapping is off (inches); Shift+arrow always moves a full inch
+ */
+const KEYBOARD_NUDGE_IN = 0.0625;
+const KEYBOARD_LARGE_NUDGE_IN = 1;
+
+/**
+ * Zoom limits and steps. Zoom is relative to the whole sheet fitting the view;
+ * the closest zoom shows any sheet at MAX_ZOOM_PX_PER_INCH screen pixels per inch.
+ */
+const MIN_ZOOM = 0.25;
+const MAX_ZOOM_PX_PER_INCH = 400;
+const ZOOM_STEP = 1.25;
+
+/**
+ * Largest minimap, in CSS pixels - long sheets come out tall and narrow
+ */
+const MINIMAP_MAX_WIDTH_PX = 160;
+const MINIMAP_MAX_HEIGHT_PX = 220;
+
+/**
+ * Touch: extra reach around handles for fingertips (CSS pixels), how far a
+ * finger can wander and still count as a tap, and the angle steps a
+ * two-finger twist turns the selection by
+ */
+const TOUCH_HANDLE_SLOP_PX = 12;
+const TAP_MAX_MOVE_PX = 8;
+const TOUCH_ROTATE_STEP_DEG = 15;
+
+/**
+ * Smallest thumbnail kept for scaled-down artwork (longest side, device pixels)
+ */
+const THUMBNAIL_MIN_PX = 64;
+
+const FOCUS_RING_COLOR = "rgba(255, 200, 60, 0.95)";
+
+/**
+ * Thickness of the inch rulers along the sheet's top and left edges (CSS pixels)
+ */
+const RULER_SIZE_PX = 16;
+
+/**
+ * Resize cursors by handle direction, every 45° starting from pointing right
+ */
+const RESIZE_CURSORS = ["ew-resize", "nwse-resize", "ns-resize", "nesw-resize"];
+
+/**
+ * Outline colours for copies flagged by the print quality check
+ */
+const QUALITY_COLORS = {
+  error: "rgba(255, 107, 107, 0.95)",
+  warning: "rgba(255, 211, 130, 0.95)",
+};
+
+/**
+ * Film colour behind the underbase preview, dark enough for the white ink to read
+ */
+const UNDERBASE_FILM_COLOR = "rgba(20, 22, 28, 1)";
+
+/**
+ * Garment color picked on the order form, if the builder was opened from it
+ * @returns {string} Garment color ID
+ */
+function getOrderFormGarmentId() {
+  const select = document.querySelector('select[name="garmentColor"]');
+  const garment = select && GARMENT_COLORS.find((color) => color.label === select.value);
+  return garment ? garment.id : "dark";
+}
 
 /**
  * Create the canvas component
@@ -15,13 +124,87 @@ import { convertInchesToPixels, convertPixelsToInches, snapToGrid, isWithinBound
 export function create(container) {
   container.innerHTML = `
     <div class="gang-canvas-wrapper" id="gang-canvas-wrapper">
+        <div class="gang-sheet-tabs" id="gang-sheet-tabs" role="tablist" aria-label="Sheets"></div>
+        <div class="gang-preview-controls" id="gang-preview-controls" role="group" aria-label="Preview">
+          <span class="gang-preview-label">Preview</span>
+          <button class="gang-preview-btn" type="button" data-preview="sheet" aria-pressed="true">Sheet</button>
+          ${GARMENT_COLORS.map((color) => `
+            <button class="gang-preview-btn gang-preview-swatch" type="button" data-preview="garment" data-garment-id="${color.id}" aria-pressed="false" title="On a ${color.label.toLowerCase()} garment" aria-label="Preview on a ${color.label.toLowerCase()} garment">
+              <span class="gang-preview-swatch-color" style="background: ${color.hex};"></span>
+            </button>
+          `).join("")}
+          <button class="gang-preview-btn" type="button" data-preview="underbase" aria-pressed="false" title="Where white ink goes">Underbase</button>
+          <span class="gang-preview-status" id="gang-preview-status" aria-live="polite"></span>
+        </div>
+        <div class="gang-instance-toolbar gang-selection-toolbar" id="gang-selection-toolbar" hidden>
+          <span class="gang-selection-count" id="gang-selection-count"></span>
+          <button class="gang-design-use-btn" id="gang-select-design" type="button">Select all of this design</button>
+          <button class="gang-design-use-btn" id="gang-selection-duplicate" type="button">Duplicate</button>
+          <button class="gang-design-use-btn" id="gang-selection-delete" type="button">Delete</button>
+          <span class="gang-selection-group" id="gang-selection-group">
+            <button class="gang-zoom-btn" id="gang-selection-rotate" type="button" aria-label="Rotate selection 90 degrees">⟳</button>
+            <select class="gang-input gang-selection-align" id="gang-selection-align" aria-label="Align selection">
+              <option value="">Align…</option>
+              <option value="left">Left edges</option>
+              <option value="center">Centers (horizontal)</option>
+              <option value="right">Right edges</option>
+              <option value="top">Top edges</option>
+              <option value="middle">Centers (vertical)</option>
+              <option value="bottom">Bottom edges</option>
+              <option value="distribute-horizontal">Distribute horizontally</option>
+              <option value="distribute-vertical">Distribute vertically</option>
+            </select>
+            <button class="gang-design-use-btn" id="gang-selection-pack" type="button">Pack selection</button>
+          </span>
+          <span class="gang-instance-toolbar-status" id="gang-selection-status"></span>
+        </div>
+        <div class="gang-instance-toolbar" id="gang-instance-toolbar" hidden>
+          <label class="gang-instance-angle">
+            Angle
+            <input type="number" id="gang-instance-angle" class="gang-input" min="-360" max="360" step="1" />
+            °
+          </label>
+          <button class="gang-zoom-btn" id="gang-rotate-90" type="button" aria-label="Rotate 90 degrees">⟳</button>
+          <label class="gang-instance-size">
+            W
+            <input type="number" id="gang-instance-width" class="gang-input" min="${MIN_INSTANCE_SIZE_IN}" step="0.01" />
+            "
+          </label>
+          <label class="gang-instance-size">
+            H
+            <input type="number" id="gang-instance-height" class="gang-input" min="${MIN_INSTANCE_SIZE_IN}" step="0.01" />
+            "
+          </label>
+          <label class="gang-instance-aspect" title="Hold Shift while dragging a handle to switch this temporarily">
+            <input type="checkbox" id="gang-instance-aspect" checked />
+            Keep proportions
+          </label>
+          <span class="gang-instance-dpi" id="gang-instance-dpi"></span>
+          <button class="gang-design-use-btn" id="gang-instance-reset-size" type="button">Reset size</button>
+          <span class="gang-instance-toolbar-status" id="gang-instance-toolbar-status"></span>
+        </div>
         <div class="gang-zoom-controls">
+          <button class="gang-zoom-btn" id="gang-undo" type="button" aria-label="Undo" title="Undo (Ctrl+Z)" disabled>↶</button>
+          <button class="gang-zoom-btn" id="gang-redo" type="button" aria-label="Redo" title="Redo (Ctrl+Shift+Z)" disabled>↷</button>
+          <span class="gang-zoom-divider" aria-hidden="true"></span>
           <button class="gang-zoom-btn" id="gang-zoom-out" aria-label="Zoom out">−</button>
           <span class="gang-zoom-level" id="gang-zoom-level">125%</span>
           <button class="gang-zoom-btn" id="gang-zoom-in" aria-label="Zoom in">+</button>
+          <button class="gang-zoom-btn" id="gang-zoom-fit" type="button" aria-label="Zoom to fit" title="Zoom to fit (Shift+1)">⤢</button>
+          <button class="gang-zoom-btn" id="gang-zoom-selection" type="button" aria-label="Zoom to selection" title="Zoom to selection (Shift+2)" disabled>⌖</button>
+          <span class="gang-zoom-divider" aria-hidden="true"></span>
+          <span class="gang-cursor-readout" id="gang-cursor-readout" aria-hidden="true"></span>
+        </div>
+        <div class="gang-minimap" id="gang-minimap" hidden>
+          <canvas id="gang-minimap-canvas" aria-hidden="true" title="Drag to move around the sheet"></canvas>
         </div>
       <div class="gang-canvas-container" id="gang-canvas-container">
-        <canvas id="gang-canvas"></canvas>
+        <canvas id="gang-canvas" tabindex="0" role="application" aria-roledescription="gang sheet" aria-label="Gang sheet layout" aria-describedby="gang-canvas-help"></canvas>
+        <p class="gang-sr-only" id="gang-canvas-help">
+          Tab and Shift+Tab step through the designs on the sheet. Arrow keys nudge the selection by the snap increment,
+          Shift+arrow by one inch. R rotates 90 degrees, Delete removes, Ctrl+D duplicates and Escape clears the selection.
+        </p>
+        <p class="gang-sr-only" id="gang-canvas-announcer" aria-live="polite" aria-atomic="true"></p>
       </div>
     </div>
   `;
@@ -33,7 +216,37 @@ export function create(container) {
   const zoomOutBtn = container.querySelector("#gang-zoom-out");
   const zoomInBtn = container.querySelector("#gang-zoom-in");
   const zoomLevelDisplay = container.querySelector("#gang-zoom-level");
+  const zoomFitBtn = container.querySelector("#gang-zoom-fit");
+  const zoomSelectionBtn = container.querySelector("#gang-zoom-selection");
+  const minimap = container.querySelector("#gang-minimap");
+  const minimapCanvas = container.querySelector("#gang-minimap-canvas");
   const zoomControls = container.querySelector(".gang-zoom-controls");
+  const sheetTabs = container.querySelector("#gang-sheet-tabs");
+  const instanceToolbar = container.querySelector("#gang-instance-toolbar");
+  const angleInput = container.querySelector("#gang-instance-angle");
+  const rotate90Btn = container.querySelector("#gang-rotate-90");
+  const toolbarStatus = container.querySelector("#gang-instance-toolbar-status");
+  const widthInput = container.querySelector("#gang-instance-width");
+  const heightInput = container.querySelector("#gang-instance-height");
+  const aspectInput = container.querySelector("#gang-instance-aspect");
+  const instanceDpi = container.querySelector("#gang-instance-dpi");
+  const resetSizeBtn = container.querySelector("#gang-instance-reset-size");
+  const undoBtn = container.querySelector("#gang-undo");
+  const redoBtn = container.querySelector("#gang-redo");
+  const selectionToolbar = container.querySelector("#gang-selection-toolbar");
+  const selectionCount = container.querySelector("#gang-selection-count");
+  const selectDesignBtn = container.querySelector("#gang-select-design");
+  const duplicateBtn = container.querySelector("#gang-selection-duplicate");
+  const deleteBtn = container.querySelector("#gang-selection-delete");
+  const selectionGroup = container.querySelector("#gang-selection-group");
+  const rotateSelectionBtn = container.querySelector("#gang-selection-rotate");
+  const alignSelect = container.querySelector("#gang-selection-align");
+  const packSelectionBtn = container.querySelector("#gang-selection-pack");
+  const selectionStatus = container.querySelector("#gang-selection-status");
+  const cursorReadout = container.querySelector("#gang-cursor-readout");
+  const announcer = container.querySelector("#gang-canvas-announcer");
+  const previewControls = container.querySelector("#gang-preview-controls");
+  const previewStatus = container.querySelector("#gang-preview-status");
   
   // Position zoom controls fixed relative to center panel
   function positionZoomControls() {
@@ -42,6 +255,8 @@ export function create(container) {
       const centerRect = centerPanel.getBoundingClientRect();
       zoomControls.style.top = (centerRect.top + 16) + 'px';
       zoomControls.style.right = (window.innerWidth - centerRect.right + 16) + 'px';
+      minimap.style.bottom = (window.innerHeight - centerRect.bottom + 16) + 'px';
+      minimap.style.right = (window.innerWidth - centerRect.right + 16) + 'px';
     }
   }
   
@@ -72,63 +287,133 @@ export function create(container) {
   let dragStartY = 0;
   let dragInstanceId = null;
   let selectedInstanceId = null;
+  let isRotating = false;
+  let rotateInstanceId = null;
+  // Resize in progress: the grabbed handle, the fixed opposite point and the live size
+  let resizeDrag = null;
+  // Rubber-band selection in progress, in canvas pixels
+  let marquee = null;
+  // Smart guides shown while dragging
+  let activeGuides = [];
+  // Cursor position on the sheet in inches, for the rulers
+  let cursorIn = null;
+  // The focus ring is only drawn while the canvas is being driven from the keyboard
+  let keyboardFocus = false;
+
+  // Preview mode: "sheet" (the film as it's laid out), "garment" (on the chosen
+  // garment colour) or "underbase" (where the white ink goes)
+  let previewMode = "sheet";
+  let garmentId = getOrderFormGarmentId();
 
   // Image cache to avoid reloading images
   const imageCache = new Map();
+  // Bumped whenever an image finishes loading, so cached layers pick it up
+  let imageVersion = 0;
 
-  // Preload an image and cache it
-  function preloadImage(url) {
-    if (imageCache.has(url)) {
-      return Promise.resolve(imageCache.get(url));
+  // Downscaled artwork by image URL, then by size
+  const thumbnailCache = new Map();
+
+  // Offscreen layers that are only repainted when their key changes
+  const sheetLayer = { canvas: document.createElement("canvas"), key: null };
+  const instanceLayer = { canvas: document.createElement("canvas"), key: null };
+
+  // Size of everything the canvas container holds (sheet plus padding), and the
+  // part of it currently in view - both in CSS pixels
+  let contentWidth = 0;
+  let contentHeight = 0;
+  let viewport = { x: 0, y: 0, width: 0, height: 0 };
+
+  // Underbase previews by image URL, built on first use
+  const underbaseCache = new Map();
+  // Artwork the canvas can't read back (cross-origin without CORS headers); it
+  // draws normally but has no underbase preview
+  const unreadableUrls = new Set();
+
+  function getUnderbasePreview(url) {
+    if (unreadableUrls.has(url)) return null;
+    if (!underbaseCache.has(url)) {
+      const img = imageCache.get(url);
+      if (!img || !img.complete || img.naturalWidth === 0) return null;
+      try {
+        underbaseCache.set(url, createUnderbasePreview(img));
+      } catch (err) {
+        // SecurityError from a tainted canvas
+        unreadableUrls.add(url);
+        return null;
+      }
+    }
+    return underbaseCache.get(url);
+  }
+
+  function isImageReadable(img) {
+    try {
+      const probe = document.createElement("canvas");
+      probe.width = 1;
+      probe.height = 1;
+      const probeCtx = probe.getContext("2d");
+      probeCtx.drawImage(img, 0, 0, 1, 1);
+      probeCtx.getImageData(0, 0, 1, 1);
+      return true;
+    } catch (err) {
+      return false;
     }
+  }
 
+  function loadImage(url, crossOrigin) {
     return new Promise((resolve, reject) => {
       const img = new Image();
-      img.onload = () => {
-        imageCache.set(url, img);
-        resolve(img);
-      };
+      if (crossOrigin) img.crossOrigin = "anonymous";
+      img.onload = () => resolve(img);
       img.onerror = reject;
       img.src = url;
     });
   }
 
+  // Preload an image and cache it. Remote artwork (signed S3 URLs on shared sheets
+  // and in the operator viewer) is requested with CORS so the underbase preview can
+  // read it; if the bucket doesn't allow that, it's loaded again without CORS.
+  function preloadImage(url) {
+    if (imageCache.has(url)) {
+      return Promise.resolve(imageCache.get(url));
+    }
+
+    const isRemote = /^https?:/i.test(url);
+    return loadImage(url, isRemote)
+      .catch((err) => (isRemote ? loadImage(url, false) : Promise.reject(err)))
+      .then((img) => {
+        if (!isImageReadable(img)) unreadableUrls.add(url);
+        imageCache.set(url, img);
+        imageVersion++;
+        return img;
+      });
+  }
+
   // Store container dimensions for scale calculations
   let containerWidth = 0;
   let containerHeight = 0;
   let isResizing = false; // Prevent recursive resize calls
   
-  // Get maximum allowed zoom to prevent pushing right panel off screen
-  function getMaxZoom() {
+  // Scale at 100% zoom: the whole sheet fits the available space
+  function getBaseScale() {
     const state = store.getState();
     const sheetSize = getSheetSize(state.selectedSheetSizeId);
-    if (!sheetSize) return 4.0;
-    
-    // Get the center panel (which contains the canvas wrapper)
-    const centerPanel = container.closest(".gang-builder-center");
-    if (!centerPanel) return 4.0;
-    
-    const centerRect = centerPanel.getBoundingClientRect();
-    const maxAvailableWidth = centerRect.width - 64; // Account for padding
-    
-    // Calculate base sheet dimensions
-    const baseSheetWidthPx = convertInchesToPixels(sheetSize.widthIn);
-    
-    // Calculate maximum zoom that keeps canvas within center panel
-    // Canvas width = sheetWidthPx * scale + padding
-    // We want: sheetWidthPx * scale + padding <= maxAvailableWidth
-    // So: scale <= (maxAvailableWidth - padding) / sheetWidthPx
-    const paddingPx = 32;
-    const maxScale = (maxAvailableWidth - paddingPx * 2) / baseSheetWidthPx;
-    
-    // Get base scale (at 100% zoom)
-    const availableWidth = containerWidth || maxAvailableWidth;
-    const baseScale = (availableWidth * 0.95) / baseSheetWidthPx;
-    
-    // Max zoom = maxScale / baseScale
-    const maxZoom = Math.max(1.0, Math.min(4.0, maxScale / baseScale));
-    
-    return maxZoom;
+    if (!sheetSize) return 1;
+
+    // Use actual container dimensions (freshly measured from wrapper, not canvas)
+    const availableWidth = containerWidth || 100;
+    const availableHeight = containerHeight || 100;
+
+    // Fit in container (with 5% padding for breathing room)
+    const fitScaleX = (availableWidth * 0.95) / convertInchesToPixels(sheetSize.widthIn);
+    const fitScaleY = (availableHeight * 0.95) / convertInchesToPixels(sheetSize.heightIn);
+    return Math.min(fitScaleX, fitScaleY);
+  }
+
+  // Get maximum allowed zoom. The wrapper scrolls both ways, so the sheet can
+  // be far bigger than the view; the cap keeps the artwork recognisable.
+  function getMaxZoom() {
+    const maxScale = MAX_ZOOM_PX_PER_INCH / convertInchesToPixels(1);
+    return Math.max(1, maxScale / getBaseScale());
   }
   
   // Calculate scale for current sheet size and zoom - SINGLE SOURCE OF TRUTH
@@ -139,15 +424,7 @@ export function create(container) {
     
     const baseSheetWidthPx = convertInchesToPixels(sheetSize.widthIn);
     const baseSheetHeightPx = convertInchesToPixels(sheetSize.heightIn);
-    
-    // Use actual container dimensions (freshly measured from wrapper, not canvas)
-    const availableWidth = containerWidth || 100;
-    const availableHeight = containerHeight || 100;
-    
-    // Calculate base scale to fit in container (with 5% padding for breathing room)
-    const fitScaleX = (availableWidth * 0.95) / baseSheetWidthPx;
-    const fitScaleY = (availableHeight * 0.95) / baseSheetHeightPx;
-    const baseScale = Math.min(fitScaleX, fitScaleY);
+    const baseScale = getBaseScale();
     
     // Apply zoom level (clamped to max zoom)
     const maxZoom = getMaxZoom();
@@ -185,88 +462,418 @@ export function create(container) {
     containerWidth = availableWidth;
     containerHeight = availableHeight;
     
-    // Use device pixel ratio for high DPI displays
-    const dpr = window.devicePixelRatio || 1;
-    
     // Calculate scale and sheet dimensions
     const { sheetWidthPx, sheetHeightPx } = calculateScale();
     
     if (sheetWidthPx > 0 && sheetHeightPx > 0) {
-      // Canvas size: exactly what's needed (sheet + padding)
+      // Content size: exactly what's needed (sheet + padding)
       const paddingPx = 32;
-      const neededWidth = sheetWidthPx + paddingPx * 2;
-      const neededHeight = sheetHeightPx + paddingPx * 2;
-      
-      // Set canvas size
-      canvas.width = neededWidth * dpr;
-      canvas.height = neededHeight * dpr;
-      canvas.style.width = neededWidth + 'px';
-      canvas.style.height = neededHeight + 'px';
-      
-      // Container matches canvas size
-      canvasContainer.style.width = neededWidth + 'px';
-      canvasContainer.style.height = neededHeight + 'px';
+      contentWidth = sheetWidthPx + paddingPx * 2;
+      contentHeight = sheetHeightPx + paddingPx * 2;
     } else {
       // No sheet size selected, use container size
-      canvas.width = availableWidth * dpr;
-      canvas.height = availableHeight * dpr;
-      canvas.style.width = availableWidth + 'px';
-      canvas.style.height = availableHeight + 'px';
-      canvasContainer.style.width = availableWidth + 'px';
-      canvasContainer.style.height = availableHeight + 'px';
+      contentWidth = availableWidth;
+      contentHeight = availableHeight;
     }
-    
-    // Reset transform and scale the context to match DPR
-    ctx.setTransform(1, 0, 0, 1, 0, 0);
-    ctx.scale(dpr, dpr);
+
+    // The container spans the whole sheet for scrolling; the canvas only covers what's in view
+    canvasContainer.style.width = contentWidth + 'px';
+    canvasContainer.style.height = contentHeight + 'px';
+    updateViewport();
     
     render();
     isResizing = false;
   }
 
-  // Render the sheet and instances
+  // Redraws are batched to one per animation frame, however many state
+  // changes and mouse moves arrive in between
+  let renderQueued = false;
+
   function render() {
+    if (renderQueued) return;
+    renderQueued = true;
+    requestAnimationFrame(() => {
+      renderQueued = false;
+      draw();
+    });
+  }
+
+  // Keep the canvas the size of the visible part of the sheet area and move it
+  // along as the wrapper scrolls; the canvas container stays full size so the
+  // scrollbars still cover the whole sheet
+  function updateViewport() {
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.max(1, Math.min(canvasWrapper.clientWidth, contentWidth));
+    const height = Math.max(1, Math.min(canvasWrapper.clientHeight, contentHeight));
+    const wrapperRect = canvasWrapper.getBoundingClientRect();
+    const containerRect = canvasContainer.getBoundingClientRect();
+    const x = Math.max(0, Math.min(contentWidth - width, wrapperRect.left + canvasWrapper.clientLeft - containerRect.left));
+    const y = Math.max(0, Math.min(contentHeight - height, wrapperRect.top + canvasWrapper.clientTop - containerRect.top));
+
+    if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+      canvas.width = Math.round(width * dpr);
+      canvas.height = Math.round(height * dpr);
+      canvas.style.width = width + "px";
+      canvas.style.height = height + "px";
+    }
+    canvas.style.transform = `translate(${x}px, ${y}px)`;
+    viewport = { x, y, width, height };
+  }
+
+  // Repaint a cached layer only when its key changes, then copy it onto the canvas
+  function drawLayer(layer, key, paint) {
+    const dpr = window.devicePixelRatio || 1;
+    if (layer.key !== key || layer.canvas.width !== canvas.width || layer.canvas.height !== canvas.height) {
+      if (layer.canvas.width !== canvas.width || layer.canvas.height !== canvas.height) {
+        layer.canvas.width = canvas.width;
+        layer.canvas.height = canvas.height;
+      }
+      const layerCtx = layer.canvas.getContext("2d");
+      layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+      layerCtx.clearRect(0, 0, layer.canvas.width, layer.canvas.height);
+      layerCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      paint(layerCtx);
+      layer.key = key;
+    }
+    ctx.drawImage(layer.canvas, 0, 0, viewport.width, viewport.height);
+  }
+
+  // Artwork scaled down to roughly the size it's drawn at. Sizes go in powers
+  // of two so zooming doesn't rebuild thumbnails on every step.
+  function getScaledImage(url, img, drawWidthPx, drawHeightPx) {
+    const dpr = window.devicePixelRatio || 1;
+    const naturalPx = Math.max(img.naturalWidth, img.naturalHeight);
+    const neededPx = Math.max(drawWidthPx, drawHeightPx, 1) * dpr;
+    const bucketPx = Math.max(THUMBNAIL_MIN_PX, 2 ** Math.ceil(Math.log2(neededPx)));
+    if (bucketPx * 2 > naturalPx) return img;
+
+    if (!thumbnailCache.has(url)) thumbnailCache.set(url, new Map());
+    const sizes = thumbnailCache.get(url);
+    if (!sizes.has(bucketPx)) {
+      const ratio = bucketPx / naturalPx;
+      const thumbnail = document.createElement("canvas");
+      thumbnail.width = Math.max(1, Math.round(img.naturalWidth * ratio));
+      thumbnail.height = Math.max(1, Math.round(img.naturalHeight * ratio));
+      const thumbnailCtx = thumbnail.getContext("2d");
+      thumbnailCtx.imageSmoothingQuality = "high";
+      thumbnailCtx.drawImage(img, 0, 0, thumbnail.width, thumbnail.height);
+      sizes.set(bucketPx, thumbnail);
+    }
+    return sizes.get(bucketPx);
+  }
+
+  // Stable small ID for an object (outlines are replaced, not edited, when they change)
+  const objectKeys = new WeakMap();
+  let nextObjectKey = 1;
+  function getObjectKey(object) {
+    if (!object) return 0;
+    if (!objectKeys.has(object)) objectKeys.set(object, nextObjectKey++);
+    return objectKeys.get(object);
+  }
+
+  // Render the sheet and instances (call render() to schedule this)
+  function draw() {
     const state = store.getState();
     const sheetSize = getSheetSize(state.selectedSheetSizeId);
     if (!sheetSize) return;
 
-    // Get canvas display size (CSS pixels, not scaled by DPR)
+    updateUnderbaseAvailability(state);
+
     const dpr = window.devicePixelRatio || 1;
-    const canvasWidth = canvas.width / dpr;
-    const canvasHeight = canvas.height / dpr;
+    const canvasWidth = viewport.width;
+    const canvasHeight = viewport.height;
 
-    // Clear canvas (use actual canvas dimensions)
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
     ctx.clearRect(0, 0, canvas.width, canvas.height);
-    
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
     // Use the SAME scale calculation as resizeCanvas - ensures consistency
     const { scale, sheetWidthPx, sheetHeightPx } = calculateScale();
-    
-    // Position sheet - ALWAYS at top, centered horizontally
+
+    // Position sheet - ALWAYS at top, centered horizontally - then shift into
+    // the visible viewport, which is all the canvas covers
     const paddingPx = 32; // 2rem = 32px
-    const offsetX = Math.max(paddingPx, (canvasWidth - sheetWidthPx) / 2); // Center horizontally
-    const offsetY = paddingPx; // ALWAYS start at top
+    const offsetX = Math.max(paddingPx, (contentWidth - sheetWidthPx) / 2) - viewport.x;
+    const offsetY = paddingPx - viewport.y;
+
+    const sheetIndex = state.sheets.findIndex((sheet) => sheet.id === state.activeSheetId);
+    const sheetLabel = state.sheets.length > 1
+      ? `Sheet ${sheetIndex + 1} of ${state.sheets.length} · ${sheetSize.label}`
+      : sheetSize.label;
+    const viewKey = [viewport.x, viewport.y, viewport.width, viewport.height, dpr, scale, sheetSize.id, previewMode, garmentId].join("|");
+    const view = { state, sheetSize, offsetX, offsetY, scale, sheetWidthPx, sheetHeightPx, sheetLabel };
+
+    // Grid, sheet and rulers only change with the view
+    drawLayer(sheetLayer, `${viewKey}|${state.snapIncrement}|${sheetLabel}`, (layerCtx) => paintSheet(layerCtx, view));
+    drawRulerCursor(offsetX, offsetY, scale);
+
+    const selectedIds = new Set(state.selectedInstanceIds);
+    const designsById = new Map(state.designFiles.map((design) => [design.id, design]));
+
+    // Only copies in view are drawn; the margin covers strokes and DPI badges
+    const margin = 8;
+    const visible = state.instances.filter((instance) => {
+      if (!designsById.has(instance.designId)) return false;
+      const box = getBoundingBox(instance.xIn, instance.yIn, instance.widthIn, instance.heightIn, instance.rotationDeg || 0, DEADSPACE_IN);
+      const left = offsetX + convertInchesToPixels(box.xIn) * scale;
+      const top = offsetY + convertInchesToPixels(box.yIn) * scale;
+      return left < canvasWidth + margin
+        && top < canvasHeight + margin
+        && left + convertInchesToPixels(box.widthIn) * scale > -margin
+        && top + convertInchesToPixels(box.heightIn) * scale > -margin;
+    });
+
+    // Unselected copies sit still while the selection is dragged, so they're
+    // cached; the selection is drawn fresh on top every frame
+    const resting = visible.filter((instance) => !selectedIds.has(instance.id));
+    const restingKey = [
+      viewKey,
+      imageVersion,
+      state.designFiles.map((d) => `${d.id}:${d.url}:${d.naturalWidthPx}x${d.naturalHeightPx}:${getObjectKey(d.outline)}`).join(","),
+      resting.map((i) => `${i.id}:${i.designId}:${i.xIn},${i.yIn},${i.widthIn},${i.heightIn},${i.rotationDeg || 0}`).join(","),
+    ].join("|");
+    drawLayer(instanceLayer, restingKey, (layerCtx) => {
+      resting.forEach((instance) => drawInstance(layerCtx, instance, designsById.get(instance.designId), false, view));
+    });
+    visible
+      .filter((instance) => selectedIds.has(instance.id))
+      .forEach((instance) => drawInstance(ctx, instance, designsById.get(instance.designId), true, view));
+
+    // Designs on this sheet whose underbase has weak, semi-transparent areas
+    const weakUnderbaseNames = new Set();
+    if (previewMode === "underbase") {
+      new Set(state.instances.map((instance) => instance.designId)).forEach((designId) => {
+        const design = designsById.get(designId);
+        const underbase = design && design.url ? getUnderbasePreview(design.url) : null;
+        if (underbase && underbase.report.hasWeakAreas) weakUnderbaseNames.add(design.name);
+      });
+    }
+    updatePreviewStatus(weakUnderbaseNames);
+
+    // Store render context for mouse events (canvas pixels, already offset for the viewport)
+    canvas._renderContext = {
+      offsetX,
+      offsetY,
+      scale,
+      sheetSize,
+      displayWidth: canvasWidth,
+      displayHeight: canvasHeight,
+    };
+
+    drawMinimap(state, sheetSize, offsetX, offsetY, scale);
+
+    // Smart guides: alignment lines, and the deadspace gap between abutting neighbours
+    activeGuides.forEach((guide) => {
+      const toX = (inches) => offsetX + convertInchesToPixels(inches) * scale;
+      const toY = (inches) => offsetY + convertInchesToPixels(inches) * scale;
+      ctx.strokeStyle = SMART_GUIDE_COLOR;
+      ctx.fillStyle = SMART_GUIDE_COLOR;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      if (guide.axis === "x") {
+        ctx.moveTo(toX(guide.posIn), toY(guide.startIn));
+        ctx.lineTo(toX(guide.posIn), toY(guide.endIn));
+      } else {
+        ctx.moveTo(toX(guide.startIn), toY(guide.posIn));
+        ctx.lineTo(toX(guide.endIn), toY(guide.posIn));
+      }
+      if (guide.kind === "sheet") ctx.setLineDash([4, 4]);
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      if (guide.kind === "gap") {
+        // End ticks and the gap between the graphics
+        const ticks = guide.axis === "x"
+          ? [[toX(guide.posIn) - 4, toY(guide.startIn), toX(guide.posIn) + 4, toY(guide.startIn)],
+            [toX(guide.posIn) - 4, toY(guide.endIn), toX(guide.posIn) + 4, toY(guide.endIn)]]
+          : [[toX(guide.startIn), toY(guide.posIn) - 4, toX(guide.startIn), toY(guide.posIn) + 4],
+            [toX(guide.endIn), toY(guide.posIn) - 4, toX(guide.endIn), toY(guide.posIn) + 4]];
+        ctx.beginPath();
+        ticks.forEach(([x1, y1, x2, y2]) => {
+          ctx.moveTo(x1, y1);
+          ctx.lineTo(x2, y2);
+        });
+        ctx.stroke();
+        ctx.font = "10px system-ui";
+        ctx.textAlign = "center";
+        const label = `${(guide.endIn - guide.startIn).toFixed(2)}"`;
+        if (guide.axis === "x") {
+          ctx.fillText(label, toX(guide.posIn) + 18, (toY(guide.startIn) + toY(guide.endIn)) / 2 + 3);
+        } else {
+          ctx.fillText(label, (toX(guide.startIn) + toX(guide.endIn)) / 2, toY(guide.posIn) - 6);
+        }
+      }
+    });
+
+    // Frame around a multi-selection
+    if (state.selectedInstanceIds.length > 1) {
+      const group = getUnionBox(state.instances.filter((i) => selectedIds.has(i.id)));
+      ctx.strokeStyle = "rgba(120, 180, 255, 0.8)";
+      ctx.lineWidth = 1;
+      ctx.setLineDash([6, 4]);
+      ctx.strokeRect(
+        offsetX + convertInchesToPixels(group.xIn) * scale - 3,
+        offsetY + convertInchesToPixels(group.yIn) * scale - 3,
+        convertInchesToPixels(group.widthIn) * scale + 6,
+        convertInchesToPixels(group.heightIn) * scale + 6
+      );
+      ctx.setLineDash([]);
+    }
+
+    // Focus ring around the selection for keyboard users
+    if (keyboardFocus && document.activeElement === canvas && selectedIds.size > 0) {
+      const group = getUnionBox(state.instances.filter((i) => selectedIds.has(i.id)));
+      ctx.strokeStyle = FOCUS_RING_COLOR;
+      ctx.lineWidth = 2;
+      ctx.strokeRect(
+        offsetX + convertInchesToPixels(group.xIn) * scale - 6,
+        offsetY + convertInchesToPixels(group.yIn) * scale - 6,
+        convertInchesToPixels(group.widthIn) * scale + 12,
+        convertInchesToPixels(group.heightIn) * scale + 12
+      );
+    }
+
+    // Rubber-band selection
+    if (marquee) {
+      const x = Math.min(marquee.startX, marquee.x);
+      const y = Math.min(marquee.startY, marquee.y);
+      ctx.fillStyle = "rgba(120, 180, 255, 0.12)";
+      ctx.strokeStyle = "rgba(120, 180, 255, 0.8)";
+      ctx.lineWidth = 1;
+      ctx.fillRect(x, y, Math.abs(marquee.x - marquee.startX), Math.abs(marquee.y - marquee.startY));
+      ctx.strokeRect(x, y, Math.abs(marquee.x - marquee.startX), Math.abs(marquee.y - marquee.startY));
+    }
+
+    // Rotation handle above the selected instance (shared sheets are view-only; groups use the toolbar)
+    const selected = state.selectedInstanceIds.length === 1
+      ? state.instances.find((i) => i.id === state.selectedInstanceId)
+      : null;
+    if (selected && !state.readOnly) {
+      const handle = getRotationHandle(selected);
+      ctx.strokeStyle = "rgba(255, 255, 255, 0.6)";
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(handle.edgeX, handle.edgeY);
+      ctx.lineTo(handle.x, handle.y);
+      ctx.stroke();
+      ctx.fillStyle = "rgba(20, 22, 28, 1)";
+      ctx.beginPath();
+      ctx.arc(handle.x, handle.y, ROTATION_HANDLE_RADIUS_PX, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+
+      // Resize handles on the graphic's corners and edges
+      ctx.fillStyle = "rgba(255, 255, 255, 0.95)";
+      ctx.strokeStyle = "rgba(20, 22, 28, 1)";
+      getResizeHandles(selected).forEach(({ x, y }) => {
+        const half = RESIZE_HANDLE_SIZE_PX / 2;
+        ctx.fillRect(x - half, y - half, RESIZE_HANDLE_SIZE_PX, RESIZE_HANDLE_SIZE_PX);
+        ctx.strokeRect(x - half, y - half, RESIZE_HANDLE_SIZE_PX, RESIZE_HANDLE_SIZE_PX);
+      });
+    }
+
+    // Live size and resolution next to the cursor while resizing
+    if (resizeDrag && resizeDrag.readout) {
+      const { widthIn, heightIn, dpi, level, x, y } = resizeDrag.readout;
+      const label = `${widthIn.toFixed(2)}" × ${heightIn.toFixed(2)}"${dpi ? ` · ${Math.round(dpi)} DPI` : ""}`;
+      ctx.font = "11px system-ui";
+      const labelWidth = ctx.measureText(label).width + 12;
+      const labelX = Math.min(x + 14, canvasWidth - labelWidth - 4);
+      const labelY = Math.max(y - 26, 4);
+      ctx.fillStyle = "rgba(20, 22, 28, 0.9)";
+      ctx.fillRect(labelX, labelY, labelWidth, 18);
+      ctx.fillStyle = QUALITY_COLORS[level] || "rgba(255, 255, 255, 0.9)";
+      ctx.textAlign = "left";
+      ctx.textBaseline = "middle";
+      ctx.fillText(label, labelX + 6, labelY + 9);
+      ctx.textBaseline = "alphabetic";
+    }
+  }
+
+
+  // Overview of the whole sheet with the part in view outlined. Hidden while
+  // the whole sheet is in view anyway.
+  let minimapPxPerInch = 1;
+
+  function drawMinimap(state, sheetSize, offsetX, offsetY, scale) {
+    const pxPerInch = convertInchesToPixels(1) * scale;
+    const view = {
+      xIn: -offsetX / pxPerInch,
+      yIn: -offsetY / pxPerInch,
+      widthIn: canvasWrapper.clientWidth / pxPerInch,
+      heightIn: canvasWrapper.clientHeight / pxPerInch,
+    };
+    const sheetInView = view.xIn <= 0 && view.yIn <= 0
+      && view.xIn + view.widthIn >= sheetSize.widthIn && view.yIn + view.heightIn >= sheetSize.heightIn;
+    minimap.hidden = sheetInView;
+    if (sheetInView) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    minimapPxPerInch = Math.min(MINIMAP_MAX_WIDTH_PX / sheetSize.widthIn, MINIMAP_MAX_HEIGHT_PX / sheetSize.heightIn);
+    const width = Math.max(1, Math.round(sheetSize.widthIn * minimapPxPerInch));
+    const height = Math.max(1, Math.round(sheetSize.heightIn * minimapPxPerInch));
+    if (minimapCanvas.width !== width * dpr || minimapCanvas.height !== height * dpr) {
+      minimapCanvas.width = width * dpr;
+      minimapCanvas.height = height * dpr;
+      minimapCanvas.style.width = width + "px";
+      minimapCanvas.style.height = height + "px";
+    }
+
+    const minimapCtx = minimapCanvas.getContext("2d");
+    minimapCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    minimapCtx.fillStyle = "rgba(20, 22, 28, 1)";
+    minimapCtx.fillRect(0, 0, width, height);
+
+    const selectedIds = new Set(state.selectedInstanceIds);
+    state.instances.forEach((instance) => {
+      const box = getBoundingBox(instance.xIn, instance.yIn, instance.widthIn, instance.heightIn, instance.rotationDeg || 0, DEADSPACE_IN);
+      minimapCtx.fillStyle = selectedIds.has(instance.id) ? "rgba(120, 180, 255, 0.9)" : "rgba(255, 255, 255, 0.4)";
+      minimapCtx.fillRect(
+        box.xIn * minimapPxPerInch,
+        box.yIn * minimapPxPerInch,
+        Math.max(1, box.widthIn * minimapPxPerInch),
+        Math.max(1, box.heightIn * minimapPxPerInch)
+      );
+    });
+
+    minimapCtx.fillStyle = "rgba(255, 200, 60, 0.12)";
+    minimapCtx.strokeStyle = "rgba(255, 200, 60, 0.95)";
+    minimapCtx.lineWidth = 1;
+    const viewRect = [view.xIn * minimapPxPerInch, view.yIn * minimapPxPerInch, view.widthIn * minimapPxPerInch, view.heightIn * minimapPxPerInch];
+    minimapCtx.fillRect(...viewRect);
+    minimapCtx.strokeRect(viewRect[0] + 0.5, viewRect[1] + 0.5, viewRect[2] - 1, viewRect[3] - 1);
+  }
 
-    // Draw grid (subtle)
+  // Grid, sheet background and border, label and rulers
+  function paintSheet(ctx, { state, sheetSize, offsetX, offsetY, scale, sheetWidthPx, sheetHeightPx, sheetLabel }) {
+    // Draw grid (subtle), only the lines in view
     if (state.snapIncrement > 0) {
       ctx.strokeStyle = "rgba(255, 255, 255, 0.05)";
       ctx.lineWidth = 1;
       const gridSizePx = convertInchesToPixels(state.snapIncrement) * scale;
-      for (let x = offsetX; x < offsetX + sheetWidthPx; x += gridSizePx) {
-        ctx.beginPath();
-        ctx.moveTo(x, offsetY);
-        ctx.lineTo(x, offsetY + sheetHeightPx);
-        ctx.stroke();
+      const firstColumn = Math.max(0, Math.floor(-offsetX / gridSizePx));
+      const firstRow = Math.max(0, Math.floor(-offsetY / gridSizePx));
+      ctx.beginPath();
+      for (let x = offsetX + firstColumn * gridSizePx; x < Math.min(offsetX + sheetWidthPx, viewport.width); x += gridSizePx) {
+        ctx.moveTo(x, Math.max(offsetY, 0));
+        ctx.lineTo(x, Math.min(offsetY + sheetHeightPx, viewport.height));
       }
-      for (let y = offsetY; y < offsetY + sheetHeightPx; y += gridSizePx) {
-        ctx.beginPath();
-        ctx.moveTo(offsetX, y);
-        ctx.lineTo(offsetX + sheetWidthPx, y);
-        ctx.stroke();
+      for (let y = offsetY + firstRow * gridSizePx; y < Math.min(offsetY + sheetHeightPx, viewport.height); y += gridSizePx) {
+        ctx.moveTo(Math.max(offsetX, 0), y);
+        ctx.lineTo(Math.min(offsetX + sheetWidthPx, viewport.width), y);
       }
+      ctx.stroke();
     }
 
     // Draw sheet background - make it more visible
-    ctx.fillStyle = "rgba(20, 22, 28, 0.95)";
+    const garment = GARMENT_COLORS.find((color) => color.id === garmentId);
+    if (previewMode === "garment" && garment) {
+      ctx.fillStyle = garment.hex;
+    } else if (previewMode === "underbase") {
+      ctx.fillStyle = UNDERBASE_FILM_COLOR;
+    } else {
+      ctx.fillStyle = "rgba(20, 22, 28, 0.95)";
+    }
     ctx.fillRect(offsetX, offsetY, sheetWidthPx, sheetHeightPx);
     ctx.strokeStyle = "rgba(255, 255, 255, 0.3)";
     ctx.lineWidth = 2;
@@ -277,54 +884,90 @@ export function create(container) {
     ctx.lineWidth = 1;
     ctx.strokeRect(offsetX + 1, offsetY + 1, sheetWidthPx - 2, sheetHeightPx - 2);
 
-    // Draw sheet label
+    // Draw sheet label (with the sheet number when the order has several)
     ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
     ctx.font = "12px system-ui";
     ctx.textAlign = "center";
-    ctx.fillText(sheetSize.label, canvasWidth / 2, offsetY - 10);
+    ctx.fillText(sheetLabel, offsetX + sheetWidthPx / 2, offsetY - RULER_SIZE_PX - 6);
 
-    // Draw instances
-    state.instances.forEach((instance) => {
-      const design = state.designFiles.find((d) => d.id === instance.designId);
-      if (!design) return;
+    drawRulers(ctx, sheetSize, offsetX, offsetY, scale);
+  }
 
-      // Add 4mm (0.157 inches) deadspace padding around the graphic
-      const deadspaceIn = 0.157; // 4mm in inches
-      const deadspacePx = convertInchesToPixels(deadspaceIn) * scale;
-      
-      // Get base dimensions in pixels
-      const baseWidthPx = convertInchesToPixels(instance.widthIn) * scale;
-      const baseHeightPx = convertInchesToPixels(instance.heightIn) * scale;
-      
-      // Bounding box dimensions (always include deadspace, dimensions don't swap - rotation handles visual appearance)
-      const boxWidthPx = baseWidthPx + (deadspacePx * 2);
-      const boxHeightPx = baseHeightPx + (deadspacePx * 2);
-      
-      // Calculate center point of the bounding box
-      // The instance.xIn and instance.yIn represent the top-left of the graphic (before rotation)
-      // The bounding box includes deadspace, so:
-      // - Bounding box top-left = graphic top-left - deadspace
-      // - Bounding box center = bounding box top-left + box dimensions / 2
-      const graphicX = offsetX + convertInchesToPixels(instance.xIn) * scale;
-      const graphicY = offsetY + convertInchesToPixels(instance.yIn) * scale;
-      
-      // Bounding box top-left (with deadspace)
-      const boxTopLeftX = graphicX - deadspacePx;
-      const boxTopLeftY = graphicY - deadspacePx;
-      
-      // Bounding box center
-      const centerX = boxTopLeftX + boxWidthPx / 2;
-      const centerY = boxTopLeftY + boxHeightPx / 2;
+  // One placed copy: deadspace, artwork and quality frame
+  function drawInstance(ctx, instance, design, isSelected, { offsetX, offsetY, scale }) {
+
+    // Add 4mm (0.157 inches) deadspace padding around the graphic
+    const deadspaceIn = DEADSPACE_IN;
+    const deadspacePx = convertInchesToPixels(deadspaceIn) * scale;
+    
+    // Get base dimensions in pixels
+    const baseWidthPx = convertInchesToPixels(instance.widthIn) * scale;
+    const baseHeightPx = convertInchesToPixels(instance.heightIn) * scale;
+    
+    // Bounding box dimensions (always include deadspace, dimensions don't swap - rotation handles visual appearance)
+    const boxWidthPx = baseWidthPx + (deadspacePx * 2);
+    const boxHeightPx = baseHeightPx + (deadspacePx * 2);
+    
+    // Calculate center point of the bounding box
+    // The instance.xIn and instance.yIn represent the top-left of the graphic (before rotation)
+    // The bounding box includes deadspace, so:
+    // - Bounding box top-left = graphic top-left - deadspace
+    // - Bounding box center = bounding box top-left + box dimensions / 2
+    const graphicX = offsetX + convertInchesToPixels(instance.xIn) * scale;
+    const graphicY = offsetY + convertInchesToPixels(instance.yIn) * scale;
+    
+    // Bounding box top-left (with deadspace)
+    const boxTopLeftX = graphicX - deadspacePx;
+    const boxTopLeftY = graphicY - deadspacePx;
+    
+    // Bounding box center
+    const centerX = boxTopLeftX + boxWidthPx / 2;
+    const centerY = boxTopLeftY + boxHeightPx / 2;
 
-      const isSelected = instance.id === state.selectedInstanceId;
+    // Draw bounding box and image together with rotation
+    ctx.save();
+    ctx.translate(centerX, centerY);
+    if (instance.rotationDeg) {
+      ctx.rotate((instance.rotationDeg * Math.PI) / 180);
+    }
+    
+    if (previewMode !== "sheet") {
+      // Previews show the print alone; the selection keeps a frame
+      if (isSelected) {
+        ctx.strokeStyle = "rgba(128, 128, 128, 0.9)";
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.strokeRect(-boxWidthPx / 2, -boxHeightPx / 2, boxWidthPx, boxHeightPx);
+        ctx.setLineDash([]);
+      }
+    } else if (design.outline) {
+      // Shaped artwork: the deadspace follows the outline (outline stroked at twice the deadspace)
+      ctx.beginPath();
+      design.outline.forEach((ring) => {
+        ring.forEach(([u, v], i) => {
+          const px = (u - 0.5) * baseWidthPx;
+          const py = (v - 0.5) * baseHeightPx;
+          if (i === 0) ctx.moveTo(px, py);
+          else ctx.lineTo(px, py);
+        });
+        ctx.closePath();
+      });
+      ctx.fillStyle = isSelected ? "rgba(255, 255, 255, 0.15)" : "rgba(255, 255, 255, 0.08)";
+      ctx.strokeStyle = ctx.fillStyle;
+      ctx.lineJoin = "round";
+      ctx.lineWidth = deadspacePx * 2;
+      ctx.stroke();
+      ctx.fill();
 
-      // Draw bounding box and image together with rotation
-      ctx.save();
-      ctx.translate(centerX, centerY);
-      if (instance.rotationDeg) {
-        ctx.rotate((instance.rotationDeg * Math.PI) / 180);
+      // Selection keeps the rectangular frame so the rotation handle has something to hang from
+      if (isSelected) {
+        ctx.strokeStyle = "rgba(255, 255, 255, 0.6)";
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.strokeRect(-boxWidthPx / 2, -boxHeightPx / 2, boxWidthPx, boxHeightPx);
+        ctx.setLineDash([]);
       }
-      
+    } else {
       // Draw instance background (with deadspace) - centered at origin after translation
       ctx.fillStyle = isSelected ? "rgba(255, 255, 255, 0.15)" : "rgba(255, 255, 255, 0.08)";
       ctx.fillRect(-boxWidthPx / 2, -boxHeightPx / 2, boxWidthPx, boxHeightPx);
@@ -333,125 +976,535 @@ export function create(container) {
       ctx.strokeStyle = isSelected ? "rgba(255, 255, 255, 0.6)" : "rgba(255, 255, 255, 0.3)";
       ctx.lineWidth = isSelected ? 2 : 1;
       ctx.strokeRect(-boxWidthPx / 2, -boxHeightPx / 2, boxWidthPx, boxHeightPx);
+    }
 
-      // Draw design image - centered at origin
-      if (design.url) {
-        const cachedImg = imageCache.get(design.url);
-        if (cachedImg && cachedImg.complete && cachedImg.naturalWidth > 0) {
-          // Draw image centered (rotation is already applied to context)
-          ctx.drawImage(cachedImg, -baseWidthPx / 2, -baseHeightPx / 2, baseWidthPx, baseHeightPx);
+    // Draw design image - centered at origin
+    if (design.url) {
+      const cachedImg = imageCache.get(design.url);
+      if (cachedImg && cachedImg.complete && cachedImg.naturalWidth > 0) {
+        // Draw image centered (rotation is already applied to context)
+        const underbase = previewMode === "underbase" ? getUnderbasePreview(design.url) : null;
+        if (underbase) {
+          ctx.drawImage(underbase.canvas, -baseWidthPx / 2, -baseHeightPx / 2, baseWidthPx, baseHeightPx);
         } else {
-          // Preload the image if not cached
-          preloadImage(design.url)
-            .then(() => {
-              // Re-render after image loads
-              render();
-            })
-            .catch(() => {
-              // Draw placeholder if image fails to load
-              ctx.fillStyle = "rgba(100, 100, 100, 0.3)";
-              ctx.fillRect(-baseWidthPx / 2, -baseHeightPx / 2, baseWidthPx, baseHeightPx);
-              render();
-            });
+          const image = getScaledImage(design.url, cachedImg, baseWidthPx, baseHeightPx);
+          ctx.drawImage(image, -baseWidthPx / 2, -baseHeightPx / 2, baseWidthPx, baseHeightPx);
         }
+      } else {
+        // Preload the image if not cached
+        preloadImage(design.url)
+          .then(() => {
+            // Re-render after image loads
+            render();
+          })
+          .catch(() => {
+            // Draw placeholder if image fails to load
+            ctx.fillStyle = "rgba(100, 100, 100, 0.3)";
+            ctx.fillRect(-baseWidthPx / 2, -baseHeightPx / 2, baseWidthPx, baseHeightPx);
+            render();
+          });
       }
-      
-      ctx.restore();
+    }
 
-      // Filename text removed per user request
+    // Low-resolution copies get a coloured frame around the artwork (not in the previews)
+    const { dpi, level } = getInstanceQuality(instance, design);
+    const qualityColor = previewMode === "sheet" ? QUALITY_COLORS[level] : null;
+    if (qualityColor) {
+      ctx.strokeStyle = qualityColor;
+      ctx.lineWidth = 2;
+      ctx.setLineDash([6, 3]);
+      ctx.strokeRect(-baseWidthPx / 2, -baseHeightPx / 2, baseWidthPx, baseHeightPx);
+      ctx.setLineDash([]);
+    }
+
+    ctx.restore();
+
+    // DPI badge stays upright in the middle of the copy, if it fits
+    if (qualityColor && baseWidthPx > 56 && baseHeightPx > 20) {
+      const label = `${Math.round(dpi)} DPI`;
+      ctx.font = "11px system-ui";
+      const labelWidth = ctx.measureText(label).width + 10;
+      ctx.fillStyle = "rgba(20, 22, 28, 0.85)";
+      ctx.fillRect(centerX - labelWidth / 2, centerY - 8, labelWidth, 16);
+      ctx.fillStyle = qualityColor;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(label, centerX, centerY);
+      ctx.textBaseline = "alphabetic";
+    }
+
+  }
+
+  // Preview toolbar: sheet view, a garment swatch, or the underbase
+  function updatePreviewControls() {
+    previewControls.querySelectorAll(".gang-preview-btn").forEach((btn) => {
+      const active = btn.dataset.preview === previewMode
+        && (previewMode !== "garment" || btn.dataset.garmentId === garmentId);
+      btn.classList.toggle("gang-preview-btn-active", active);
+      btn.setAttribute("aria-pressed", String(active));
     });
+  }
 
-    // Store render context for mouse events (use display dimensions)
-    canvas._renderContext = {
-      offsetX,
-      offsetY,
-      scale,
-      sheetSize,
-      displayWidth: canvasWidth,
-      displayHeight: canvasHeight,
-    };
+  // The underbase preview is off while any design on the sheet can't be read
+  function updateUnderbaseAvailability(state) {
+    const usedDesignIds = new Set(state.instances.map((instance) => instance.designId));
+    const unreadableNames = state.designFiles
+      .filter((design) => usedDesignIds.has(design.id) && unreadableUrls.has(design.url))
+      .map((design) => design.name);
+    const underbaseBtn = previewControls.querySelector('[data-preview="underbase"]');
+    underbaseBtn.disabled = unreadableNames.length > 0;
+    underbaseBtn.title = unreadableNames.length > 0
+      ? `Underbase preview unavailable - artwork can't be read: ${unreadableNames.join(", ")}`
+      : "Where white ink goes";
+    if (unreadableNames.length > 0 && previewMode === "underbase") {
+      previewMode = "sheet";
+      updatePreviewControls();
+    }
   }
 
-  // Mouse event handlers
-  function getInstanceAtPoint(mouseX, mouseY) {
-    const state = store.getState();
-    const ctx = canvas._renderContext;
-    if (!ctx) return null;
+  function updatePreviewStatus(weakUnderbaseNames) {
+    let message = "";
+    if (previewMode === "underbase") {
+      message = weakUnderbaseNames.size > 0
+        ? `Orange areas are semi-transparent and get a thin underbase: ${Array.from(weakUnderbaseNames).join(", ")}`
+        : "White shows the underbase; orange marks semi-transparent areas";
+    }
+    previewStatus.classList.toggle("gang-preview-status-warning", weakUnderbaseNames.size > 0);
+    if (previewStatus.textContent !== message) previewStatus.textContent = message;
+  }
 
-    const { offsetX, offsetY, scale } = ctx;
-    const deadspaceIn = 0.157; // 4mm in inches
+  previewControls.addEventListener("click", (e) => {
+    const btn = e.target.closest(".gang-preview-btn");
+    if (!btn) return;
+    previewMode = btn.dataset.preview;
+    if (btn.dataset.garmentId) garmentId = btn.dataset.garmentId;
+    updatePreviewControls();
+    render();
+  });
 
-    // Convert mouse coords to canvas pixels, then to inches
-    const mouseXIn = convertPixelsToInches((mouseX - offsetX) / scale);
-    const mouseYIn = convertPixelsToInches((mouseY - offsetY) / scale);
+  updatePreviewControls();
 
-    // Find instance at point (check in reverse order for top-most)
-    // Account for rotation and deadspace padding in bounding box
-    for (let i = state.instances.length - 1; i >= 0; i--) {
-      const instance = state.instances[i];
-      const isRotated = instance.rotationDeg === 90;
-      
-      // Get bounding box dimensions (swap if rotated)
-      const boxWidth = (isRotated ? instance.heightIn : instance.widthIn) + (deadspaceIn * 2);
-      const boxHeight = (isRotated ? instance.widthIn : instance.heightIn) + (deadspaceIn * 2);
-      
-      // Calculate center point of the instance
-      const centerX = instance.xIn + instance.widthIn / 2;
-      const centerY = instance.yIn + instance.heightIn / 2;
-      
-      // Check if mouse is within bounding box (accounting for rotation)
-      // For rotated instances, we need to check relative to the center
-      const relX = mouseXIn - centerX;
-      const relY = mouseYIn - centerY;
-      
-      // If rotated, swap the relative coordinates
-      const checkX = isRotated ? relY : relX;
-      const checkY = isRotated ? -relX : relY;
-      
-      if (
-        checkX >= -boxWidth / 2 &&
-        checkX <= boxWidth / 2 &&
-        checkY >= -boxHeight / 2 &&
-        checkY <= boxHeight / 2
-      ) {
+  // Rotation handle for an instance in canvas pixels: the handle itself and the
+  // middle of the deadspace box's top edge it hangs from (both follow the rotation)
+  function getRotationHandle(instance) {
+    const { offsetX, offsetY, scale } = canvas._renderContext;
+    const box = getOrientedBox(instance.xIn, instance.yIn, instance.widthIn, instance.heightIn, instance.rotationDeg || 0, DEADSPACE_IN);
+    const centerX = offsetX + convertInchesToPixels(box.centerXIn) * scale;
+    const centerY = offsetY + convertInchesToPixels(box.centerYIn) * scale;
+    const edgePx = convertInchesToPixels(box.halfHeightIn) * scale;
+    const rad = (box.rotationDeg * Math.PI) / 180;
+    const dirX = Math.sin(rad);
+    const dirY = -Math.cos(rad);
+    return {
+      centerX,
+      centerY,
+      edgeX: centerX + dirX * edgePx,
+      edgeY: centerY + dirY * edgePx,
+      x: centerX + dirX * (edgePx + ROTATION_HANDLE_OFFSET_PX),
+      y: centerY + dirY * (edgePx + ROTATION_HANDLE_OFFSET_PX),
+    };
+  }
+
+  // Inch rulers along the sheet's top and left edges
+  function drawRulers(ctx, sheetSize, offsetX, offsetY, scale) {
+    const pxPerInch = convertInchesToPixels(1) * scale;
+    const labelStep = [1, 2, 5, 10, 20, 50].find((step) => step * pxPerInch >= 28) || 50;
+    let tickStep = labelStep;
+    if (pxPerInch >= 40) tickStep = 0.25;
+    else if (pxPerInch >= 16) tickStep = 0.5;
+    else if (pxPerInch >= 6) tickStep = 1;
+
+    const widthPx = sheetSize.widthIn * pxPerInch;
+    const heightPx = sheetSize.heightIn * pxPerInch;
+    ctx.fillStyle = "rgba(255, 255, 255, 0.06)";
+    ctx.fillRect(offsetX, offsetY - RULER_SIZE_PX, widthPx, RULER_SIZE_PX);
+    ctx.fillRect(offsetX - RULER_SIZE_PX, offsetY, RULER_SIZE_PX, heightPx);
+
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.35)";
+    ctx.fillStyle = "rgba(255, 255, 255, 0.55)";
+    ctx.lineWidth = 1;
+    ctx.font = "9px system-ui";
+    ctx.textAlign = "left";
+    ctx.beginPath();
+    const tickLength = (inches) => {
+      if (Math.abs(inches / labelStep - Math.round(inches / labelStep)) < 1e-6) return RULER_SIZE_PX;
+      if (Math.abs(inches - Math.round(inches)) < 1e-6) return RULER_SIZE_PX * 0.5;
+      return RULER_SIZE_PX * 0.25;
+    };
+    // Ticks in view only - a long sheet has hundreds of them
+    const firstTick = (offsetPx) => Math.max(0, Math.floor(-offsetPx / pxPerInch / tickStep) * tickStep);
+    const lastWidthTick = Math.min(sheetSize.widthIn, (viewport.width - offsetX) / pxPerInch);
+    const lastHeightTick = Math.min(sheetSize.heightIn, (viewport.height - offsetY) / pxPerInch);
+    for (let inches = firstTick(offsetX); inches <= lastWidthTick + 1e-6; inches += tickStep) {
+      const x = Math.round(offsetX + inches * pxPerInch) + 0.5;
+      ctx.moveTo(x, offsetY);
+      ctx.lineTo(x, offsetY - tickLength(inches));
+      if (tickLength(inches) === RULER_SIZE_PX && inches < sheetSize.widthIn) {
+        ctx.fillText(String(Math.round(inches)), x + 2, offsetY - RULER_SIZE_PX + 8);
+      }
+    }
+    for (let inches = firstTick(offsetY); inches <= lastHeightTick + 1e-6; inches += tickStep) {
+      const y = Math.round(offsetY + inches * pxPerInch) + 0.5;
+      ctx.moveTo(offsetX, y);
+      ctx.lineTo(offsetX - tickLength(inches), y);
+      if (tickLength(inches) === RULER_SIZE_PX && inches < sheetSize.heightIn) {
+        ctx.fillText(String(Math.round(inches)), offsetX - RULER_SIZE_PX + 1, y + 9);
+      }
+    }
+    ctx.stroke();
+  }
+
+  // Cursor position marked on both rulers
+  function drawRulerCursor(offsetX, offsetY, scale) {
+    if (cursorIn) {
+      const pxPerInch = convertInchesToPixels(1) * scale;
+      const x = offsetX + cursorIn.xIn * pxPerInch;
+      const y = offsetY + cursorIn.yIn * pxPerInch;
+      ctx.strokeStyle = SMART_GUIDE_COLOR;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(x, offsetY - RULER_SIZE_PX);
+      ctx.lineTo(x, offsetY);
+      ctx.moveTo(offsetX - RULER_SIZE_PX, y);
+      ctx.lineTo(offsetX, y);
+      ctx.stroke();
+    }
+  }
+
+  // Resize handles for an instance in canvas pixels, on the graphic (not the deadspace box)
+  function getResizeHandles(instance) {
+    const { offsetX, offsetY, scale } = canvas._renderContext;
+    const centerX = offsetX + convertInchesToPixels(instance.xIn + instance.widthIn / 2) * scale;
+    const centerY = offsetY + convertInchesToPixels(instance.yIn + instance.heightIn / 2) * scale;
+    const halfWidthPx = (convertInchesToPixels(instance.widthIn) * scale) / 2;
+    const halfHeightPx = (convertInchesToPixels(instance.heightIn) * scale) / 2;
+    const rad = ((instance.rotationDeg || 0) * Math.PI) / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    return RESIZE_HANDLES.map(({ hx, hy }) => {
+      const localX = hx * halfWidthPx;
+      const localY = hy * halfHeightPx;
+      return {
+        hx,
+        hy,
+        x: centerX + localX * cos - localY * sin,
+        y: centerY + localX * sin + localY * cos,
+      };
+    });
+  }
+
+  function getResizeHandleAt(instance, mouseX, mouseY, slopPx = 0) {
+    if (!canvas._renderContext) return null;
+    const reach = RESIZE_HANDLE_SIZE_PX / 2 + 3 + slopPx;
+    return getResizeHandles(instance).find(
+      (handle) => Math.abs(mouseX - handle.x) <= reach && Math.abs(mouseY - handle.y) <= reach
+    ) || null;
+  }
+
+  // Cursor for a handle, following the instance's rotation
+  function getResizeCursor(instance, handle) {
+    const angle = Math.atan2(handle.hy, handle.hx) * (180 / Math.PI) + (instance.rotationDeg || 0);
+    const step = ((Math.round(angle / 45) % 4) + 4) % 4;
+    return RESIZE_CURSORS[step];
+  }
+
+  function startResize(instance, handle) {
+    const rad = ((instance.rotationDeg || 0) * Math.PI) / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    // The opposite corner (or edge midpoint) stays where it is
+    const localX = (-handle.hx * instance.widthIn) / 2;
+    const localY = (-handle.hy * instance.heightIn) / 2;
+    resizeDrag = {
+      instanceId: instance.id,
+      hx: handle.hx,
+      hy: handle.hy,
+      cos,
+      sin,
+      anchorXIn: instance.xIn + instance.widthIn / 2 + localX * cos - localY * sin,
+      anchorYIn: instance.yIn + instance.heightIn / 2 + localX * sin + localY * cos,
+      startWidthIn: instance.widthIn,
+      startHeightIn: instance.heightIn,
+      readout: null,
+    };
+  }
+
+  // New graphic bounds for the cursor position while resizing
+  function getResizedBounds(mouseX, mouseY, keepAspect, snapIncrement) {
+    const { offsetX, offsetY, scale } = canvas._renderContext;
+    const { hx, hy, cos, sin, anchorXIn, anchorYIn, startWidthIn, startHeightIn } = resizeDrag;
+    const dx = convertPixelsToInches((mouseX - offsetX) / scale) - anchorXIn;
+    const dy = convertPixelsToInches((mouseY - offsetY) / scale) - anchorYIn;
+
+    // Cursor in the instance's unrotated frame, measured from the anchor
+    const localX = dx * cos + dy * sin;
+    const localY = -dx * sin + dy * cos;
+    let widthIn = hx ? hx * localX : startWidthIn;
+    let heightIn = hy ? hy * localY : startHeightIn;
+
+    // Snap the dragged dimension (the width for corners)
+    if (snapIncrement > 0) {
+      if (hx) widthIn = snapToGrid(widthIn, snapIncrement);
+      else heightIn = snapToGrid(heightIn, snapIncrement);
+    }
+
+    if (keepAspect) {
+      let factor = hx ? widthIn / startWidthIn : heightIn / startHeightIn;
+      if (hx && hy && snapIncrement <= 0) factor = Math.max(factor, heightIn / startHeightIn);
+      factor = Math.max(factor, MIN_INSTANCE_SIZE_IN / Math.min(startWidthIn, startHeightIn));
+      widthIn = startWidthIn * factor;
+      heightIn = startHeightIn * factor;
+    } else {
+      widthIn = Math.max(widthIn, MIN_INSTANCE_SIZE_IN);
+      heightIn = Math.max(heightIn, MIN_INSTANCE_SIZE_IN);
+    }
+
+    // The center sits half the new size away from the anchor along the dragged axes
+    const centerLocalX = (hx * widthIn) / 2;
+    const centerLocalY = (hy * heightIn) / 2;
+    const centerXIn = anchorXIn + centerLocalX * cos - centerLocalY * sin;
+    const centerYIn = anchorYIn + centerLocalX * sin + centerLocalY * cos;
+    return { xIn: centerXIn - widthIn / 2, yIn: centerYIn - heightIn / 2, widthIn, heightIn };
+  }
+
+  function isOnRotationHandle(instance, mouseX, mouseY, slopPx = 0) {
+    if (!canvas._renderContext) return false;
+    const handle = getRotationHandle(instance);
+    return Math.hypot(mouseX - handle.x, mouseY - handle.y) <= ROTATION_HANDLE_RADIUS_PX + 3 + slopPx;
+  }
+
+  // Pointer event handlers - mouse, pen and touch share them. Touch differs in
+  // a few places: a finger on empty space or an unselected copy pans (and a tap
+  // selects), only an already selected copy is dragged, and two fingers pinch
+  // to zoom and twist to turn the selection.
+  const touchPoints = new Map();
+  let gesture = null;
+
+  function getTouchGesture() {
+    const [a, b] = Array.from(touchPoints.values());
+    return {
+      distance: Math.max(1, Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY)),
+      angleDeg: (Math.atan2(b.clientY - a.clientY, b.clientX - a.clientX) * 180) / Math.PI,
+      midX: (a.clientX + b.clientX) / 2,
+      midY: (a.clientY + b.clientY) / 2,
+    };
+  }
+
+  // Second finger down: whatever the first finger started gives way to the gesture
+  function startTouchGesture() {
+    if (isDragging || isRotating || resizeDrag) store.endHistoryStep();
+    endResize();
+    isDragging = false;
+    dragInstanceId = null;
+    isRotating = false;
+    rotateInstanceId = null;
+    marquee = null;
+    pan = null;
+    activeGuides = [];
+    const start = getTouchGesture();
+    gesture = { ...start, startZoom: zoomLevel, lastMidX: start.midX, lastMidY: start.midY, turnedDeg: 0 };
+    render();
+  }
+
+  function updateTouchGesture() {
+    const current = getTouchGesture();
+
+    // Pinch zooms on the point between the fingers; moving both fingers pans
+    setZoom(gesture.startZoom * (current.distance / gesture.distance), { clientX: current.midX, clientY: current.midY });
+    canvasWrapper.scrollLeft -= current.midX - gesture.lastMidX;
+    canvasWrapper.scrollTop -= current.midY - gesture.lastMidY;
+    gesture.lastMidX = current.midX;
+    gesture.lastMidY = current.midY;
+
+    // Twisting turns the selection in steps, as far as it fits
+    const state = store.getState();
+    if (state.selectedInstanceIds.length === 0 || state.readOnly) return;
+    const twistDeg = normalizeRotation(current.angleDeg - gesture.angleDeg + 180) - 180;
+    const targetDeg = Math.round(twistDeg / TOUCH_ROTATE_STEP_DEG) * TOUCH_ROTATE_STEP_DEG;
+    if (targetDeg !== gesture.turnedDeg && store.rotateSelection(targetDeg - gesture.turnedDeg)) {
+      gesture.turnedDeg = targetDeg;
+    }
+  }
+
+  function getInstanceAtPoint(mouseX, mouseY) {
+    const state = store.getState();
+    const ctx = canvas._renderContext;
+    if (!ctx) return null;
+
+    const { offsetX, offsetY, scale } = ctx;
+
+    // Convert mouse coords to canvas pixels, then to inches
+    const mouseXIn = convertPixelsToInches((mouseX - offsetX) / scale);
+    const mouseYIn = convertPixelsToInches((mouseY - offsetY) / scale);
+
+    // Find instance at point (check in reverse order for top-most)
+    // Hit test against the rotated deadspace box of each instance
+    for (let i = state.instances.length - 1; i >= 0; i--) {
+      const instance = state.instances[i];
+      const box = getOrientedBox(instance.xIn, instance.yIn, instance.widthIn, instance.heightIn, instance.rotationDeg || 0, DEADSPACE_IN);
+      if (isPointInOrientedBox(mouseXIn, mouseYIn, box)) {
         return instance;
       }
     }
     return null;
   }
 
-  canvas.addEventListener("mousedown", (e) => {
+  canvas.addEventListener("pointerdown", (e) => {
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+    keyboardFocus = false;
+    const isTouch = e.pointerType === "touch";
+    if (isTouch) {
+      touchPoints.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY });
+      if (touchPoints.size > 2) return;
+      if (touchPoints.size === 2) {
+        canvas.setPointerCapture(e.pointerId);
+        startTouchGesture();
+        return;
+      }
+    } else {
+      canvas.focus({ preventScroll: true });
+    }
+    canvas.setPointerCapture(e.pointerId);
+
+    if (spaceHeld) {
+      e.preventDefault();
+      pan = { clientX: e.clientX, clientY: e.clientY, scrollLeft: canvasWrapper.scrollLeft, scrollTop: canvasWrapper.scrollTop };
+      canvas.style.cursor = "grabbing";
+      return;
+    }
     const rect = canvas.getBoundingClientRect();
     const mouseX = e.clientX - rect.left;
     const mouseY = e.clientY - rect.top;
 
+    // Grabbing the selected instance's rotation handle starts a rotation instead of a drag
+    const state = store.getState();
+    const selected = state.selectedInstanceIds.length === 1
+      ? state.instances.find((i) => i.id === state.selectedInstanceId)
+      : null;
+    const slopPx = isTouch ? TOUCH_HANDLE_SLOP_PX : 0;
+    const resizeHandle = selected && !state.readOnly ? getResizeHandleAt(selected, mouseX, mouseY, slopPx) : null;
+    if (resizeHandle) {
+      startResize(selected, resizeHandle);
+      e.preventDefault();
+      return;
+    }
+    if (selected && !state.readOnly && isOnRotationHandle(selected, mouseX, mouseY, slopPx)) {
+      isRotating = true;
+      rotateInstanceId = selected.id;
+      e.preventDefault();
+      return;
+    }
+
     const instance = getInstanceAtPoint(mouseX, mouseY);
-    if (instance) {
-      isDragging = true;
+    if (isTouch && (!instance || !state.selectedInstanceIds.includes(instance.id))) {
+      // A finger on empty space or another copy pans; lifting it without moving is a tap
+      pan = {
+        clientX: e.clientX,
+        clientY: e.clientY,
+        scrollLeft: canvasWrapper.scrollLeft,
+        scrollTop: canvasWrapper.scrollTop,
+        tapInstanceId: instance ? instance.id : null,
+      };
+      e.preventDefault();
+      return;
+    }
+    if (instance && e.shiftKey) {
+      // Shift-click adds to (or takes out of) the selection
+      store.toggleInstanceSelection(instance.id);
+      e.preventDefault();
+    } else if (instance) {
+      isDragging = !state.readOnly;
       dragStartX = mouseX;
       dragStartY = mouseY;
       dragInstanceId = instance.id;
       
       // Store the initial instance position when drag starts
-      const state = store.getState();
-      const inst = state.instances.find((i) => i.id === instance.id);
-      if (inst) {
-        dragStartInstanceX = inst.xIn;
-        dragStartInstanceY = inst.yIn;
+      dragStartInstanceX = instance.xIn;
+      dragStartInstanceY = instance.yIn;
+
+      // Dragging part of a multi-selection moves the whole group
+      if (state.selectedInstanceIds.includes(instance.id)) {
+        store.setSelection(state.selectedInstanceIds, instance.id);
+      } else {
+        store.setSelectedInstance(instance.id);
       }
-      
-      store.setSelectedInstance(instance.id);
       e.preventDefault(); // Prevent text selection
     } else {
-      store.setSelectedInstance(null);
+      // Empty space starts a rubber-band selection (Shift adds to the current one)
+      marquee = { startX: mouseX, startY: mouseY, x: mouseX, y: mouseY, additive: e.shiftKey };
+      e.preventDefault();
     }
   });
 
   let dragStartInstanceX = 0;
   let dragStartInstanceY = 0;
 
-  canvas.addEventListener("mousemove", (e) => {
-    if (!isDragging || !dragInstanceId) return;
+  canvas.addEventListener("pointermove", (e) => {
+    if (e.pointerType === "touch") {
+      if (!touchPoints.has(e.pointerId)) return;
+      touchPoints.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY });
+      if (gesture) {
+        if (touchPoints.size === 2) updateTouchGesture();
+        return;
+      }
+    } else {
+      updateCursorPosition(e);
+    }
+
+    if (pan) {
+      canvasWrapper.scrollLeft = pan.scrollLeft - (e.clientX - pan.clientX);
+      canvasWrapper.scrollTop = pan.scrollTop - (e.clientY - pan.clientY);
+      return;
+    }
+
+    if (resizeDrag) {
+      const rect = canvas.getBoundingClientRect();
+      const mouseX = e.clientX - rect.left;
+      const mouseY = e.clientY - rect.top;
+      const state = store.getState();
+      const design = state.designFiles.find((d) => d.id === state.instances.find((i) => i.id === resizeDrag.instanceId)?.designId);
+
+      // Proportions are kept unless the box is unticked; Shift flips it for this drag
+      const keepAspect = aspectInput.checked !== e.shiftKey;
+      const bounds = getResizedBounds(mouseX, mouseY, keepAspect, state.snapIncrement);
+      const applied = store.resizeInstance(resizeDrag.instanceId, bounds);
+
+      const dpi = getEffectiveDpi(design, bounds.widthIn, bounds.heightIn);
+      resizeDrag.readout = { ...bounds, dpi, level: getQualityLevel(dpi), x: mouseX, y: mouseY };
+      toolbarStatus.textContent = applied ? "" : "Doesn't fit at that size";
+      if (!applied) render();
+      return;
+    }
+
+    if (isRotating && rotateInstanceId) {
+      const rect = canvas.getBoundingClientRect();
+      const instance = store.getState().instances.find((i) => i.id === rotateInstanceId);
+      if (!instance) return;
+
+      // Angle from the instance center to the cursor, measured clockwise from straight up
+      const handle = getRotationHandle(instance);
+      const dx = e.clientX - rect.left - handle.centerX;
+      const dy = e.clientY - rect.top - handle.centerY;
+      const angle = (Math.atan2(dx, -dy) * 180) / Math.PI;
+
+      // Whole degrees, or 15° steps while Shift is held
+      const step = e.shiftKey ? 15 : 1;
+      store.rotateInstance(rotateInstanceId, Math.round(angle / step) * step);
+      return;
+    }
+
+    if (marquee) {
+      const rect = canvas.getBoundingClientRect();
+      marquee.x = e.clientX - rect.left;
+      marquee.y = e.clientY - rect.top;
+      render();
+      return;
+    }
+
+    if (!isDragging || !dragInstanceId) {
+      if (e.pointerType !== "touch") updateHoverCursor(e);
+      return;
+    }
 
     const rect = canvas.getBoundingClientRect();
     const mouseX = e.clientX - rect.left;
@@ -473,142 +1526,721 @@ export function create(container) {
     let newX = dragStartInstanceX + convertPixelsToInches(deltaX);
     let newY = dragStartInstanceY + convertPixelsToInches(deltaY);
 
-    // Apply snapping
-    if (state.snapIncrement > 0) {
-      newX = snapToGrid(newX, state.snapIncrement);
-      newY = snapToGrid(newY, state.snapIncrement);
+    // Snap to neighbours and the sheet center first (Alt turns the guides off),
+    // then to the grid on any axis that didn't find a guide
+    const selectedIds = new Set(state.selectedInstanceIds);
+    const sheetSize = getSheetSize(state.selectedSheetSizeId);
+    const getGroupBox = (dxIn, dyIn) => getUnionBox(
+      state.instances.filter((i) => selectedIds.has(i.id)).map((i) => ({ ...i, xIn: i.xIn + dxIn, yIn: i.yIn + dyIn }))
+    );
+    const otherBoxes = state.instances
+      .filter((i) => !selectedIds.has(i.id))
+      .map((i) => getBoundingBox(i.xIn, i.yIn, i.widthIn, i.heightIn, i.rotationDeg || 0, DEADSPACE_IN));
+    const guideSnap = sheetSize && !e.altKey
+      ? getSmartGuideSnap(
+        getGroupBox(newX - instance.xIn, newY - instance.yIn),
+        otherBoxes,
+        sheetSize.widthIn,
+        sheetSize.heightIn,
+        convertPixelsToInches(SMART_GUIDE_THRESHOLD_PX / scale)
+      )
+      : { dxIn: null, dyIn: null };
+    if (guideSnap.dxIn !== null) newX += guideSnap.dxIn;
+    else if (state.snapIncrement > 0) newX = snapToGrid(newX, state.snapIncrement);
+    if (guideSnap.dyIn !== null) newY += guideSnap.dyIn;
+    else if (state.snapIncrement > 0) newY = snapToGrid(newY, state.snapIncrement);
+
+    // Guides for where the group actually ends up
+    activeGuides = sheetSize && !e.altKey
+      ? getSmartGuideSnap(getGroupBox(newX - instance.xIn, newY - instance.yIn), otherBoxes, sheetSize.widthIn, sheetSize.heightIn, 0.0001).guides
+      : [];
+
+    // The grabbed instance leads; the rest of the selection follows. The store
+    // checks bounds and overlaps against the rotated deadspace boxes.
+    if (!store.moveSelection(newX - instance.xIn, newY - instance.yIn)) {
+      activeGuides = [];
+      render();
+    }
+  });
+
+  // Upright deadspace box around several instances
+  function getUnionBox(instances) {
+    const boxes = instances.map((i) => getBoundingBox(i.xIn, i.yIn, i.widthIn, i.heightIn, i.rotationDeg || 0, DEADSPACE_IN));
+    const left = Math.min(...boxes.map((b) => b.xIn));
+    const top = Math.min(...boxes.map((b) => b.yIn));
+    const right = Math.max(...boxes.map((b) => b.xIn + b.widthIn));
+    const bottom = Math.max(...boxes.map((b) => b.yIn + b.heightIn));
+    return { xIn: left, yIn: top, widthIn: right - left, heightIn: bottom - top };
+  }
+
+  // Select everything the rubber band touches
+  function finishMarquee() {
+    const { startX, startY, x, y, additive } = marquee;
+    marquee = null;
+    const state = store.getState();
+    if (Math.abs(x - startX) < 3 && Math.abs(y - startY) < 3) {
+      // A plain click on empty space clears the selection
+      if (additive) render();
+      else store.setSelectedInstance(null);
+      return;
     }
 
-    // Check bounds and overlaps (account for deadspace and rotation)
-    const sheetSize = getSheetSize(state.selectedSheetSizeId);
-    if (sheetSize) {
-      const deadspaceIn = 0.157; // 4mm
-      const isRotated = instance.rotationDeg === 90;
-      
-      // Calculate bounding box for the new position
-      let box;
-      if (isRotated) {
-        const graphicCenterX = newX + instance.widthIn / 2;
-        const graphicCenterY = newY + instance.heightIn / 2;
-        const boxWidth = instance.heightIn + (deadspaceIn * 2);
-        const boxHeight = instance.widthIn + (deadspaceIn * 2);
-        box = {
-          xIn: graphicCenterX - boxWidth / 2,
-          yIn: graphicCenterY - boxHeight / 2,
-          widthIn: boxWidth,
-          heightIn: boxHeight,
-        };
-      } else {
-        box = {
-          xIn: newX - deadspaceIn,
-          yIn: newY - deadspaceIn,
-          widthIn: instance.widthIn + (deadspaceIn * 2),
-          heightIn: instance.heightIn + (deadspaceIn * 2),
-        };
-      }
-      
-      // Check if bounding box is within sheet bounds
-      if (!isWithinBounds(box.xIn, box.yIn, box.widthIn, box.heightIn, sheetSize.widthIn, sheetSize.heightIn)) {
-        return; // Don't update if out of bounds
-      }
-      
-      // Check if bounding box overlaps with other instances (excluding the one being dragged)
-      const otherInstances = state.instances.filter((i) => i.id !== dragInstanceId);
-      for (const other of otherInstances) {
-        const otherIsRotated = other.rotationDeg === 90;
-        let otherBox;
-        if (otherIsRotated) {
-          const otherCenterX = other.xIn + other.widthIn / 2;
-          const otherCenterY = other.yIn + other.heightIn / 2;
-          const otherBoxWidth = other.heightIn + (deadspaceIn * 2);
-          const otherBoxHeight = other.widthIn + (deadspaceIn * 2);
-          otherBox = {
-            xIn: otherCenterX - otherBoxWidth / 2,
-            yIn: otherCenterY - otherBoxHeight / 2,
-            widthIn: otherBoxWidth,
-            heightIn: otherBoxHeight,
-          };
-        } else {
-          otherBox = {
-            xIn: other.xIn - deadspaceIn,
-            yIn: other.yIn - deadspaceIn,
-            widthIn: other.widthIn + (deadspaceIn * 2),
-            heightIn: other.heightIn + (deadspaceIn * 2),
-          };
-        }
-        
-        // Check for overlap
-        if (
-          box.xIn < otherBox.xIn + otherBox.widthIn &&
-          box.xIn + box.widthIn > otherBox.xIn &&
-          box.yIn < otherBox.yIn + otherBox.heightIn &&
-          box.yIn + box.heightIn > otherBox.yIn
-        ) {
-          return; // Don't update if overlapping
+    const { offsetX, offsetY, scale } = canvas._renderContext;
+    const toInches = (px, offset) => convertPixelsToInches((px - offset) / scale);
+    const left = toInches(Math.min(startX, x), offsetX);
+    const right = toInches(Math.max(startX, x), offsetX);
+    const top = toInches(Math.min(startY, y), offsetY);
+    const bottom = toInches(Math.max(startY, y), offsetY);
+    const hits = state.instances
+      .filter((i) => {
+        const box = getBoundingBox(i.xIn, i.yIn, i.widthIn, i.heightIn, i.rotationDeg || 0, DEADSPACE_IN);
+        return box.xIn < right && box.xIn + box.widthIn > left && box.yIn < bottom && box.yIn + box.heightIn > top;
+      })
+      .map((i) => i.id);
+    store.setSelection(additive ? [...state.selectedInstanceIds, ...hits] : hits);
+  }
+
+  // Cursor position readout and ruler markers
+  function updateCursorPosition(e) {
+    const renderContext = canvas._renderContext;
+    if (!renderContext) return;
+    const rect = canvas.getBoundingClientRect();
+    const { offsetX, offsetY, scale, sheetSize } = renderContext;
+    const xIn = convertPixelsToInches((e.clientX - rect.left - offsetX) / scale);
+    const yIn = convertPixelsToInches((e.clientY - rect.top - offsetY) / scale);
+    const onSheet = xIn >= 0 && yIn >= 0 && xIn <= sheetSize.widthIn && yIn <= sheetSize.heightIn;
+    setCursorPosition(onSheet ? { xIn, yIn } : null);
+  }
+
+  function setCursorPosition(position) {
+    if (!position && !cursorIn) return;
+    cursorIn = position;
+    cursorReadout.textContent = position ? `${position.xIn.toFixed(2)}", ${position.yIn.toFixed(2)}"` : "";
+    render();
+  }
+
+  // Resize cursors over the selected instance's handles
+  function updateHoverCursor(e) {
+    if (spaceHeld) {
+      canvas.style.cursor = "grab";
+      return;
+    }
+    const state = store.getState();
+    const selected = state.selectedInstanceIds.length === 1
+      ? state.instances.find((i) => i.id === state.selectedInstanceId)
+      : null;
+    const rect = canvas.getBoundingClientRect();
+    const handle = selected && !state.readOnly
+      ? getResizeHandleAt(selected, e.clientX - rect.left, e.clientY - rect.top)
+      : null;
+    canvas.style.cursor = handle ? getResizeCursor(selected, handle) : "";
+  }
+
+  function endResize() {
+    if (!resizeDrag) return;
+    resizeDrag = null;
+    toolbarStatus.textContent = "";
+    render();
+  }
+
+  canvas.addEventListener("pointerup", (e) => {
+    if (e.pointerType === "touch") {
+      touchPoints.delete(e.pointerId);
+      if (gesture) {
+        // The gesture ends with its first lifted finger; the other one is ignored until it lifts too
+        if (touchPoints.size < 2) {
+          gesture = null;
+          store.endHistoryStep();
         }
+        return;
       }
-      
-      // Position is valid - update it
-      store.updateInstance(dragInstanceId, { xIn: newX, yIn: newY });
+      if (touchPoints.size > 0) return;
     }
-  });
-
-  canvas.addEventListener("mouseup", () => {
+    if (pan) {
+      const moved = Math.hypot(e.clientX - pan.clientX, e.clientY - pan.clientY);
+      if (e.pointerType === "touch" && moved < TAP_MAX_MOVE_PX) {
+        store.setSelectedInstance(pan.tapInstanceId);
+      }
+      pan = null;
+      canvas.style.cursor = spaceHeld ? "grab" : "";
+      return;
+    }
+    if (marquee) finishMarquee();
+    if (activeGuides.length > 0) {
+      activeGuides = [];
+      render();
+    }
+    // The whole drag, rotation or resize is one undo step
+    if (isDragging || isRotating || resizeDrag) store.endHistoryStep();
+    endResize();
     isDragging = false;
     dragInstanceId = null;
+    isRotating = false;
+    rotateInstanceId = null;
   });
 
-  canvas.addEventListener("mouseleave", () => {
+  // The browser took the pointer away (scrolling, a system gesture): drop what it was doing
+  canvas.addEventListener("pointercancel", (e) => {
+    touchPoints.delete(e.pointerId);
+    gesture = null;
+    pan = null;
+    marquee = null;
+    activeGuides = [];
+    if (isDragging || isRotating || resizeDrag) store.endHistoryStep();
+    endResize();
     isDragging = false;
     dragInstanceId = null;
+    isRotating = false;
+    rotateInstanceId = null;
+    render();
+  });
+
+  // Drags keep the pointer captured, so leaving only matters for the ruler markers
+  canvas.addEventListener("pointerleave", () => {
+    setCursorPosition(null);
+  });
+
+  // Keyboard control. Moves go through the same store checks as dragging,
+  // so a nudge into another design or off the sheet is refused.
+  function announce(message) {
+    // Clearing first makes screen readers repeat an identical message
+    announcer.textContent = "";
+    requestAnimationFrame(() => {
+      announcer.textContent = message;
+    });
+  }
+
+  function describeSelection() {
+    const state = store.getState();
+    const selected = state.instances.filter((i) => state.selectedInstanceIds.includes(i.id));
+    if (selected.length === 0) return "Nothing selected";
+    if (selected.length > 1) {
+      const group = getUnionBox(selected);
+      return `${selected.length} copies selected, ${group.xIn.toFixed(2)} by ${group.yIn.toFixed(2)} inches from the top left, ` +
+        `${group.widthIn.toFixed(2)} by ${group.heightIn.toFixed(2)} inches overall`;
+    }
+    const instance = selected[0];
+    const design = state.designFiles.find((d) => d.id === instance.designId);
+    const index = getTabOrder(state.instances).indexOf(instance) + 1;
+    const rotation = instance.rotationDeg ? `, rotated ${Math.round(instance.rotationDeg)} degrees` : "";
+    return `${design ? design.name : "Design"}, ${index} of ${state.instances.length}: ` +
+      `${instance.xIn.toFixed(2)} inches from the left, ${instance.yIn.toFixed(2)} from the top, ` +
+      `${instance.widthIn.toFixed(2)} by ${instance.heightIn.toFixed(2)} inches${rotation}`;
+  }
+
+  // Reading order: top to bottom, then left to right
+  function getTabOrder(instances) {
+    return [...instances].sort((a, b) => (Math.abs(a.yIn - b.yIn) > 0.01 ? a.yIn - b.yIn : a.xIn - b.xIn));
+  }
+
+  const ARROW_DIRECTIONS = {
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0],
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1],
+  };
+
+  canvas.addEventListener("keydown", (e) => {
+    if (e.altKey) return;
+    const state = store.getState();
+    const hasSelection = state.selectedInstanceIds.length > 0;
+    const ctrl = e.ctrlKey || e.metaKey;
+    keyboardFocus = true;
+
+    if (e.key === "Tab" && !ctrl) {
+      // Step through the designs; past either end, Tab leaves the canvas as usual
+      const order = getTabOrder(state.instances);
+      const current = order.findIndex((i) => i.id === state.selectedInstanceId);
+      const next = current === -1
+        ? (e.shiftKey ? order.length - 1 : 0)
+        : current + (e.shiftKey ? -1 : 1);
+      if (next < 0 || next >= order.length) {
+        if (hasSelection) store.setSelectedInstance(null);
+        return;
+      }
+      e.preventDefault();
+      store.setSelectedInstance(order[next].id);
+      announce(describeSelection());
+      return;
+    }
+
+    // Shift+1 fits the sheet, Shift+2 the selection (by key position, whatever the layout prints there)
+    if (e.shiftKey && !ctrl && (e.code === "Digit1" || e.code === "Digit2")) {
+      e.preventDefault();
+      if (e.code === "Digit1") zoomToFit();
+      else zoomToSelection();
+      return;
+    }
+
+    if (e.key === "Escape") {
+      if (!hasSelection) return;
+      e.preventDefault();
+      store.setSelectedInstance(null);
+      announce("Selection cleared");
+      return;
+    }
+
+    // Shared sheets are view-only: selecting is fine, editing isn't
+    if (state.readOnly || !hasSelection || (ctrl && e.key.toLowerCase() !== "d")) return;
+
+    if (ARROW_DIRECTIONS[e.key]) {
+      e.preventDefault();
+      const step = e.shiftKey ? KEYBOARD_LARGE_NUDGE_IN : state.snapIncrement > 0 ? state.snapIncrement : KEYBOARD_NUDGE_IN;
+      const [dx, dy] = ARROW_DIRECTIONS[e.key];
+      // A held arrow key is one undo step, ended on keyup
+      if (store.moveSelection(dx * step, dy * step)) {
+        announce(describeSelection());
+      } else {
+        announce("Can't move there: it would overlap another design or leave the sheet");
+      }
+      return;
+    }
+
+    if (ctrl && e.key.toLowerCase() === "d") {
+      e.preventDefault();
+      const duplicated = store.duplicateSelection();
+      store.endHistoryStep();
+      announce(duplicated ? `Duplicated. ${describeSelection()}` : "No room next to the selection to duplicate it");
+      return;
+    }
+
+    if (e.key.toLowerCase() === "r" && !e.shiftKey) {
+      e.preventDefault();
+      const rotated = store.rotateSelection(90);
+      store.endHistoryStep();
+      announce(rotated ? describeSelection() : "Doesn't fit turned");
+      return;
+    }
+
+    if (e.key === "Delete" || e.key === "Backspace") {
+      e.preventDefault();
+      const count = state.selectedInstanceIds.length;
+      store.deleteSelection();
+      store.endHistoryStep();
+      announce(count > 1 ? `${count} copies removed` : "Copy removed");
+    }
+  });
+
+  canvas.addEventListener("keyup", (e) => {
+    if (ARROW_DIRECTIONS[e.key]) store.endHistoryStep();
+  });
+
+  canvas.addEventListener("focus", () => {
+    const state = store.getState();
+    keyboardFocus = canvas.matches(":focus-visible");
+    if (keyboardFocus && state.selectedInstanceIds.length > 0) announce(describeSelection());
+    render();
+  });
+
+  canvas.addEventListener("blur", () => {
+    keyboardFocus = false;
+    render();
+  });
+
+  // Selection toolbar - group actions for one or more selected copies
+  function showSelectionResult(applied, message) {
+    store.endHistoryStep();
+    selectionStatus.textContent = applied ? "" : message;
+  }
+
+  selectDesignBtn.addEventListener("click", () => {
+    const state = store.getState();
+    const instance = state.instances.find((i) => i.id === state.selectedInstanceId);
+    if (instance) store.selectInstancesOfDesign(instance.designId);
+  });
+
+  duplicateBtn.addEventListener("click", () => {
+    showSelectionResult(store.duplicateSelection(), "No room next to the selection");
+  });
+
+  deleteBtn.addEventListener("click", () => {
+    store.deleteSelection();
+    selectionStatus.textContent = "";
+  });
+
+  rotateSelectionBtn.addEventListener("click", () => {
+    showSelectionResult(store.rotateSelection(90), "Doesn't fit turned");
+  });
+
+  alignSelect.addEventListener("change", () => {
+    const mode = alignSelect.value;
+    alignSelect.value = "";
+    if (mode) showSelectionResult(store.alignSelection(mode), "Lining up would overlap other designs");
+  });
+
+  packSelectionBtn.addEventListener("click", async () => {
+    store.endHistoryStep();
+    const result = await store.packSelection();
+    if (!result) return;
+    selectionStatus.textContent = result.placedCount < result.requestedCount
+      ? "Not enough free space to pack the selection"
+      : "";
+  });
+
+  function updateSelectionToolbar(state) {
+    const count = state.selectedInstanceIds.length;
+    selectionToolbar.hidden = count === 0 || state.readOnly;
+    if (count === 0) {
+      selectionStatus.textContent = "";
+      return;
+    }
+    selectionCount.textContent = count === 1 ? "1 copy selected" : `${count} copies selected`;
+    selectionGroup.hidden = count < 2;
+    packSelectionBtn.disabled = state.packing.busy;
+
+    // Offer to select the rest of the design's copies unless they already are
+    const primary = state.instances.find((i) => i.id === state.selectedInstanceId);
+    const selected = new Set(state.selectedInstanceIds);
+    selectDesignBtn.hidden = !primary || state.instances
+      .filter((i) => i.designId === primary.designId)
+      .every((i) => selected.has(i.id));
+  }
+
+  // Selected instance toolbar - numeric angle input and a quick 90° turn
+  function applyRotation(rotationDeg) {
+    const state = store.getState();
+    if (!state.selectedInstanceId) return;
+    store.endHistoryStep();
+    const applied = store.rotateInstance(state.selectedInstanceId, rotationDeg);
+    toolbarStatus.textContent = applied ? "" : "Doesn't fit at that angle";
+    if (!applied) {
+      const instance = state.instances.find((i) => i.id === state.selectedInstanceId);
+      angleInput.value = instance ? Math.round((instance.rotationDeg || 0) * 10) / 10 : 0;
+    }
+  }
+
+  angleInput.addEventListener("change", () => {
+    const value = parseFloat(angleInput.value);
+    if (!isNaN(value)) applyRotation(value);
+  });
+
+  rotate90Btn.addEventListener("click", () => {
+    const state = store.getState();
+    const instance = state.instances.find((i) => i.id === state.selectedInstanceId);
+    if (instance) applyRotation((instance.rotationDeg || 0) + 90);
+  });
+
+  // Size of the selected copy, keeping its center; other copies of the design are untouched
+  function applyInstanceSize(widthIn, heightIn) {
+    const state = store.getState();
+    const instance = state.instances.find((i) => i.id === state.selectedInstanceId);
+    if (!instance) return;
+    const centerXIn = instance.xIn + instance.widthIn / 2;
+    const centerYIn = instance.yIn + instance.heightIn / 2;
+    store.endHistoryStep();
+    const applied = store.resizeInstance(instance.id, {
+      xIn: centerXIn - widthIn / 2,
+      yIn: centerYIn - heightIn / 2,
+      widthIn,
+      heightIn,
+    });
+    store.endHistoryStep();
+    toolbarStatus.textContent = applied ? "" : "Doesn't fit at that size";
+    if (!applied) updateInstanceSizeFields(instance, state, true);
+  }
+
+  function onSizeInput(changed) {
+    const state = store.getState();
+    const instance = state.instances.find((i) => i.id === state.selectedInstanceId);
+    const value = parseFloat(changed.value);
+    if (!instance || !(value >= MIN_INSTANCE_SIZE_IN)) {
+      if (instance) updateInstanceSizeFields(instance, state, true);
+      return;
+    }
+    let widthIn = changed === widthInput ? value : instance.widthIn;
+    let heightIn = changed === heightInput ? value : instance.heightIn;
+    if (aspectInput.checked) {
+      const aspectRatio = instance.widthIn / instance.heightIn;
+      if (changed === widthInput) heightIn = widthIn / aspectRatio;
+      else widthIn = heightIn * aspectRatio;
+    }
+    applyInstanceSize(widthIn, heightIn);
+  }
+
+  widthInput.addEventListener("change", () => onSizeInput(widthInput));
+  heightInput.addEventListener("change", () => onSizeInput(heightInput));
+
+  // Back to the design's default size
+  resetSizeBtn.addEventListener("click", () => {
+    const state = store.getState();
+    const instance = state.instances.find((i) => i.id === state.selectedInstanceId);
+    const design = instance && state.designFiles.find((d) => d.id === instance.designId);
+    if (design) applyInstanceSize(design.widthIn, design.heightIn);
   });
 
+  function updateInstanceSizeFields(instance, state, force = false) {
+    const design = state.designFiles.find((d) => d.id === instance.designId);
+    // Don't overwrite a field while the user is typing in it
+    if (force || document.activeElement !== widthInput) widthInput.value = instance.widthIn.toFixed(2);
+    if (force || document.activeElement !== heightInput) heightInput.value = instance.heightIn.toFixed(2);
+
+    const { dpi, level } = getInstanceQuality(instance, design);
+    instanceDpi.textContent = dpi ? `${Math.round(dpi)} DPI` : "";
+    instanceDpi.className = `gang-instance-dpi${level && level !== "ok" ? ` gang-quality-${level}` : ""}`;
+
+    const isDefaultSize = !design
+      || (Math.abs(design.widthIn - instance.widthIn) < 1e-3 && Math.abs(design.heightIn - instance.heightIn) < 1e-3);
+    resetSizeBtn.hidden = isDefaultSize;
+  }
+
+  function updateInstanceToolbar(state) {
+    const instance = state.selectedInstanceIds.length === 1
+      ? state.instances.find((i) => i.id === state.selectedInstanceId)
+      : null;
+    instanceToolbar.hidden = !instance || state.readOnly;
+    if (!instance) {
+      toolbarStatus.textContent = "";
+      return;
+    }
+    // Don't overwrite the field while the user is typing in it
+    if (document.activeElement !== angleInput) {
+      angleInput.value = Math.round(normalizeRotation(instance.rotationDeg) * 10) / 10;
+    }
+    updateInstanceSizeFields(instance, state);
+  }
+
+  // Undo/redo buttons
+  undoBtn.addEventListener("click", () => store.undo());
+  redoBtn.addEventListener("click", () => store.redo());
+
+  function updateHistoryButtons(state) {
+    const { canUndo, canRedo, undoLabel, redoLabel } = state.history;
+    undoBtn.disabled = !canUndo;
+    redoBtn.disabled = !canRedo;
+    undoBtn.title = canUndo ? `Undo ${undoLabel} (Ctrl+Z)` : "Undo (Ctrl+Z)";
+    redoBtn.title = canRedo ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : "Redo (Ctrl+Shift+Z)";
+  }
+
+  // Sheet tabs - one per distinct sheet in the order, plus an "add sheet" button
+  let lastSheetTabsKey = null;
+
+  function updateSheetTabs(state) {
+    // Only rebuild when something shown on the tabs changed (not on every drag move)
+    const key = state.activeSheetId + "|" + state.sheets
+      .map((sheet) => `${sheet.id}:${sheet.sheetSizeId}:${sheet.instances.length}`)
+      .join(",");
+    if (key === lastSheetTabsKey) return;
+    lastSheetTabsKey = key;
+
+    sheetTabs.innerHTML = "";
+    state.sheets.forEach((sheet, index) => {
+      const isActive = sheet.id === state.activeSheetId;
+      const tab = document.createElement("div");
+      tab.className = `gang-sheet-tab ${isActive ? "gang-sheet-tab-active" : ""}`;
+      tab.innerHTML = `
+        <button class="gang-sheet-tab-btn" type="button" role="tab" aria-selected="${isActive}">
+          Sheet ${index + 1}
+          <span class="gang-sheet-tab-meta">${sheet.sheetSizeId} · ${sheet.instances.length}</span>
+        </button>
+        ${state.sheets.length > 1 ? `<button class="gang-sheet-tab-remove" type="button" aria-label="Remove sheet ${index + 1}">×</button>` : ""}
+      `;
+      tab.querySelector(".gang-sheet-tab-btn").addEventListener("click", () => {
+        store.setActiveSheet(sheet.id);
+      });
+      const removeBtn = tab.querySelector(".gang-sheet-tab-remove");
+      if (removeBtn) {
+        removeBtn.addEventListener("click", () => {
+          if (sheet.instances.length === 0 || confirm(`Remove sheet ${index + 1} and its ${sheet.instances.length} designs?`)) {
+            store.removeSheet(sheet.id);
+          }
+        });
+      }
+      sheetTabs.appendChild(tab);
+    });
+
+    const addBtn = document.createElement("button");
+    addBtn.className = "gang-sheet-tab-add";
+    addBtn.type = "button";
+    addBtn.textContent = "+ Add sheet";
+    addBtn.addEventListener("click", () => store.addSheet());
+    sheetTabs.appendChild(addBtn);
+  }
+
   // Zoom controls
   function updateZoomDisplay() {
     zoomLevelDisplay.textContent = Math.round(zoomLevel * 100) + "%";
   }
 
   let isZooming = false; // Prevent recursive zoom calls
-  
-  function setZoom(level) {
+
+  // Where the sheet sits in the canvas container, at the current zoom
+  function getSheetLayout() {
+    const { scale, sheetWidthPx } = calculateScale();
+    const paddingPx = 32;
+    return {
+      pxPerInch: convertInchesToPixels(1) * scale,
+      sheetLeft: Math.max(paddingPx, (contentWidth - sheetWidthPx) / 2),
+      sheetTop: paddingPx,
+    };
+  }
+
+  // Point on the sheet (inches) shown at a spot in the wrapper (CSS pixels from its visible top-left)
+  function getSheetPointAt(viewX, viewY) {
+    const { pxPerInch, sheetLeft, sheetTop } = getSheetLayout();
+    return {
+      xIn: (canvasWrapper.scrollLeft + viewX - canvasContainer.offsetLeft - sheetLeft) / pxPerInch,
+      yIn: (canvasWrapper.scrollTop + viewY - canvasContainer.offsetTop - sheetTop) / pxPerInch,
+    };
+  }
+
+  // Scroll so a point on the sheet lands on a spot in the wrapper
+  function scrollSheetPointTo(xIn, yIn, viewX, viewY) {
+    const { pxPerInch, sheetLeft, sheetTop } = getSheetLayout();
+    canvasWrapper.scrollLeft = canvasContainer.offsetLeft + sheetLeft + xIn * pxPerInch - viewX;
+    canvasWrapper.scrollTop = canvasContainer.offsetTop + sheetTop + yIn * pxPerInch - viewY;
+    updateViewport();
+    render();
+  }
+
+  /**
+   * Zoom, keeping the sheet point under the anchor where it is
+   * @param {number} level - Zoom level (1 = whole sheet fits)
+   * @param {Object} [anchor] - {clientX, clientY}; defaults to the middle of the view
+   */
+  function setZoom(level, anchor = null) {
     // Prevent recursive calls
     if (isZooming) return;
     
-    // Get max allowed zoom to prevent pushing right panel off screen
-    const maxZoom = getMaxZoom();
-    
-    // Clamp zoom between 0.25x (25%) and maxZoom
-    const newZoom = Math.max(0.25, Math.min(maxZoom, level));
+    const newZoom = Math.max(MIN_ZOOM, Math.min(getMaxZoom(), level));
     if (Math.abs(newZoom - zoomLevel) < 0.001) return; // No significant change
     
     isZooming = true;
+    const wrapperRect = canvasWrapper.getBoundingClientRect();
+    const viewX = anchor ? anchor.clientX - wrapperRect.left - canvasWrapper.clientLeft : canvasWrapper.clientWidth / 2;
+    const viewY = anchor ? anchor.clientY - wrapperRect.top - canvasWrapper.clientTop : canvasWrapper.clientHeight / 2;
+    const anchorPoint = getSheetPointAt(viewX, viewY);
+
     zoomLevel = newZoom;
     updateZoomDisplay();
     
     // IMPORTANT: Ensure container dimensions are fresh before resizing
     // Get wrapper dimensions directly (don't rely on cached containerWidth)
-    const wrapperRect = canvasWrapper.getBoundingClientRect();
     if (wrapperRect.width > 0 && wrapperRect.height > 0) {
       containerWidth = Math.max(100, wrapperRect.width - 64);
       containerHeight = Math.max(100, wrapperRect.height - 64);
     }
     
-    // Resize canvas to accommodate new zoom level
+    // Resize canvas to accommodate new zoom level, then scroll the anchor back into place
     resizeCanvas();
+    scrollSheetPointTo(anchorPoint.xIn, anchorPoint.yIn, viewX, viewY);
+    isZooming = false;
     
     // Reposition controls after resize (they should stay fixed)
-    requestAnimationFrame(() => {
-      positionZoomControls();
-      isZooming = false;
-    });
+    requestAnimationFrame(positionZoomControls);
+  }
+
+  // Whole sheet in view
+  function zoomToFit() {
+    setZoom(1);
+    canvasWrapper.scrollTop = 0;
+    canvasWrapper.scrollLeft = 0;
+  }
+
+  // Selected copies filling most of the view
+  function zoomToSelection() {
+    const state = store.getState();
+    const selected = state.instances.filter((i) => state.selectedInstanceIds.includes(i.id));
+    if (selected.length === 0) return;
+    const group = getUnionBox(selected);
+    const fitScale = Math.min(
+      (canvasWrapper.clientWidth * 0.8) / convertInchesToPixels(group.widthIn),
+      (canvasWrapper.clientHeight * 0.8) / convertInchesToPixels(group.heightIn)
+    );
+    setZoom(fitScale / getBaseScale());
+    scrollSheetPointTo(
+      group.xIn + group.widthIn / 2,
+      group.yIn + group.heightIn / 2,
+      canvasWrapper.clientWidth / 2,
+      canvasWrapper.clientHeight / 2
+    );
   }
 
   zoomOutBtn.addEventListener("click", () => {
-    setZoom(zoomLevel - 0.25);
+    setZoom(zoomLevel / ZOOM_STEP);
   });
 
   zoomInBtn.addEventListener("click", () => {
-    setZoom(zoomLevel + 0.25);
+    setZoom(zoomLevel * ZOOM_STEP);
+  });
+
+  zoomFitBtn.addEventListener("click", zoomToFit);
+  zoomSelectionBtn.addEventListener("click", zoomToSelection);
+
+  // Ctrl/Cmd+wheel and trackpad pinches (which arrive as Ctrl+wheel) zoom on the
+  // cursor; a plain wheel scrolls the sheet as usual
+  canvasWrapper.addEventListener("wheel", (e) => {
+    if (!e.ctrlKey && !e.metaKey) return;
+    e.preventDefault();
+    const deltaPx = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+    const factor = Math.exp(-Math.max(-100, Math.min(100, deltaPx)) * 0.0025);
+    setZoom(zoomLevel * factor, { clientX: e.clientX, clientY: e.clientY });
+  }, { passive: false });
+
+  // Minimap: click to jump, drag the outlined view (or anywhere) to pan
+  let minimapDrag = null;
+
+  function panToMinimapPoint(e) {
+    const rect = minimapCanvas.getBoundingClientRect();
+    const xIn = (e.clientX - rect.left) / minimapPxPerInch - minimapDrag.grabXIn;
+    const yIn = (e.clientY - rect.top) / minimapPxPerInch - minimapDrag.grabYIn;
+    scrollSheetPointTo(xIn, yIn, canvasWrapper.clientWidth / 2, canvasWrapper.clientHeight / 2);
+  }
+
+  minimapCanvas.addEventListener("pointerdown", (e) => {
+    e.preventDefault();
+    minimapCanvas.setPointerCapture(e.pointerId);
+    // Grabbing inside the outlined view keeps the grab point under the pointer; elsewhere centres the view there
+    const rect = minimapCanvas.getBoundingClientRect();
+    const pointXIn = (e.clientX - rect.left) / minimapPxPerInch;
+    const pointYIn = (e.clientY - rect.top) / minimapPxPerInch;
+    const center = getSheetPointAt(canvasWrapper.clientWidth / 2, canvasWrapper.clientHeight / 2);
+    const halfWidthIn = canvasWrapper.clientWidth / 2 / getSheetLayout().pxPerInch;
+    const halfHeightIn = canvasWrapper.clientHeight / 2 / getSheetLayout().pxPerInch;
+    const insideView = Math.abs(pointXIn - center.xIn) <= halfWidthIn && Math.abs(pointYIn - center.yIn) <= halfHeightIn;
+    minimapDrag = insideView
+      ? { grabXIn: pointXIn - center.xIn, grabYIn: pointYIn - center.yIn }
+      : { grabXIn: 0, grabYIn: 0 };
+    panToMinimapPoint(e);
+  });
+
+  minimapCanvas.addEventListener("pointermove", (e) => {
+    if (minimapDrag) panToMinimapPoint(e);
+  });
+
+  const endMinimapDrag = () => {
+    minimapDrag = null;
+  };
+  minimapCanvas.addEventListener("pointerup", endMinimapDrag);
+  minimapCanvas.addEventListener("pointercancel", endMinimapDrag);
+
+  // Space-drag panning, like most design tools. Only while the builder is open,
+  // and never while typing or on a focused button.
+  let spaceHeld = false;
+  let pan = null;
+
+  function isSpaceForControl(target) {
+    return target && (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT", "BUTTON"].includes(target.tagName));
+  }
+
+  document.addEventListener("keydown", (e) => {
+    if (e.code !== "Space" || !canvas.isConnected || isSpaceForControl(e.target)) return;
+    e.preventDefault();
+    if (!spaceHeld) {
+      spaceHeld = true;
+      if (!pan) canvas.style.cursor = "grab";
+    }
+  });
+
+  document.addEventListener("keyup", (e) => {
+    if (e.code !== "Space" || !spaceHeld) return;
+    spaceHeld = false;
+    if (!pan) canvas.style.cursor = "";
+  });
+
+  window.addEventListener("blur", () => {
+    spaceHeld = false;
+    pan = null;
+    canvas.style.cursor = "";
   });
 
   // Initialize zoom display and position controls
@@ -620,6 +2252,12 @@ export function create(container) {
 
   // Subscribe to state changes
   store.subscribe((state) => {
+    updateSheetTabs(state);
+    updateSelectionToolbar(state);
+    updateInstanceToolbar(state);
+    updateHistoryButtons(state);
+    zoomSelectionBtn.disabled = state.selectedInstanceIds.length === 0;
+
     // Preload any new design images
     state.designFiles.forEach((design) => {
       if (design.url && !imageCache.has(design.url)) {
@@ -696,6 +2334,12 @@ export function create(container) {
     positionZoomControls();
     resizeCanvas();
   });
+
+  // Scrolling moves the canvas along with the view and redraws what came into it
+  canvasWrapper.addEventListener("scroll", () => {
+    updateViewport();
+    render();
+  }, { passive: true });
   
   // Clean up image cache when component is destroyed (if needed)
   // For now, we'll keep the cache for the session
@@ -7,8 +7,36 @@
 import * as store from "../../lib/gang-builder/store.js";
 import * as pricing from "../../lib/gang-builder/pricing.js";
 import { SHEET_SIZES } from "../../lib/gang-builder/config.js";
-import { addToCart } from "../../lib/gang-builder/cart.js";
-import { autoPackDesign } from "../../lib/gang-builder/layout.js";
+import { addToCart, getOrderSheets } from "../../lib/gang-builder/cart.js";
+import { getBoundingBox, DEADSPACE_IN } from "../../lib/gang-builder/layout.js";
+import { startPackJob } from "../../lib/gang-builder/pack-client.js";
+import { extractImageOutline } from "../../lib/gang-builder/silhouette.js";
+import { getEffectiveDpi, getQualityLevel } from "../../lib/gang-builder/quality.js";
+import { trimTransparentMargins } from "../../lib/gang-builder/trim.js";
+import {
+  ACCEPTED_FILE_TYPES,
+  getImportKind,
+  importArtworkFile,
+  rerasterizeSvgDesign,
+} from "../../lib/gang-builder/import.js";
+import {
+  getFormatHasAlpha,
+  analyzeImageBackground,
+  removeImageBackground,
+  ISSUE_LABELS,
+  DEFAULT_REMOVAL_TOLERANCE,
+} from "../../lib/gang-builder/background.js";
+import { escapeHtml } from "./html.js";
+
+/**
+ * Background removal controls in the designs list, kept outside the items so they
+ * survive an item being rebuilt when its design changes
+ */
+const backgroundRemoval = {
+  openDesignId: null,
+  busyDesignId: null,
+  tolerances: new Map(),
+};
 
 /**
  * Create the controls panel
@@ -20,6 +48,8 @@ export function create(container) {
       <div class="gang-controls-section">
         <h3 class="gang-controls-heading">Step 1: Sheet Size</h3>
         <div class="gang-sheet-size-buttons" id="gang-sheet-sizes"></div>
+        <button id="gang-recommend-btn" class="gang-btn gang-btn-secondary" disabled>Find cheapest sheets</button>
+        <div class="gang-recommendations" id="gang-recommendations"></div>
       </div>
 
       <div class="gang-controls-section">
@@ -28,7 +58,8 @@ export function create(container) {
           <div class="gang-upload-drop">
             <span class="gang-upload-icon">⬆︎</span>
             <span class="gang-upload-text">Drag & drop or click to browse</span>
-            <input type="file" id="gang-upload-input" accept="image/*" multiple style="display: none;" />
+            <span class="gang-upload-formats">PNG, JPG, SVG, PDF or PSD</span>
+            <input type="file" id="gang-upload-input" accept="${ACCEPTED_FILE_TYPES}" multiple style="display: none;" />
           </div>
         </div>
         <div class="gang-designs-list" id="gang-designs-list"></div>
@@ -57,6 +88,14 @@ export function create(container) {
               <p class="gang-empty-state">No designs uploaded yet</p>
             </div>
           </div>
+          <div class="gang-layout-group">
+            <button id="gang-auto-arrange-all" class="gang-btn gang-btn-secondary">Auto-arrange all</button>
+            <div class="gang-packing-status" id="gang-packing-status" hidden>
+              <span class="gang-packing-label" id="gang-packing-label"></span>
+              <button class="gang-packing-cancel" id="gang-packing-cancel" type="button">Cancel</button>
+            </div>
+            <div class="gang-auto-arrange-status" id="gang-auto-arrange-status"></div>
+          </div>
         </div>
       </div>
 
@@ -114,27 +153,68 @@ export function create(container) {
   });
 
   function handleFiles(files) {
-    Array.from(files).forEach((file) => {
-      if (file.type.startsWith("image/")) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-          const img = new Image();
-          img.onload = () => {
-            const designFile = {
-              id: `design_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-              name: file.name,
-              url: e.target.result,
-              naturalWidthPx: img.naturalWidth,
-              naturalHeightPx: img.naturalHeight,
-            };
-            store.addDesignFile(designFile);
-            // Automatically place 1 instance of the design on the sheet
-            store.addInstancesForDesign(designFile.id, 1, true);
-          };
-          img.src = e.target.result;
-        };
-        reader.readAsDataURL(file);
+    Array.from(files).forEach(async (file) => {
+      if (!getImportKind(file)) return;
+
+      let imported;
+      try {
+        // SVG/PDF/PSD are converted to a PNG raster; other images are used as-is
+        imported = await importArtworkFile(file);
+      } catch (err) {
+        console.error("Artwork import failed:", err);
+        alert(`Couldn't read ${file.name}: ${err.message}`);
+        return;
+      }
+
+      const { img, url } = imported;
+      const uploaded = {
+        url,
+        name: imported.name,
+        naturalWidthPx: img.naturalWidth,
+        naturalHeightPx: img.naturalHeight,
+        // Opaque silhouette for shape nesting (null for rectangular artwork)
+        outline: extractImageOutline(img),
+        // Solid white/black backgrounds print as a box around the design
+        background: analyzeImageBackground(img, url),
+      };
+
+      // Crop transparent margins so the design is sized by its visible art
+      let trimmed = null;
+      if (getFormatHasAlpha(url) !== false) {
+        try {
+          trimmed = await trimTransparentMargins(img);
+        } catch (err) {
+          console.warn("Auto-trim failed, using the artwork as uploaded:", err);
+        }
+      }
+
+      const designFile = {
+        id: `design_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        ...uploaded,
+        source: imported.source,
+      };
+      if (trimmed) {
+        Object.assign(designFile, {
+          url: trimmed.url,
+          // The crop is a PNG; the order file name has to match the design name
+          name: imported.name.replace(/\.[^.]+$/, "") + ".png",
+          naturalWidthPx: trimmed.trim.widthPx,
+          naturalHeightPx: trimmed.trim.heightPx,
+          outline: extractImageOutline(trimmed.img),
+          background: analyzeImageBackground(trimmed.img, trimmed.url),
+          trim: trimmed.trim,
+          trimmed: true,
+          trimAlternate: uploaded,
+        });
       }
+      if (imported.dpi) {
+        // Vector artwork keeps its own print size
+        designFile.widthIn = designFile.naturalWidthPx / imported.dpi;
+        designFile.heightIn = designFile.naturalHeightPx / imported.dpi;
+      }
+      store.addDesignFile(designFile);
+      // Automatically place 1 instance of the design on the sheet
+      store.addInstancesForDesign(designFile.id, 1, true);
     });
   }
 
@@ -172,7 +252,7 @@ export function create(container) {
       const maxInstances = maxInstancesMap.get(design.id) || 9999;
       
       item.innerHTML = `
-        <div class="gang-auto-pack-label">${design.name}</div>
+        <div class="gang-auto-pack-label">${escapeHtml(design.name)}</div>
         <div class="gang-auto-pack-controls">
           <input type="number" class="gang-input gang-auto-pack-qty" data-design-id="${design.id}" min="1" max="${maxInstances}" value="${savedQty}" placeholder="Qty" />
           <button class="gang-btn gang-btn-secondary gang-auto-pack-btn" data-design-id="${design.id}">Auto-pack</button>
@@ -188,15 +268,16 @@ export function create(container) {
       const updateMaxDisplay = () => {
         const currentMax = maxInstancesMap.get(design.id) || 9999;
         qtyInput.max = currentMax;
+        const maxLabel = isCalculatingMax ? "Max: calculating…" : `Max: ${currentMax}`;
         
         // Always re-query for maxDisplay to ensure we have the current DOM element
         // This prevents issues if the DOM was rebuilt
         maxDisplay = item.querySelector(".gang-auto-pack-max");
         
-        if (currentMax < 9999) {
+        if (currentMax < 9999 || isCalculatingMax) {
           if (maxDisplay) {
             // Update existing max display
-            maxDisplay.textContent = `Max: ${currentMax}`;
+            maxDisplay.textContent = maxLabel;
           } else {
             // Only create if it truly doesn't exist (check for duplicates first)
             const allMaxDisplays = item.querySelectorAll(".gang-auto-pack-max");
@@ -204,7 +285,7 @@ export function create(container) {
               // Create max display if it doesn't exist
               maxDisplay = document.createElement("div");
               maxDisplay.className = "gang-auto-pack-max";
-              maxDisplay.textContent = `Max: ${currentMax}`;
+              maxDisplay.textContent = maxLabel;
               // Insert after the controls div, not just append (to maintain order)
               const controlsDiv = item.querySelector(".gang-auto-pack-controls");
               if (controlsDiv && controlsDiv.nextSibling) {
@@ -215,7 +296,7 @@ export function create(container) {
             } else {
               // If duplicates exist, use the first one and remove the rest
               maxDisplay = allMaxDisplays[0];
-              maxDisplay.textContent = `Max: ${currentMax}`;
+              maxDisplay.textContent = maxLabel;
               for (let i = 1; i < allMaxDisplays.length; i++) {
                 allMaxDisplays[i].remove();
               }
@@ -229,13 +310,18 @@ export function create(container) {
         }
       };
       
-      packBtn.addEventListener("click", () => {
+      packBtn.addEventListener("click", async () => {
         const qty = parseInt(qtyInput.value, 10) || 1;
-        store.addInstancesForDesign(design.id, qty, true);
-        // After placing, recalculate the actual max (this will trigger state update and recalc)
-        // The max will be recalculated in the subscribe callback
         // Preserve the entered quantity
         quantityValues.set(design.id, qtyInput.value);
+        const result = await store.addInstancesForDesign(design.id, qty, true);
+        if (!result) return; // Superseded by another packing job
+        if (result.sheetsAdded > 0) {
+          autoArrangeStatus.textContent = `${design.name}: ${result.sheetsAdded} sheet${result.sheetsAdded === 1 ? "" : "s"} added for copies that didn't fit.`;
+          autoArrangeStatus.classList.remove("gang-auto-arrange-status-warning");
+        }
+        // After placing, recalculate the actual max (this will trigger state update and recalc)
+        // The max will be recalculated in the subscribe callback
       });
       
       // Store update function for external updates
@@ -245,7 +331,197 @@ export function create(container) {
     });
   }
   
+  // Auto-arrange all designs together using the quantities entered per design
+  const autoArrangeBtn = container.querySelector("#gang-auto-arrange-all");
+  const autoArrangeStatus = container.querySelector("#gang-auto-arrange-status");
+
+  // Copies wanted per design, read from the auto-pack quantity inputs
+  function getRequestedQuantities() {
+    const quantities = {};
+    autoPackList.querySelectorAll(".gang-auto-pack-qty").forEach((input) => {
+      const qty = Math.max(0, parseInt(input.value, 10) || 0);
+      quantities[input.dataset.designId] = qty;
+      quantityValues.set(input.dataset.designId, input.value);
+    });
+    return quantities;
+  }
+
+  autoArrangeBtn.addEventListener("click", async () => {
+    const quantities = getRequestedQuantities();
+
+    autoArrangeStatus.textContent = "";
+    const result = await store.autoArrangeAll(quantities);
+    if (!result) return; // Cancelled or superseded by another packing job
+    const overflow = result.placedCount < result.requestedCount;
+    const extraSheets = result.sheetCount - 1;
+    const sheetNote = extraSheets > 0
+      ? ` Overflow went onto ${extraSheets} more sheet${extraSheets === 1 ? "" : "s"}.`
+      : "";
+    if (result.requestedCount === 0) {
+      autoArrangeStatus.textContent = "";
+    } else if (overflow) {
+      autoArrangeStatus.textContent = `Placed ${result.placedCount} of ${result.requestedCount} copies.${sheetNote} Some designs are too large for this sheet size.`;
+    } else {
+      autoArrangeStatus.textContent = `Placed ${result.placedCount} copies (${result.usagePct.toFixed(1)}% of sheet 1 used).${sheetNote}`;
+    }
+    autoArrangeStatus.classList.toggle("gang-auto-arrange-status-warning", overflow);
+  });
+
+  // Packing progress - shown while the store waits on the packing worker
+  const packingStatus = container.querySelector("#gang-packing-status");
+  const packingLabel = container.querySelector("#gang-packing-label");
+  const packingCancel = container.querySelector("#gang-packing-cancel");
+
+  packingCancel.addEventListener("click", () => store.cancelPacking());
+
+  function updatePackingStatus(packing) {
+    packingStatus.hidden = !packing.busy;
+    autoArrangeBtn.disabled = packing.busy;
+    autoArrangeBtn.textContent = packing.busy ? "Calculating…" : "Auto-arrange all";
+    autoPackList.querySelectorAll(".gang-auto-pack-btn").forEach((btn) => {
+      btn.disabled = packing.busy;
+    });
+    if (packing.busy) {
+      const pct = Math.round(packing.progress * 100);
+      packingLabel.textContent = `${packing.label}…${pct > 0 ? ` ${pct}%` : ""}`;
+    }
+  }
+
+  // Sheet recommender - top three cheapest sheet options for the requested copies
+  const recommendBtn = container.querySelector("#gang-recommend-btn");
+  const recommendationsEl = container.querySelector("#gang-recommendations");
+  let recommendationsKey = null;
+  let recommendJob = null;
+
+  // Anything that changes the answer (designs, sizes, copies, sheet quantity)
+  function getRecommendationsKey(state) {
+    return JSON.stringify([
+      state.sheetQuantity,
+      store.getArrangePackItems(getRequestedQuantities()).map((i) => [i.designId, i.widthIn, i.heightIn, i.quantity]),
+    ]);
+  }
+
+  recommendBtn.addEventListener("click", async () => {
+    const state = store.getState();
+    const items = store.getArrangePackItems(getRequestedQuantities());
+    const key = getRecommendationsKey(state);
+
+    recommendJob?.cancel();
+    const job = startPackJob("recommendSheets", { items, options: { quantity: state.sheetQuantity } });
+    recommendJob = job;
+    recommendationsKey = key;
+    recommendationsEl.innerHTML = '<p class="gang-empty-state">Calculating…</p>';
+
+    let options;
+    try {
+      options = await job.promise;
+    } catch (error) {
+      console.error("Error finding sheet options:", error);
+      options = [];
+    }
+    // Cancelled, or the designs changed while we were calculating
+    if (!options || recommendJob !== job) return;
+    recommendJob = null;
+
+    if (options.length === 0) {
+      recommendationsEl.innerHTML = '<p class="gang-empty-state">No sheet size fits these designs</p>';
+      return;
+    }
+
+    recommendationsEl.innerHTML = "";
+    options.forEach((option, index) => {
+      const item = document.createElement("div");
+      item.className = `gang-recommendation ${index === 0 ? "gang-recommendation-best" : ""}`;
+      item.innerHTML = `
+        <div class="gang-recommendation-info">
+          <div class="gang-recommendation-label">${option.label}</div>
+          <div class="gang-recommendation-meta">${pricing.formatPrice(option.totalPrice)} · ${option.usagePct.toFixed(1)}% used</div>
+        </div>
+        <button class="gang-design-use-btn gang-recommendation-apply" type="button">Switch to this</button>
+      `;
+      item.querySelector(".gang-recommendation-apply").addEventListener("click", () => {
+        store.applySheetPlan(option.sheets);
+        recommendationsEl.innerHTML = "";
+        recommendationsKey = null;
+      });
+      recommendationsEl.appendChild(item);
+    });
+  });
+
+  function clearRecommendations() {
+    recommendJob?.cancel();
+    recommendJob = null;
+    recommendationsEl.innerHTML = "";
+    recommendationsKey = null;
+  }
+
+  autoPackList.addEventListener("input", () => {
+    if (recommendationsKey !== null && recommendationsKey !== getRecommendationsKey(store.getState())) {
+      clearRecommendations();
+    }
+  });
+
   // Helper function to update max displays without recreating the list
+  // Max instances per design, calculated in the packing worker
+  let isCalculatingMax = false;
+  let maxInstancesKey = null;
+  let maxInstancesJob = null;
+
+  function recalculateMaxInstances(state) {
+    const sheetSize = state.selectedSheetSizeId 
+      ? SHEET_SIZES.find((s) => s.id === state.selectedSheetSizeId)
+      : null;
+    if (!sheetSize) return;
+
+    const designs = state.designFiles.map((design) => ({
+      designId: design.id,
+      widthIn: design.widthIn || design.naturalWidthPx / 300,
+      heightIn: design.heightIn || design.naturalHeightPx / 300,
+      // Occupied areas excluding instances of THIS design
+      // (when calculating max for a design, we want to know how many MORE can fit)
+      occupiedAreas: state.instances
+        .filter((inst) => inst.designId !== design.id) // Exclude instances of this design
+        .map((inst) => getBoundingBox(inst.xIn, inst.yIn, inst.widthIn, inst.heightIn, inst.rotationDeg || 0, DEADSPACE_IN)),
+    }));
+
+    // Only start a job when the inputs changed (not on selection changes or progress updates)
+    const key = JSON.stringify([sheetSize.id, designs]);
+    if (key === maxInstancesKey) return;
+    maxInstancesKey = key;
+
+    // A newer layout makes any running calculation stale
+    maxInstancesJob?.cancel();
+    if (designs.length === 0) {
+      maxInstancesJob = null;
+      isCalculatingMax = false;
+      return;
+    }
+
+    const job = startPackJob("maxInstances", {
+      sheetWidthIn: sheetSize.widthIn,
+      sheetHeightIn: sheetSize.heightIn,
+      designs,
+    });
+    maxInstancesJob = job;
+    isCalculatingMax = true;
+    updateMaxDisplays();
+
+    job.promise.then((maxByDesign) => {
+      if (!maxByDesign || maxInstancesJob !== job) return;
+      maxInstancesJob = null;
+      isCalculatingMax = false;
+      Object.entries(maxByDesign).forEach(([designId, max]) => maxInstancesMap.set(designId, max));
+      updateMaxDisplays();
+    }).catch((error) => {
+      console.error("Error calculating max instances:", error);
+      if (maxInstancesJob === job) {
+        maxInstancesJob = null;
+        isCalculatingMax = false;
+        updateMaxDisplays();
+      }
+    });
+  }
+
   function updateMaxDisplays() {
     const items = autoPackList.querySelectorAll(".gang-auto-pack-item");
     items.forEach((item) => {
@@ -308,11 +584,12 @@ export function create(container) {
     
     const dpiX = design.naturalWidthPx / widthIn;
     const dpiY = design.naturalHeightPx / heightIn;
-    const avgDPI = (dpiX + dpiY) / 2;
+    const effectiveDpi = getEffectiveDpi(design, widthIn, heightIn);
+    const level = getQualityLevel(effectiveDpi);
     
     dpiDisplay.innerHTML = `
       <div class="gang-dpi-info">
-        <div class="gang-dpi-value">${avgDPI.toFixed(1)} DPI</div>
+        <div class="gang-dpi-value ${level === "ok" ? "" : `gang-quality-${level}`}">${effectiveDpi.toFixed(1)} DPI</div>
         <div class="gang-dpi-details">${dpiX.toFixed(1)} × ${dpiY.toFixed(1)}</div>
       </div>
     `;
@@ -374,9 +651,25 @@ export function create(container) {
     
     if (width > 0 && height > 0) {
       store.updateDesignSize(selectedDesignForSize.id, width, height, true);
+      rerasterizeVectorDesign(selectedDesignForSize.id);
     }
   });
 
+  /**
+   * Redraw an SVG design at its new print size so it stays sharp
+   * (skipped once the artwork has been edited, e.g. background removed)
+   */
+  async function rerasterizeVectorDesign(designId) {
+    const design = store.getState().designFiles.find((d) => d.id === designId);
+    if (!design || !design.source || design.source.kind !== "svg" || design.original) return;
+    const forSize = { widthIn: design.widthIn, heightIn: design.heightIn };
+    try {
+      store.setDesignRaster(designId, await rerasterizeSvgDesign(design), forSize);
+    } catch (err) {
+      console.warn("Could not redraw the SVG at the new size:", err);
+    }
+  }
+
   // Subscribe to state changes
   store.subscribe((state) => {
     // Update sheet size buttons
@@ -391,84 +684,8 @@ export function create(container) {
     });
 
     // Recalculate max instances when sheet size, design sizes, or instances change
-    const sheetSize = state.selectedSheetSizeId 
-      ? SHEET_SIZES.find((s) => s.id === state.selectedSheetSizeId)
-      : null;
-    
-    if (sheetSize) {
-      // Build occupied areas from all existing instances
-      const deadspaceIn = 0.157; // 4mm
-      const existingOccupiedAreas = state.instances.map((inst) => {
-        if (inst.rotationDeg === 90) {
-          // For rotated graphics, calculate bounding box from center
-          const graphicCenterX = inst.xIn + inst.widthIn / 2;
-          const graphicCenterY = inst.yIn + inst.heightIn / 2;
-          const boxWidth = inst.heightIn + (deadspaceIn * 2);
-          const boxHeight = inst.widthIn + (deadspaceIn * 2);
-          return {
-            xIn: graphicCenterX - boxWidth / 2,
-            yIn: graphicCenterY - boxHeight / 2,
-            widthIn: boxWidth,
-            heightIn: boxHeight,
-          };
-        } else {
-          // Non-rotated: bounding box is graphic + deadspace on all sides
-          return {
-            xIn: inst.xIn - deadspaceIn,
-            yIn: inst.yIn - deadspaceIn,
-            widthIn: inst.widthIn + (deadspaceIn * 2),
-            heightIn: inst.heightIn + (deadspaceIn * 2),
-          };
-        }
-      });
-      
-      state.designFiles.forEach((design) => {
-        const designWidthIn = design.widthIn || design.naturalWidthPx / 300;
-        const designHeightIn = design.heightIn || design.naturalHeightPx / 300;
-        
-        // Build occupied areas excluding instances of THIS design
-        // (when calculating max for a design, we want to know how many MORE can fit)
-        const occupiedAreasForThisDesign = state.instances
-          .filter((inst) => inst.designId !== design.id) // Exclude instances of this design
-          .map((inst) => {
-            if (inst.rotationDeg === 90) {
-              const graphicCenterX = inst.xIn + inst.widthIn / 2;
-              const graphicCenterY = inst.yIn + inst.heightIn / 2;
-              const boxWidth = inst.heightIn + (deadspaceIn * 2);
-              const boxHeight = inst.widthIn + (deadspaceIn * 2);
-              return {
-                xIn: graphicCenterX - boxWidth / 2,
-                yIn: graphicCenterY - boxHeight / 2,
-                widthIn: boxWidth,
-                heightIn: boxHeight,
-              };
-            } else {
-              return {
-                xIn: inst.xIn - deadspaceIn,
-                yIn: inst.yIn - deadspaceIn,
-                widthIn: inst.widthIn + (deadspaceIn * 2),
-                heightIn: inst.heightIn + (deadspaceIn * 2),
-              };
-            }
-          });
-        
-        // Calculate max instances using the auto-pack algorithm
-        // Use a very large quantity to find the actual maximum
-        // Pass existing occupied areas (excluding instances of this design) to account for what's already placed
-        const result = autoPackDesign({
-          sheetWidthIn: sheetSize.widthIn,
-          sheetHeightIn: sheetSize.heightIn,
-          designWidthIn,
-          designHeightIn,
-          quantity: 10000, // Use very large number to get actual max
-          tryRotated: true,
-          existingOccupiedAreas: occupiedAreasForThisDesign,
-        });
-        
-        // The maxInstances returned is the actual maximum that can fit
-        maxInstancesMap.set(design.id, result.maxInstances);
-      });
-    }
+    // (in the packing worker - a 10000-copy scan per design is too slow for the main thread)
+    recalculateMaxInstances(state);
 
     // Check if user is typing in a quantity input
     const activeElement = document.activeElement;
@@ -524,61 +741,250 @@ export function create(container) {
     // Update quantity input
     qtyInput.value = state.sheetQuantity;
 
+    // Calculating state while a packing job runs in the worker
+    updatePackingStatus(state.packing);
+
+    // Recommendations go stale when the designs or quantities change
+    recommendBtn.disabled = state.designFiles.length === 0;
+    if (recommendationsKey !== null && recommendationsKey !== getRecommendationsKey(state)) {
+      clearRecommendations();
+    }
+
     // Update price preview
     updatePricePreview(container.querySelector("#gang-price-preview"), state);
   });
 }
 
+// The list re-renders on every store change (including packing progress), so items are
+// kept by design ID and only rebuilt when what they show changes. That leaves an open
+// background panel - and a tolerance slider mid-drag - alone.
 function updateDesignsList(container, designFiles, onSelectDesign) {
-  container.innerHTML = "";
-  
   if (designFiles.length === 0) {
     container.innerHTML = '<p class="gang-empty-state">No designs uploaded yet</p>';
     return;
   }
+  container.querySelector(".gang-empty-state")?.remove();
+
+  const existingItems = new Map(
+    Array.from(container.querySelectorAll(".gang-design-item")).map((item) => [item.dataset.designId, item])
+  );
+
+  designFiles.forEach((design, index) => {
+    const renderKey = getDesignItemKey(design);
+    let item = existingItems.get(design.id);
+    existingItems.delete(design.id);
+    if (!item || item.dataset.renderKey !== renderKey) {
+      const fresh = createDesignItem(container, design, onSelectDesign);
+      fresh.dataset.renderKey = renderKey;
+      if (item) item.replaceWith(fresh);
+      item = fresh;
+    }
+    if (container.children[index] !== item) {
+      container.insertBefore(item, container.children[index] || null);
+    }
+  });
 
-  designFiles.forEach((design) => {
-    const item = document.createElement("div");
-    item.className = "gang-design-item";
-    const sizeIn = design.widthIn && design.heightIn 
-      ? `${design.widthIn.toFixed(2)}" × ${design.heightIn.toFixed(2)}"`
-      : `${design.naturalWidthPx} × ${design.naturalHeightPx} px`;
-    
-    item.innerHTML = `
-      <div class="gang-design-thumb">
-        <img src="${design.url}" alt="${design.name}" />
-      </div>
-      <div class="gang-design-info">
-        <div class="gang-design-name">${design.name}</div>
-        <div class="gang-design-size">${sizeIn}</div>
-      </div>
-      <button class="gang-design-edit-btn" data-design-id="${design.id}">Edit size</button>
-      <button class="gang-design-use-btn" data-design-id="${design.id}">Use on sheet</button>
-      <button class="gang-design-remove-btn" data-design-id="${design.id}" aria-label="Remove">×</button>
-    `;
-    
-    const editBtn = item.querySelector(".gang-design-edit-btn");
-    const useBtn = item.querySelector(".gang-design-use-btn");
-    const removeBtn = item.querySelector(".gang-design-remove-btn");
-    
-    editBtn.addEventListener("click", () => {
-      if (onSelectDesign) onSelectDesign(design.id);
-    });
-    
-    useBtn.addEventListener("click", () => {
-      store.addInstancesForDesign(design.id, 1, false);
+  existingItems.forEach((item) => item.remove());
+}
+
+function getDesignItemKey(design) {
+  return JSON.stringify([
+    design.url,
+    design.name,
+    design.widthIn,
+    design.heightIn,
+    design.naturalWidthPx,
+    design.naturalHeightPx,
+    design.background?.issue || null,
+    design.background?.message || null,
+    Boolean(design.trim && design.trimAlternate),
+    Boolean(design.trimmed),
+    Boolean(design.original),
+    Boolean(design.backgroundRemoval),
+    backgroundRemoval.openDesignId === design.id,
+    backgroundRemoval.busyDesignId === design.id,
+  ]);
+}
+
+function createDesignItem(container, design, onSelectDesign) {
+  const item = document.createElement("div");
+  item.className = "gang-design-item";
+  item.dataset.designId = design.id;
+  const sizeIn = design.widthIn && design.heightIn 
+    ? `${design.widthIn.toFixed(2)}" × ${design.heightIn.toFixed(2)}"`
+    : `${design.naturalWidthPx} × ${design.naturalHeightPx} px`;
+  
+  item.innerHTML = `
+    <div class="gang-design-thumb">
+      <img src="${design.url}" alt="${escapeHtml(design.name)}" />
+    </div>
+    <div class="gang-design-info">
+      <div class="gang-design-name">${escapeHtml(design.name)}</div>
+      <div class="gang-design-size">${sizeIn}</div>
+      ${
+        design.background && design.background.issue
+          ? `<span class="gang-design-badge gang-design-badge-warning" title="${design.background.message}">${ISSUE_LABELS[design.background.issue]}</span>`
+          : ""
+      }
+    </div>
+    <button class="gang-design-edit-btn" data-design-id="${design.id}">Edit size</button>
+    <button class="gang-design-use-btn" data-design-id="${design.id}">Use on sheet</button>
+    <button class="gang-design-remove-btn" data-design-id="${design.id}" aria-label="Remove">×</button>
+    <div class="gang-design-bg-actions">
+      ${
+        design.trim && design.trimAlternate && !design.original
+          ? `<label class="gang-design-trim-toggle" title="Transparent margins cropped on upload">
+              <input type="checkbox" class="gang-design-trim" ${design.trimmed ? "checked" : ""} />
+              Trim margins
+            </label>`
+          : ""
+      }
+      <button class="gang-design-edit-btn gang-design-bg-btn" type="button">
+        ${design.backgroundRemoval ? "Adjust background" : "Remove background"}
+      </button>
+      ${
+        design.original
+          ? '<button class="gang-design-edit-btn gang-design-restore-btn" type="button">Restore original</button>'
+          : ""
+      }
+    </div>
+    ${backgroundRemoval.openDesignId === design.id ? renderBackgroundPanel(design) : ""}
+  `;
+  
+  const editBtn = item.querySelector(".gang-design-edit-btn");
+  const useBtn = item.querySelector(".gang-design-use-btn");
+  const removeBtn = item.querySelector(".gang-design-remove-btn");
+  const bgBtn = item.querySelector(".gang-design-bg-btn");
+  const restoreBtn = item.querySelector(".gang-design-restore-btn");
+  const trimToggle = item.querySelector(".gang-design-trim");
+  
+  editBtn.addEventListener("click", () => {
+    if (onSelectDesign) onSelectDesign(design.id);
+  });
+  
+  useBtn.addEventListener("click", () => {
+    store.addInstancesForDesign(design.id, 1, false);
+  });
+  
+  removeBtn.addEventListener("click", () => {
+    store.removeDesignFile(design.id);
+  });
+
+  bgBtn.addEventListener("click", () => {
+    backgroundRemoval.openDesignId = backgroundRemoval.openDesignId === design.id ? null : design.id;
+    updateDesignsList(container, store.getState().designFiles, onSelectDesign);
+  });
+
+  if (trimToggle) {
+    trimToggle.addEventListener("change", () => {
+      store.setDesignTrimmed(design.id, trimToggle.checked);
     });
-    
-    removeBtn.addEventListener("click", () => {
-      store.removeDesignFile(design.id);
+  }
+
+  if (restoreBtn) {
+    restoreBtn.addEventListener("click", () => {
+      backgroundRemoval.openDesignId = null;
+      store.restoreDesignOriginal(design.id);
     });
-    
-    container.appendChild(item);
+  }
+
+  const bgPanel = item.querySelector(".gang-design-bg-panel");
+  if (bgPanel) {
+    wireBackgroundPanel(bgPanel, design, () =>
+      updateDesignsList(container, store.getState().designFiles, onSelectDesign)
+    );
+  }
+
+  return item;
+}
+
+function renderBackgroundPanel(design) {
+  const tolerance = backgroundRemoval.tolerances.get(design.id) ?? DEFAULT_REMOVAL_TOLERANCE;
+  const busy = backgroundRemoval.busyDesignId === design.id;
+  return `
+    <div class="gang-design-bg-panel">
+      <label class="gang-label">
+        Tolerance: <span class="gang-bg-tolerance-value">${tolerance}%</span>
+      </label>
+      <input type="range" class="gang-bg-tolerance" min="0" max="60" step="1" value="${tolerance}" ${busy ? "disabled" : ""} />
+      <p class="gang-bg-hint">Clears the background colour connected to the edges. Raise the tolerance for soft or noisy backgrounds.</p>
+      <div class="gang-design-bg-buttons">
+        <button class="gang-btn gang-btn-secondary gang-bg-apply" type="button" ${busy ? "disabled" : ""}>
+          ${busy ? "Removing…" : "Apply"}
+        </button>
+        <button class="gang-design-edit-btn gang-bg-cancel" type="button" ${busy ? "disabled" : ""}>Cancel</button>
+      </div>
+    </div>
+  `;
+}
+
+function wireBackgroundPanel(panel, design, rerender) {
+  const slider = panel.querySelector(".gang-bg-tolerance");
+  const valueEl = panel.querySelector(".gang-bg-tolerance-value");
+
+  slider.addEventListener("input", () => {
+    backgroundRemoval.tolerances.set(design.id, Number(slider.value));
+    valueEl.textContent = `${slider.value}%`;
+  });
+
+  panel.querySelector(".gang-bg-cancel").addEventListener("click", () => {
+    backgroundRemoval.openDesignId = null;
+    rerender();
+  });
+
+  panel.querySelector(".gang-bg-apply").addEventListener("click", async () => {
+    const tolerance = Number(slider.value);
+    backgroundRemoval.busyDesignId = design.id;
+    rerender();
+    try {
+      // Always start from the uploaded artwork so adjusting the tolerance doesn't compound
+      const source = design.original || design;
+      const result = await removeImageBackground(source.url, { tolerance });
+      const baseName = source.name.replace(/\.[^.]+$/, "");
+      store.replaceDesignImage(
+        design.id,
+        {
+          url: result.url,
+          // The upload is a PNG now; the order file name has to match the design name
+          name: `${baseName}.png`,
+          outline: extractImageOutline(result.img),
+          background: analyzeImageBackground(result.img, result.url),
+          backgroundRemoval: { tolerance, removedPct: result.removedPct },
+        },
+        "Remove background"
+      );
+      backgroundRemoval.openDesignId = null;
+    } catch (err) {
+      console.error("Background removal failed:", err);
+      alert("Couldn't remove the background from this image.");
+    } finally {
+      backgroundRemoval.busyDesignId = null;
+      rerender();
+    }
   });
 }
 
 
 function updatePricePreview(container, state) {
+  const orderSheets = getOrderSheets(state);
+
+  // With several distinct sheets, show the combined price of one copy of each
+  if (orderSheets.length > 1) {
+    const subtotal = pricing.getSheetsSubtotal(orderSheets.map((sheet) => sheet.sheetSizeId), state.sheetQuantity);
+    if (subtotal === null) {
+      container.innerHTML = '<p class="gang-price-note">Pricing not available</p>';
+      return;
+    }
+    const sheetLabels = orderSheets
+      .map((sheet) => SHEET_SIZES.find((s) => s.id === sheet.sheetSizeId)?.label || sheet.sheetSizeId)
+      .join(" + ");
+    container.innerHTML = `
+      <div class="gang-price-band">${orderSheets.length} sheets: ${sheetLabels}</div>
+      <div class="gang-price-total">${pricing.formatPrice(subtotal / state.sheetQuantity)} per set × ${state.sheetQuantity} = ${pricing.formatPrice(subtotal)}</div>
+    `;
+    return;
+  }
+
   const unitPrice = pricing.getUnitPrice(state.selectedSheetSizeId, state.sheetQuantity);
   const subtotal = pricing.getSubtotal(state.selectedSheetSizeId, state.sheetQuantity);
   const band = pricing.getEffectiveBand(state.selectedSheetSizeId, state.sheetQuantity);
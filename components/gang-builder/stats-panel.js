@@ -6,7 +6,9 @@
 
 import * as store from "../../lib/gang-builder/store.js";
 import * as metrics from "../../lib/gang-builder/metrics.js";
-import { getSheetSize } from "../../lib/gang-builder/config.js";
+import * as quality from "../../lib/gang-builder/quality.js";
+import { getSheetSize, QUALITY_THRESHOLDS } from "../../lib/gang-builder/config.js";
+import { escapeHtml } from "./html.js";
 
 /**
  * Create the stats panel
@@ -38,12 +40,27 @@ export function create(container) {
       <div class="gang-stats-section">
         <h3 class="gang-stats-heading">Quality Check</h3>
         <div class="gang-quality-status" id="gang-quality-status">
-          <p class="gang-quality-text">Resolution OK for 300 DPI</p>
+          <p class="gang-quality-text">No designs on sheet</p>
         </div>
       </div>
     </div>
   `;
 
+  const qualityEl = container.querySelector("#gang-quality-status");
+
+  // Jump to a flagged copy, switching sheets if it's on another one
+  qualityEl.addEventListener("click", (e) => {
+    const issueBtn = e.target.closest(".gang-quality-issue");
+    if (!issueBtn) return;
+    store.setActiveSheet(issueBtn.dataset.sheetId);
+    store.setSelectedInstance(issueBtn.dataset.instanceId);
+  });
+
+  qualityEl.addEventListener("change", (e) => {
+    if (!e.target.classList.contains("gang-quality-acknowledge")) return;
+    store.acknowledgeQualityIssues(e.target.checked ? e.target.dataset.key : null);
+  });
+
   // Subscribe to state changes
   store.subscribe((state) => {
     const sheetSize = getSheetSize(state.selectedSheetSizeId);
@@ -73,20 +90,85 @@ export function create(container) {
       usageDetailsEl.textContent = `${usage.usedAreaIn.toFixed(1)} in² / ${usage.sheetAreaIn.toFixed(1)} in²`;
     }
 
-    // Update quality status (stub for now)
-    const qualityEl = container.querySelector("#gang-quality-status");
-    if (qualityEl) {
-      // Simple quality check based on instance count and usage
-      if (usage.instanceCount === 0) {
-        qualityEl.innerHTML = '<p class="gang-quality-text">No designs on sheet</p>';
-      } else if (usage.usagePct > 95) {
-        qualityEl.innerHTML = '<p class="gang-quality-text gang-quality-warning">Sheet nearly full</p>';
-      } else {
-        qualityEl.innerHTML = '<p class="gang-quality-text">Resolution OK for 300 DPI</p>';
-      }
+    // Update quality status (resolution of every copy in the order)
+    const report = quality.getQualityReport(state);
+    qualityEl.innerHTML = renderQualityReport(report, state.qualityAcknowledgedKey);
+    if (usage.usagePct > 95) {
+      qualityEl.insertAdjacentHTML("beforeend", '<p class="gang-quality-text gang-quality-warning">Sheet nearly full</p>');
     }
   });
 }
 
+/**
+ * Quality Check section markup
+ * Copies of the same design at the same resolution are listed once.
+ * @param {Object} report - QualityReport
+ * @param {string|null} acknowledgedKey
+ * @returns {string}
+ */
+function renderQualityReport(report, acknowledgedKey) {
+  if (report.level === "empty") {
+    return '<p class="gang-quality-text">No designs on sheet</p>';
+  }
+  if (report.level === "ok") {
+    const lowest = report.minDpi !== null ? ` (lowest ${Math.round(report.minDpi)} DPI)` : "";
+    return `<p class="gang-quality-text">Resolution OK${lowest}</p>`;
+  }
+
+  const groups = new Map();
+  report.issues.forEach((issue) => {
+    const key = `${issue.designId}|${Math.round(issue.dpi)}`;
+    if (!groups.has(key)) {
+      groups.set(key, { ...issue, count: 0, sheets: new Set() });
+    }
+    const group = groups.get(key);
+    group.count++;
+    group.sheets.add(issue.sheetIndex);
+  });
+
+  const summary = report.errorCount > 0
+    ? `${report.errorCount} ${report.errorCount === 1 ? "copy" : "copies"} below ${QUALITY_THRESHOLDS.errorDpi} DPI will print blurry`
+    : `${report.warningCount} ${report.warningCount === 1 ? "copy" : "copies"} below ${QUALITY_THRESHOLDS.warningDpi} DPI may print soft`;
+
+  const items = Array.from(groups.values())
+    .map((group) => `
+      <li>
+        <button
+          type="button"
+          class="gang-quality-issue gang-quality-issue-${group.level}"
+          data-sheet-id="${group.sheetId}"
+          data-instance-id="${group.instanceId}"
+          title="Show on sheet"
+        >
+          <span class="gang-quality-issue-name">${escapeHtml(group.designName)}</span>
+          <span class="gang-quality-issue-dpi">${Math.round(group.dpi)} DPI${group.count > 1 ? ` × ${group.count}` : ""}${
+            group.sheets.size > 1 || group.sheetIndex > 1 ? ` · sheet ${Array.from(group.sheets).join(", ")}` : ""
+          }</span>
+        </button>
+      </li>
+    `)
+    .join("");
+
+  const acknowledgement = report.errorCount > 0
+    ? `
+      <label class="gang-quality-ack">
+        <input
+          type="checkbox"
+          class="gang-quality-acknowledge"
+          data-key="${report.key}"
+          ${acknowledgedKey === report.key ? "checked" : ""}
+        />
+        Order anyway - I accept these copies will print blurry
+      </label>
+    `
+    : "";
+
+  return `
+    <p class="gang-quality-text gang-quality-${report.level}">${summary}</p>
+    <ul class="gang-quality-issues">${items}</ul>
+    ${acknowledgement}
+  `;
+}
+
 export const StatsPanel = { create };
 
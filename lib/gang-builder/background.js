@@ -0,0 +1,333 @@
+/**
+ * Gang Builder Background Detection
+ *
+ * Checks uploaded artwork for a solid background. DTF prints every opaque
+ * pixel, so a JPG or a PNG with a white (or black) background prints as a
+ * box around the design - one of the most common reasons for a reprint.
+ * The check looks at whether the file can carry transparency at all and at
+ * how much of the artwork's outer edge is opaque near-white or near-black.
+ *
+ * Flat-colour backgrounds can be removed in the browser: a flood fill from the
+ * edges clears every connected pixel close to the background colour.
+ */
+
+/**
+ * @typedef {Object} BackgroundAnalysis
+ * @property {boolean} hasAlpha - The file has an alpha channel (or transparent pixels)
+ * @property {number} transparentPct - Share of the artwork that is transparent (0-100)
+ * @property {number} edgeOpaquePct - Share of the edge band that is opaque (0-100)
+ * @property {number} edgeWhitePct - Share of the edge band that is opaque near-white (0-100)
+ * @property {number} edgeBlackPct - Share of the edge band that is opaque near-black (0-100)
+ * @property {string|null} issue - "white-background", "black-background", "solid-background" or null
+ * @property {string|null} message - Customer-facing explanation of the issue
+ */
+
+/**
+ * Alpha at or above this counts as opaque
+ */
+const OPAQUE_ALPHA = 250;
+
+/**
+ * Channel values at or above this (all three) count as near-white, at or below NEAR_BLACK as near-black
+ */
+const NEAR_WHITE = 235;
+const NEAR_BLACK = 20;
+
+/**
+ * An edge band this opaque means the artwork has a solid background
+ */
+const SOLID_EDGE_RATIO = 0.9;
+
+/**
+ * Of a solid edge, this much near-white or near-black names the background colour
+ */
+const COLORED_EDGE_RATIO = 0.6;
+
+const ISSUE_MESSAGES = {
+  "white-background": "Solid white background - it will print as a white box around the design",
+  "black-background": "Solid black background - it will print as a black box around the design",
+  "solid-background": "No transparent background - the whole rectangle will print",
+};
+
+/**
+ * Short labels for the designs list badge
+ */
+export const ISSUE_LABELS = {
+  "white-background": "White background",
+  "black-background": "Black background",
+  "solid-background": "No transparency",
+};
+
+/**
+ * Analyse artwork pixels for a solid background
+ * Callers should pass a downscaled copy (a few hundred pixels on the long side).
+ *
+ * @param {Object} imageData - {data, width, height} as returned by getImageData
+ * @param {Object} [options]
+ * @param {boolean|null} [options.formatHasAlpha=null] - Whether the file format stores alpha (null if unknown)
+ * @returns {BackgroundAnalysis}
+ */
+export function analyzeBackground({ data, width, height }, { formatHasAlpha = null } = {}) {
+  // Edge band: about 2% of the short side, at least one pixel
+  const band = Math.max(1, Math.round(Math.min(width, height) * 0.02));
+  let edgeCount = 0;
+  let edgeOpaque = 0;
+  let edgeWhite = 0;
+  let edgeBlack = 0;
+  let transparent = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const alpha = data[i + 3];
+      if (alpha < OPAQUE_ALPHA) transparent++;
+
+      const onEdge = x < band || y < band || x >= width - band || y >= height - band;
+      if (!onEdge) continue;
+      edgeCount++;
+      if (alpha < OPAQUE_ALPHA) continue;
+      edgeOpaque++;
+      const r = data[i];
+      const g = data[i + 1];
+      const b = data[i + 2];
+      if (r >= NEAR_WHITE && g >= NEAR_WHITE && b >= NEAR_WHITE) edgeWhite++;
+      else if (r <= NEAR_BLACK && g <= NEAR_BLACK && b <= NEAR_BLACK) edgeBlack++;
+    }
+  }
+
+  const pixelCount = width * height;
+  const edgeOpaqueRatio = edgeCount > 0 ? edgeOpaque / edgeCount : 0;
+  const edgeWhiteRatio = edgeCount > 0 ? edgeWhite / edgeCount : 0;
+  const edgeBlackRatio = edgeCount > 0 ? edgeBlack / edgeCount : 0;
+
+  let issue = null;
+  if (edgeOpaqueRatio >= SOLID_EDGE_RATIO) {
+    if (edgeWhiteRatio >= COLORED_EDGE_RATIO) issue = "white-background";
+    else if (edgeBlackRatio >= COLORED_EDGE_RATIO) issue = "black-background";
+    else issue = "solid-background";
+  }
+
+  const round = (ratio) => Math.round(ratio * 1000) / 10;
+  return {
+    hasAlpha: formatHasAlpha === true || transparent > 0,
+    transparentPct: pixelCount > 0 ? round(transparent / pixelCount) : 0,
+    edgeOpaquePct: round(edgeOpaqueRatio),
+    edgeWhitePct: round(edgeWhiteRatio),
+    edgeBlackPct: round(edgeBlackRatio),
+    issue,
+    message: issue ? ISSUE_MESSAGES[issue] : null,
+  };
+}
+
+/**
+ * Whether an image file's format stores an alpha channel
+ * PNGs are read from the IHDR colour type (4 = grey + alpha, 6 = RGBA); palette
+ * PNGs with a tRNS chunk show up as transparent pixels instead.
+ * @param {string} dataUrl - The file as a data URL
+ * @returns {boolean|null} Null when the format can carry alpha but the header can't tell
+ */
+export function getFormatHasAlpha(dataUrl) {
+  const match = /^data:([^;,]+)[^,]*,/.exec(dataUrl || "");
+  const mimeType = match ? match[1] : "";
+  if (mimeType === "image/jpeg" || mimeType === "image/bmp") return false;
+  if (mimeType !== "image/png" || !dataUrl.includes(";base64,")) return null;
+
+  try {
+    // Signature (8) + IHDR length/type (8) + width/height (8) + bit depth (1), then colour type
+    const header = atob(dataUrl.slice(dataUrl.indexOf(",") + 1, dataUrl.indexOf(",") + 1 + 36));
+    const colorType = header.charCodeAt(25);
+    return colorType === 4 || colorType === 6;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Analyse a loaded image element for a solid background
+ * Draws a downscaled copy to an offscreen canvas and reads back its pixels.
+ * @param {HTMLImageElement} img - Loaded image
+ * @param {string} dataUrl - The file as a data URL (for the format's alpha support)
+ * @param {number} [maxSidePx=256] - Long side of the sampled copy
+ * @returns {BackgroundAnalysis}
+ */
+export function analyzeImageBackground(img, dataUrl, maxSidePx = 256) {
+  const ratio = Math.min(1, maxSidePx / Math.max(img.naturalWidth, img.naturalHeight));
+  const width = Math.max(1, Math.round(img.naturalWidth * ratio));
+  const height = Math.max(1, Math.round(img.naturalHeight * ratio));
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(img, 0, 0, width, height);
+  return analyzeBackground(ctx.getImageData(0, 0, width, height), {
+    formatHasAlpha: getFormatHasAlpha(dataUrl),
+  });
+}
+
+/**
+ * Default background removal tolerance (percent of the full colour range)
+ */
+export const DEFAULT_REMOVAL_TOLERANCE = 12;
+
+/**
+ * Most common opaque colour along the image edge
+ * Edge colours are bucketed to 5 bits per channel; the result is the mean of the largest bucket.
+ * @returns {Array<number>|null} [r, g, b], or null when the whole edge is transparent
+ */
+function getEdgeColor(data, width, height) {
+  const buckets = new Map();
+  const addPixel = (x, y) => {
+    const i = (y * width + x) * 4;
+    if (data[i + 3] < OPAQUE_ALPHA) return;
+    const key = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+    const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+    bucket.count++;
+    bucket.r += data[i];
+    bucket.g += data[i + 1];
+    bucket.b += data[i + 2];
+    buckets.set(key, bucket);
+  };
+  for (let x = 0; x < width; x++) {
+    addPixel(x, 0);
+    addPixel(x, height - 1);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    addPixel(0, y);
+    addPixel(width - 1, y);
+  }
+
+  let best = null;
+  buckets.forEach((bucket) => {
+    if (!best || bucket.count > best.count) best = bucket;
+  });
+  return best ? [best.r / best.count, best.g / best.count, best.b / best.count] : null;
+}
+
+/**
+ * Remove a flat-colour background by flood-filling from the edges
+ * Every pixel connected to the edge whose colour is within the tolerance of the
+ * background colour becomes transparent. Pixels just outside the tolerance on the
+ * boundary are faded rather than left as a hard fringe. Already transparent pixels
+ * are passed through, so the fill reaches background enclosed by transparency.
+ *
+ * @param {Object} imageData - {data, width, height} as returned by getImageData; modified in place
+ * @param {Object} [options]
+ * @param {number} [options.tolerance=12] - Percent (0-100) of the colour range that still counts as background
+ * @returns {Object} {removedPct, color} - Share of the image cleared (0-100) and the background colour, or color null if none was found
+ */
+export function removeBackground({ data, width, height }, { tolerance = DEFAULT_REMOVAL_TOLERANCE } = {}) {
+  const color = getEdgeColor(data, width, height);
+  if (!color) return { removedPct: 0, color: null };
+
+  const maxDistance = (Math.max(0, Math.min(100, tolerance)) / 100) * 255;
+  const distanceAt = (p) => {
+    const i = p * 4;
+    return Math.max(
+      Math.abs(data[i] - color[0]),
+      Math.abs(data[i + 1] - color[1]),
+      Math.abs(data[i + 2] - color[2])
+    );
+  };
+  const isBackground = (p) => data[p * 4 + 3] < OPAQUE_ALPHA || distanceAt(p) <= maxDistance;
+
+  // Iterative 4-connected fill with an explicit stack (recursion would overflow on real artwork)
+  const pixelCount = width * height;
+  const filled = new Uint8Array(pixelCount);
+  const stack = new Int32Array(pixelCount);
+  let top = 0;
+  const push = (p) => {
+    if (!filled[p] && isBackground(p)) {
+      filled[p] = 1;
+      stack[top++] = p;
+    }
+  };
+  for (let x = 0; x < width; x++) {
+    push(x);
+    push((height - 1) * width + x);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    push(y * width);
+    push(y * width + width - 1);
+  }
+  while (top > 0) {
+    const p = stack[--top];
+    const x = p % width;
+    if (x > 0) push(p - 1);
+    if (x < width - 1) push(p + 1);
+    if (p >= width) push(p - width);
+    if (p < pixelCount - width) push(p + width);
+  }
+
+  let removed = 0;
+  for (let p = 0; p < pixelCount; p++) {
+    if (!filled[p]) continue;
+    if (data[p * 4 + 3] > 0) removed++;
+    data[p * 4 + 3] = 0;
+  }
+
+  // Soften the edge: unfilled neighbours of the fill fade by how close they are to the background
+  const softDistance = Math.max(maxDistance * 2, maxDistance + 8);
+  for (let p = 0; p < pixelCount; p++) {
+    if (filled[p]) continue;
+    const x = p % width;
+    const touchesFill =
+      (x > 0 && filled[p - 1]) ||
+      (x < width - 1 && filled[p + 1]) ||
+      (p >= width && filled[p - width]) ||
+      (p < pixelCount - width && filled[p + width]);
+    if (!touchesFill) continue;
+    const distance = distanceAt(p);
+    if (distance < softDistance) {
+      const keep = (distance - maxDistance) / (softDistance - maxDistance);
+      data[p * 4 + 3] = Math.round(data[p * 4 + 3] * Math.max(0, Math.min(1, keep)));
+    }
+  }
+
+  return {
+    removedPct: pixelCount > 0 ? Math.round((removed / pixelCount) * 1000) / 10 : 0,
+    color: color.map(Math.round),
+  };
+}
+
+/**
+ * Remove the background of an image and encode the result as a transparent PNG
+ * Runs on the full-resolution artwork so nothing is lost for print.
+ * @param {string} src - Image URL (data URL or object URL)
+ * @param {Object} [options]
+ * @param {number} [options.tolerance=12] - See removeBackground
+ * @returns {Promise<Object>} {blob, url, img, removedPct} - url is an object URL for the new PNG, img is loaded from it
+ */
+export async function removeImageBackground(src, { tolerance = DEFAULT_REMOVAL_TOLERANCE } = {}) {
+  const source = await loadImage(src);
+  const canvas = document.createElement("canvas");
+  canvas.width = source.naturalWidth;
+  canvas.height = source.naturalHeight;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0);
+
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const { removedPct } = removeBackground(imageData, { tolerance });
+  ctx.putImageData(imageData, 0, 0);
+
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob((result) => (result ? resolve(result) : reject(new Error("Could not encode PNG"))), "image/png");
+  });
+  const url = URL.createObjectURL(blob);
+  const img = await loadImage(url);
+  return { blob, url, img, removedPct };
+}
+
+/**
+ * Load an image element from a URL
+ * @param {string} src
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Failed to load image"));
+    img.src = src;
+  });
+}
@@ -6,42 +6,90 @@
 
 import * as metrics from "./metrics.js";
 import * as pricing from "./pricing.js";
-import { SHEET_SIZES } from "./config.js";
+import * as quality from "./quality.js";
+import { SHEET_SIZES, QUALITY_THRESHOLDS } from "./config.js";
+
+/**
+ * Get the sheets that will actually be printed (empty sheets are skipped)
+ * @param {Object} state - Gang builder state
+ * @returns {Array} Array of {id, sheetSizeId, instances}
+ */
+export function getOrderSheets(state) {
+  const sheets = state.sheets && state.sheets.length > 0
+    ? state.sheets
+    : [{ id: "sheet_1", sheetSizeId: state.selectedSheetSizeId, instances: state.instances }];
+  return sheets.filter((sheet) => sheet.instances && sheet.instances.length > 0);
+}
 
 /**
  * Add gang sheet order to cart
  * @param {Object} state - Gang builder state
  */
 export async function addToCart(state) {
-  if (!state.selectedSheetSizeId || state.instances.length === 0) {
+  const orderSheets = getOrderSheets(state);
+  if (!state.selectedSheetSizeId || orderSheets.length === 0) {
     alert("Please add at least one design to the sheet before adding to cart.");
     return;
   }
 
-  const usageStats = metrics.getSheetUsage(state);
-  const sheetSize = SHEET_SIZES.find((s) => s.id === state.selectedSheetSizeId);
-  const unitPrice = pricing.getUnitPrice(state.selectedSheetSizeId, state.sheetQuantity);
-  const totalPrice = pricing.getSubtotal(state.selectedSheetSizeId, state.sheetQuantity);
+  // Artwork below the error threshold prints visibly soft - only order it knowingly
+  const qualityReport = quality.getQualityReport(state);
+  const qualityAcknowledged = qualityReport.errorCount === 0 || state.qualityAcknowledgedKey === qualityReport.key;
+  if (!qualityAcknowledged) {
+    alert(
+      `${qualityReport.errorCount} ${qualityReport.errorCount === 1 ? "copy is" : "copies are"} below ${QUALITY_THRESHOLDS.errorDpi} DPI and will print blurry. ` +
+      "Resize or replace the artwork, or confirm in the Quality Check panel that you want to order it as is."
+    );
+    return;
+  }
+
+  const sheetSizeIds = orderSheets.map((sheet) => sheet.sheetSizeId);
+  const totalPrice = pricing.getSheetsSubtotal(sheetSizeIds, state.sheetQuantity);
+  // One "unit" is one copy of every sheet in the order
+  const unitPrice = totalPrice !== null ? totalPrice / state.sheetQuantity : null;
 
   // Build gang sheet data object
   const gangSheetData = {
-    sheetSizeId: state.selectedSheetSizeId,
     quantity: state.sheetQuantity,
-    usageStats: {
-      usedAreaIn: usageStats.usedAreaIn,
-      sheetAreaIn: usageStats.sheetAreaIn,
-      usagePct: usageStats.usagePct,
-      instanceCount: usageStats.instanceCount,
+    // Print output, set by the operator. null mirror means "use the printer's default".
+    printerId: null,
+    mirror: null,
+    // Print resolution at order time, so operators know what they're getting
+    quality: {
+      minDpi: qualityReport.minDpi !== null ? Math.round(qualityReport.minDpi) : null,
+      errorCount: qualityReport.errorCount,
+      warningCount: qualityReport.warningCount,
+      acknowledged: qualityReport.errorCount > 0,
     },
-    instanceLayout: state.instances.map((instance) => ({
-      id: instance.id,
-      designId: instance.designId,
-      xIn: instance.xIn,
-      yIn: instance.yIn,
-      widthIn: instance.widthIn,
-      heightIn: instance.heightIn,
-      rotationDeg: instance.rotationDeg || 0,
-    })),
+    sheets: orderSheets.map((sheet, index) => {
+      const usageStats = metrics.getSheetUsage({
+        selectedSheetSizeId: sheet.sheetSizeId,
+        instances: sheet.instances,
+      });
+      return {
+        id: sheet.id,
+        index: index + 1,
+        sheetSizeId: sheet.sheetSizeId,
+        // Physical size, so print renders don't depend on the size list
+        sheetWidthIn: SHEET_SIZES.find((s) => s.id === sheet.sheetSizeId)?.widthIn || null,
+        sheetHeightIn: SHEET_SIZES.find((s) => s.id === sheet.sheetSizeId)?.heightIn || null,
+        usageStats: {
+          usedAreaIn: usageStats.usedAreaIn,
+          sheetAreaIn: usageStats.sheetAreaIn,
+          usagePct: usageStats.usagePct,
+          instanceCount: usageStats.instanceCount,
+        },
+        instanceLayout: sheet.instances.map((instance) => ({
+          id: instance.id,
+          designId: instance.designId,
+          xIn: instance.xIn,
+          yIn: instance.yIn,
+          widthIn: instance.widthIn,
+          heightIn: instance.heightIn,
+          rotationDeg: instance.rotationDeg || 0,
+        })),
+      };
+    }),
     designFiles: state.designFiles.map((file) => ({
       id: file.id,
       name: file.name,
@@ -49,6 +97,12 @@ export async function addToCart(state) {
       naturalHeightPx: file.naturalHeightPx,
       widthIn: file.widthIn,
       heightIn: file.heightIn,
+      outline: file.outline || null,
+      background: file.background || null,
+      // The SVG/PDF/PSD the artwork was converted from, uploaded alongside it
+      sourceFile: file.source
+        ? { name: file.source.name, kind: file.source.kind, mimeType: file.source.mimeType }
+        : null,
     })),
   };
 
@@ -67,23 +121,21 @@ export async function addToCart(state) {
   // NOTE: We do NOT include gangSheetData here - it will be sent after checkout success
   const formData = new FormData();
   formData.set("mode", "gang-sheet");
-  formData.set("size", sheetSize?.label || state.selectedSheetSizeId);
+  formData.set("size", sheetSizeIds
+    .map((sheetSizeId) => SHEET_SIZES.find((s) => s.id === sheetSizeId)?.label || sheetSizeId)
+    .join(" + "));
   formData.set("quantity", String(state.sheetQuantity));
   formData.set("unitPrice", unitPrice ? String(unitPrice) : "");
   formData.set("totalPrice", totalPrice ? String(totalPrice) : "");
 
-  // Add design files
+  // Add design files. Each file goes under a field named after its design so the
+  // server can match artwork to designs by ID; vector sources use their own field.
   for (const file of state.designFiles) {
-    // Convert data URL to blob if needed
-    if (file.url.startsWith("data:")) {
-      const response = await fetch(file.url);
-      const blob = await response.blob();
-      formData.append("files", blob, file.name);
-    } else {
-      // If it's already a URL, fetch it first
-      const response = await fetch(file.url);
-      const blob = await response.blob();
-      formData.append("files", blob, file.name);
+    const response = await fetch(file.url);
+    formData.append(`design:${file.id}`, await response.blob(), file.name);
+    if (file.source) {
+      const sourceResponse = await fetch(file.source.url);
+      formData.append(`source:${file.id}`, await sourceResponse.blob(), file.source.name);
     }
   }
 
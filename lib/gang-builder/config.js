@@ -79,6 +79,38 @@ export const PRICING = [
   },
 ];
 
+/**
+ * @typedef {Object} QualityThresholds
+ * @property {number} errorDpi - Below this effective DPI a copy prints visibly soft; ordering needs an acknowledgement
+ * @property {number} warningDpi - Below this effective DPI a copy is flagged but can be ordered
+ */
+
+/**
+ * Print resolution thresholds for placed artwork
+ * @type {QualityThresholds}
+ */
+export const QUALITY_THRESHOLDS = {
+  errorDpi: 150,
+  warningDpi: 250,
+};
+
+/**
+ * @typedef {Object} GarmentColor
+ * @property {string} id - Garment color ID
+ * @property {string} label - Display label (matches the garment color choices on the order form)
+ * @property {string} hex - Swatch color the canvas preview draws the sheet in
+ */
+
+/**
+ * Garment colors for the canvas preview
+ * @type {GarmentColor[]}
+ */
+export const GARMENT_COLORS = [
+  { id: "light", label: "Light / white", hex: "#f2f0eb" },
+  { id: "mid", label: "Mid-tone", hex: "#8c8f94" },
+  { id: "dark", label: "Dark / black", hex: "#1c1c1e" },
+];
+
 /**
  * Get sheet size by ID
  * @param {string} sheetSizeId
@@ -0,0 +1,192 @@
+/**
+ * Gang Builder Drafts
+ *
+ * Saves builder drafts in IndexedDB so work survives a refresh or a closed tab.
+ * A draft record holds the layout (sheets, designs, quantity); the original
+ * image blobs live in a separate store so listing drafts doesn't load them.
+ * A design's other images (its unedited upload, the trim toggle's alternate and
+ * its SVG/PDF/PSD source) are stored next to its artwork under their own keys.
+ */
+
+const DB_NAME = "gang-builder";
+const DB_VERSION = 1;
+const DRAFTS_STORE = "drafts";
+const IMAGES_STORE = "images";
+
+/**
+ * @typedef {Object} DraftSummary
+ * @property {string} id - Unique identifier
+ * @property {string} name - Name shown in the drafts list
+ * @property {number} updatedAt - Last save time (ms since epoch)
+ * @property {number} designCount - Number of uploaded designs
+ * @property {number} instanceCount - Number of placed instances across all sheets
+ */
+
+/**
+ * @typedef {Object} Draft
+ * @property {string} id
+ * @property {string} name
+ * @property {number} updatedAt
+ * @property {number} designCount
+ * @property {number} instanceCount
+ * @property {Object} layout - {sheetQuantity, sheets, activeSheetId, designFiles} (design files and their attachments without URLs)
+ */
+
+let dbPromise = null;
+
+/**
+ * Whether drafts can be saved in this browser
+ * @returns {boolean}
+ */
+export function isDraftStorageAvailable() {
+  return typeof indexedDB !== "undefined";
+}
+
+/**
+ * Open the drafts database, creating its stores on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(DRAFTS_STORE)) {
+        db.createObjectStore(DRAFTS_STORE, { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains(IMAGES_STORE)) {
+        // Keyed by [draftId, designId], or [draftId, designId, attachment] for a design's other images
+        db.createObjectStore(IMAGES_STORE);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Let a later call try again if opening failed (e.g. private browsing)
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve when a transaction commits
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error("Draft transaction aborted"));
+  });
+}
+
+/**
+ * Key range covering every image of one draft
+ * @param {string} draftId
+ * @returns {IDBKeyRange}
+ */
+function draftImagesRange(draftId) {
+  return IDBKeyRange.bound([draftId], [draftId, []]);
+}
+
+/**
+ * Save a draft and its images, replacing any earlier save with the same ID
+ * @param {Draft} draft
+ * @param {Map<string, Blob>} images - Original image blobs keyed by design ID
+ * @param {Map<string, Object<string, Blob>>} [attachments] - Other image blobs of each design
+ *   keyed by design ID, then by attachment ("original", "trimAlternate", "source")
+ * @returns {Promise<void>}
+ */
+export async function saveDraft(draft, images, attachments = new Map()) {
+  const db = await openDatabase();
+  const transaction = db.transaction([DRAFTS_STORE, IMAGES_STORE], "readwrite");
+  const imageStore = transaction.objectStore(IMAGES_STORE);
+
+  transaction.objectStore(DRAFTS_STORE).put(draft);
+  // Images of designs removed since the last save go too
+  imageStore.delete(draftImagesRange(draft.id));
+  images.forEach((blob, designId) => {
+    imageStore.put(blob, [draft.id, designId]);
+  });
+  attachments.forEach((blobs, designId) => {
+    Object.entries(blobs).forEach(([attachment, blob]) => {
+      imageStore.put(blob, [draft.id, designId, attachment]);
+    });
+  });
+
+  return transactionDone(transaction);
+}
+
+/**
+ * Load a draft with its images
+ * @param {string} id
+ * @returns {Promise<Object|null>} {draft, images: Map<designId, Blob>, attachments: Map<designId, Object<attachment, Blob>>},
+ *   or null if not found
+ */
+export async function loadDraft(id) {
+  const db = await openDatabase();
+  const transaction = db.transaction([DRAFTS_STORE, IMAGES_STORE], "readonly");
+  const draft = await requestToPromise(transaction.objectStore(DRAFTS_STORE).get(id));
+  if (!draft) return null;
+
+  const imageStore = transaction.objectStore(IMAGES_STORE);
+  const range = draftImagesRange(id);
+  const [keys, blobs] = await Promise.all([
+    requestToPromise(imageStore.getAllKeys(range)),
+    requestToPromise(imageStore.getAll(range)),
+  ]);
+
+  const images = new Map();
+  const attachments = new Map();
+  keys.forEach(([, designId, attachment], index) => {
+    if (attachment) {
+      attachments.set(designId, { ...attachments.get(designId), [attachment]: blobs[index] });
+    } else {
+      images.set(designId, blobs[index]);
+    }
+  });
+  return { draft, images, attachments };
+}
+
+/**
+ * List saved drafts, most recently saved first
+ * @returns {Promise<DraftSummary[]>}
+ */
+export async function listDrafts() {
+  const db = await openDatabase();
+  const transaction = db.transaction(DRAFTS_STORE, "readonly");
+  const drafts = await requestToPromise(transaction.objectStore(DRAFTS_STORE).getAll());
+  return drafts
+    .map(({ id, name, updatedAt, designCount, instanceCount }) => ({ id, name, updatedAt, designCount, instanceCount }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Delete a draft and its images
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteDraft(id) {
+  const db = await openDatabase();
+  const transaction = db.transaction([DRAFTS_STORE, IMAGES_STORE], "readwrite");
+  transaction.objectStore(DRAFTS_STORE).delete(id);
+  transaction.objectStore(IMAGES_STORE).delete(draftImagesRange(id));
+  return transactionDone(transaction);
+}
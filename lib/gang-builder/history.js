@@ -0,0 +1,115 @@
+/**
+ * Gang Builder History
+ *
+ * Undo/redo stacks for the gang builder store. Each entry holds a labelled
+ * snapshot of the state before a command ran; undoing swaps it with the
+ * current state and moves the command onto the redo stack.
+ *
+ * Continuous gestures (dragging an instance, turning the rotation handle)
+ * call the same command many times. Commands recorded with the same coalesce
+ * key merge into one step until the history is sealed, so a whole drag undoes
+ * in one go.
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} label - What the command did, e.g. "Move design"
+ * @property {*} snapshot - State snapshot from before the command (or after, on the redo stack)
+ */
+
+/**
+ * @typedef {Object} HistoryStatus
+ * @property {boolean} canUndo
+ * @property {boolean} canRedo
+ * @property {string|null} undoLabel - Label of the command Undo would revert
+ * @property {string|null} redoLabel - Label of the command Redo would re-apply
+ */
+
+/**
+ * Create an undo/redo history
+ * @param {Object} [options]
+ * @param {number} [options.limit=100] - Oldest steps are dropped beyond this many
+ * @returns {Object} History with record, seal, undo, redo, clear and getStatus
+ */
+export function createHistory({ limit = 100 } = {}) {
+  let undoStack = [];
+  let redoStack = [];
+  // Coalesce key of the top undo entry while it is still open to merging
+  let openKey = null;
+
+  return {
+    /**
+     * Record a command before it changes the state
+     * @param {string} label
+     * @param {Function} takeSnapshot - Returns a snapshot of the current state
+     * @param {string|null} [coalesceKey] - Merge into the previous step if it has the same key
+     * @returns {boolean} True if a new step was added, false if it merged into the previous one
+     */
+    record(label, takeSnapshot, coalesceKey = null) {
+      redoStack = [];
+      if (coalesceKey && coalesceKey === openKey && undoStack.length > 0) {
+        return false;
+      }
+      undoStack.push({ label, snapshot: takeSnapshot() });
+      if (undoStack.length > limit) {
+        undoStack.shift();
+      }
+      openKey = coalesceKey;
+      return true;
+    },
+
+    /**
+     * End the current gesture; the next command starts a new step even if its key matches
+     */
+    seal() {
+      openKey = null;
+    },
+
+    /**
+     * Step back one command
+     * @param {Function} takeSnapshot - Returns a snapshot of the current state
+     * @returns {*} Snapshot to restore, or null if there is nothing to undo
+     */
+    undo(takeSnapshot) {
+      const entry = undoStack.pop();
+      if (!entry) return null;
+      openKey = null;
+      redoStack.push({ label: entry.label, snapshot: takeSnapshot() });
+      return entry.snapshot;
+    },
+
+    /**
+     * Re-apply the last undone command
+     * @param {Function} takeSnapshot - Returns a snapshot of the current state
+     * @returns {*} Snapshot to restore, or null if there is nothing to redo
+     */
+    redo(takeSnapshot) {
+      const entry = redoStack.pop();
+      if (!entry) return null;
+      openKey = null;
+      undoStack.push({ label: entry.label, snapshot: takeSnapshot() });
+      return entry.snapshot;
+    },
+
+    /**
+     * Forget every step
+     */
+    clear() {
+      undoStack = [];
+      redoStack = [];
+      openKey = null;
+    },
+
+    /**
+     * @returns {HistoryStatus}
+     */
+    getStatus() {
+      return {
+        canUndo: undoStack.length > 0,
+        canRedo: redoStack.length > 0,
+        undoLabel: undoStack[undoStack.length - 1]?.label || null,
+        redoLabel: redoStack[redoStack.length - 1]?.label || null,
+      };
+    },
+  };
+}
@@ -0,0 +1,417 @@
+/**
+ * Gang Builder Artwork Import
+ *
+ * Turns uploaded files into rasters the builder can place. Browser-decodable
+ * images pass straight through; SVGs are rasterised at their print size at
+ * 300 DPI, PDFs render their first page, and PSDs use the flattened composite
+ * stored in the file. For converted files the original is kept as the design's
+ * `source` so it is uploaded alongside the raster for production.
+ */
+
+import { loadImage } from "./background.js";
+
+/**
+ * Resolution vector artwork is rasterised at
+ */
+export const VECTOR_DPI = 300;
+
+/**
+ * Largest raster produced from vector artwork; bigger print sizes get a lower DPI
+ * (and the quality check says so) rather than exhausting the browser's canvas memory
+ */
+const MAX_RASTER_PIXELS = 50_000_000;
+const MAX_RASTER_SIDE_PX = 16384;
+
+/**
+ * CSS pixels per inch, for SVGs sized in px (or not at all)
+ */
+const CSS_PX_PER_IN = 96;
+
+/**
+ * pdf.js is only needed for PDF uploads, so it is loaded on first use. `npm run build`
+ * copies the module and its worker from the pdfjs-dist package into lib/vendor/pdfjs
+ */
+const PDFJS_URL = new URL("../vendor/pdfjs/pdf.min.mjs", import.meta.url).href;
+const PDFJS_WORKER_URL = new URL("../vendor/pdfjs/pdf.worker.min.mjs", import.meta.url).href;
+
+/**
+ * File types the upload input accepts
+ */
+export const ACCEPTED_FILE_TYPES = "image/*,.svg,.pdf,application/pdf,.psd,image/vnd.adobe.photoshop";
+
+/**
+ * @typedef {Object} ImportedArtwork
+ * @property {string} url - Raster URL (data URL for browser images, object URL for converted files)
+ * @property {string} name - Design name (converted files become .png)
+ * @property {HTMLImageElement} img - Loaded raster
+ * @property {number|null} dpi - Resolution the raster was made at, or null to use the default sizing
+ * @property {Object|null} source - {kind, name, mimeType, url, widthIn, heightIn} of a converted file
+ */
+
+/**
+ * What kind of artwork a file is
+ * @param {File} file
+ * @returns {string|null} "svg", "pdf", "psd", "image", or null if unsupported
+ */
+export function getImportKind(file) {
+  const name = file.name.toLowerCase();
+  if (file.type === "image/svg+xml" || name.endsWith(".svg")) return "svg";
+  if (file.type === "application/pdf" || name.endsWith(".pdf")) return "pdf";
+  if (file.type === "image/vnd.adobe.photoshop" || name.endsWith(".psd")) return "psd";
+  if (file.type.startsWith("image/")) return "image";
+  return null;
+}
+
+/**
+ * Read an uploaded file into a placeable raster
+ * @param {File} file
+ * @returns {Promise<ImportedArtwork>}
+ */
+export async function importArtworkFile(file) {
+  const kind = getImportKind(file);
+  if (!kind) {
+    throw new Error(`Unsupported file type: ${file.name}`);
+  }
+
+  if (kind === "image") {
+    const url = await readAsDataUrl(file);
+    return { url, name: file.name, img: await loadImage(url), dpi: null, source: null };
+  }
+
+  let raster;
+  if (kind === "svg") {
+    const svgText = await file.text();
+    const size = getSvgPrintSize(svgText);
+    raster = await rasterizeSvg(svgText, size.widthIn, size.heightIn);
+    raster.printSize = size;
+  } else if (kind === "pdf") {
+    raster = await rasterizePdfFirstPage(await file.arrayBuffer());
+  } else {
+    raster = await rasterizePsd(await file.arrayBuffer());
+  }
+
+  return {
+    url: raster.url,
+    name: `${file.name.replace(/\.[^.]+$/, "")}.png`,
+    img: raster.img,
+    dpi: raster.dpi,
+    source: {
+      kind,
+      name: file.name,
+      mimeType: file.type || null,
+      url: URL.createObjectURL(file),
+      widthIn: raster.printSize ? raster.printSize.widthIn : null,
+      heightIn: raster.printSize ? raster.printSize.heightIn : null,
+    },
+  };
+}
+
+/**
+ * Re-rasterise an SVG design at its current print size
+ * Keeps the design's trim: the crop box is scaled to the new raster, and the
+ * other trim version is rebuilt so the trim toggle stays in step.
+ * @param {Object} design - Design with an SVG `source`
+ * @returns {Promise<Object>} Fields to merge into the design: {url, naturalWidthPx, naturalHeightPx, trim?, trimAlternate?}
+ */
+export async function rerasterizeSvgDesign(design) {
+  const svgText = await (await fetch(design.source.url)).text();
+  const { trim } = design;
+
+  // Print size of the whole SVG, whichever trim version is showing
+  const fullWidthIn = trim && design.trimmed ? (design.widthIn * trim.sourceWidthPx) / trim.widthPx : design.widthIn;
+  const fullHeightIn = trim && design.trimmed ? (design.heightIn * trim.sourceHeightPx) / trim.heightPx : design.heightIn;
+  const full = await rasterizeSvg(svgText, fullWidthIn, fullHeightIn);
+  if (!trim) {
+    return { url: full.url, naturalWidthPx: full.widthPx, naturalHeightPx: full.heightPx };
+  }
+
+  const scaleX = full.widthPx / trim.sourceWidthPx;
+  const scaleY = full.heightPx / trim.sourceHeightPx;
+  const box = {
+    left: Math.round(trim.left * scaleX),
+    top: Math.round(trim.top * scaleY),
+    widthPx: Math.max(1, Math.round(trim.widthPx * scaleX)),
+    heightPx: Math.max(1, Math.round(trim.heightPx * scaleY)),
+    sourceWidthPx: full.widthPx,
+    sourceHeightPx: full.heightPx,
+  };
+  const cropped = await cropImage(full.img, box);
+
+  const fullVersion = { url: full.url, naturalWidthPx: full.widthPx, naturalHeightPx: full.heightPx };
+  const croppedVersion = { url: cropped.url, naturalWidthPx: box.widthPx, naturalHeightPx: box.heightPx };
+  const shown = design.trimmed ? croppedVersion : fullVersion;
+  const other = design.trimmed ? fullVersion : croppedVersion;
+  return {
+    ...shown,
+    trim: box,
+    trimAlternate: design.trimAlternate ? { ...design.trimAlternate, ...other } : null,
+  };
+}
+
+/**
+ * Physical size of an SVG from its width/height (or viewBox at 96 px per inch)
+ * @param {string} svgText
+ * @returns {Object} {widthIn, heightIn}
+ */
+export function getSvgPrintSize(svgText) {
+  const svg = parseSvg(svgText);
+  const viewBox = (svg.getAttribute("viewBox") || "").split(/[\s,]+/).map(Number);
+  const hasViewBox = viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0;
+  const aspect = hasViewBox ? viewBox[2] / viewBox[3] : null;
+
+  let widthIn = parseSvgLength(svg.getAttribute("width"));
+  let heightIn = parseSvgLength(svg.getAttribute("height"));
+  if (widthIn && !heightIn && aspect) heightIn = widthIn / aspect;
+  if (heightIn && !widthIn && aspect) widthIn = heightIn * aspect;
+  if (!widthIn || !heightIn) {
+    if (!hasViewBox) {
+      throw new Error("The SVG has no size or viewBox");
+    }
+    widthIn = viewBox[2] / CSS_PX_PER_IN;
+    heightIn = viewBox[3] / CSS_PX_PER_IN;
+  }
+  return { widthIn, heightIn };
+}
+
+/**
+ * SVG length in inches (px and unitless lengths are CSS pixels)
+ * @returns {number|null} Null for missing or relative (%) lengths
+ */
+function parseSvgLength(value) {
+  const match = /^\s*([\d.]+(?:e[-+]?\d+)?)\s*(px|in|cm|mm|pt|pc)?\s*$/i.exec(value || "");
+  if (!match) return null;
+  const amount = Number(match[1]);
+  const perInch = { px: CSS_PX_PER_IN, in: 1, cm: 2.54, mm: 25.4, pt: 72, pc: 6 };
+  return amount > 0 ? amount / perInch[(match[2] || "px").toLowerCase()] : null;
+}
+
+function parseSvg(svgText) {
+  const doc = new DOMParser().parseFromString(svgText, "image/svg+xml");
+  const svg = doc.documentElement;
+  if (!svg || svg.nodeName.toLowerCase() !== "svg" || doc.querySelector("parsererror")) {
+    throw new Error("Not a valid SVG file");
+  }
+  return svg;
+}
+
+/**
+ * Pixel size for a print size at VECTOR_DPI, scaled down to the raster limits
+ */
+function getRasterSize(widthIn, heightIn) {
+  let widthPx = widthIn * VECTOR_DPI;
+  let heightPx = heightIn * VECTOR_DPI;
+  const scale = Math.min(
+    1,
+    Math.sqrt(MAX_RASTER_PIXELS / (widthPx * heightPx)),
+    MAX_RASTER_SIDE_PX / widthPx,
+    MAX_RASTER_SIDE_PX / heightPx
+  );
+  widthPx = Math.max(1, Math.round(widthPx * scale));
+  heightPx = Math.max(1, Math.round(heightPx * scale));
+  return { widthPx, heightPx, dpi: widthPx / widthIn };
+}
+
+/**
+ * Rasterise SVG markup at a print size
+ * The SVG is re-serialised with an explicit pixel size (and a viewBox if it had
+ * none) so the browser draws it crisp at the target resolution.
+ * @returns {Promise<Object>} {url, img, widthPx, heightPx, dpi}
+ */
+async function rasterizeSvg(svgText, widthIn, heightIn) {
+  const svg = parseSvg(svgText);
+  const { widthPx, heightPx, dpi } = getRasterSize(widthIn, heightIn);
+
+  if (!svg.getAttribute("viewBox")) {
+    const size = getSvgPrintSize(svgText);
+    svg.setAttribute("viewBox", `0 0 ${size.widthIn * CSS_PX_PER_IN} ${size.heightIn * CSS_PX_PER_IN}`);
+  }
+  svg.setAttribute("width", String(widthPx));
+  svg.setAttribute("height", String(heightPx));
+
+  const svgUrl = URL.createObjectURL(
+    new Blob([new XMLSerializer().serializeToString(svg)], { type: "image/svg+xml" })
+  );
+  try {
+    const svgImg = await loadImage(svgUrl);
+    const canvas = createCanvas(widthPx, heightPx);
+    canvas.getContext("2d").drawImage(svgImg, 0, 0, widthPx, heightPx);
+    return { ...(await canvasToImage(canvas)), widthPx, heightPx, dpi };
+  } finally {
+    URL.revokeObjectURL(svgUrl);
+  }
+}
+
+/**
+ * Render the first page of a PDF at its page size and VECTOR_DPI, on a transparent background
+ * @param {ArrayBuffer} data
+ * @returns {Promise<Object>} {url, img, widthPx, heightPx, dpi, printSize}
+ */
+async function rasterizePdfFirstPage(data) {
+  const pdfjs = await import(PDFJS_URL);
+  pdfjs.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+
+  const pdf = await pdfjs.getDocument({ data }).promise;
+  try {
+    const page = await pdf.getPage(1);
+    const pageViewport = page.getViewport({ scale: 1 });
+    // PDF user space is 72 points per inch
+    const printSize = { widthIn: pageViewport.width / 72, heightIn: pageViewport.height / 72 };
+    const { widthPx, heightPx, dpi } = getRasterSize(printSize.widthIn, printSize.heightIn);
+    const viewport = page.getViewport({ scale: widthPx / pageViewport.width });
+
+    const canvas = createCanvas(widthPx, heightPx);
+    await page.render({
+      canvasContext: canvas.getContext("2d"),
+      viewport,
+      background: "rgba(0, 0, 0, 0)",
+    }).promise;
+    return { ...(await canvasToImage(canvas)), widthPx, heightPx, dpi, printSize };
+  } finally {
+    pdf.destroy();
+  }
+}
+
+/**
+ * Decode the flattened composite of a PSD (or PSB)
+ * Photoshop stores a merged copy of all layers at the end of the file when
+ * "Maximize compatibility" is on. 8-bit RGB and greyscale are supported; a
+ * fourth channel on an RGB document is the composite's transparency.
+ * @param {ArrayBuffer} buffer
+ * @returns {Object} ImageData-like {data, width, height}
+ */
+export function decodePsdComposite(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const signature = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+  const version = view.getUint16(4);
+  if (signature !== "8BPS" || (version !== 1 && version !== 2)) {
+    throw new Error("Not a Photoshop file");
+  }
+
+  const channels = view.getUint16(12);
+  const height = view.getUint32(14);
+  const width = view.getUint32(18);
+  const depth = view.getUint16(22);
+  const colorMode = view.getUint16(24);
+  if (depth !== 8) {
+    throw new Error("Only 8-bit PSDs are supported - save a copy as 8 bits/channel");
+  }
+  if (colorMode !== 3 && colorMode !== 1) {
+    throw new Error("Only RGB and greyscale PSDs are supported - convert the document to RGB");
+  }
+
+  // Skip the colour mode data, image resources and layer/mask sections (PSB uses 8-byte layer lengths)
+  let offset = 26;
+  offset += 4 + view.getUint32(offset);
+  offset += 4 + view.getUint32(offset);
+  if (version === 1) {
+    offset += 4 + view.getUint32(offset);
+  } else {
+    offset += 8 + view.getUint32(offset) * 2 ** 32 + view.getUint32(offset + 4);
+  }
+
+  const compression = view.getUint16(offset);
+  offset += 2;
+
+  const pixelCount = width * height;
+  const colorChannels = colorMode === 3 ? 3 : 1;
+  const usedChannels = Math.min(channels, colorChannels + 1);
+  const planes = [];
+
+  if (compression === 0) {
+    for (let c = 0; c < usedChannels; c++) {
+      planes.push(bytes.subarray(offset + c * pixelCount, offset + (c + 1) * pixelCount));
+    }
+  } else if (compression === 1) {
+    // PackBits: a table of compressed row lengths for every channel, then the rows
+    const countSize = version === 1 ? 2 : 4;
+    const rowLengths = [];
+    for (let i = 0; i < channels * height; i++) {
+      rowLengths.push(countSize === 2 ? view.getUint16(offset) : view.getUint32(offset));
+      offset += countSize;
+    }
+    for (let c = 0; c < usedChannels; c++) {
+      const plane = new Uint8Array(pixelCount);
+      for (let y = 0; y < height; y++) {
+        const rowLength = rowLengths[c * height + y];
+        unpackBits(bytes, offset, rowLength, plane, y * width, width);
+        offset += rowLength;
+      }
+      planes.push(plane);
+    }
+  } else {
+    throw new Error("This PSD uses an unsupported compression - re-save it from Photoshop");
+  }
+
+  const data = new Uint8ClampedArray(pixelCount * 4);
+  const alpha = usedChannels > colorChannels ? planes[colorChannels] : null;
+  for (let p = 0; p < pixelCount; p++) {
+    const i = p * 4;
+    data[i] = planes[0][p];
+    data[i + 1] = colorChannels === 3 ? planes[1][p] : planes[0][p];
+    data[i + 2] = colorChannels === 3 ? planes[2][p] : planes[0][p];
+    data[i + 3] = alpha ? alpha[p] : 255;
+  }
+  return { data, width, height };
+}
+
+function unpackBits(src, start, length, dest, destStart, destLength) {
+  let i = start;
+  let o = destStart;
+  const end = start + length;
+  const destEnd = destStart + destLength;
+  while (i < end && o < destEnd) {
+    const n = (src[i++] << 24) >> 24;
+    if (n >= 0) {
+      for (let k = 0; k <= n && o < destEnd; k++) dest[o++] = src[i++];
+    } else if (n !== -128) {
+      const value = src[i++];
+      for (let k = 0; k <= -n && o < destEnd; k++) dest[o++] = value;
+    }
+  }
+}
+
+/**
+ * Rasterise a PSD's composite
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<Object>} {url, img, widthPx, heightPx, dpi}
+ */
+async function rasterizePsd(buffer) {
+  const { data, width, height } = decodePsdComposite(buffer);
+  const canvas = createCanvas(width, height);
+  canvas.getContext("2d").putImageData(new ImageData(data, width, height), 0, 0);
+  // Like any other raster upload, the PSD is sized at the default 300 DPI
+  return { ...(await canvasToImage(canvas)), widthPx: width, heightPx: height, dpi: null };
+}
+
+async function cropImage(img, box) {
+  const canvas = createCanvas(box.widthPx, box.heightPx);
+  canvas
+    .getContext("2d")
+    .drawImage(img, box.left, box.top, box.widthPx, box.heightPx, 0, 0, box.widthPx, box.heightPx);
+  return canvasToImage(canvas);
+}
+
+function createCanvas(width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+async function canvasToImage(canvas) {
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob((result) => (result ? resolve(result) : reject(new Error("Could not encode PNG"))), "image/png");
+  });
+  const url = URL.createObjectURL(blob);
+  return { url, img: await loadImage(url) };
+}
+
+function readAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
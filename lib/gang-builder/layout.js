@@ -4,6 +4,8 @@
  * Handles auto-packing designs onto sheets and coordinate conversions.
  */
 
+import { RECT_OUTLINE, transformOutline, getOutlineExtents, outlinesWithinGap } from "./silhouette.js";
+
 /**
  * Pixels per inch for UI canvas scale (screen only)
  * Higher value = more zoomed in view
@@ -11,6 +13,11 @@
  */
 export const PX_PER_INCH_UI = 200;
 
+/**
+ * 4mm deadspace (0.157 inches) kept clear on all sides of every transfer
+ */
+export const DEADSPACE_IN = 0.157;
+
 /**
  * Convert inches to pixels for UI display
  * @param {number} inches - Measurement in inches
@@ -75,57 +82,195 @@ function overlapsWithExisting(xIn, yIn, widthIn, heightIn, existingPositions) {
 }
 
 /**
- * Calculate the bounding box for a graphic at a given position
+ * Normalize a rotation to the range [0, 360)
+ * @param {number} rotationDeg - Rotation in degrees
+ * @returns {number} Rotation in degrees
+ */
+export function normalizeRotation(rotationDeg) {
+  const deg = (rotationDeg || 0) % 360;
+  return deg < 0 ? deg + 360 : deg;
+}
+
+/**
+ * Calculate the oriented (rotated) box for a graphic plus its deadspace
+ * The graphic rotates around its own center, so the box shares that center.
  * @param {number} xIn - Graphic top-left X (in original orientation)
  * @param {number} yIn - Graphic top-left Y (in original orientation)
  * @param {number} designWidthIn - Graphic width in original orientation
  * @param {number} designHeightIn - Graphic height in original orientation
- * @param {number} rotationDeg - Rotation in degrees (0 or 90)
+ * @param {number} rotationDeg - Rotation in degrees (clockwise, any angle)
+ * @param {number} deadspaceIn - Deadspace in inches
+ * @returns {Object} {centerXIn, centerYIn, halfWidthIn, halfHeightIn, rotationDeg}
+ */
+export function getOrientedBox(xIn, yIn, designWidthIn, designHeightIn, rotationDeg, deadspaceIn) {
+  return {
+    centerXIn: xIn + designWidthIn / 2,
+    centerYIn: yIn + designHeightIn / 2,
+    halfWidthIn: designWidthIn / 2 + deadspaceIn,
+    halfHeightIn: designHeightIn / 2 + deadspaceIn,
+    rotationDeg: normalizeRotation(rotationDeg),
+  };
+}
+
+/**
+ * Get the unit axes of an oriented box (its local X and Y directions on the sheet)
+ * Quarter turns are returned exactly so 0/90/180/270 boxes stay on whole numbers.
+ * @param {Object} box - Oriented box from getOrientedBox
+ * @returns {Object} {ux, uy, vx, vy}
+ */
+function getBoxAxes(box) {
+  const quarterTurn = box.rotationDeg % 90 === 0;
+  const rad = (box.rotationDeg * Math.PI) / 180;
+  const cos = quarterTurn ? Math.round(Math.cos(rad)) : Math.cos(rad);
+  const sin = quarterTurn ? Math.round(Math.sin(rad)) : Math.sin(rad);
+  return { ux: cos, uy: sin, vx: -sin, vy: cos };
+}
+
+/**
+ * Get the four corners of an oriented box
+ * @param {Object} box - Oriented box from getOrientedBox
+ * @returns {Array} Array of {xIn, yIn}, clockwise from the top-left corner
+ */
+export function getOrientedBoxCorners(box) {
+  const { ux, uy, vx, vy } = getBoxAxes(box);
+  return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => ({
+    xIn: box.centerXIn + sx * box.halfWidthIn * ux + sy * box.halfHeightIn * vx,
+    yIn: box.centerYIn + sx * box.halfWidthIn * uy + sy * box.halfHeightIn * vy,
+  }));
+}
+
+/**
+ * Check if a point lies inside an oriented box
+ * @param {number} xIn - Point X in inches
+ * @param {number} yIn - Point Y in inches
+ * @param {Object} box - Oriented box from getOrientedBox
+ * @returns {boolean} True if the point is inside (or on the edge)
+ */
+export function isPointInOrientedBox(xIn, yIn, box) {
+  const { ux, uy, vx, vy } = getBoxAxes(box);
+  const relX = xIn - box.centerXIn;
+  const relY = yIn - box.centerYIn;
+  // Project onto the box's own axes and compare with its half sizes
+  const localX = relX * ux + relY * uy;
+  const localY = relX * vx + relY * vy;
+  return Math.abs(localX) <= box.halfWidthIn && Math.abs(localY) <= box.halfHeightIn;
+}
+
+/**
+ * Check if two oriented boxes overlap (separating axis test)
+ * Boxes that only touch along an edge do not count as overlapping.
+ * @param {Object} a - Oriented box from getOrientedBox
+ * @param {Object} b - Oriented box from getOrientedBox
+ * @returns {boolean} True if the boxes overlap
+ */
+export function orientedBoxesOverlap(a, b) {
+  const epsilon = 0.0001;
+  const axesA = getBoxAxes(a);
+  const axesB = getBoxAxes(b);
+  const axes = [
+    [axesA.ux, axesA.uy],
+    [axesA.vx, axesA.vy],
+    [axesB.ux, axesB.uy],
+    [axesB.vx, axesB.vy],
+  ];
+  const dx = b.centerXIn - a.centerXIn;
+  const dy = b.centerYIn - a.centerYIn;
+
+  // Half the extent of a box projected onto an axis
+  const radius = (box, boxAxes, ax, ay) =>
+    box.halfWidthIn * Math.abs(boxAxes.ux * ax + boxAxes.uy * ay) +
+    box.halfHeightIn * Math.abs(boxAxes.vx * ax + boxAxes.vy * ay);
+
+  for (const [ax, ay] of axes) {
+    const distance = Math.abs(dx * ax + dy * ay);
+    if (distance >= radius(a, axesA, ax, ay) + radius(b, axesB, ax, ay) - epsilon) {
+      return false; // Found a separating axis
+    }
+  }
+  return true;
+}
+
+/**
+ * Calculate the axis-aligned bounding box for a graphic at a given position
+ * This is the smallest upright rectangle around the rotated graphic + deadspace.
+ * @param {number} xIn - Graphic top-left X (in original orientation)
+ * @param {number} yIn - Graphic top-left Y (in original orientation)
+ * @param {number} designWidthIn - Graphic width in original orientation
+ * @param {number} designHeightIn - Graphic height in original orientation
+ * @param {number} rotationDeg - Rotation in degrees (any angle)
  * @param {number} deadspaceIn - Deadspace in inches
  * @returns {Object} {xIn, yIn, widthIn, heightIn} bounding box
  */
-function getBoundingBox(xIn, yIn, designWidthIn, designHeightIn, rotationDeg, deadspaceIn) {
-  if (rotationDeg === 90) {
-    // For rotated graphics, the bounding box dimensions are swapped
-    // The graphic's width becomes the bounding box height, and vice versa
-    const boxWidth = designHeightIn + (deadspaceIn * 2);
-    const boxHeight = designWidthIn + (deadspaceIn * 2);
-    
-    // For 90-degree rotation, we need to calculate where the bounding box top-left is
-    // The graphic position (xIn, yIn) is the top-left of the graphic in its original orientation
-    // After rotation, the graphic occupies a different space
-    // The bounding box should fully contain the rotated graphic + deadspace
-    
-    // When rotated 90 degrees clockwise:
-    // - Original top-left becomes the top-right of the rotated graphic
-    // - The bounding box top-left is: (xIn - designHeightIn, yIn)
-    //   But we need to account for deadspace, so: (xIn - designHeightIn - deadspaceIn, yIn - deadspaceIn)
-    
-    // Actually, let's think about this more carefully:
-    // If we rotate a graphic 90 degrees clockwise around its center:
-    // - The graphic's top-left (xIn, yIn) in original orientation
-    // - After rotation, the graphic's new top-left would be at (xIn - designHeightIn, yIn)
-    // - But we want the bounding box that contains the rotated graphic + deadspace
-    
-    // Simpler approach: calculate from the graphic's center
-    const graphicCenterX = xIn + designWidthIn / 2;
-    const graphicCenterY = yIn + designHeightIn / 2;
-    
-    // After 90-degree rotation, the bounding box center is the same as graphic center
-    // The bounding box dimensions are swapped
-    const boxX = graphicCenterX - boxWidth / 2;
-    const boxY = graphicCenterY - boxHeight / 2;
-    
-    return { xIn: boxX, yIn: boxY, widthIn: boxWidth, heightIn: boxHeight };
+export function getBoundingBox(xIn, yIn, designWidthIn, designHeightIn, rotationDeg, deadspaceIn) {
+  const box = getOrientedBox(xIn, yIn, designWidthIn, designHeightIn, rotationDeg, deadspaceIn);
+  const { ux, uy, vx, vy } = getBoxAxes(box);
+
+  // Half extents of the rotated box along the sheet axes
+  const halfW = box.halfWidthIn * Math.abs(ux) + box.halfHeightIn * Math.abs(vx);
+  const halfH = box.halfWidthIn * Math.abs(uy) + box.halfHeightIn * Math.abs(vy);
+
+  return {
+    xIn: box.centerXIn - halfW,
+    yIn: box.centerYIn - halfH,
+    widthIn: halfW * 2,
+    heightIn: halfH * 2,
+  };
+}
+
+/**
+ * Check if an instance can sit at its position: its rotated deadspace box must
+ * stay on the sheet and must not overlap any other instance's rotated box.
+ * Designs with an alpha outline are checked by shape instead, so transparent
+ * corners can tuck into each other as long as the inked areas keep their deadspace.
+ * @param {Object} instance - {designId, xIn, yIn, widthIn, heightIn, rotationDeg}
+ * @param {number} sheetWidthIn - Sheet width
+ * @param {number} sheetHeightIn - Sheet height
+ * @param {Array} otherInstances - Instances to check against (excluding this one)
+ * @param {Object} [outlines={}] - Normalized design outlines keyed by design ID
+ * @returns {boolean} True if the placement is valid
+ */
+export function canPlaceInstance(instance, sheetWidthIn, sheetHeightIn, otherInstances, outlines = {}) {
+  const epsilon = 0.001;
+  const rotationDeg = instance.rotationDeg || 0;
+  const outline = outlines[instance.designId];
+  const placeOutline = (inst, shape) =>
+    transformOutline(shape || RECT_OUTLINE, inst.xIn, inst.yIn, inst.widthIn, inst.heightIn, inst.rotationDeg || 0);
+
+  let shape = null;
+  if (outline) {
+    // The outline offset by deadspace has to stay on the sheet
+    shape = placeOutline(instance, outline);
+    const ext = getOutlineExtents(shape);
+    if (
+      ext.minX - DEADSPACE_IN < -epsilon ||
+      ext.minY - DEADSPACE_IN < -epsilon ||
+      ext.maxX + DEADSPACE_IN > sheetWidthIn + epsilon ||
+      ext.maxY + DEADSPACE_IN > sheetHeightIn + epsilon
+    ) {
+      return false;
+    }
   } else {
-    // Non-rotated: bounding box is graphic + deadspace on all sides
-    return {
-      xIn: xIn - deadspaceIn,
-      yIn: yIn - deadspaceIn,
-      widthIn: designWidthIn + (deadspaceIn * 2),
-      heightIn: designHeightIn + (deadspaceIn * 2),
-    };
+    const bounds = getBoundingBox(instance.xIn, instance.yIn, instance.widthIn, instance.heightIn, rotationDeg, DEADSPACE_IN);
+    if (!isWithinBounds(bounds.xIn, bounds.yIn, bounds.widthIn, bounds.heightIn, sheetWidthIn, sheetHeightIn)) {
+      return false;
+    }
+  }
+
+  const box = getOrientedBox(instance.xIn, instance.yIn, instance.widthIn, instance.heightIn, rotationDeg, DEADSPACE_IN);
+  for (const other of otherInstances) {
+    const otherBox = getOrientedBox(other.xIn, other.yIn, other.widthIn, other.heightIn, other.rotationDeg || 0, DEADSPACE_IN);
+    if (!orientedBoxesOverlap(box, otherBox)) continue;
+
+    const otherOutline = outlines[other.designId];
+    if (!outline && !otherOutline) return false;
+
+    // Boxes overlap - only a collision if the shapes themselves come within two deadspaces
+    shape = shape || placeOutline(instance, null);
+    if (outlinesWithinGap(shape, placeOutline(other, otherOutline), DEADSPACE_IN * 2)) {
+      return false;
+    }
   }
+  return true;
 }
 
 /**
@@ -174,7 +319,17 @@ function isValidPosition(xIn, yIn, designWidthIn, designHeightIn, rotationDeg, d
  * @param {Array} [params.existingOccupiedAreas=[]] - Array of {xIn, yIn, widthIn, heightIn} for existing instances
  * @returns {Object} Object with positions array and maxInstances count
  */
-export function autoPackDesign({
+export function autoPackDesign(params) {
+  return runSteps(autoPackDesignSteps(params));
+}
+
+/**
+ * autoPackDesign as a generator that pauses between phases (and gap-filling rows),
+ * so a packing job can yield to the event loop and stop if it's cancelled
+ * @param {Object} params - See autoPackDesign
+ * @returns {Generator<undefined, Object>} Returns the autoPackDesign result
+ */
+export function* autoPackDesignSteps({
   sheetWidthIn,
   sheetHeightIn,
   designWidthIn,
@@ -187,7 +342,7 @@ export function autoPackDesign({
   if (quantity <= 0) return { positions: [], maxInstances: 0, rotated: false };
 
   // 4mm deadspace (0.157 inches) on all sides
-  const deadspaceIn = 0.157;
+  const deadspaceIn = DEADSPACE_IN;
   
   // Effective size includes deadspace (deadspace on both sides = 2x)
   const effectiveWidth = designWidthIn + (deadspaceIn * 2);
@@ -234,6 +389,7 @@ export function autoPackDesign({
   }
   
   const maxInstances = maxFitCount;
+  yield;
   
   // Phase 2: Try rotated orientation if requested - use intelligent gap-filling
   let rotatedMaxInstances = 0;
@@ -278,6 +434,7 @@ export function autoPackDesign({
       }
       if (!isMaxCalculation && placedCount >= quantity) break;
     }
+    yield;
     
     // Phase 2b: Intelligent gap-filling - try to place in remaining spaces
     // Use a finer grid to find gaps between existing placements, but be smart about it
@@ -314,6 +471,7 @@ export function autoPackDesign({
           }
         }
         if (!isMaxCalculation && placedCount >= quantity) break;
+        yield;
       }
     }
     
@@ -325,6 +483,19 @@ export function autoPackDesign({
   return { positions, maxInstances: totalMaxInstances, rotated: positions.some(p => p.rotated === 90) };
 }
 
+/**
+ * Run a step generator (such as autoPackDesignSteps) straight through
+ * @param {Generator} steps
+ * @returns {*} The generator's return value
+ */
+export function runSteps(steps) {
+  let step = steps.next();
+  while (!step.done) {
+    step = steps.next();
+  }
+  return step.value;
+}
+
 /**
  * Snap a value to a grid increment
  * @param {number} value - Value to snap
@@ -335,3 +506,113 @@ export function snapToGrid(value, increment) {
   if (increment <= 0) return value;
   return Math.round(value / increment) * increment;
 }
+
+/**
+ * @typedef {Object} SmartGuide
+ * @property {string} axis - "x" for a vertical line (matched x position), "y" for a horizontal one
+ * @property {string} kind - "align" (edges or centers line up), "sheet" (sheet edge or center) or
+ *   "gap" (boxes abut, so the graphics are exactly the required deadspace apart)
+ * @property {number} posIn - Where the line sits on its axis
+ * @property {number} startIn - Start of the line along the other axis
+ * @property {number} endIn - End of the line along the other axis
+ */
+
+/**
+ * Snap a moving deadspace box to its neighbours and the sheet
+ * Edges and centers line up with other boxes' edges and centers and with the
+ * sheet's center; abutting a neighbour leaves exactly the deadspace gap between
+ * the graphics. Each axis takes its nearest match within the threshold.
+ * @param {Object} movingBox - {xIn, yIn, widthIn, heightIn} deadspace bounding box being dragged
+ * @param {Array} otherBoxes - {xIn, yIn, widthIn, heightIn} deadspace bounding boxes of everything else
+ * @param {number} sheetWidthIn - Sheet width
+ * @param {number} sheetHeightIn - Sheet height
+ * @param {number} thresholdIn - How close a line has to be to snap
+ * @returns {Object} {dxIn, dyIn, guides: SmartGuide[]} - dx/dy are null for an axis that didn't snap
+ */
+export function getSmartGuideSnap(movingBox, otherBoxes, sheetWidthIn, sheetHeightIn, thresholdIn) {
+  const dxIn = findGuideDelta("x", movingBox, otherBoxes, sheetWidthIn, thresholdIn);
+  const dyIn = findGuideDelta("y", movingBox, otherBoxes, sheetHeightIn, thresholdIn);
+  const snapped = { ...movingBox, xIn: movingBox.xIn + (dxIn || 0), yIn: movingBox.yIn + (dyIn || 0) };
+  const guides = [
+    ...(dxIn === null ? [] : collectGuides("x", snapped, otherBoxes, sheetWidthIn, sheetHeightIn)),
+    ...(dyIn === null ? [] : collectGuides("y", snapped, otherBoxes, sheetHeightIn, sheetWidthIn)),
+  ];
+  return { dxIn, dyIn, guides };
+}
+
+/**
+ * Start, center and end of a box along one axis
+ */
+function getBoxLines(box, axis) {
+  const start = axis === "x" ? box.xIn : box.yIn;
+  const size = axis === "x" ? box.widthIn : box.heightIn;
+  return [start, start + size / 2, start + size];
+}
+
+/**
+ * Smallest shift along an axis that lines the moving box up with something
+ * @returns {number|null}
+ */
+function findGuideDelta(axis, movingBox, otherBoxes, sheetSizeIn, thresholdIn) {
+  const moving = getBoxLines(movingBox, axis);
+  let best = null;
+  const consider = (target, line) => {
+    const delta = target - line;
+    if (Math.abs(delta) <= thresholdIn && (best === null || Math.abs(delta) < Math.abs(best))) best = delta;
+  };
+
+  otherBoxes.forEach((box) => {
+    getBoxLines(box, axis).forEach((target) => moving.forEach((line) => consider(target, line)));
+  });
+  consider(sheetSizeIn / 2, moving[1]);
+  return best;
+}
+
+/**
+ * Every line the snapped box now matches along an axis
+ * @returns {SmartGuide[]}
+ */
+function collectGuides(axis, box, otherBoxes, sheetSizeIn, sheetCrossSizeIn) {
+  const epsilon = 0.0001;
+  const cross = axis === "x" ? "y" : "x";
+  const moving = getBoxLines(box, axis);
+  const movingCross = getBoxLines(box, cross);
+  const guides = [];
+
+  otherBoxes.forEach((other) => {
+    const lines = getBoxLines(other, axis);
+    const otherCross = getBoxLines(other, cross);
+    const overlapStart = Math.max(movingCross[0], otherCross[0]);
+    const overlapEnd = Math.min(movingCross[2], otherCross[2]);
+
+    // Abutting side by side: mark the gap between the graphics rather than a line
+    const abuts = Math.abs(moving[0] - lines[2]) < epsilon || Math.abs(moving[2] - lines[0]) < epsilon;
+    if (abuts && overlapEnd > overlapStart) {
+      const posIn = Math.abs(moving[0] - lines[2]) < epsilon ? moving[0] : moving[2];
+      guides.push({
+        axis: cross,
+        kind: "gap",
+        posIn: (overlapStart + overlapEnd) / 2,
+        startIn: posIn - DEADSPACE_IN,
+        endIn: posIn + DEADSPACE_IN,
+      });
+      return;
+    }
+
+    lines.forEach((target) => {
+      if (!moving.some((line) => Math.abs(line - target) < epsilon)) return;
+      guides.push({
+        axis,
+        kind: "align",
+        posIn: target,
+        startIn: Math.min(movingCross[0], otherCross[0]),
+        endIn: Math.max(movingCross[2], otherCross[2]),
+      });
+    });
+  });
+
+  if (Math.abs(moving[1] - sheetSizeIn / 2) < epsilon) {
+    guides.push({ axis, kind: "sheet", posIn: sheetSizeIn / 2, startIn: 0, endIn: sheetCrossSizeIn });
+  }
+  return guides;
+}
@@ -0,0 +1,332 @@
+/**
+ * Gang Builder Shape Nesting
+ *
+ * Packs designs by their alpha outlines instead of their rectangles, so
+ * irregular transparent artwork can tuck into the empty corners of its
+ * neighbours. The sheet is rasterised onto a fine grid and each copy is
+ * dropped at the first free spot from the top (bottom-left fill).
+ */
+
+import { DEADSPACE_IN, normalizeRotation } from "./layout.js";
+import { RECT_OUTLINE, transformOutline, getOutlineExtents, isPointInPolygon } from "./silhouette.js";
+
+/**
+ * Default grid cell size in inches
+ */
+const DEFAULT_CELL_IN = 0.1;
+
+/**
+ * Rasterise placed polygons onto a grid of cells, marking every cell the shape touches
+ * @param {Array} polygons - Polygons in inches, relative to the raster origin
+ * @param {number} cols
+ * @param {number} rows
+ * @param {number} cellIn
+ * @returns {Uint8Array}
+ */
+function rasterise(polygons, cols, rows, cellIn) {
+  const cells = new Uint8Array(cols * rows);
+  const mark = (x, y) => {
+    const cx = Math.min(cols - 1, Math.max(0, Math.floor(x / cellIn)));
+    const cy = Math.min(rows - 1, Math.max(0, Math.floor(y / cellIn)));
+    cells[cy * cols + cx] = 1;
+  };
+
+  // Cells crossed by an edge
+  const step = cellIn / 4;
+  for (const ring of polygons) {
+    for (let i = 0; i < ring.length; i++) {
+      const [x1, y1] = ring[i];
+      const [x2, y2] = ring[(i + 1) % ring.length];
+      const samples = Math.max(1, Math.ceil(Math.hypot(x2 - x1, y2 - y1) / step));
+      for (let s = 0; s <= samples; s++) {
+        mark(x1 + ((x2 - x1) * s) / samples, y1 + ((y2 - y1) * s) / samples);
+      }
+    }
+  }
+
+  // Cells inside the shape
+  for (let cy = 0; cy < rows; cy++) {
+    for (let cx = 0; cx < cols; cx++) {
+      const x = (cx + 0.5) * cellIn;
+      const y = (cy + 0.5) * cellIn;
+      if (polygons.some((ring) => isPointInPolygon(x, y, ring))) {
+        cells[cy * cols + cx] = 1;
+      }
+    }
+  }
+  return cells;
+}
+
+/**
+ * Turn a cell mask into horizontal runs per row
+ * @returns {Array<Array<Array<number>>>} For each row, a list of [startCol, endCol] (inclusive)
+ */
+function toSpans(cells, cols, rows) {
+  const spans = [];
+  for (let y = 0; y < rows; y++) {
+    const rowSpans = [];
+    let start = -1;
+    for (let x = 0; x <= cols; x++) {
+      const on = x < cols && cells[y * cols + x] === 1;
+      if (on && start < 0) start = x;
+      if (!on && start >= 0) {
+        rowSpans.push([start, x - 1]);
+        start = -1;
+      }
+    }
+    spans.push(rowSpans);
+  }
+  return spans;
+}
+
+/**
+ * Build the raster footprint of a design in one orientation
+ * The raw mask is what the copy occupies; the clearance mask is the raw mask
+ * grown by the required gap and is what must be free before placing a copy.
+ * @returns {Object} Shape footprint
+ */
+function buildShape(item, rotationDeg, gapIn, cellIn) {
+  const placed = transformOutline(item.outline || RECT_OUTLINE, 0, 0, item.widthIn, item.heightIn, rotationDeg);
+  const ext = getOutlineExtents(placed);
+  const polygons = placed.map((ring) => ring.map(([x, y]) => [x - ext.minX, y - ext.minY]));
+  const widthIn = ext.maxX - ext.minX;
+  const heightIn = ext.maxY - ext.minY;
+  const cols = Math.max(1, Math.ceil(widthIn / cellIn - 1e-9));
+  const rows = Math.max(1, Math.ceil(heightIn / cellIn - 1e-9));
+  const raw = rasterise(polygons, cols, rows, cellIn);
+
+  // Any point in a cell is within half a cell diagonal of its center, so the
+  // clearance radius is padded by a full diagonal to guarantee the gap
+  const radius = Math.ceil(gapIn / cellIn + Math.SQRT2);
+  const clearCols = cols + radius * 2;
+  const clearRows = rows + radius * 2;
+  const clear = new Uint8Array(clearCols * clearRows);
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      if (!raw[y * cols + x]) continue;
+      for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          if (dx * dx + dy * dy <= radius * radius) {
+            clear[(y + dy + radius) * clearCols + (x + dx + radius)] = 1;
+          }
+        }
+      }
+    }
+  }
+
+  return {
+    rotationDeg,
+    offsetXIn: -ext.minX,
+    offsetYIn: -ext.minY,
+    widthIn,
+    heightIn,
+    cols,
+    rows,
+    rawSpans: toSpans(raw, cols, rows),
+    clearSpans: toSpans(clear, clearCols, clearRows),
+    radius,
+  };
+}
+
+/**
+ * Sheet occupancy grid with per-row prefix sums for fast span queries
+ */
+function createGrid(cols, rows) {
+  const cells = new Uint8Array(cols * rows);
+  const prefix = new Int32Array((cols + 1) * rows);
+
+  function refreshRow(y) {
+    const base = y * (cols + 1);
+    for (let x = 0; x < cols; x++) {
+      prefix[base + x + 1] = prefix[base + x] + cells[y * cols + x];
+    }
+  }
+
+  return {
+    cols,
+    rows,
+    // Number of occupied cells in row y between columns x0 and x1 (inclusive, clipped)
+    count(y, x0, x1) {
+      if (y < 0 || y >= rows) return 0;
+      const from = Math.max(0, x0);
+      const to = Math.min(cols - 1, x1);
+      if (from > to) return 0;
+      const base = y * (cols + 1);
+      return prefix[base + to + 1] - prefix[base + from];
+    },
+    // Rightmost occupied column in row y between x0 and x1, or -1
+    lastOccupied(y, x0, x1) {
+      for (let x = Math.min(cols - 1, x1); x >= Math.max(0, x0); x--) {
+        if (cells[y * cols + x]) return x;
+      }
+      return -1;
+    },
+    fill(spans, gx, gy) {
+      spans.forEach((rowSpans, r) => {
+        const y = gy + r;
+        if (y < 0 || y >= rows || rowSpans.length === 0) return;
+        for (const [s0, s1] of rowSpans) {
+          for (let x = Math.max(0, gx + s0); x <= Math.min(cols - 1, gx + s1); x++) {
+            cells[y * cols + x] = 1;
+          }
+        }
+        refreshRow(y);
+      });
+    },
+  };
+}
+
+/**
+ * Find the first free grid position for a shape, scanning rows top to bottom
+ * @param {Object} grid
+ * @param {Object} shape
+ * @param {Object} range - {gxMin, gxMax, gyMin, gyMax}
+ * @param {number} startIndex - Scan position to resume from (positions before it are known blocked)
+ * @returns {Object|null} {gx, gy, index}
+ */
+function findFirstFit(grid, shape, range, startIndex) {
+  const { gxMin, gxMax, gyMin, gyMax } = range;
+  const width = gxMax - gxMin + 1;
+  if (width <= 0 || gyMax < gyMin) return null;
+
+  let index = startIndex;
+  while (true) {
+    const gy = gyMin + Math.floor(index / width);
+    if (gy > gyMax) return null;
+    let gx = gxMin + (index % width);
+
+    // Check the clearance mask row by row; on a hit, jump past the blocking cell
+    let blockedUntil = -1;
+    for (let r = 0; r < shape.clearSpans.length && blockedUntil < 0; r++) {
+      const y = gy - shape.radius + r;
+      for (const [s0, s1] of shape.clearSpans[r]) {
+        const x0 = gx - shape.radius + s0;
+        const x1 = gx - shape.radius + s1;
+        if (grid.count(y, x0, x1) > 0) {
+          const last = grid.lastOccupied(y, x0, x1);
+          blockedUntil = gx + (last - x0) + 1;
+          break;
+        }
+      }
+    }
+
+    if (blockedUntil < 0) {
+      return { gx, gy, index: (gy - gyMin) * width + (gx - gxMin) };
+    }
+    gx = blockedUntil;
+    index = gx > gxMax ? (gy - gyMin + 1) * width : (gy - gyMin) * width + (gx - gxMin);
+  }
+}
+
+/**
+ * Nest designs onto a sheet by their outlines.
+ * Designs without an outline are nested as plain rectangles.
+ *
+ * @param {Object} params
+ * @param {number} params.sheetWidthIn - Sheet width in inches
+ * @param {number} params.sheetHeightIn - Sheet height in inches
+ * @param {PackItem[]} params.items - Designs and quantities to pack (with optional outline)
+ * @param {number} [params.paddingIn=0.125] - Padding between instances in inches
+ * @param {boolean} [params.allowRotation=true] - Whether copies may be turned in 90 degree steps
+ * @param {Array} [params.existingOccupiedAreas=[]] - Deadspace boxes {xIn, yIn, widthIn, heightIn} to pack around
+ * @param {number} [params.cellIn=0.1] - Grid resolution in inches
+ * @returns {Object} {placements, unplaced, placedCount, requestedCount, usagePct, usedHeightIn}
+ */
+export function nestDesigns({
+  sheetWidthIn,
+  sheetHeightIn,
+  items,
+  paddingIn = 0.125,
+  allowRotation = true,
+  existingOccupiedAreas = [],
+  cellIn = DEFAULT_CELL_IN,
+}) {
+  const deadspaceIn = DEADSPACE_IN;
+  const gapIn = deadspaceIn * 2 + paddingIn;
+  const grid = createGrid(Math.ceil(sheetWidthIn / cellIn), Math.ceil(sheetHeightIn / cellIn));
+
+  // Existing deadspace boxes are occupied by their inner graphic area
+  for (const area of existingOccupiedAreas) {
+    const x0 = Math.floor((area.xIn + deadspaceIn) / cellIn);
+    const y0 = Math.floor((area.yIn + deadspaceIn) / cellIn);
+    const x1 = Math.ceil((area.xIn + area.widthIn - deadspaceIn) / cellIn) - 1;
+    const y1 = Math.ceil((area.yIn + area.heightIn - deadspaceIn) / cellIn) - 1;
+    const spans = [];
+    for (let y = y0; y <= y1; y++) spans.push([[0, x1 - x0]]);
+    grid.fill(spans, x0, y0);
+  }
+
+  const validItems = (items || []).filter(
+    (item) => Math.floor(item.quantity || 0) > 0 && item.widthIn > 0 && item.heightIn > 0
+  );
+  const requestedCount = validItems.reduce((sum, item) => sum + Math.floor(item.quantity), 0);
+
+  // Largest designs first - small pieces fill the gaps they leave
+  const ordered = [...validItems].sort((a, b) => b.widthIn * b.heightIn - a.widthIn * a.heightIn);
+
+  const placements = [];
+  const unplaced = [];
+  let usedHeightIn = 0;
+  let usedAreaIn = 0;
+
+  for (const item of ordered) {
+    const base = normalizeRotation(item.rotationDeg);
+    const turns = !allowRotation ? [0] : item.outline ? [0, 90, 180, 270] : [0, 90];
+    const shapes = turns.map((turn) => {
+      const shape = buildShape(item, normalizeRotation(base + turn), gapIn, cellIn);
+      // Keep the shape's ink at least one deadspace inside the sheet edges
+      const range = {
+        gxMin: Math.ceil(deadspaceIn / cellIn),
+        gyMin: Math.ceil(deadspaceIn / cellIn),
+        gxMax: Math.floor((sheetWidthIn - deadspaceIn - shape.widthIn) / cellIn),
+        gyMax: Math.floor((sheetHeightIn - deadspaceIn - shape.heightIn) / cellIn),
+      };
+      return { shape, range, nextIndex: 0 };
+    });
+
+    const quantity = Math.floor(item.quantity);
+    let placed = 0;
+    for (; placed < quantity; placed++) {
+      // Try every orientation; keep the one whose bottom edge ends highest up the sheet
+      let best = null;
+      for (const option of shapes) {
+        if (option.nextIndex === Infinity) continue;
+        const fit = findFirstFit(grid, option.shape, option.range, option.nextIndex);
+        option.nextIndex = fit ? fit.index : Infinity;
+        if (!fit) continue;
+        const bottom = fit.gy * cellIn + option.shape.heightIn;
+        if (!best || bottom < best.bottom - 1e-9 || (Math.abs(bottom - best.bottom) <= 1e-9 && fit.gx < best.fit.gx)) {
+          best = { option, fit, bottom };
+        }
+      }
+      if (!best) break;
+
+      const { shape } = best.option;
+      grid.fill(shape.rawSpans, best.fit.gx, best.fit.gy);
+      placements.push({
+        designId: item.designId,
+        xIn: best.fit.gx * cellIn + shape.offsetXIn,
+        yIn: best.fit.gy * cellIn + shape.offsetYIn,
+        rotated: shape.rotationDeg,
+      });
+      usedHeightIn = Math.max(usedHeightIn, best.bottom + deadspaceIn);
+      usedAreaIn += (item.widthIn + deadspaceIn * 2) * (item.heightIn + deadspaceIn * 2);
+    }
+
+    if (placed < quantity) {
+      unplaced.push({ designId: item.designId, quantity: quantity - placed });
+    }
+  }
+
+  const sheetAreaIn = sheetWidthIn * sheetHeightIn;
+  const usagePct = sheetAreaIn > 0 ? Math.min(100, (usedAreaIn / sheetAreaIn) * 100) : 0;
+
+  return {
+    placements,
+    unplaced,
+    placedCount: placements.length,
+    requestedCount,
+    usagePct,
+    usedHeightIn,
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * Gang Builder Packing Client
+ *
+ * Main-thread side of the packing worker. Starts jobs, forwards progress,
+ * and cancels jobs that are no longer wanted. Falls back to running jobs on
+ * the main thread when module workers aren't available.
+ */
+
+import { runPackJob, CANCELLED } from "./pack-jobs.js";
+
+/**
+ * @typedef {Object} PackJob
+ * @property {Promise<*>} promise - Resolves with the job result, or null if the job was cancelled
+ * @property {Function} cancel - Stop the job; its promise resolves with null
+ */
+
+let worker = null;
+let workerFailed = false;
+let nextJobId = 1;
+
+// Jobs sent to the worker and still waiting for a result, keyed by job ID
+const pending = new Map();
+
+/**
+ * Get the shared worker, creating it on first use
+ * @returns {Worker|null} null when workers are unavailable
+ */
+function getWorker() {
+  if (worker || workerFailed) return worker;
+  if (typeof Worker === "undefined") {
+    workerFailed = true;
+    return null;
+  }
+
+  try {
+    worker = new Worker(new URL("./pack-worker.js", import.meta.url), { type: "module" });
+  } catch (error) {
+    console.warn("Packing worker unavailable, packing on the main thread:", error);
+    workerFailed = true;
+    return null;
+  }
+
+  worker.addEventListener("message", (event) => {
+    const { type, jobId, progress, result, message } = event.data || {};
+    const job = pending.get(jobId);
+    if (!job) return;
+
+    if (type === "progress") {
+      job.onProgress(progress);
+    } else if (type === "result") {
+      pending.delete(jobId);
+      job.resolve(result);
+    } else if (type === "error") {
+      pending.delete(jobId);
+      job.reject(new Error(message));
+    }
+  });
+
+  // A worker that fails to load (e.g. no module worker support) hands its jobs to the main thread
+  worker.addEventListener("error", (event) => {
+    console.warn("Packing worker failed, packing on the main thread:", event.message);
+    worker.terminate();
+    worker = null;
+    workerFailed = true;
+    const jobs = Array.from(pending.values());
+    pending.clear();
+    jobs.forEach((job) => runOnMainThread(job));
+  });
+
+  return worker;
+}
+
+/**
+ * Run a job on the main thread (fallback)
+ */
+function runOnMainThread(job) {
+  runPackJob(job.op, job.params, {
+    onProgress: job.onProgress,
+    isCancelled: () => job.cancelled,
+  }).then(job.resolve, (error) => {
+    if (error === CANCELLED) {
+      job.resolve(null);
+    } else {
+      job.reject(error);
+    }
+  });
+}
+
+/**
+ * Start a packing job in the worker
+ * @param {string} op - Operation name (see pack-jobs.js)
+ * @param {Object} params - Operation parameters (must be structured-cloneable)
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with progress from 0 to 1
+ * @returns {PackJob}
+ */
+export function startPackJob(op, params, { onProgress = () => {} } = {}) {
+  const jobId = nextJobId++;
+  const job = { jobId, op, params, cancelled: false };
+
+  job.promise = new Promise((resolve, reject) => {
+    job.resolve = resolve;
+    job.reject = reject;
+  });
+  job.onProgress = (progress) => {
+    if (!job.cancelled) onProgress(progress);
+  };
+
+  const activeWorker = getWorker();
+  if (activeWorker) {
+    pending.set(jobId, job);
+    activeWorker.postMessage({ type: "run", jobId, op, params });
+  } else {
+    runOnMainThread(job);
+  }
+
+  return {
+    promise: job.promise,
+    cancel() {
+      if (job.cancelled) return;
+      job.cancelled = true;
+      if (pending.has(jobId)) {
+        pending.delete(jobId);
+        worker?.postMessage({ type: "cancel", jobId });
+        job.resolve(null);
+      }
+    },
+  };
+}
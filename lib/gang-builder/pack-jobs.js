@@ -0,0 +1,164 @@
+/**
+ * Gang Builder Packing Jobs
+ *
+ * The packing operations that run off the main thread. Both the Web Worker
+ * (pack-worker.js) and the main-thread fallback in pack-client.js run jobs
+ * through runPackJob, so results are identical either way.
+ */
+
+import { autoPackDesignSteps } from "./layout.js";
+import { packDesignsSteps } from "./packer.js";
+import { recommendSheetsSteps } from "./recommender.js";
+
+/**
+ * How long a step generator runs before yielding to the event loop
+ */
+const STEP_SLICE_MS = 30;
+
+/**
+ * Let queued messages (such as a cancel request) run between job steps
+ */
+function yieldToEventLoop() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+/**
+ * Run a step generator (see packer.js packDesignsSteps), yielding to the event
+ * loop every STEP_SLICE_MS so a cancel request is seen between passes
+ * @param {Generator} steps
+ * @param {Function} checkCancelled - Throws CANCELLED once the job should stop
+ * @returns {Promise<*>} The generator's return value
+ */
+async function runStepsAsync(steps, checkCancelled) {
+  let sliceStart = Date.now();
+  let step = steps.next();
+  while (!step.done) {
+    if (Date.now() - sliceStart >= STEP_SLICE_MS) {
+      await yieldToEventLoop();
+      checkCancelled();
+      sliceStart = Date.now();
+    }
+    step = steps.next();
+  }
+  return step.value;
+}
+
+/**
+ * Thrown inside a job when it has been cancelled; never reaches callers
+ */
+export const CANCELLED = Symbol("cancelled");
+
+/**
+ * Job implementations keyed by operation name.
+ * Each receives its params and a context {onProgress, checkCancelled}.
+ */
+const JOBS = {
+  /**
+   * Single-design grid pack (see layout.js autoPackDesign)
+   */
+  autoPackDesign: (params, { checkCancelled }) => runStepsAsync(autoPackDesignSteps(params), checkCancelled),
+
+  /**
+   * Multi-design MaxRects / shape pack (see packer.js packDesigns)
+   */
+  packDesigns: (params, { checkCancelled }) => runStepsAsync(packDesignsSteps(params), checkCancelled),
+
+  /**
+   * Cheapest sheet options (see recommender.js)
+   */
+  recommendSheets: ({ items, options }, { checkCancelled }) =>
+    runStepsAsync(recommendSheetsSteps(items, options), checkCancelled),
+
+  /**
+   * How many copies of each design still fit around everything else on the sheet
+   * @param {Object} params
+   * @param {number} params.sheetWidthIn
+   * @param {number} params.sheetHeightIn
+   * @param {Array} params.designs - Array of {designId, widthIn, heightIn, occupiedAreas}
+   * @returns {Object<string, number>} Max instances keyed by design ID
+   */
+  maxInstances: async ({ sheetWidthIn, sheetHeightIn, designs }, { onProgress, checkCancelled }) => {
+    const maxByDesign = {};
+    for (let i = 0; i < designs.length; i++) {
+      await yieldToEventLoop();
+      checkCancelled();
+      const design = designs[i];
+      const result = await runStepsAsync(autoPackDesignSteps({
+        sheetWidthIn,
+        sheetHeightIn,
+        designWidthIn: design.widthIn,
+        designHeightIn: design.heightIn,
+        quantity: 10000, // Use very large number to get actual max
+        tryRotated: true,
+        existingOccupiedAreas: design.occupiedAreas,
+      }), checkCancelled);
+      maxByDesign[design.designId] = result.maxInstances;
+      onProgress((i + 1) / designs.length);
+    }
+    return maxByDesign;
+  },
+
+  /**
+   * Pack every design onto as many sheets of one size as it takes
+   * @param {Object} params
+   * @param {number} params.sheetWidthIn
+   * @param {number} params.sheetHeightIn
+   * @param {Array} params.items - Packer items
+   * @returns {Object} {sheets: Array of placement lists, placedCount, requestedCount, usagePct}
+   */
+  packOverflow: async ({ sheetWidthIn, sheetHeightIn, items }, { onProgress, checkCancelled }) => {
+    const sizes = new Map(items.map((item) => [item.designId, item]));
+    const first = await runStepsAsync(packDesignsSteps({ sheetWidthIn, sheetHeightIn, items }), checkCancelled);
+    const sheets = [first.placements];
+    let placedCount = first.placedCount;
+    onProgress(first.requestedCount > 0 ? placedCount / first.requestedCount : 1);
+
+    // Keep opening new sheets until everything is placed or nothing more fits
+    let unplaced = first.unplaced;
+    while (unplaced.length > 0) {
+      await yieldToEventLoop();
+      checkCancelled();
+      const overflow = await runStepsAsync(packDesignsSteps({
+        sheetWidthIn,
+        sheetHeightIn,
+        items: unplaced.map((entry) => ({ ...sizes.get(entry.designId), quantity: entry.quantity })),
+      }), checkCancelled);
+      if (overflow.placedCount === 0) break;
+      sheets.push(overflow.placements);
+      placedCount += overflow.placedCount;
+      unplaced = overflow.unplaced;
+      onProgress(placedCount / first.requestedCount);
+    }
+
+    return {
+      sheets,
+      placedCount,
+      requestedCount: first.requestedCount,
+      usagePct: first.usagePct,
+    };
+  },
+};
+
+/**
+ * Run a packing job
+ * @param {string} op - Operation name (autoPackDesign, packDesigns, recommendSheets, maxInstances, packOverflow)
+ * @param {Object} params - Operation parameters (must be structured-cloneable)
+ * @param {Object} [context]
+ * @param {Function} [context.onProgress] - Called with progress from 0 to 1
+ * @param {Function} [context.isCancelled] - Returns true once the job should stop
+ * @returns {Promise<*>} Job result; rejects with CANCELLED when stopped early
+ */
+export async function runPackJob(op, params, { onProgress = () => {}, isCancelled = () => false } = {}) {
+  const job = JOBS[op];
+  if (!job) {
+    throw new Error(`Unknown packing job: ${op}`);
+  }
+  const checkCancelled = () => {
+    if (isCancelled()) throw CANCELLED;
+  };
+  checkCancelled();
+  const result = await job(params, { onProgress, checkCancelled });
+  checkCancelled();
+  onProgress(1);
+  return result;
+}
@@ -0,0 +1,46 @@
+/**
+ * Gang Builder Packing Worker
+ *
+ * Runs packing jobs off the main thread. Loaded as a module worker by pack-client.js.
+ *
+ * Messages in:
+ *   {type: "run", jobId, op, params} - start a job (see pack-jobs.js for ops)
+ *   {type: "cancel", jobId}          - stop a running job at its next step; no result is sent
+ *
+ * Messages out:
+ *   {type: "progress", jobId, progress} - progress from 0 to 1
+ *   {type: "result", jobId, result}     - job finished
+ *   {type: "error", jobId, message}     - job failed
+ */
+
+import { runPackJob, CANCELLED } from "./pack-jobs.js";
+
+const runningJobs = new Set();
+const cancelledJobs = new Set();
+
+self.addEventListener("message", async (event) => {
+  const { type, jobId, op, params } = event.data || {};
+
+  if (type === "cancel") {
+    // A job that already finished has nothing to stop
+    if (runningJobs.has(jobId)) cancelledJobs.add(jobId);
+    return;
+  }
+  if (type !== "run") return;
+
+  runningJobs.add(jobId);
+  try {
+    const result = await runPackJob(op, params, {
+      onProgress: (progress) => self.postMessage({ type: "progress", jobId, progress }),
+      isCancelled: () => cancelledJobs.has(jobId),
+    });
+    self.postMessage({ type: "result", jobId, result });
+  } catch (error) {
+    if (error !== CANCELLED) {
+      self.postMessage({ type: "error", jobId, message: error?.message || String(error) });
+    }
+  } finally {
+    runningJobs.delete(jobId);
+    cancelledJobs.delete(jobId);
+  }
+});
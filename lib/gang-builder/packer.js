@@ -0,0 +1,400 @@
+/**
+ * Gang Builder Multi-Design Packer
+ *
+ * Packs every design and its requested quantity onto a sheet in one pass
+ * using the MaxRects bin-packing algorithm.
+ */
+
+import { DEADSPACE_IN, getBoundingBox, normalizeRotation, runSteps } from "./layout.js";
+import { nestDesigns } from "./nesting.js";
+
+/**
+ * @typedef {Object} PackItem
+ * @property {string} designId - Design file ID
+ * @property {number} widthIn - Design width in inches
+ * @property {number} heightIn - Design height in inches
+ * @property {number} quantity - Number of copies requested
+ * @property {number} [rotationDeg=0] - Base rotation in degrees; tilted designs are packed by the
+ *   upright bounding box of their rotated deadspace box
+ * @property {Array} [outline] - Normalized alpha outline (see silhouette.js); enables shape nesting
+ */
+
+/**
+ * @typedef {Object} Placement
+ * @property {string} designId - Design file ID
+ * @property {number} xIn - Graphic top-left X (in original orientation)
+ * @property {number} yIn - Graphic top-left Y (in original orientation)
+ * @property {number} rotated - Rotation in degrees (the item's base rotation, plus 90 if turned)
+ */
+
+/**
+ * Free-rectangle scoring heuristics tried on every pack.
+ * The best result across all of them is returned.
+ */
+const HEURISTICS = ["bottomLeft", "bestShortSideFit", "bestAreaFit"];
+
+/**
+ * Orderings applied to the expanded item list before packing
+ */
+const SORTS = {
+  area: (a, b) => b.w * b.h - a.w * a.h,
+  longSide: (a, b) => Math.max(b.w, b.h) - Math.max(a.w, a.h),
+  height: (a, b) => b.h - a.h,
+};
+
+const EPSILON = 0.0001;
+
+/**
+ * Score a candidate position. Lower is better; ties are broken by the second score.
+ * @param {string} heuristic
+ * @param {Object} free - Free rectangle {x, y, w, h}
+ * @param {number} w - Candidate width
+ * @param {number} h - Candidate height
+ * @returns {number[]} [primary, secondary]
+ */
+function scorePosition(heuristic, free, w, h) {
+  const leftoverX = free.w - w;
+  const leftoverY = free.h - h;
+  switch (heuristic) {
+    case "bestShortSideFit":
+      return [Math.min(leftoverX, leftoverY), Math.max(leftoverX, leftoverY)];
+    case "bestAreaFit":
+      return [free.w * free.h - w * h, Math.min(leftoverX, leftoverY)];
+    case "bottomLeft":
+    default:
+      // Sheets are filled top-down, so "bottom" is the smallest Y edge
+      return [free.y + h, free.x];
+  }
+}
+
+/**
+ * Split a free rectangle around a used rectangle
+ * @param {Object} free - Free rectangle
+ * @param {Object} used - Used rectangle
+ * @returns {Object[]|null} Replacement rectangles, or null if they don't intersect
+ */
+function splitFreeRect(free, used) {
+  if (
+    used.x >= free.x + free.w - EPSILON ||
+    used.x + used.w <= free.x + EPSILON ||
+    used.y >= free.y + free.h - EPSILON ||
+    used.y + used.h <= free.y + EPSILON
+  ) {
+    return null;
+  }
+
+  const result = [];
+  // Left of the used rectangle
+  if (used.x > free.x + EPSILON) {
+    result.push({ x: free.x, y: free.y, w: used.x - free.x, h: free.h });
+  }
+  // Right of the used rectangle
+  if (used.x + used.w < free.x + free.w - EPSILON) {
+    result.push({
+      x: used.x + used.w,
+      y: free.y,
+      w: free.x + free.w - (used.x + used.w),
+      h: free.h,
+    });
+  }
+  // Above the used rectangle
+  if (used.y > free.y + EPSILON) {
+    result.push({ x: free.x, y: free.y, w: free.w, h: used.y - free.y });
+  }
+  // Below the used rectangle
+  if (used.y + used.h < free.y + free.h - EPSILON) {
+    result.push({
+      x: free.x,
+      y: used.y + used.h,
+      w: free.w,
+      h: free.y + free.h - (used.y + used.h),
+    });
+  }
+  return result;
+}
+
+/**
+ * Check whether rectangle a is fully contained in rectangle b
+ */
+function isContainedIn(a, b) {
+  return (
+    a.x >= b.x - EPSILON &&
+    a.y >= b.y - EPSILON &&
+    a.x + a.w <= b.x + b.w + EPSILON &&
+    a.y + a.h <= b.y + b.h + EPSILON
+  );
+}
+
+/**
+ * Remove free rectangles that are contained in another free rectangle
+ * @param {Object[]} freeRects
+ * @returns {Object[]}
+ */
+function pruneFreeRects(freeRects) {
+  const pruned = [];
+  for (let i = 0; i < freeRects.length; i++) {
+    let contained = false;
+    for (let j = 0; j < freeRects.length; j++) {
+      if (i === j) continue;
+      if (isContainedIn(freeRects[i], freeRects[j])) {
+        // Keep only the first of two identical rectangles
+        if (!isContainedIn(freeRects[j], freeRects[i]) || j < i) {
+          contained = true;
+          break;
+        }
+      }
+    }
+    if (!contained) pruned.push(freeRects[i]);
+  }
+  return pruned;
+}
+
+/**
+ * Carve a used rectangle out of the free list
+ * @param {Object[]} freeRects
+ * @param {Object} used
+ * @returns {Object[]}
+ */
+function placeRect(freeRects, used) {
+  const next = [];
+  for (const free of freeRects) {
+    const split = splitFreeRect(free, used);
+    if (split === null) {
+      next.push(free);
+    } else {
+      next.push(...split.filter((r) => r.w > EPSILON && r.h > EPSILON));
+    }
+  }
+  return pruneFreeRects(next);
+}
+
+/**
+ * Find the best free position for an item
+ * @param {Object[]} freeRects
+ * @param {Object} item - {w, h}
+ * @param {string} heuristic
+ * @param {boolean} allowRotation
+ * @returns {Object|null} {x, y, w, h, rotated}
+ */
+function findPosition(freeRects, item, heuristic, allowRotation) {
+  let best = null;
+  let bestScore = null;
+
+  const orientations = [{ w: item.w, h: item.h, rotated: false }];
+  if (allowRotation && Math.abs(item.w - item.h) > EPSILON) {
+    orientations.push({ w: item.h, h: item.w, rotated: true });
+  }
+
+  for (const free of freeRects) {
+    for (const o of orientations) {
+      if (o.w > free.w + EPSILON || o.h > free.h + EPSILON) continue;
+      const score = scorePosition(heuristic, free, o.w, o.h);
+      if (
+        bestScore === null ||
+        score[0] < bestScore[0] - EPSILON ||
+        (Math.abs(score[0] - bestScore[0]) <= EPSILON && score[1] < bestScore[1])
+      ) {
+        best = { x: free.x, y: free.y, w: o.w, h: o.h, rotated: o.rotated };
+        bestScore = score;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Run one MaxRects pass with a fixed heuristic and item order
+ * @returns {Object} {placed, usedHeight, placedArea}
+ */
+function runPass(binW, binH, items, initialFreeRects, heuristic, allowRotation) {
+  let freeRects = initialFreeRects.map((r) => ({ ...r }));
+  const placed = [];
+  let usedHeight = 0;
+  let placedArea = 0;
+
+  for (const item of items) {
+    const pos = findPosition(freeRects, item, heuristic, allowRotation);
+    if (!pos) continue;
+    freeRects = placeRect(freeRects, pos);
+    placed.push({ item, ...pos });
+    usedHeight = Math.max(usedHeight, pos.y + pos.h);
+    placedArea += item.w * item.h;
+  }
+
+  return { placed, usedHeight, placedArea };
+}
+
+/**
+ * Pack multiple designs onto a sheet with the MaxRects algorithm.
+ * Accounts for 4mm deadspace around each transfer plus padding between
+ * transfers, and may rotate any copy by 90 degrees. Items with a base rotation
+ * take up the upright bounding box of their oriented (rotated) deadspace box.
+ * When any design has an alpha outline, the shapes are also nested by outline
+ * and whichever layout places more copies on less film is returned.
+ *
+ * @param {Object} params
+ * @param {number} params.sheetWidthIn - Sheet width in inches
+ * @param {number} params.sheetHeightIn - Sheet height in inches
+ * @param {PackItem[]} params.items - Designs and quantities to pack
+ * @param {number} [params.paddingIn=0.125] - Padding between instances in inches (default: 1/8 inch)
+ * @param {boolean} [params.allowRotation=true] - Whether copies may be rotated 90 degrees
+ * @param {Array} [params.existingOccupiedAreas=[]] - Array of {xIn, yIn, widthIn, heightIn} to pack around
+ * @returns {Object} {placements, unplaced, placedCount, requestedCount, usagePct}
+ */
+export function packDesigns(params) {
+  return runSteps(packDesignsSteps(params));
+}
+
+/**
+ * packDesigns as a generator that pauses after every heuristic pass, so a
+ * packing job can yield to the event loop and stop if it's cancelled
+ * @param {Object} params - See packDesigns
+ * @returns {Generator<undefined, Object>} Returns the packDesigns result
+ */
+export function* packDesignsSteps({
+  sheetWidthIn,
+  sheetHeightIn,
+  items,
+  paddingIn = 0.125,
+  allowRotation = true,
+  existingOccupiedAreas = [],
+}) {
+  const deadspaceIn = DEADSPACE_IN;
+
+  // Each footprint's width and height include the full padding, so copies packed
+  // edge to edge end up one padding apart. The bin grows by the same padding so
+  // the last copy in a row or column still fits against the sheet edge.
+  const binW = sheetWidthIn + paddingIn;
+  const binH = sheetHeightIn + paddingIn;
+
+  // Expand each design into one entry per requested copy
+  const expanded = [];
+  let requestedCount = 0;
+  for (const item of items || []) {
+    const quantity = Math.max(0, Math.floor(item.quantity || 0));
+    if (quantity === 0 || !(item.widthIn > 0) || !(item.heightIn > 0)) continue;
+    requestedCount += quantity;
+    const rotationDeg = normalizeRotation(item.rotationDeg);
+    const footprint = getBoundingBox(0, 0, item.widthIn, item.heightIn, rotationDeg, deadspaceIn);
+    for (let i = 0; i < quantity; i++) {
+      expanded.push({
+        designId: item.designId,
+        designWidthIn: item.widthIn,
+        designHeightIn: item.heightIn,
+        rotationDeg,
+        w: footprint.widthIn + paddingIn,
+        h: footprint.heightIn + paddingIn,
+      });
+    }
+  }
+
+  if (expanded.length === 0) {
+    return { placements: [], unplaced: [], placedCount: 0, requestedCount: 0, usagePct: 0 };
+  }
+
+  // Start with the whole sheet free, then carve out areas that are already taken.
+  // Occupied areas are deadspace boxes, so they get the same padding added to their size.
+  let initialFreeRects = [{ x: 0, y: 0, w: binW, h: binH }];
+  for (const area of existingOccupiedAreas) {
+    initialFreeRects = placeRect(initialFreeRects, {
+      x: area.xIn,
+      y: area.yIn,
+      w: area.widthIn + paddingIn,
+      h: area.heightIn + paddingIn,
+    });
+  }
+
+  // Try every heuristic/order combination and keep the best result:
+  // most copies placed, then most area placed, then the shortest run of film.
+  let best = null;
+  for (const sortKey of Object.keys(SORTS)) {
+    const ordered = [...expanded].sort(SORTS[sortKey]);
+    for (const heuristic of HEURISTICS) {
+      const result = runPass(binW, binH, ordered, initialFreeRects, heuristic, allowRotation);
+      if (
+        !best ||
+        result.placed.length > best.placed.length ||
+        (result.placed.length === best.placed.length &&
+          (result.placedArea > best.placedArea + EPSILON ||
+            (Math.abs(result.placedArea - best.placedArea) <= EPSILON &&
+              result.usedHeight < best.usedHeight - EPSILON)))
+      ) {
+        best = result;
+      }
+      yield;
+    }
+  }
+
+  // Convert footprints back to graphic positions (top-left in original orientation)
+  const placements = best.placed.map(({ item, x, y, w, h, rotated }) => {
+    const centerX = x + w / 2 - paddingIn / 2;
+    const centerY = y + h / 2 - paddingIn / 2;
+    return {
+      designId: item.designId,
+      xIn: centerX - item.designWidthIn / 2,
+      yIn: centerY - item.designHeightIn / 2,
+      rotated: normalizeRotation(item.rotationDeg + (rotated ? 90 : 0)),
+    };
+  });
+
+  // Report what didn't fit per design
+  const placedByDesign = new Map();
+  for (const p of placements) {
+    placedByDesign.set(p.designId, (placedByDesign.get(p.designId) || 0) + 1);
+  }
+  const unplaced = [];
+  for (const item of items || []) {
+    const quantity = Math.max(0, Math.floor(item.quantity || 0));
+    const missing = quantity - (placedByDesign.get(item.designId) || 0);
+    if (missing > 0) {
+      unplaced.push({ designId: item.designId, quantity: missing });
+    }
+  }
+
+  // Utilisation counts the deadspace box of each placed copy, matching metrics.js
+  let usedAreaIn = 0;
+  for (const { item } of best.placed) {
+    usedAreaIn += (item.designWidthIn + deadspaceIn * 2) * (item.designHeightIn + deadspaceIn * 2);
+  }
+  const sheetAreaIn = sheetWidthIn * sheetHeightIn;
+  const usagePct = sheetAreaIn > 0 ? Math.min(100, (usedAreaIn / sheetAreaIn) * 100) : 0;
+
+  // Irregular artwork: compare against true shape nesting
+  if (items.some((item) => item.outline)) {
+    const nested = nestDesigns({ sheetWidthIn, sheetHeightIn, items, paddingIn, allowRotation, existingOccupiedAreas });
+    const rectUsedHeightIn = best.usedHeight - paddingIn;
+    if (
+      nested.placedCount > placements.length ||
+      (nested.placedCount === placements.length && nested.usedHeightIn < rectUsedHeightIn - EPSILON)
+    ) {
+      const { usedHeightIn, ...result } = nested;
+      return result;
+    }
+  }
+
+  return {
+    placements,
+    unplaced,
+    placedCount: placements.length,
+    requestedCount,
+    usagePct,
+  };
+}
+
+/**
+ * Build packer items from design files and requested quantities
+ * @param {Array} designFiles - Design files from the store
+ * @param {Object<string, number>} quantities - Requested copies keyed by design ID (default 1)
+ * @param {Object<string, number>} [rotations={}] - Base rotation keyed by design ID (default 0)
+ * @returns {PackItem[]}
+ */
+export function getDesignPackItems(designFiles, quantities, rotations = {}) {
+  return designFiles.map((design) => ({
+    designId: design.id,
+    widthIn: design.widthIn || design.naturalWidthPx / 300,
+    heightIn: design.heightIn || design.naturalHeightPx / 300,
+    quantity: quantities[design.id] ?? 1,
+    rotationDeg: rotations[design.id] || 0,
+    outline: design.outline || null,
+  }));
+}
@@ -45,6 +45,29 @@ export function getSubtotal(sheetSizeId, quantity) {
   return unitPrice * quantity;
 }
 
+/**
+ * Get the subtotal for an order made of several distinct sheets
+ * Each sheet is printed `quantity` times, and price bands apply to the
+ * total number of printed sheets of each size.
+ * @param {string[]} sheetSizeIds - Sheet size of each distinct sheet
+ * @param {number} quantity - Copies of each sheet
+ * @returns {number|null} Subtotal in USD, or null if pricing not found
+ */
+export function getSheetsSubtotal(sheetSizeIds, quantity) {
+  const counts = new Map();
+  for (const sheetSizeId of sheetSizeIds) {
+    counts.set(sheetSizeId, (counts.get(sheetSizeId) || 0) + 1);
+  }
+
+  let total = 0;
+  for (const [sheetSizeId, count] of counts) {
+    const subtotal = getSubtotal(sheetSizeId, count * quantity);
+    if (subtotal === null) return null;
+    total += subtotal;
+  }
+  return total;
+}
+
 /**
  * Get the effective price band for a given sheet size and quantity
  * @param {string} sheetSizeId - Sheet size identifier
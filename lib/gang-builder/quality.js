@@ -0,0 +1,130 @@
+/**
+ * Gang Builder Print Quality
+ *
+ * Effective resolution of every placed copy: the artwork's pixels over the
+ * inches it prints at. Copies under the QUALITY_THRESHOLDS are flagged as
+ * warnings or errors.
+ */
+
+import { QUALITY_THRESHOLDS } from "./config.js";
+
+/**
+ * @typedef {Object} QualityIssue
+ * @property {string} instanceId - Placed instance ID
+ * @property {string} sheetId - Sheet the instance is on
+ * @property {number} sheetIndex - 1-based sheet number
+ * @property {string} designId - Design ID
+ * @property {string} designName - Design file name
+ * @property {number} dpi - Effective DPI
+ * @property {string} level - "warning" or "error"
+ */
+
+/**
+ * @typedef {Object} QualityReport
+ * @property {string} level - Worst level on the order: "ok", "warning", "error", or "empty" with nothing placed
+ * @property {QualityIssue[]} issues - Flagged copies, lowest DPI first
+ * @property {number} errorCount - Copies below the error threshold
+ * @property {number} warningCount - Copies below the warning threshold
+ * @property {number|null} minDpi - Lowest effective DPI on the order
+ * @property {string} key - Identifies the designs and resolutions behind the errors; an acknowledgement only holds while it matches
+ */
+
+/**
+ * Effective DPI of artwork printed at a size
+ * The lower axis wins - a stretched copy is only as sharp as its softest direction.
+ * @param {Object} design - Design with naturalWidthPx/naturalHeightPx
+ * @param {number} widthIn - Printed width in inches
+ * @param {number} heightIn - Printed height in inches
+ * @returns {number|null} Null when the artwork size is unknown
+ */
+export function getEffectiveDpi(design, widthIn, heightIn) {
+  if (!design || !design.naturalWidthPx || !design.naturalHeightPx || !(widthIn > 0) || !(heightIn > 0)) {
+    return null;
+  }
+  return Math.min(design.naturalWidthPx / widthIn, design.naturalHeightPx / heightIn);
+}
+
+/**
+ * Quality level for an effective DPI
+ * @param {number|null} dpi
+ * @param {QualityThresholds} [thresholds]
+ * @returns {string|null} "ok", "warning", "error", or null when the DPI is unknown
+ */
+export function getQualityLevel(dpi, thresholds = QUALITY_THRESHOLDS) {
+  if (dpi === null || dpi === undefined) return null;
+  if (dpi < thresholds.errorDpi) return "error";
+  if (dpi < thresholds.warningDpi) return "warning";
+  return "ok";
+}
+
+/**
+ * Effective DPI and quality level of one placed instance
+ * @param {Object} instance - Placed instance (its own widthIn/heightIn)
+ * @param {Object} design - The instance's design
+ * @param {QualityThresholds} [thresholds]
+ * @returns {Object} {dpi, level}
+ */
+export function getInstanceQuality(instance, design, thresholds = QUALITY_THRESHOLDS) {
+  const dpi = getEffectiveDpi(design, instance.widthIn, instance.heightIn);
+  return { dpi, level: getQualityLevel(dpi, thresholds) };
+}
+
+/**
+ * Check every placed copy on every sheet of the order
+ * @param {Object} state - Gang builder state
+ * @param {QualityThresholds} [thresholds]
+ * @returns {QualityReport}
+ */
+export function getQualityReport(state, thresholds = QUALITY_THRESHOLDS) {
+  const designsById = new Map(state.designFiles.map((design) => [design.id, design]));
+  const issues = [];
+  let minDpi = null;
+  let placedCount = 0;
+
+  state.sheets.forEach((sheet, index) => {
+    // The active sheet's working copy may be ahead of the sheets list
+    const instances = sheet.id === state.activeSheetId ? state.instances : sheet.instances;
+    instances.forEach((instance) => {
+      const design = designsById.get(instance.designId);
+      if (!design) return;
+      placedCount++;
+
+      const { dpi, level } = getInstanceQuality(instance, design, thresholds);
+      if (dpi === null) return;
+      minDpi = minDpi === null ? dpi : Math.min(minDpi, dpi);
+      if (level === "error" || level === "warning") {
+        issues.push({
+          instanceId: instance.id,
+          sheetId: sheet.id,
+          sheetIndex: index + 1,
+          designId: design.id,
+          designName: design.name,
+          dpi,
+          level,
+        });
+      }
+    });
+  });
+
+  issues.sort((a, b) => a.dpi - b.dpi);
+  const errors = issues.filter((issue) => issue.level === "error");
+  const errorCount = errors.length;
+  const warningCount = issues.length - errorCount;
+
+  let level = "ok";
+  if (placedCount === 0) level = "empty";
+  else if (errorCount > 0) level = "error";
+  else if (warningCount > 0) level = "warning";
+
+  return {
+    level,
+    issues,
+    errorCount,
+    warningCount,
+    minDpi,
+    // Acknowledging accepts each design at the resolution it was shown at
+    key: Array.from(new Set(errors.map((issue) => `${issue.designId}@${Math.round(issue.dpi)}`)))
+      .sort()
+      .join("|"),
+  };
+}
@@ -0,0 +1,182 @@
+/**
+ * Gang Builder Sheet Recommender
+ *
+ * Packs the current designs onto every sheet size (and combinations of sizes)
+ * and ranks the options by total price.
+ */
+
+import { SHEET_SIZES } from "./config.js";
+import { packDesignsSteps } from "./packer.js";
+import { runSteps } from "./layout.js";
+import { getSheetsSubtotal } from "./pricing.js";
+
+/**
+ * @typedef {Object} SheetPlan
+ * @property {string} sheetSizeId - Sheet size ID
+ * @property {Array} placements - Packed placements (see packer.js)
+ * @property {number} usagePct - Usage of this sheet (0-100)
+ */
+
+/**
+ * @typedef {Object} SheetOption
+ * @property {string} id - Stable key, e.g. "22x60+22x60"
+ * @property {string} label - Display label, e.g. "2 × 22\" x 60\""
+ * @property {SheetPlan[]} sheets - Sheets in this option
+ * @property {number} totalPrice - Price for `quantity` copies of every sheet
+ * @property {number} usagePct - Combined usage across all sheets (0-100)
+ */
+
+/**
+ * Pack items onto one sheet size
+ * @returns {Generator<undefined, Object>} Returns the packDesigns result plus the sheet size
+ */
+function* packOnto(sheetSize, items) {
+  return {
+    sheetSize,
+    ...(yield* packDesignsSteps({
+      sheetWidthIn: sheetSize.widthIn,
+      sheetHeightIn: sheetSize.heightIn,
+      items,
+    })),
+  };
+}
+
+/**
+ * Turn an unplaced list back into packer items
+ */
+function remainingItems(items, unplaced) {
+  const byId = new Map(items.map((item) => [item.designId, item]));
+  return unplaced.map((entry) => ({ ...byId.get(entry.designId), quantity: entry.quantity }));
+}
+
+/**
+ * Build a display label such as "2 × 22" x 60" + 22" x 12""
+ */
+function formatOptionLabel(sheetSizeIds) {
+  const groups = [];
+  for (const sheetSizeId of sheetSizeIds) {
+    const last = groups[groups.length - 1];
+    if (last && last.sheetSizeId === sheetSizeId) {
+      last.count++;
+    } else {
+      groups.push({ sheetSizeId, count: 1 });
+    }
+  }
+  return groups
+    .map(({ sheetSizeId, count }) => {
+      const label = SHEET_SIZES.find((s) => s.id === sheetSizeId)?.label || sheetSizeId;
+      return count > 1 ? `${count} × ${label}` : label;
+    })
+    .join(" + ");
+}
+
+/**
+ * Build an option from a list of packed sheets
+ * @param {Array} packed - packOnto results
+ * @param {number} quantity - Copies of each sheet
+ * @returns {SheetOption|null}
+ */
+function buildOption(packed, quantity) {
+  const sheetSizeIds = packed.map((p) => p.sheetSize.id);
+  const totalPrice = getSheetsSubtotal(sheetSizeIds, quantity);
+  if (totalPrice === null) return null;
+
+  let usedArea = 0;
+  let sheetArea = 0;
+  for (const p of packed) {
+    const area = p.sheetSize.widthIn * p.sheetSize.heightIn;
+    usedArea += (p.usagePct / 100) * area;
+    sheetArea += area;
+  }
+
+  return {
+    id: sheetSizeIds.join("+"),
+    label: formatOptionLabel(sheetSizeIds),
+    sheets: packed.map((p) => ({
+      sheetSizeId: p.sheetSize.id,
+      placements: p.placements,
+      usagePct: p.usagePct,
+    })),
+    totalPrice,
+    usagePct: sheetArea > 0 ? (usedArea / sheetArea) * 100 : 0,
+  };
+}
+
+/**
+ * Recommend the cheapest ways to print the given designs.
+ *
+ * For every sheet size the designs are packed onto as many sheets of that size
+ * as needed. The last sheet of each run is also tried on every smaller size, so
+ * combinations like "22x120 + 22x24" are considered alongside "2 × 22x60".
+ *
+ * @param {Array} items - Packer items (see getDesignPackItems in packer.js)
+ * @param {Object} [options]
+ * @param {number} [options.quantity=1] - Copies of each sheet (affects price bands)
+ * @param {number} [options.maxSheets=10] - Give up on a size that needs more sheets than this
+ * @param {number} [options.limit=3] - Number of options to return
+ * @returns {SheetOption[]} Options sorted by total price, cheapest first
+ */
+export function recommendSheets(items, options) {
+  return runSteps(recommendSheetsSteps(items, options));
+}
+
+/**
+ * recommendSheets as a generator that pauses between packing passes, so a
+ * packing job can yield to the event loop and stop if it's cancelled
+ * @param {Array} items - See recommendSheets
+ * @param {Object} [options] - See recommendSheets
+ * @returns {Generator<undefined, SheetOption[]>} Returns the recommendSheets result
+ */
+export function* recommendSheetsSteps(items, { quantity = 1, maxSheets = 10, limit = 3 } = {}) {
+  const wanted = items.filter((item) => item.quantity > 0);
+  if (wanted.length === 0) return [];
+
+  const options = new Map();
+  const addOption = (packed) => {
+    const option = buildOption(packed, quantity);
+    if (option && !options.has(option.id)) {
+      options.set(option.id, option);
+    }
+  };
+
+  // Smallest sizes first so "smaller" below means earlier in this list
+  const sizes = [...SHEET_SIZES].sort((a, b) => a.widthIn * a.heightIn - b.widthIn * b.heightIn);
+
+  for (const size of sizes) {
+    const packed = [];
+    let remaining = wanted;
+
+    while (remaining.length > 0 && packed.length < maxSheets) {
+      const result = yield* packOnto(size, remaining);
+      // Something is larger than this sheet size - it can't be used for this order
+      if (result.placedCount === 0) break;
+
+      // Before committing another full sheet, see if the rest fits on a smaller size instead
+      if (result.unplaced.length === 0 && packed.length > 0) {
+        for (const smaller of sizes) {
+          if (smaller.widthIn * smaller.heightIn >= size.widthIn * size.heightIn) continue;
+          const tail = yield* packOnto(smaller, remaining);
+          if (tail.unplaced.length === 0) {
+            addOption([...packed, tail]);
+          }
+        }
+      }
+
+      packed.push(result);
+      remaining = remainingItems(wanted, result.unplaced);
+    }
+
+    if (remaining.length === 0 && packed.length > 0) {
+      addOption(packed);
+    }
+  }
+
+  return Array.from(options.values())
+    .sort(
+      (a, b) =>
+        a.totalPrice - b.totalPrice ||
+        a.sheets.length - b.sheets.length ||
+        b.usagePct - a.usagePct
+    )
+    .slice(0, limit);
+}
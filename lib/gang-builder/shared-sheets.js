@@ -0,0 +1,72 @@
+/**
+ * Gang Builder Shared Sheets
+ *
+ * Client for /api/drafts: uploads a draft so it can be sent as a link, and
+ * loads a shared draft back by its share token.
+ */
+
+/**
+ * Link that opens a shared sheet in the builder
+ * @param {string} token
+ * @returns {string}
+ */
+export function getShareUrl(token) {
+  return `${window.location.origin}/order?sheet=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Upload a draft for sharing
+ * A refused upload throws with the response `status` (401 unless signed in as an operator).
+ * @param {Object} params
+ * @param {string} params.name - Draft name
+ * @param {Object} params.layout - {sheetQuantity, sheets, activeSheetId, designFiles} (design files without URLs)
+ * @param {Map<string, Blob>} params.images - Artwork blobs keyed by design ID
+ * @param {Object<string, string>} params.fileNames - Artwork file names keyed by design ID
+ * @returns {Promise<string>} Share token
+ */
+export async function uploadSharedSheet({ name, layout, images, fileNames }) {
+  const formData = new FormData();
+  formData.set("name", name || "");
+  formData.set("layout", JSON.stringify(layout));
+  images.forEach((blob, designId) => {
+    formData.append(designId, blob, fileNames[designId] || designId);
+  });
+
+  const response = await fetch("/api/drafts", {
+    method: "POST",
+    body: formData,
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.token) {
+    const error = new Error(data.error || `Server responded with ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data.token;
+}
+
+/**
+ * Same-origin URL of one design's artwork in a shared draft
+ * The signed S3 URLs are fine for drawing, but reading the artwork back (to
+ * duplicate the sheet) would need CORS on the bucket.
+ * @param {string} token
+ * @param {string} designId
+ * @returns {string}
+ */
+export function getSharedImageUrl(token, designId) {
+  return `/api/drafts?token=${encodeURIComponent(token)}&designId=${encodeURIComponent(designId)}`;
+}
+
+/**
+ * Load a shared draft
+ * @param {string} token
+ * @returns {Promise<Object>} {id, name, createdAt, layout, imageUrls} - imageUrls are signed artwork URLs keyed by design ID
+ */
+export async function fetchSharedSheet(token) {
+  const response = await fetch(`/api/drafts?token=${encodeURIComponent(token)}`);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.draft) {
+    throw new Error(data.error || `Server responded with ${response.status}`);
+  }
+  return data.draft;
+}
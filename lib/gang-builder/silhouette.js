@@ -0,0 +1,431 @@
+/**
+ * Gang Builder Artwork Silhouettes
+ *
+ * Extracts the opaque outline of transparent artwork from its alpha channel
+ * and provides the polygon geometry used to nest and collision-check those
+ * outlines. Outlines are stored normalized to the design (0..1 on each axis)
+ * so they stay valid when the design is resized.
+ */
+
+/**
+ * @typedef {Array<Array<number>>} Polygon - Closed ring of [x, y] points
+ */
+
+/**
+ * Outline used for designs without one: the full design rectangle
+ * @type {Polygon[]}
+ */
+export const RECT_OUTLINE = [[[0, 0], [1, 0], [1, 1], [0, 1]]];
+
+/**
+ * Artwork that covers more than this share of its rectangle is treated as a plain rectangle
+ */
+const FULL_COVERAGE_RATIO = 0.97;
+
+/**
+ * Above this many separate pieces the outline collapses to a single convex hull
+ */
+const MAX_OUTLINE_PIECES = 16;
+
+/**
+ * Extract the opaque outline of an image from its alpha channel
+ * Callers should pass a downscaled copy of the artwork (about 128px on the long side);
+ * the outline is grown by one pixel and traced along pixel edges so it always
+ * contains every opaque pixel, then simplified.
+ *
+ * @param {Object} imageData - {data, width, height} as returned by getImageData
+ * @param {Object} [options]
+ * @param {number} [options.alphaThreshold=16] - Alpha values above this count as ink
+ * @returns {Polygon[]|null} Normalized polygons, or null when the artwork is (nearly) a full rectangle
+ */
+export function extractOutline({ data, width, height }, { alphaThreshold = 16 } = {}) {
+  if (!width || !height) return null;
+
+  // Opaque pixel mask
+  let mask = new Uint8Array(width * height);
+  let opaqueCount = 0;
+  for (let i = 0; i < width * height; i++) {
+    if (data[i * 4 + 3] > alphaThreshold) {
+      mask[i] = 1;
+      opaqueCount++;
+    }
+  }
+  if (opaqueCount === 0 || opaqueCount / (width * height) > FULL_COVERAGE_RATIO) {
+    return null;
+  }
+
+  // Grow by one pixel so downscaling and simplification never cut into the ink,
+  // then fill enclosed holes - only the outer silhouette matters for nesting
+  mask = fillHoles(dilateMask(mask, width, height), width, height);
+
+  let polygons = traceMask(mask, width, height)
+    .map((ring) => simplifyRing(ring, 0.75))
+    .filter((ring) => ring.length >= 3);
+
+  if (polygons.length > MAX_OUTLINE_PIECES) {
+    polygons = [convexHull(polygons.flat())];
+  }
+
+  return polygons.map((ring) => ring.map(([x, y]) => [x / width, y / height]));
+}
+
+/**
+ * Extract the outline of a loaded image element
+ * Draws a downscaled copy to an offscreen canvas and reads back its alpha channel.
+ * @param {HTMLImageElement} img - Loaded image
+ * @param {number} [maxSidePx=128] - Long side of the sampled copy
+ * @returns {Polygon[]|null} Normalized polygons, or null for rectangular artwork
+ */
+export function extractImageOutline(img, maxSidePx = 128) {
+  const ratio = Math.min(1, maxSidePx / Math.max(img.naturalWidth, img.naturalHeight));
+  const width = Math.max(1, Math.round(img.naturalWidth * ratio));
+  const height = Math.max(1, Math.round(img.naturalHeight * ratio));
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(img, 0, 0, width, height);
+  return extractOutline(ctx.getImageData(0, 0, width, height));
+}
+
+/**
+ * Grow a mask by one pixel in every direction (3x3)
+ */
+function dilateMask(mask, width, height) {
+  const out = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!mask[y * width + x]) continue;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx >= 0 && ny >= 0 && nx < width && ny < height) {
+            out[ny * width + nx] = 1;
+          }
+        }
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Fill every empty region that isn't connected to the image border
+ */
+function fillHoles(mask, width, height) {
+  const outside = new Uint8Array(width * height);
+  const stack = [];
+  const visit = (x, y) => {
+    const i = y * width + x;
+    if (!mask[i] && !outside[i]) {
+      outside[i] = 1;
+      stack.push(i);
+    }
+  };
+  for (let x = 0; x < width; x++) {
+    visit(x, 0);
+    visit(x, height - 1);
+  }
+  for (let y = 0; y < height; y++) {
+    visit(0, y);
+    visit(width - 1, y);
+  }
+  while (stack.length > 0) {
+    const i = stack.pop();
+    const x = i % width;
+    const y = (i - x) / width;
+    if (x > 0) visit(x - 1, y);
+    if (x < width - 1) visit(x + 1, y);
+    if (y > 0) visit(x, y - 1);
+    if (y < height - 1) visit(x, y + 1);
+  }
+
+  const filled = new Uint8Array(width * height);
+  for (let i = 0; i < width * height; i++) {
+    filled[i] = outside[i] ? 0 : 1;
+  }
+  return filled;
+}
+
+/**
+ * Trace the boundary of a mask along pixel edges into closed rings (clockwise on screen)
+ */
+function traceMask(mask, width, height) {
+  const filled = (x, y) => x >= 0 && y >= 0 && x < width && y < height && mask[y * width + x] === 1;
+  const key = (x, y) => y * (width + 1) + x;
+
+  // Directed boundary edges keyed by their start vertex
+  const edges = new Map();
+  const addEdge = (x1, y1, x2, y2) => {
+    const k = key(x1, y1);
+    if (!edges.has(k)) edges.set(k, []);
+    edges.get(k).push({ x1, y1, x2, y2, used: false });
+  };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!filled(x, y)) continue;
+      if (!filled(x, y - 1)) addEdge(x, y, x + 1, y);
+      if (!filled(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+      if (!filled(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+      if (!filled(x - 1, y)) addEdge(x, y + 1, x, y);
+    }
+  }
+
+  const rings = [];
+  for (const list of edges.values()) {
+    for (const start of list) {
+      if (start.used) continue;
+      const ring = [];
+      let edge = start;
+      while (edge && !edge.used) {
+        edge.used = true;
+        ring.push([edge.x1, edge.y1]);
+        const candidates = (edges.get(key(edge.x2, edge.y2)) || []).filter((e) => !e.used);
+        // Where two pieces touch diagonally, turn right so each piece gets its own ring
+        const dirX = edge.x2 - edge.x1;
+        const dirY = edge.y2 - edge.y1;
+        edge = candidates.find((e) => e.x2 - e.x1 === -dirY && e.y2 - e.y1 === dirX) || candidates[0];
+      }
+      rings.push(dropCollinear(ring));
+    }
+  }
+  return rings;
+}
+
+/**
+ * Remove points that lie on a straight line between their neighbours
+ */
+function dropCollinear(ring) {
+  return ring.filter((point, i) => {
+    const prev = ring[(i + ring.length - 1) % ring.length];
+    const next = ring[(i + 1) % ring.length];
+    return (point[0] - prev[0]) * (next[1] - point[1]) !== (point[1] - prev[1]) * (next[0] - point[0]);
+  });
+}
+
+/**
+ * Simplify a closed ring with Douglas-Peucker
+ * @param {Polygon} ring
+ * @param {number} tolerance - Maximum deviation in pixels
+ * @returns {Polygon}
+ */
+function simplifyRing(ring, tolerance) {
+  if (ring.length <= 4) return ring;
+
+  // Split the ring at its first point and the point farthest from it
+  let far = 0;
+  let farDist = -1;
+  ring.forEach(([x, y], i) => {
+    const d = (x - ring[0][0]) ** 2 + (y - ring[0][1]) ** 2;
+    if (d > farDist) {
+      farDist = d;
+      far = i;
+    }
+  });
+
+  const first = simplifyLine(ring.slice(0, far + 1), tolerance);
+  const second = simplifyLine([...ring.slice(far), ring[0]], tolerance);
+  return [...first.slice(0, -1), ...second.slice(0, -1)];
+}
+
+function simplifyLine(points, tolerance) {
+  if (points.length <= 2) return points;
+  const [ax, ay] = points[0];
+  const [bx, by] = points[points.length - 1];
+  let index = 0;
+  let maxDist = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const d = distanceToSegment(points[i][0], points[i][1], ax, ay, bx, by);
+    if (d > maxDist) {
+      maxDist = d;
+      index = i;
+    }
+  }
+  if (maxDist <= tolerance) return [points[0], points[points.length - 1]];
+  const left = simplifyLine(points.slice(0, index + 1), tolerance);
+  const right = simplifyLine(points.slice(index), tolerance);
+  return [...left.slice(0, -1), ...right];
+}
+
+/**
+ * Convex hull of a point set (monotone chain)
+ * @param {Array<Array<number>>} points
+ * @returns {Polygon}
+ */
+function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const lower = [];
+  for (const p of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const p = sorted[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+}
+
+/**
+ * Place a normalized outline on the sheet: scale it to the graphic size and
+ * rotate it around the graphic center
+ * @param {Polygon[]} outline - Normalized polygons
+ * @param {number} xIn - Graphic top-left X (in original orientation)
+ * @param {number} yIn - Graphic top-left Y (in original orientation)
+ * @param {number} widthIn - Graphic width
+ * @param {number} heightIn - Graphic height
+ * @param {number} rotationDeg - Clockwise rotation in degrees
+ * @returns {Polygon[]} Polygons in sheet inches
+ */
+export function transformOutline(outline, xIn, yIn, widthIn, heightIn, rotationDeg) {
+  const rad = ((rotationDeg || 0) * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const centerX = xIn + widthIn / 2;
+  const centerY = yIn + heightIn / 2;
+  return outline.map((ring) =>
+    ring.map(([u, v]) => {
+      const localX = (u - 0.5) * widthIn;
+      const localY = (v - 0.5) * heightIn;
+      return [centerX + localX * cos - localY * sin, centerY + localX * sin + localY * cos];
+    })
+  );
+}
+
+/**
+ * Extents of a set of polygons
+ * @param {Polygon[]} polygons
+ * @returns {Object} {minX, minY, maxX, maxY}
+ */
+export function getOutlineExtents(polygons) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const ring of polygons) {
+    for (const [x, y] of ring) {
+      if (x < minX) minX = x;
+      if (y < minY) minY = y;
+      if (x > maxX) maxX = x;
+      if (y > maxY) maxY = y;
+    }
+  }
+  return { minX, minY, maxX, maxY };
+}
+
+/**
+ * Check if two placed outlines come closer than a gap (or overlap)
+ * With the gap set to twice the deadspace, this is the same as asking whether
+ * the outlines overlap once each is offset by its deadspace.
+ * @param {Polygon[]} a - Polygons in sheet inches
+ * @param {Polygon[]} b - Polygons in sheet inches
+ * @param {number} gapIn - Minimum clearance in inches
+ * @returns {boolean} True if the outlines are closer than the gap
+ */
+export function outlinesWithinGap(a, b, gapIn) {
+  for (const ringA of a) {
+    for (const ringB of b) {
+      // One ring fully inside the other
+      if (isPointInPolygon(ringA[0][0], ringA[0][1], ringB) || isPointInPolygon(ringB[0][0], ringB[0][1], ringA)) {
+        return true;
+      }
+      if (ringDistanceBelow(ringA, ringB, gapIn)) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Check if any edge of one ring comes within a distance of any edge of another
+ */
+function ringDistanceBelow(ringA, ringB, distance) {
+  const extA = getOutlineExtents([ringA]);
+  const extB = getOutlineExtents([ringB]);
+  if (
+    extA.minX - distance >= extB.maxX ||
+    extB.minX - distance >= extA.maxX ||
+    extA.minY - distance >= extB.maxY ||
+    extB.minY - distance >= extA.maxY
+  ) {
+    return false;
+  }
+
+  for (let i = 0; i < ringA.length; i++) {
+    const a1 = ringA[i];
+    const a2 = ringA[(i + 1) % ringA.length];
+    for (let j = 0; j < ringB.length; j++) {
+      const b1 = ringB[j];
+      const b2 = ringB[(j + 1) % ringB.length];
+      if (segmentDistance(a1, a2, b1, b2) < distance) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Even-odd point in polygon test
+ * @param {number} x
+ * @param {number} y
+ * @param {Polygon} ring
+ * @returns {boolean}
+ */
+export function isPointInPolygon(x, y, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function distanceToSegment(px, py, ax, ay, bx, by) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+function segmentsIntersect(a1, a2, b1, b2) {
+  const cross = (o, p, q) => (p[0] - o[0]) * (q[1] - o[1]) - (p[1] - o[1]) * (q[0] - o[0]);
+  const d1 = cross(b1, b2, a1);
+  const d2 = cross(b1, b2, a2);
+  const d3 = cross(a1, a2, b1);
+  const d4 = cross(a1, a2, b2);
+  return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+function segmentDistance(a1, a2, b1, b2) {
+  if (segmentsIntersect(a1, a2, b1, b2)) return 0;
+  return Math.min(
+    distanceToSegment(a1[0], a1[1], b1[0], b1[1], b2[0], b2[1]),
+    distanceToSegment(a2[0], a2[1], b1[0], b1[1], b2[0], b2[1]),
+    distanceToSegment(b1[0], b1[1], a1[0], a1[1], a2[0], a2[1]),
+    distanceToSegment(b2[0], b2[1], a1[0], a1[1], a2[0], a2[1])
+  );
+}
+
+/**
+ * Outlines of the designs that have one, keyed by design ID
+ * @param {Array} designFiles - Design files from the store
+ * @returns {Object<string, Polygon[]>}
+ */
+export function getDesignOutlines(designFiles) {
+  const outlines = {};
+  for (const design of designFiles) {
+    if (design.outline) outlines[design.id] = design.outline;
+  }
+  return outlines;
+}
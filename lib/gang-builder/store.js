@@ -5,7 +5,19 @@
  */
 
 import { SHEET_SIZES } from "./config.js";
-import { autoPackDesign, isWithinBounds } from "./layout.js";
+import { isWithinBounds, getBoundingBox, canPlaceInstance, normalizeRotation, DEADSPACE_IN } from "./layout.js";
+import { getDesignPackItems } from "./packer.js";
+import { getDesignOutlines } from "./silhouette.js";
+import { startPackJob } from "./pack-client.js";
+import { createHistory } from "./history.js";
+import {
+  saveDraft as putDraft,
+  loadDraft as getDraft,
+  listDrafts as getDrafts,
+  deleteDraft as removeDraft,
+  isDraftStorageAvailable,
+} from "./drafts.js";
+import { uploadSharedSheet, fetchSharedSheet, getShareUrl, getSharedImageUrl } from "./shared-sheets.js";
 
 /**
  * @typedef {Object} DesignFile
@@ -16,6 +28,14 @@ import { autoPackDesign, isWithinBounds } from "./layout.js";
  * @property {number} naturalHeightPx - Natural height in pixels
  * @property {number} widthIn - Width in inches (user-defined, defaults to calculated)
  * @property {number} heightIn - Height in inches (user-defined, defaults to calculated)
+ * @property {Array|null} [outline] - Normalized alpha outline polygons (null for rectangular artwork)
+ * @property {Object} [background] - Background check from background.js ({hasAlpha, edge percentages, issue, message})
+ * @property {Object|null} [original] - The uploaded artwork {url, name, outline, background} while an edited version (e.g. background removed) replaces it
+ * @property {Object|null} [backgroundRemoval] - {tolerance, removedPct} of the background removal applied to `url`
+ * @property {Object|null} [trim] - TrimBox from trim.js when the upload had transparent margins cropped off
+ * @property {boolean} [trimmed] - True while the cropped version is in use
+ * @property {Object|null} [trimAlternate] - The version the trim toggle switches to {url, name, naturalWidthPx, naturalHeightPx, outline, background}
+ * @property {Object|null} [source] - Original SVG/PDF/PSD the raster was converted from {kind, name, mimeType, url, widthIn, heightIn}
  */
 
 /**
@@ -26,45 +46,494 @@ import { autoPackDesign, isWithinBounds } from "./layout.js";
  * @property {number} yIn - Y position in inches
  * @property {number} widthIn - Width in inches
  * @property {number} heightIn - Height in inches
- * @property {number} rotationDeg - Rotation in degrees (default: 0)
+ * @property {number} rotationDeg - Clockwise rotation in degrees around the graphic center, any angle (default: 0)
+ */
+
+/**
+ * @typedef {Object} Sheet
+ * @property {string} id - Unique identifier
+ * @property {string} sheetSizeId - Sheet size ID
+ * @property {PlacedInstance[]} instances - Placed instances on this sheet
  */
 
 /**
  * @typedef {Object} GangBuilderState
- * @property {string} selectedSheetSizeId - Selected sheet size ID
- * @property {number} sheetQuantity - Number of sheets to order
+ * @property {string} selectedSheetSizeId - Sheet size ID of the active sheet
+ * @property {number} sheetQuantity - Number of copies of each sheet to order
  * @property {DesignFile[]} designFiles - Uploaded design files
- * @property {PlacedInstance[]} instances - Placed instances on the sheet
- * @property {string|null} selectedInstanceId - Currently selected instance ID
+ * @property {PlacedInstance[]} instances - Placed instances on the active sheet
+ * @property {Sheet[]} sheets - All distinct sheets in the order (sheet 1, sheet 2, ...)
+ * @property {string} activeSheetId - ID of the sheet shown on the canvas
+ * @property {string|null} selectedInstanceId - Primary selected instance ID (the one last clicked), or null
+ * @property {string[]} selectedInstanceIds - Every selected instance ID on the active sheet (includes selectedInstanceId)
  * @property {number} snapIncrement - Snap increment in inches (0 = off, 0.125 = 1/8", 0.25 = 1/4")
+ * @property {PackingStatus} packing - Background packing job status
+ * @property {Object} history - Undo/redo status {canUndo, canRedo, undoLabel, redoLabel}
+ * @property {DraftStatus} draft - The draft this work autosaves into
+ * @property {boolean} readOnly - True while viewing a shared sheet; edits are ignored until it is duplicated
+ * @property {Object|null} sharedSheet - {token, name} of the shared sheet being viewed
+ * @property {string|null} qualityAcknowledgedKey - Quality report key the customer accepted low-resolution artwork for
+ */
+
+/**
+ * @typedef {Object} DraftStatus
+ * @property {string} id - Draft ID in IndexedDB
+ * @property {string} name - Draft name
+ * @property {number|null} savedAt - Last save time, or null if never saved
+ * @property {string} status - "idle", "saving", "saved" or "error"
+ */
+
+/**
+ * Start a new, unsaved draft
+ * @returns {DraftStatus}
+ */
+function createDraftStatus() {
+  return {
+    id: `draft_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    name: `Sheet ${new Date().toLocaleDateString()}`,
+    savedAt: null,
+    status: "idle",
+  };
+}
+
+/**
+ * @typedef {Object} PackingStatus
+ * @property {boolean} busy - True while a packing job is running
+ * @property {string} label - What is being calculated, e.g. "Arranging designs"
+ * @property {number} progress - Progress from 0 to 1
+ */
+
+/**
+ * Create an empty sheet
+ * @param {string} sheetSizeId
+ * @param {PlacedInstance[]} [instances=[]]
+ * @returns {Sheet}
  */
+function createSheet(sheetSizeId, instances = []) {
+  return {
+    id: `sheet_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    sheetSizeId,
+    instances,
+  };
+}
 
 /**
- * Default state
+ * Build a fresh default state (new arrays every time so resets don't share them)
+ * @returns {GangBuilderState}
  */
-const defaultState = {
-  selectedSheetSizeId: SHEET_SIZES[0]?.id || "22x12",
-  sheetQuantity: 1,
-  designFiles: [],
-  instances: [],
-  selectedInstanceId: null,
-  snapIncrement: 0.125, // Default to 1/8 inch snap
-};
+function createDefaultState() {
+  const sheet = createSheet(SHEET_SIZES[0]?.id || "22x12");
+  return {
+    selectedSheetSizeId: sheet.sheetSizeId,
+    sheetQuantity: 1,
+    designFiles: [],
+    instances: sheet.instances,
+    sheets: [sheet],
+    activeSheetId: sheet.id,
+    selectedInstanceId: null,
+    selectedInstanceIds: [],
+    snapIncrement: 0.125, // Default to 1/8 inch snap
+    packing: { busy: false, label: "", progress: 0 },
+    history: { canUndo: false, canRedo: false, undoLabel: null, redoLabel: null },
+    draft: createDraftStatus(),
+    readOnly: false,
+    sharedSheet: null,
+    qualityAcknowledgedKey: null,
+  };
+}
 
 /**
  * Current state
+ *
+ * `selectedSheetSizeId` and `instances` are the working copy of the active
+ * sheet; they are written back into `sheets` before listeners are notified.
+ */
+let state = createDefaultState();
+
+/**
+ * Write the active sheet's working copy back into the sheets list
+ */
+function syncActiveSheet() {
+  state.sheets = state.sheets.map((sheet) =>
+    sheet.id === state.activeSheetId
+      ? { ...sheet, sheetSizeId: state.selectedSheetSizeId, instances: state.instances }
+      : sheet
+  );
+}
+
+/**
+ * Make a sheet the active one (caller must sync the previous active sheet first)
+ * @param {Sheet} sheet
+ */
+function activateSheet(sheet) {
+  state.activeSheetId = sheet.id;
+  state.selectedSheetSizeId = sheet.sheetSizeId;
+  state.instances = sheet.instances;
+  state.selectedInstanceId = null;
+  state.selectedInstanceIds = [];
+}
+
+/**
+ * Drop inactive sheets that held instances before an operation and are now empty
+ * @param {Set<string>} previouslyFilled - IDs of sheets that had instances before
+ */
+function dropEmptiedSheets(previouslyFilled) {
+  state.sheets = state.sheets.filter(
+    (sheet) =>
+      sheet.id === state.activeSheetId ||
+      sheet.instances.length > 0 ||
+      !previouslyFilled.has(sheet.id)
+  );
+}
+
+/**
+ * IDs of the sheets that currently hold instances
+ * @returns {Set<string>}
+ */
+function getFilledSheetIds() {
+  return new Set(state.sheets.filter((sheet) => sheet.instances.length > 0).map((sheet) => sheet.id));
+}
+
+/**
+ * Bounding boxes (with deadspace) of a list of instances
+ * @param {PlacedInstance[]} instances
+ * @returns {Array} Array of {xIn, yIn, widthIn, heightIn}
+ */
+function getOccupiedAreas(instances) {
+  return instances.map((inst) =>
+    getBoundingBox(inst.xIn, inst.yIn, inst.widthIn, inst.heightIn, inst.rotationDeg || 0, DEADSPACE_IN)
+  );
+}
+
+/**
+ * Undo/redo history of the designs and sheets
+ */
+const history = createHistory();
+
+/**
+ * Copy the undoable part of the state (designs and sheets)
+ * Instances and designs are copied since actions update them in place.
+ * @returns {Object} {designFiles, sheets, activeSheetId}
+ */
+function takeSnapshot() {
+  syncActiveSheet();
+  return copySnapshot(state);
+}
+
+/**
+ * Copy a snapshot so the state and the history never share objects
+ * @param {Object} snapshot - {designFiles, sheets, activeSheetId}
+ * @returns {Object}
+ */
+function copySnapshot({ designFiles, sheets, activeSheetId }) {
+  return {
+    designFiles: designFiles.map((file) => ({ ...file })),
+    sheets: sheets.map((sheet) => ({
+      ...sheet,
+      instances: sheet.instances.map((instance) => ({ ...instance })),
+    })),
+    activeSheetId,
+  };
+}
+
+/**
+ * Put a snapshot back into the state, keeping the selection if its instance still exists
+ * @param {Object} snapshot - From takeSnapshot
+ */
+function restoreSnapshot(snapshot) {
+  const restored = copySnapshot(snapshot);
+  const { selectedInstanceId, selectedInstanceIds } = state;
+  state.designFiles = restored.designFiles;
+  state.sheets = restored.sheets;
+  activateSheet(state.sheets.find((sheet) => sheet.id === restored.activeSheetId) || state.sheets[0]);
+  state.selectedInstanceId = selectedInstanceId;
+  state.selectedInstanceIds = selectedInstanceIds;
+  pruneSelection();
+}
+
+/**
+ * Keep the selection to instances on the active sheet
+ * Actions that drop instances only need to clear selectedInstanceId (or
+ * nothing at all); the rest of the selection follows here.
  */
-let state = { ...defaultState };
+function pruneSelection() {
+  if (!state.selectedInstanceId) {
+    state.selectedInstanceIds = [];
+    return;
+  }
+  const ids = state.selectedInstanceIds.includes(state.selectedInstanceId)
+    ? state.selectedInstanceIds
+    : [state.selectedInstanceId];
+  const existing = new Set(state.instances.map((i) => i.id));
+  const kept = ids.filter((id) => existing.has(id));
+  if (kept.length !== state.selectedInstanceIds.length || kept.some((id, i) => id !== state.selectedInstanceIds[i])) {
+    state.selectedInstanceIds = kept;
+  }
+  if (!kept.includes(state.selectedInstanceId)) {
+    state.selectedInstanceId = kept.length > 0 ? kept[kept.length - 1] : null;
+  }
+}
+
+/**
+ * Record an undo step; call right before an action changes designs or sheets
+ * @param {string} label - Shown on the undo/redo buttons, e.g. "Move design"
+ * @param {string|null} [coalesceKey] - Repeated calls with the same key merge into one step
+ */
+function recordHistory(label, coalesceKey = null) {
+  history.record(label, takeSnapshot, coalesceKey);
+  scheduleAutosave();
+}
+
+/**
+ * Drafts autosave a moment after the last change while autosave is on
+ * (the builder overlay turns it on; the operator viewer leaves it off).
+ */
+const AUTOSAVE_DELAY_MS = 1500;
+let autosaveEnabled = false;
+let autosaveTimer = null;
+let draftSaving = Promise.resolve();
+
+/**
+ * Image blobs already read from design URLs, so autosaves don't re-read them
+ */
+const imageBlobs = new Map();
+
+/**
+ * Queue an autosave of the current draft
+ */
+function scheduleAutosave() {
+  if (!autosaveEnabled || state.readOnly || !isDraftStorageAvailable()) return;
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(() => {
+    autosaveTimer = null;
+    // Nothing worth keeping yet
+    if (state.designFiles.length === 0 && state.draft.savedAt === null) return;
+    saveDraft();
+  }, AUTOSAVE_DELAY_MS);
+}
+
+/**
+ * Read a design's image as a blob
+ * @param {DesignFile} design
+ * @returns {Promise<Blob|null>}
+ * @throws {Error} If the image can't be read
+ */
+async function getImageBlob(design) {
+  if (!design.url) return null;
+  if (!imageBlobs.has(design.url)) {
+    const response = await fetch(design.url);
+    if (!response.ok) {
+      throw new Error(`Couldn't read ${design.name || "image"} (${response.status})`);
+    }
+    imageBlobs.set(design.url, await response.blob());
+  }
+  return imageBlobs.get(design.url);
+}
+
+/**
+ * Forget the cached blobs of a design's artwork and attachments
+ * Undo can bring the design back; its URLs stay valid, so the blobs are just read again.
+ * @param {DesignFile} design
+ */
+function forgetImageBlobs(design) {
+  imageBlobs.delete(design.url);
+  DESIGN_ATTACHMENTS.forEach((attachment) => {
+    if (design[attachment]) imageBlobs.delete(design[attachment].url);
+  });
+}
+
+/**
+ * Images a design keeps besides its artwork, each with its own `url`
+ */
+const DESIGN_ATTACHMENTS = ["original", "trimAlternate", "source"];
+
+/**
+ * The saveable part of the state, with design files stripped of their URLs
+ * @param {boolean} [withAttachments=true] - Keep each design's attachments (without URLs);
+ *   drafts save their blobs alongside, shared sheets only carry the artwork
+ * @returns {Object} {sheetQuantity, sheets, activeSheetId, designFiles}
+ */
+function getDraftLayout(withAttachments = true) {
+  syncActiveSheet();
+  return {
+    sheetQuantity: state.sheetQuantity,
+    sheets: copySnapshot(state).sheets,
+    activeSheetId: state.activeSheetId,
+    designFiles: state.designFiles.map(({ url, ...file }) => {
+      DESIGN_ATTACHMENTS.forEach((attachment) => {
+        if (!file[attachment]) return;
+        if (withAttachments) {
+          const { url: attachmentUrl, ...rest } = file[attachment];
+          file[attachment] = rest;
+        } else {
+          delete file[attachment];
+        }
+      });
+      return file;
+    }),
+  };
+}
+
+/**
+ * Read the image blobs of a list of designs
+ * @param {DesignFile[]} designs
+ * @returns {Promise<Map<string, Blob>>} Blobs keyed by design ID
+ */
+async function getDesignImages(designs) {
+  const images = new Map();
+  for (const design of designs) {
+    const blob = await getImageBlob(design);
+    if (blob) images.set(design.id, blob);
+  }
+  return images;
+}
+
+/**
+ * Read the attachment blobs of a list of designs
+ * @param {DesignFile[]} designs
+ * @returns {Promise<Map<string, Object<string, Blob>>>} Blobs keyed by design ID, then by attachment
+ */
+async function getDesignAttachments(designs) {
+  const attachments = new Map();
+  for (const design of designs) {
+    const blobs = {};
+    for (const attachment of DESIGN_ATTACHMENTS) {
+      const blob = design[attachment] ? await getImageBlob(design[attachment]) : null;
+      if (blob) blobs[attachment] = blob;
+    }
+    if (Object.keys(blobs).length > 0) attachments.set(design.id, blobs);
+  }
+  return attachments;
+}
+
+/**
+ * Give a saved design's attachments object URLs for their blobs
+ * Attachments without a saved blob (older drafts, shared sheets) are dropped,
+ * along with the trim state that needs the other version of the artwork.
+ * @param {Object} file - Saved design file, with its artwork URL
+ * @param {Object<string, Blob>} [blobs] - Attachment blobs by attachment
+ * @returns {DesignFile}
+ */
+function restoreDesignAttachments(file, blobs = {}) {
+  const design = { ...file };
+  DESIGN_ATTACHMENTS.forEach((attachment) => {
+    const blob = blobs[attachment];
+    if (design[attachment] && blob) {
+      const url = URL.createObjectURL(blob);
+      imageBlobs.set(url, blob);
+      design[attachment] = { ...design[attachment], url };
+    } else {
+      delete design[attachment];
+    }
+  });
+  if (design.trim && !design.trimAlternate) {
+    delete design.trim;
+    delete design.trimmed;
+  }
+  return design;
+}
+
+/**
+ * Set the draft status and notify listeners
+ * @param {Partial<DraftStatus>} partial
+ */
+function updateDraftStatus(partial) {
+  state.draft = { ...state.draft, ...partial };
+  notifyListeners();
+}
 
 /**
  * List of state change listeners
  */
 const listeners = [];
 
+/**
+ * Packing runs execute one at a time, in the order they were requested, so each
+ * one packs around the result of the previous one. Their jobs run in the packing
+ * worker; cancelPacking drops the running job and everything still queued.
+ */
+let packingGeneration = 0;
+let packingQueue = Promise.resolve();
+let queuedPackingRuns = 0;
+let currentPackJob = null;
+
+/**
+ * Queue a packing run
+ * @param {string} label - What is being calculated, shown while the run is active
+ * @param {Function} task - async (generation) => result; commits its own state changes
+ * @returns {Promise<*>} The task's result, or null if cancelled
+ */
+function queuePacking(label, task) {
+  const generation = packingGeneration;
+  queuedPackingRuns++;
+  if (!state.packing.busy) {
+    state.packing = { busy: true, label, progress: 0 };
+    notifyListeners();
+  }
+
+  const run = packingQueue.then(async () => {
+    if (generation !== packingGeneration) return null;
+    state.packing = { busy: true, label, progress: 0 };
+    notifyListeners();
+    return task(generation);
+  }).finally(() => {
+    if (generation !== packingGeneration) return;
+    queuedPackingRuns--;
+    if (queuedPackingRuns === 0) {
+      state.packing = { busy: false, label: "", progress: 0 };
+      notifyListeners();
+    }
+  });
+
+  packingQueue = run.catch((error) => console.error("Error while packing:", error));
+  return run;
+}
+
+/**
+ * Run one job in the packing worker, reporting its progress in state.packing
+ * @param {number} generation - Generation the run was queued in
+ * @param {string} op - Job name (see pack-jobs.js)
+ * @param {Object} params
+ * @returns {Promise<*>} Job result, or null if packing was cancelled
+ */
+async function runPacking(generation, op, params) {
+  if (generation !== packingGeneration) return null;
+  const job = startPackJob(op, params, {
+    onProgress: (progress) => {
+      if (generation !== packingGeneration) return;
+      state.packing = { ...state.packing, progress };
+      notifyListeners();
+    },
+  });
+  currentPackJob = job;
+  try {
+    const result = await job.promise;
+    return generation === packingGeneration ? result : null;
+  } finally {
+    if (currentPackJob === job) currentPackJob = null;
+  }
+}
+
+/**
+ * Cancel the running packing job and any queued ones, leaving the sheets as they were
+ */
+export function cancelPacking() {
+  if (!state.packing.busy) return;
+  packingGeneration++;
+  queuedPackingRuns = 0;
+  currentPackJob?.cancel();
+  currentPackJob = null;
+  state.packing = { busy: false, label: "", progress: 0 };
+  notifyListeners();
+}
+
 /**
  * Notify all listeners of state change
  */
 function notifyListeners() {
+  syncActiveSheet();
+  pruneSelection();
+  state.history = history.getStatus();
   listeners.forEach((listener) => {
     try {
       listener({ ...state });
@@ -106,6 +575,10 @@ export function getState() {
  * @param {string} sheetSizeId
  */
 export function setSheetSize(sheetSizeId) {
+  if (state.readOnly) return;
+  if (sheetSizeId !== state.selectedSheetSizeId) {
+    recordHistory("Change sheet size");
+  }
   state.selectedSheetSizeId = sheetSizeId;
   notifyListeners();
 }
@@ -115,7 +588,9 @@ export function setSheetSize(sheetSizeId) {
  * @param {number} quantity
  */
 export function setSheetQuantity(quantity) {
+  if (state.readOnly) return;
   state.sheetQuantity = Math.max(1, Math.floor(quantity));
+  scheduleAutosave();
   notifyListeners();
 }
 
@@ -124,12 +599,14 @@ export function setSheetQuantity(quantity) {
  * @param {DesignFile} file
  */
 export function addDesignFile(file) {
+  if (state.readOnly) return;
   // Calculate default size if not provided (assuming 300 DPI)
   if (!file.widthIn || !file.heightIn) {
     const dpi = 300;
     file.widthIn = file.naturalWidthPx / dpi;
     file.heightIn = file.naturalHeightPx / dpi;
   }
+  recordHistory(`Add ${file.name}`);
   state.designFiles.push(file);
   notifyListeners();
 }
@@ -142,75 +619,204 @@ export function addDesignFile(file) {
  * @param {boolean} reorganize - Whether to reorganize instances using this design
  */
 export function updateDesignSize(id, widthIn, heightIn, reorganize = false) {
+  if (state.readOnly) return;
   const design = state.designFiles.find((f) => f.id === id);
   if (!design) return;
 
+  recordHistory(`Resize ${design.name}`);
   const oldWidth = design.widthIn;
   const oldHeight = design.heightIn;
   
   design.widthIn = widthIn;
   design.heightIn = heightIn;
 
-  // Update all instances using this design
-  if (reorganize) {
-    const instancesToUpdate = state.instances.filter((i) => i.designId === id);
-    
-    if (instancesToUpdate.length > 0) {
-      // Calculate scale factors
-      const scaleX = widthIn / oldWidth;
-      const scaleY = heightIn / oldHeight;
-      
-      // Scale all instances proportionally
-      instancesToUpdate.forEach((instance) => {
-        instance.widthIn = instance.widthIn * scaleX;
-        instance.heightIn = instance.heightIn * scaleY;
-      });
-
-      // Re-auto-pack if there are multiple instances
-      if (instancesToUpdate.length > 1) {
-        const sheetSize = SHEET_SIZES.find((s) => s.id === state.selectedSheetSizeId);
-        if (sheetSize) {
-          // Clear existing instances for this design
-          state.instances = state.instances.filter((i) => i.designId !== id);
-          
-          // Re-auto-pack (autoPackDesign is already imported at top)
-          const result = autoPackDesign({
-            sheetWidthIn: sheetSize.widthIn,
-            sheetHeightIn: sheetSize.heightIn,
-            designWidthIn: widthIn,
-            designHeightIn: heightIn,
-            quantity: instancesToUpdate.length,
-            tryRotated: true,
-          });
-
-          // Create new instances at new positions
-          result.positions.forEach((pos) => {
-            const instance = {
-              id: `instance_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-              designId: id,
-              xIn: pos.xIn,
-              yIn: pos.yIn,
-              widthIn: widthIn,
-              heightIn: heightIn,
-              rotationDeg: pos.rotated || 0,
-            };
-            state.instances.push(instance);
-          });
-        }
-      }
+  // Every copy on the active sheet takes the new size in place
+  state.instances.forEach((instance) => {
+    if (instance.designId === id) {
+      instance.widthIn = instance.widthIn * (widthIn / oldWidth);
+      instance.heightIn = instance.heightIn * (heightIn / oldHeight);
     }
-  } else {
-    // Just update instance sizes without repositioning
-    state.instances.forEach((instance) => {
+  });
+
+  // Copies on the other sheets keep their positions and just take the new size
+  state.sheets.forEach((sheet) => {
+    if (sheet.id === state.activeSheetId) return;
+    sheet.instances.forEach((instance) => {
       if (instance.designId === id) {
-        const scaleX = widthIn / oldWidth;
-        const scaleY = heightIn / oldHeight;
-        instance.widthIn = instance.widthIn * scaleX;
-        instance.heightIn = instance.heightIn * scaleY;
+        instance.widthIn = instance.widthIn * (widthIn / oldWidth);
+        instance.heightIn = instance.heightIn * (heightIn / oldHeight);
       }
     });
+  });
+
+  notifyListeners();
+
+  // Re-auto-pack (in the packing worker) if there are multiple copies on the active sheet
+  if (reorganize && state.instances.filter((i) => i.designId === id).length > 1) {
+    repackDesignOnActiveSheet(design);
   }
+}
+
+/**
+ * Re-pack a design's copies on the active sheet around everything else on it
+ * Runs in the packing worker after a resize and belongs to the resize's undo step.
+ * The copies stay where they are if they don't all fit.
+ * @param {DesignFile} design
+ * @returns {Promise<boolean|null>} True if the copies were moved, null if cancelled
+ */
+function repackDesignOnActiveSheet(design) {
+  return queuePacking(`Packing ${design.name}`, async (generation) => {
+    const sheetSize = SHEET_SIZES.find((s) => s.id === state.selectedSheetSizeId);
+    if (!sheetSize || !state.designFiles.includes(design)) return null;
+    const startSheetId = state.activeSheetId;
+    const otherInstances = state.instances.filter((i) => i.designId !== design.id);
+    const quantity = state.instances.length - otherInstances.length;
+
+    const result = await runPacking(generation, "autoPackDesign", {
+      sheetWidthIn: sheetSize.widthIn,
+      sheetHeightIn: sheetSize.heightIn,
+      designWidthIn: design.widthIn,
+      designHeightIn: design.heightIn,
+      quantity,
+      tryRotated: true,
+      existingOccupiedAreas: getOccupiedAreas(otherInstances),
+    });
+    if (!result || state.activeSheetId !== startSheetId) return null;
+
+    const created = buildInstances(design.id, result.positions, design.widthIn, design.heightIn, sheetSize);
+    if (created.length < quantity) return false;
+
+    state.instances = [...state.instances.filter((i) => i.designId !== design.id), ...created];
+    notifyListeners();
+    return true;
+  });
+}
+
+/**
+ * Replace a design's artwork with an edited version of the same pixel size
+ * The first edit keeps the uploaded artwork in `original`, so restoreDesignOriginal
+ * (or undo) can bring it back. Placed copies keep their size and position.
+ * @param {string} id - Design file ID
+ * @param {Object} image - {url, name, outline, background, backgroundRemoval}
+ * @param {string} [label="Edit artwork"] - Undo label
+ */
+export function replaceDesignImage(id, image, label = "Edit artwork") {
+  if (state.readOnly) return;
+  const index = state.designFiles.findIndex((f) => f.id === id);
+  if (index === -1) return;
+  const design = state.designFiles[index];
+
+  recordHistory(`${label}: ${design.name}`);
+  // The first edit keeps the upload as `original`; later edits drop the previous one
+  if (design.original) imageBlobs.delete(design.url);
+  state.designFiles[index] = {
+    ...design,
+    original: design.original || {
+      url: design.url,
+      name: design.name,
+      outline: design.outline || null,
+      background: design.background || null,
+    },
+    url: image.url,
+    name: image.name || design.name,
+    outline: image.outline || null,
+    background: image.background || null,
+    backgroundRemoval: image.backgroundRemoval || null,
+  };
+  notifyListeners();
+}
+
+/**
+ * Put a design's uploaded artwork back after an edit
+ * @param {string} id - Design file ID
+ */
+export function restoreDesignOriginal(id) {
+  if (state.readOnly) return;
+  const index = state.designFiles.findIndex((f) => f.id === id);
+  const design = state.designFiles[index];
+  if (!design || !design.original) return;
+
+  recordHistory(`Restore ${design.original.name}`);
+  const { original, backgroundRemoval, ...rest } = design;
+  state.designFiles[index] = { ...rest, ...original };
+  notifyListeners();
+}
 
+/**
+ * Switch a design between its trimmed and untrimmed artwork
+ * The print resolution stays the same, so the design (and every placed copy)
+ * grows or shrinks by the margins, and copies move so the visible art stays put.
+ * @param {string} id - Design file ID
+ * @param {boolean} trimmed - True for the trimmed version
+ */
+export function setDesignTrimmed(id, trimmed) {
+  if (state.readOnly) return;
+  const index = state.designFiles.findIndex((f) => f.id === id);
+  const design = state.designFiles[index];
+  if (!design || !design.trim || !design.trimAlternate || Boolean(design.trimmed) === trimmed) return;
+
+  recordHistory(trimmed ? `Trim ${design.name}` : `Restore margins: ${design.name}`);
+  const { trim, trimAlternate: next } = design;
+
+  // Offset of the trimmed art's center from the untrimmed image's center (untrimmed px).
+  // Trimming moves each copy's center onto the art; restoring moves it back.
+  const direction = trimmed ? 1 : -1;
+  const offsetXPx = direction * (trim.left + trim.widthPx / 2 - trim.sourceWidthPx / 2);
+  const offsetYPx = direction * (trim.top + trim.heightPx / 2 - trim.sourceHeightPx / 2);
+
+  const resizeInstance = (instance) => {
+    const inPerPxX = instance.widthIn / design.naturalWidthPx;
+    const inPerPxY = instance.heightIn / design.naturalHeightPx;
+    const radians = ((instance.rotationDeg || 0) * Math.PI) / 180;
+    const dx = offsetXPx * inPerPxX;
+    const dy = offsetYPx * inPerPxY;
+    const centerX = instance.xIn + instance.widthIn / 2 + dx * Math.cos(radians) - dy * Math.sin(radians);
+    const centerY = instance.yIn + instance.heightIn / 2 + dx * Math.sin(radians) + dy * Math.cos(radians);
+    instance.widthIn = next.naturalWidthPx * inPerPxX;
+    instance.heightIn = next.naturalHeightPx * inPerPxY;
+    instance.xIn = centerX - instance.widthIn / 2;
+    instance.yIn = centerY - instance.heightIn / 2;
+  };
+  state.instances.filter((i) => i.designId === id).forEach(resizeInstance);
+  state.sheets.forEach((sheet) => {
+    if (sheet.id === state.activeSheetId) return;
+    sheet.instances.filter((i) => i.designId === id).forEach(resizeInstance);
+  });
+
+  state.designFiles[index] = {
+    ...design,
+    ...next,
+    widthIn: next.naturalWidthPx * (design.widthIn / design.naturalWidthPx),
+    heightIn: next.naturalHeightPx * (design.heightIn / design.naturalHeightPx),
+    trimmed,
+    trimAlternate: {
+      url: design.url,
+      name: design.name,
+      naturalWidthPx: design.naturalWidthPx,
+      naturalHeightPx: design.naturalHeightPx,
+      outline: design.outline || null,
+      background: design.background || null,
+    },
+  };
+  notifyListeners();
+}
+
+/**
+ * Swap in a sharper raster of a design's vector source after a resize
+ * Not an undo step: it finishes the resize that was recorded. The raster is
+ * dropped if the design has been resized again (or undone) since it was started.
+ * @param {string} id - Design file ID
+ * @param {Object} raster - {url, naturalWidthPx, naturalHeightPx, trim?, trimAlternate?}
+ * @param {Object} forSize - {widthIn, heightIn} the raster was made for
+ */
+export function setDesignRaster(id, raster, forSize) {
+  if (state.readOnly) return;
+  const index = state.designFiles.findIndex((f) => f.id === id);
+  const design = state.designFiles[index];
+  if (!design || design.widthIn !== forSize.widthIn || design.heightIn !== forSize.heightIn) return;
+
+  state.designFiles[index] = { ...design, ...raster };
+  scheduleAutosave();
   notifyListeners();
 }
 
@@ -219,182 +825,260 @@ export function updateDesignSize(id, widthIn, heightIn, reorganize = false) {
  * @param {string} id
  */
 export function removeDesignFile(id) {
-  state.designFiles = state.designFiles.filter((f) => f.id !== id);
-  // Also remove all instances using this design
-  state.instances = state.instances.filter((i) => i.designId !== id);
+  if (state.readOnly) return;
+  const design = state.designFiles.find((f) => f.id === id);
+  if (!design) return;
+  recordHistory(`Remove ${design.name}`);
+  forgetImageBlobs(design);
   if (state.selectedInstanceId && state.instances.find((i) => i.id === state.selectedInstanceId)?.designId === id) {
     state.selectedInstanceId = null;
   }
+  state.designFiles = state.designFiles.filter((f) => f.id !== id);
+  // Also remove all instances using this design, on every sheet
+  const filledSheetIds = getFilledSheetIds();
+  state.instances = state.instances.filter((i) => i.designId !== id);
+  state.sheets = state.sheets.map((sheet) => ({
+    ...sheet,
+    instances: sheet.instances.filter((i) => i.designId !== id),
+  }));
+  dropEmptiedSheets(filledSheetIds);
   notifyListeners();
 }
 
 /**
  * Add instances for a design
+ *
+ * When auto-packing, `quantity` is the total number of copies wanted across the
+ * order: existing copies of the design are cleared from every sheet, as many as
+ * fit go on the active sheet, and the rest spill onto the other sheets and then
+ * onto new sheets of the same size. Packing runs in the packing worker after any
+ * packing already queued, so the sheets only change once it finishes;
+ * `state.packing` reports progress meanwhile.
+ *
  * @param {string} designId
  * @param {number} quantity
  * @param {boolean} autoPack - Whether to auto-pack the instances
+ * @returns {Promise<Object|null>} {maxInstances, placedCount, sheetsAdded}, or null if packing was cancelled
  */
-export function addInstancesForDesign(designId, quantity, autoPack = false) {
+export async function addInstancesForDesign(designId, quantity, autoPack = false) {
+  if (state.readOnly) {
+    return { maxInstances: 0, placedCount: 0, sheetsAdded: 0 };
+  }
   const design = state.designFiles.find((f) => f.id === designId);
   if (!design) {
     console.warn(`Design ${designId} not found`);
-    return { maxInstances: 0 };
+    return { maxInstances: 0, placedCount: 0, sheetsAdded: 0 };
   }
 
   const sheetSize = SHEET_SIZES.find((s) => s.id === state.selectedSheetSizeId);
   if (!sheetSize) {
     console.warn(`Sheet size not selected`);
-    return { maxInstances: 0 };
+    return { maxInstances: 0, placedCount: 0, sheetsAdded: 0 };
   }
 
-  // If auto-packing, remove all existing instances of this design first
-  // This prevents overlapping when auto-packing multiple times
   if (autoPack) {
-    state.instances = state.instances.filter((i) => i.designId !== designId);
-    // Also clear selection if the selected instance was removed
-    if (state.selectedInstanceId) {
-      const stillExists = state.instances.find((i) => i.id === state.selectedInstanceId);
-      if (!stillExists) {
-        state.selectedInstanceId = null;
-      }
-    }
+    return autoPackInstancesForDesign(design, quantity);
   }
 
   // Use the design's defined size
   const designWidthIn = design.widthIn || design.naturalWidthPx / 300;
   const designHeightIn = design.heightIn || design.naturalHeightPx / 300;
 
-  // Build occupied areas from all existing instances (excluding instances of this design if auto-packing)
-  const deadspaceIn = 0.157; // 4mm
-  const existingOccupiedAreas = state.instances
-    .filter((inst) => !autoPack || inst.designId !== designId) // Exclude this design's instances if auto-packing
-    .map((inst) => {
-      // Use the same bounding box calculation as in layout.js
-      if (inst.rotationDeg === 90) {
-        // For rotated graphics, calculate bounding box from center
-        const graphicCenterX = inst.xIn + inst.widthIn / 2;
-        const graphicCenterY = inst.yIn + inst.heightIn / 2;
-        const boxWidth = inst.heightIn + (deadspaceIn * 2);
-        const boxHeight = inst.widthIn + (deadspaceIn * 2);
-        return {
-          xIn: graphicCenterX - boxWidth / 2,
-          yIn: graphicCenterY - boxHeight / 2,
-          widthIn: boxWidth,
-          heightIn: boxHeight,
-        };
-      } else {
-        // Non-rotated: bounding box is graphic + deadspace on all sides
-        return {
-          xIn: inst.xIn - deadspaceIn,
-          yIn: inst.yIn - deadspaceIn,
-          widthIn: inst.widthIn + (deadspaceIn * 2),
-          heightIn: inst.heightIn + (deadspaceIn * 2),
-        };
-      }
-    });
+  // Build occupied areas from all existing instances
+  const deadspaceIn = DEADSPACE_IN;
+  const existingOccupiedAreas = getOccupiedAreas(state.instances);
 
-  let positions = [];
-  let maxInstances = quantity;
-  let rotated = false;
-  
-  if (autoPack) {
-    const result = autoPackDesign({
-      sheetWidthIn: sheetSize.widthIn,
-      sheetHeightIn: sheetSize.heightIn,
-      designWidthIn,
-      designHeightIn,
-      quantity,
-      tryRotated: true, // Try rotated orientation if needed
-      existingOccupiedAreas, // Pass existing occupied areas
-    });
-    positions = result.positions;
-    maxInstances = result.maxInstances;
-    rotated = result.rotated;
-  } else {
-    // Place instances in a simple grid if not auto-packing, checking for overlaps and bounds
-    const cols = Math.ceil(Math.sqrt(quantity));
-    const spacing = 2.5; // 2.5 inch spacing
-    const effectiveWidth = designWidthIn + (deadspaceIn * 2);
-    const effectiveHeight = designHeightIn + (deadspaceIn * 2);
+  const positions = [];
+  const maxInstances = quantity;
+
+  // Place instances in a simple grid, checking for overlaps and bounds
+  const cols = Math.ceil(Math.sqrt(quantity));
+  const spacing = 2.5; // 2.5 inch spacing
+  const effectiveWidth = designWidthIn + (deadspaceIn * 2);
+  const effectiveHeight = designHeightIn + (deadspaceIn * 2);
+
+  let placed = 0;
+  let attempts = 0;
+  const maxAttempts = quantity * 100; // Prevent infinite loop
+
+  for (let row = 0; row < 100 && placed < quantity && attempts < maxAttempts; row++) {
+    for (let col = 0; col < cols && placed < quantity && attempts < maxAttempts; col++) {
+      attempts++;
     
-    let placed = 0;
-    let attempts = 0;
-    const maxAttempts = quantity * 100; // Prevent infinite loop
+      // Calculate bounding box position
+      const boxX = col * spacing - deadspaceIn;
+      const boxY = row * spacing - deadspaceIn;
     
-    for (let row = 0; row < 100 && placed < quantity && attempts < maxAttempts; row++) {
-      for (let col = 0; col < cols && placed < quantity && attempts < maxAttempts; col++) {
-        attempts++;
-        
-        // Calculate bounding box position
-        const boxX = col * spacing - deadspaceIn;
-        const boxY = row * spacing - deadspaceIn;
-        
-        // First check: Is the bounding box within sheet bounds?
-        if (boxX < 0 || boxY < 0 || 
-            boxX + effectiveWidth > sheetSize.widthIn || 
-            boxY + effectiveHeight > sheetSize.heightIn) {
-          continue; // Skip positions that go off the sheet
-        }
-        
-        // Second check: Does this position overlap with existing instances?
-        let overlaps = false;
-        for (const existing of existingOccupiedAreas) {
-          if (
-            boxX < existing.xIn + existing.widthIn &&
-            boxX + effectiveWidth > existing.xIn &&
-            boxY < existing.yIn + existing.heightIn &&
-            boxY + effectiveHeight > existing.yIn
-          ) {
-            overlaps = true;
-            break;
-          }
-        }
-        
-        if (!overlaps) {
-          // Graphic position (top-left of graphic, not bounding box)
-          positions.push({
-            xIn: boxX + deadspaceIn,
-            yIn: boxY + deadspaceIn,
-            rotated: 0,
-          });
-          placed++;
+      // First check: Is the bounding box within sheet bounds?
+      if (boxX < 0 || boxY < 0 || 
+          boxX + effectiveWidth > sheetSize.widthIn || 
+          boxY + effectiveHeight > sheetSize.heightIn) {
+        continue; // Skip positions that go off the sheet
+      }
+    
+      // Second check: Does this position overlap with existing instances?
+      let overlaps = false;
+      for (const existing of existingOccupiedAreas) {
+        if (
+          boxX < existing.xIn + existing.widthIn &&
+          boxX + effectiveWidth > existing.xIn &&
+          boxY < existing.yIn + existing.heightIn &&
+          boxY + effectiveHeight > existing.yIn
+        ) {
+          overlaps = true;
+          break;
         }
       }
+    
+      if (!overlaps) {
+        // Graphic position (top-left of graphic, not bounding box)
+        positions.push({
+          xIn: boxX + deadspaceIn,
+          yIn: boxY + deadspaceIn,
+          rotated: 0,
+        });
+        placed++;
+      }
     }
   }
 
-  // Create instances with final validation - STRICT bounds checking
-  for (const pos of positions) {
-    // Calculate bounding box using the same logic as layout.js
-    let box;
-    if (pos.rotated === 90) {
-      const graphicCenterX = pos.xIn + designWidthIn / 2;
-      const graphicCenterY = pos.yIn + designHeightIn / 2;
-      const boxWidth = designHeightIn + (deadspaceIn * 2);
-      const boxHeight = designWidthIn + (deadspaceIn * 2);
-      box = {
-        xIn: graphicCenterX - boxWidth / 2,
-        yIn: graphicCenterY - boxHeight / 2,
-        widthIn: boxWidth,
-        heightIn: boxHeight,
-      };
-    } else {
-      box = {
-        xIn: pos.xIn - deadspaceIn,
-        yIn: pos.yIn - deadspaceIn,
-        widthIn: designWidthIn + (deadspaceIn * 2),
-        heightIn: designHeightIn + (deadspaceIn * 2),
-      };
-    }
-    
-    // STRICT bounds check: entire bounding box must be within sheet
-    if (!isWithinBounds(box.xIn, box.yIn, box.widthIn, box.heightIn, sheetSize.widthIn, sheetSize.heightIn)) {
-      console.warn(`Skipping instance at (${pos.xIn.toFixed(3)}, ${pos.yIn.toFixed(3)}) - out of bounds. Box: (${box.xIn.toFixed(3)}, ${box.yIn.toFixed(3)}) size: ${box.widthIn.toFixed(3)}x${box.heightIn.toFixed(3)}, sheet: ${sheetSize.widthIn}x${sheetSize.heightIn}`);
-      continue; // Skip invalid positions
-    }
-    
-    // Additional verification: ensure graphic position coordinates are valid
-    if (pos.xIn < 0 || pos.yIn < 0) {
+  const created = buildInstances(designId, positions, designWidthIn, designHeightIn, sheetSize);
+  if (created.length > 0) {
+    recordHistory(`Add ${design.name}`);
+  }
+  state.instances.push(...created);
+  notifyListeners();
+
+  return { maxInstances, placedCount: created.length, sheetsAdded: 0 };
+}
+
+/**
+ * Auto-pack a design across the sheets (see addInstancesForDesign)
+ * Works on copies of the sheets and commits them only when every packing job has finished.
+ * Sizes are read when the run starts, since earlier queued runs may still be changing things.
+ * @param {DesignFile} design
+ * @param {number} quantity
+ * @returns {Promise<Object|null>}
+ */
+async function autoPackInstancesForDesign(design, quantity) {
+  return queuePacking(`Packing ${design.name}`, async (generation) => {
+    const designId = design.id;
+    const sheetSize = SHEET_SIZES.find((s) => s.id === state.selectedSheetSizeId);
+    if (!sheetSize || !state.designFiles.includes(design)) return null;
+    const designWidthIn = design.widthIn || design.naturalWidthPx / 300;
+    const designHeightIn = design.heightIn || design.naturalHeightPx / 300;
+    const startSheetId = state.activeSheetId;
+    const filledSheetIds = getFilledSheetIds();
+
+    // Remove all existing instances of this design first
+    // This prevents overlapping when auto-packing multiple times
+    const activeInstances = state.instances.filter((i) => i.designId !== designId);
+    let sheets = state.sheets.map((sheet) =>
+      sheet.id === startSheetId
+        ? { ...sheet, instances: activeInstances }
+        : { ...sheet, instances: sheet.instances.filter((i) => i.designId !== designId) }
+    );
+
+    const packParams = (size, instances, count) => ({
+      sheetWidthIn: size.widthIn,
+      sheetHeightIn: size.heightIn,
+      designWidthIn,
+      designHeightIn,
+      quantity: count,
+      tryRotated: true, // Try rotated orientation if needed
+      existingOccupiedAreas: getOccupiedAreas(instances), // Pass existing occupied areas
+    });
+
+    const result = await runPacking(generation, "autoPackDesign", packParams(sheetSize, activeInstances, quantity));
+    if (!result) return null;
+    const created = buildInstances(designId, result.positions, designWidthIn, designHeightIn, sheetSize);
+    sheets = sheets.map((sheet) =>
+      sheet.id === startSheetId ? { ...sheet, instances: [...activeInstances, ...created] } : sheet
+    );
+
+    // Spill copies that didn't fit onto the other sheets, then onto new sheets
+    let placedCount = created.length;
+    let sheetsAdded = 0;
+    const targets = sheets.filter((sheet) => sheet.id !== startSheetId);
+    while (placedCount < quantity) {
+      let target = targets.shift();
+      const isNewSheet = !target;
+      if (isNewSheet) {
+        target = createSheet(sheetSize.id);
+      }
+
+      const targetSize = SHEET_SIZES.find((s) => s.id === target.sheetSizeId);
+      if (!targetSize) continue;
+
+      const spillResult = await runPacking(generation, "autoPackDesign", packParams(targetSize, target.instances, quantity - placedCount));
+      if (!spillResult) return null;
+      const spilled = buildInstances(designId, spillResult.positions, designWidthIn, designHeightIn, targetSize);
+
+      // Nothing fits even on an empty sheet - the design is larger than the sheet
+      if (isNewSheet && spilled.length === 0) break;
+      if (spilled.length === 0) continue;
+
+      placedCount += spilled.length;
+      if (isNewSheet) {
+        sheets = [...sheets, { ...target, instances: spilled }];
+        sheetsAdded++;
+      } else {
+        sheets = sheets.map((sheet) =>
+          sheet.id === target.id ? { ...sheet, instances: [...sheet.instances, ...spilled] } : sheet
+        );
+      }
+    }
+
+    // The customer switched sheets while we were packing - don't overwrite what they're looking at
+    if (state.activeSheetId !== startSheetId) {
+      return null;
+    }
+
+    recordHistory(`Pack ${design.name}`);
+    state.sheets = sheets;
+    state.instances = sheets.find((sheet) => sheet.id === startSheetId).instances;
+
+    // Also clear selection if the selected instance was removed
+    if (state.selectedInstanceId && !state.instances.some((i) => i.id === state.selectedInstanceId)) {
+      state.selectedInstanceId = null;
+    }
+
+    // Overflow sheets that only held this design's old copies are no longer needed
+    dropEmptiedSheets(filledSheetIds);
+
+    // Notify listeners to update UI
+    notifyListeners();
+
+    // Return max instances for UI to cap quantity input
+    return { maxInstances: result.maxInstances, placedCount, sheetsAdded };
+  });
+}
+
+/**
+ * Turn packed positions into instances, dropping any that fail validation
+ * @param {string} designId
+ * @param {Array} positions - Array of {xIn, yIn, rotated}
+ * @param {number} designWidthIn
+ * @param {number} designHeightIn
+ * @param {Object} sheetSize
+ * @returns {PlacedInstance[]}
+ */
+function buildInstances(designId, positions, designWidthIn, designHeightIn, sheetSize) {
+  const deadspaceIn = DEADSPACE_IN;
+  const instances = [];
+
+  // Create instances with final validation - STRICT bounds checking
+  for (const pos of positions) {
+    const box = getBoundingBox(pos.xIn, pos.yIn, designWidthIn, designHeightIn, pos.rotated || 0, deadspaceIn);
+    
+    // STRICT bounds check: entire bounding box must be within sheet
+    if (!isWithinBounds(box.xIn, box.yIn, box.widthIn, box.heightIn, sheetSize.widthIn, sheetSize.heightIn)) {
+      console.warn(`Skipping instance at (${pos.xIn.toFixed(3)}, ${pos.yIn.toFixed(3)}) - out of bounds. Box: (${box.xIn.toFixed(3)}, ${box.yIn.toFixed(3)}) size: ${box.widthIn.toFixed(3)}x${box.heightIn.toFixed(3)}, sheet: ${sheetSize.widthIn}x${sheetSize.heightIn}`);
+      continue; // Skip invalid positions
+    }
+    
+    // Additional verification: ensure graphic position coordinates are valid
+    if (pos.xIn < 0 || pos.yIn < 0) {
       console.warn(`Skipping instance at (${pos.xIn}, ${pos.yIn}) - negative coordinates`);
       continue; // Skip invalid positions
     }
@@ -408,42 +1092,644 @@ export function addInstancesForDesign(designId, quantity, autoPack = false) {
       heightIn: designHeightIn,
       rotationDeg: pos.rotated || 0,
     };
-    state.instances.push(instance);
+    instances.push(instance);
   }
 
-  // Notify listeners to update UI
+  return instances;
+}
+
+/**
+ * Auto-arrange every design on the sheet at once
+ * Replaces all sheets: packs every design together on the active sheet with the
+ * multi-design packer, and spills whatever doesn't fit onto new sheets of the same size.
+ * Designs that were rotated to a free angle keep that tilt (modulo 90°).
+ * Packing runs in the packing worker; `state.packing` reports progress meanwhile.
+ * @param {Object<string, number>} quantities - Requested copies keyed by design ID
+ * @returns {Promise<Object|null>} {placedCount, requestedCount, usagePct, sheetCount}, or null if cancelled or read-only
+ */
+export async function autoArrangeAll(quantities) {
+  if (state.readOnly) return null;
+  const sheetSize = SHEET_SIZES.find((s) => s.id === state.selectedSheetSizeId);
+  if (!sheetSize) {
+    console.warn(`Sheet size not selected`);
+    return { placedCount: 0, requestedCount: 0, usagePct: 0, sheetCount: 0 };
+  }
+
+  // Designs the customer has tilted keep their angle (rounded to a quarter turn)
+  syncActiveSheet();
+  const rotations = {};
+  state.sheets.flatMap((sheet) => sheet.instances).forEach((inst) => {
+    if (!(inst.designId in rotations)) {
+      rotations[inst.designId] = normalizeRotation(inst.rotationDeg) % 90;
+    }
+  });
+
+  const items = getArrangePackItems(quantities, rotations);
+
+  return queuePacking("Arranging designs", async (generation) => {
+    const result = await runPacking(generation, "packOverflow", {
+      sheetWidthIn: sheetSize.widthIn,
+      sheetHeightIn: sheetSize.heightIn,
+      items,
+    });
+    if (!result) return null;
+
+    // Sheet 1 keeps the active sheet's ID; overflow goes onto new sheets
+    recordHistory("Auto-arrange");
+    const activeSheet = state.sheets.find((sheet) => sheet.id === state.activeSheetId);
+    const sheets = result.sheets.map((placements, index) =>
+      index === 0
+        ? { ...activeSheet, sheetSizeId: sheetSize.id, instances: instancesFromPlacements(placements) }
+        : createSheet(sheetSize.id, instancesFromPlacements(placements))
+    );
+
+    state.sheets = sheets;
+    activateSheet(sheets[0]);
+
+    notifyListeners();
+
+    return {
+      placedCount: result.placedCount,
+      requestedCount: result.requestedCount,
+      usagePct: result.usagePct,
+      sheetCount: sheets.length,
+    };
+  });
+}
+
+/**
+ * Replace all sheets with a packed plan, e.g. an option from the sheet recommender
+ * @param {Array} plan - Array of {sheetSizeId, placements}
+ */
+export function applySheetPlan(plan) {
+  if (state.readOnly) return;
+  if (!plan || plan.length === 0) return;
+  recordHistory("Use recommended sheets");
+  state.sheets = plan.map((sheet) => createSheet(sheet.sheetSizeId, instancesFromPlacements(sheet.placements)));
+  activateSheet(state.sheets[0]);
   notifyListeners();
+}
+
+/**
+ * Pack items for arranging every design, keeping copies that were resized on their own at their size
+ * A design's default-size copies share an item keyed by the design ID; every other size placed
+ * on the sheets gets its own item keyed `${designId}@${widthIn}x${heightIn}` (see
+ * instancesFromPlacements). Requested copies beyond the resized ones use the default size.
+ * @param {Object<string, number>} quantities - Requested copies keyed by design ID
+ * @param {Object<string, number>} [rotations={}] - Base rotation keyed by design ID
+ * @returns {PackItem[]}
+ */
+export function getArrangePackItems(quantities, rotations = {}) {
+  syncActiveSheet();
+  const placed = state.sheets.flatMap((sheet) => sheet.instances);
+  const isSameSize = (a, b) => Math.abs(a.widthIn - b.widthIn) < 1e-6 && Math.abs(a.heightIn - b.heightIn) < 1e-6;
+
+  return getDesignPackItems(state.designFiles, quantities, rotations).flatMap((item) => {
+    const resized = new Map();
+    placed
+      .filter((instance) => instance.designId === item.designId && !isSameSize(instance, item))
+      .forEach((instance) => {
+        const key = `${item.designId}@${instance.widthIn}x${instance.heightIn}`;
+        const group = resized.get(key) || { widthIn: instance.widthIn, heightIn: instance.heightIn, quantity: 0 };
+        group.quantity++;
+        resized.set(key, group);
+      });
 
-  // Return max instances for UI to cap quantity input
-  return { maxInstances };
+    let remaining = item.quantity;
+    const sizedItems = [];
+    resized.forEach((group, key) => {
+      const quantity = Math.min(group.quantity, remaining);
+      if (quantity <= 0) return;
+      remaining -= quantity;
+      sizedItems.push({ ...item, designId: key, widthIn: group.widthIn, heightIn: group.heightIn, quantity });
+    });
+    return [{ ...item, quantity: remaining }, ...sizedItems];
+  });
+}
+
+/**
+ * Create instances at packed placements, sized from their design files, or from the
+ * pack item key for copies with their own size (see getArrangePackItems)
+ * @param {Array} placements - Array of {designId, xIn, yIn, rotated}
+ * @returns {PlacedInstance[]}
+ */
+function instancesFromPlacements(placements) {
+  const items = new Map(getDesignPackItems(state.designFiles, {}).map((item) => [item.designId, item]));
+  return placements
+    .map((pos) => {
+      const [designId, copySize] = pos.designId.split("@");
+      const design = items.get(designId);
+      if (!design) return null;
+      const [widthIn, heightIn] = copySize ? copySize.split("x").map(Number) : [design.widthIn, design.heightIn];
+      return {
+        id: `instance_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        designId,
+        xIn: pos.xIn,
+        yIn: pos.yIn,
+        widthIn,
+        heightIn,
+        rotationDeg: pos.rotated || 0,
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Add a new empty sheet to the order and make it active
+ * @param {string} [sheetSizeId] - Defaults to the active sheet's size
+ * @returns {string|null} New sheet ID, or null while viewing a shared sheet
+ */
+export function addSheet(sheetSizeId = state.selectedSheetSizeId) {
+  if (state.readOnly) return null;
+  syncActiveSheet();
+  recordHistory("Add sheet");
+  const sheet = createSheet(sheetSizeId);
+  state.sheets = [...state.sheets, sheet];
+  activateSheet(sheet);
+  notifyListeners();
+  return sheet.id;
+}
+
+/**
+ * Remove a sheet from the order
+ * The last remaining sheet is cleared instead of removed
+ * @param {string} id
+ */
+export function removeSheet(id) {
+  if (state.readOnly) return;
+  syncActiveSheet();
+  const index = state.sheets.findIndex((sheet) => sheet.id === id);
+  if (index === -1) return;
+
+  if (state.sheets.length === 1) {
+    clearInstances();
+    return;
+  }
+
+  recordHistory("Remove sheet");
+  state.sheets = state.sheets.filter((sheet) => sheet.id !== id);
+  if (state.activeSheetId === id) {
+    activateSheet(state.sheets[Math.min(index, state.sheets.length - 1)]);
+  }
+  notifyListeners();
+}
+
+/**
+ * Switch the canvas to another sheet
+ * @param {string} id
+ */
+export function setActiveSheet(id) {
+  if (id === state.activeSheetId) return;
+  syncActiveSheet();
+  const sheet = state.sheets.find((s) => s.id === id);
+  if (!sheet) return;
+  activateSheet(sheet);
+  notifyListeners();
+}
+
+/**
+ * Replace all sheets with a saved layout
+ * This starts a new history - there is nothing to undo back to.
+ * @param {Array} sheets - Array of {sheetSizeId, instances}
+ */
+export function loadSheets(sheets) {
+  const loaded = (sheets || []).map((sheet) =>
+    createSheet(sheet.sheetSizeId, (sheet.instances || []).map((instance) => ({ ...instance })))
+  );
+  if (loaded.length === 0) {
+    loaded.push(createSheet(state.selectedSheetSizeId));
+  }
+  state.sheets = loaded;
+  activateSheet(loaded[0]);
+  history.clear();
+  notifyListeners();
 }
 
 /**
  * Update an instance
+ * Repeated updates of the same instance (e.g. every step of a drag) make one
+ * undo step until endHistoryStep is called.
  * @param {string} id
  * @param {Partial<PlacedInstance>} partial
  */
 export function updateInstance(id, partial) {
+  if (state.readOnly) return;
   const instance = state.instances.find((i) => i.id === id);
   if (!instance) return;
 
+  recordHistory("Move design", `move:${id}`);
   Object.assign(instance, partial);
   notifyListeners();
 }
 
 /**
- * Set selected instance
+ * Rotate an instance around its center to any angle
+ * The rotation is only applied if the rotated deadspace box stays on the sheet
+ * and clear of every other instance. Repeated rotations of the same instance
+ * make one undo step until endHistoryStep is called.
+ * @param {string} id
+ * @param {number} rotationDeg - Rotation in degrees (clockwise)
+ * @returns {boolean} True if the rotation was applied
+ */
+export function rotateInstance(id, rotationDeg) {
+  if (state.readOnly) return false;
+  const instance = state.instances.find((i) => i.id === id);
+  const sheetSize = SHEET_SIZES.find((s) => s.id === state.selectedSheetSizeId);
+  if (!instance || !sheetSize) return false;
+
+  const candidate = { ...instance, rotationDeg: normalizeRotation(rotationDeg) };
+  const others = state.instances.filter((i) => i.id !== id);
+  if (!canPlaceInstance(candidate, sheetSize.widthIn, sheetSize.heightIn, others, getDesignOutlines(state.designFiles))) {
+    return false;
+  }
+
+  recordHistory("Rotate design", `rotate:${id}`);
+  instance.rotationDeg = candidate.rotationDeg;
+  notifyListeners();
+  return true;
+}
+
+/**
+ * Resize one placed instance, independently of its design's default size
+ * The new size is only applied if the deadspace box stays on the sheet and
+ * clear of every other instance. Repeated resizes of the same instance make one
+ * undo step until endHistoryStep is called.
+ * @param {string} id
+ * @param {Object} bounds - {xIn, yIn, widthIn, heightIn} of the graphic (unrotated top-left)
+ * @returns {boolean} True if the size was applied
+ */
+export function resizeInstance(id, bounds) {
+  if (state.readOnly) return false;
+  const instance = state.instances.find((i) => i.id === id);
+  const sheetSize = SHEET_SIZES.find((s) => s.id === state.selectedSheetSizeId);
+  if (!instance || !sheetSize || !(bounds.widthIn > 0) || !(bounds.heightIn > 0)) return false;
+
+  const candidate = {
+    ...instance,
+    xIn: bounds.xIn,
+    yIn: bounds.yIn,
+    widthIn: bounds.widthIn,
+    heightIn: bounds.heightIn,
+  };
+  const others = state.instances.filter((i) => i.id !== id);
+  if (!canPlaceInstance(candidate, sheetSize.widthIn, sheetSize.heightIn, others, getDesignOutlines(state.designFiles))) {
+    return false;
+  }
+
+  recordHistory("Resize copy", `resize:${id}`);
+  Object.assign(instance, {
+    xIn: candidate.xIn,
+    yIn: candidate.yIn,
+    widthIn: candidate.widthIn,
+    heightIn: candidate.heightIn,
+  });
+  notifyListeners();
+  return true;
+}
+
+/**
+ * Set selected instance (replacing any multi-selection)
  * @param {string|null} id
  */
 export function setSelectedInstance(id) {
   state.selectedInstanceId = id;
+  state.selectedInstanceIds = id ? [id] : [];
   notifyListeners();
 }
 
 /**
- * Clear all instances
+ * Select several instances on the active sheet
+ * @param {string[]} ids
+ * @param {string|null} [primaryId] - The instance the single-copy controls follow (defaults to the last one)
+ */
+export function setSelection(ids, primaryId = null) {
+  const existing = new Set(state.instances.map((i) => i.id));
+  const selected = Array.from(new Set(ids)).filter((id) => existing.has(id));
+  state.selectedInstanceIds = selected;
+  state.selectedInstanceId = selected.includes(primaryId) ? primaryId : selected[selected.length - 1] || null;
+  notifyListeners();
+}
+
+/**
+ * Add an instance to the selection, or take it out if it is already selected (shift-click)
+ * @param {string} id
+ */
+export function toggleInstanceSelection(id) {
+  if (state.selectedInstanceIds.includes(id)) {
+    setSelection(state.selectedInstanceIds.filter((selectedId) => selectedId !== id));
+  } else {
+    setSelection([...state.selectedInstanceIds, id], id);
+  }
+}
+
+/**
+ * Select every copy of a design on the active sheet
+ * @param {string} designId
+ */
+export function selectInstancesOfDesign(designId) {
+  const ids = state.instances.filter((i) => i.designId === designId).map((i) => i.id);
+  setSelection(ids, ids.includes(state.selectedInstanceId) ? state.selectedInstanceId : null);
+}
+
+/**
+ * Selected instances on the active sheet
+ * @returns {PlacedInstance[]}
+ */
+function getSelectedInstances() {
+  const ids = new Set(state.selectedInstanceIds);
+  return state.instances.filter((i) => ids.has(i.id));
+}
+
+/**
+ * Check that moved or changed instances all fit together
+ * Each candidate must stay on the sheet and clear of the unselected instances
+ * and of the other candidates.
+ * @param {PlacedInstance[]} candidates - New versions of the selected instances
+ * @returns {boolean}
+ */
+function canPlaceGroup(candidates) {
+  const sheetSize = SHEET_SIZES.find((s) => s.id === state.selectedSheetSizeId);
+  if (!sheetSize) return false;
+  const ids = new Set(candidates.map((c) => c.id));
+  const others = state.instances.filter((i) => !ids.has(i.id));
+  const outlines = getDesignOutlines(state.designFiles);
+  const placed = [];
+  for (const candidate of candidates) {
+    if (!canPlaceInstance(candidate, sheetSize.widthIn, sheetSize.heightIn, [...others, ...placed], outlines)) {
+      return false;
+    }
+    placed.push(candidate);
+  }
+  return true;
+}
+
+/**
+ * Write candidates from canPlaceGroup back onto their instances
+ * @param {PlacedInstance[]} candidates
+ */
+function applyGroup(candidates) {
+  const byId = new Map(candidates.map((c) => [c.id, c]));
+  state.instances.forEach((instance) => {
+    const candidate = byId.get(instance.id);
+    if (candidate) Object.assign(instance, candidate);
+  });
+}
+
+/**
+ * Deadspace box around a group of instances
+ * @param {PlacedInstance[]} instances
+ * @returns {Object} {xIn, yIn, widthIn, heightIn}
+ */
+function getGroupBounds(instances) {
+  const boxes = getOccupiedAreas(instances);
+  const left = Math.min(...boxes.map((b) => b.xIn));
+  const top = Math.min(...boxes.map((b) => b.yIn));
+  const right = Math.max(...boxes.map((b) => b.xIn + b.widthIn));
+  const bottom = Math.max(...boxes.map((b) => b.yIn + b.heightIn));
+  return { xIn: left, yIn: top, widthIn: right - left, heightIn: bottom - top };
+}
+
+/**
+ * Move every selected instance by the same offset
+ * Only applied if the whole group fits there. Repeated moves of the same
+ * selection make one undo step until endHistoryStep is called.
+ * @param {number} dxIn
+ * @param {number} dyIn
+ * @returns {boolean} True if the move was applied
+ */
+export function moveSelection(dxIn, dyIn) {
+  if (state.readOnly) return false;
+  const selected = getSelectedInstances();
+  if (selected.length === 0) return false;
+
+  const candidates = selected.map((i) => ({ ...i, xIn: i.xIn + dxIn, yIn: i.yIn + dyIn }));
+  if (!canPlaceGroup(candidates)) return false;
+
+  recordHistory(selected.length > 1 ? "Move designs" : "Move design", `move:${state.selectedInstanceIds.join(",")}`);
+  applyGroup(candidates);
+  notifyListeners();
+  return true;
+}
+
+/**
+ * Remove the selected instances from the sheet
+ */
+export function deleteSelection() {
+  if (state.readOnly) return;
+  const ids = new Set(state.selectedInstanceIds);
+  if (ids.size === 0) return;
+  recordHistory(ids.size > 1 ? `Delete ${ids.size} copies` : "Delete copy");
+  state.instances = state.instances.filter((i) => !ids.has(i.id));
+  state.selectedInstanceId = null;
+  notifyListeners();
+}
+
+/**
+ * Turn the selection as one piece around its center
+ * Each copy's center swings around the group's center and the copy turns by
+ * the same angle. Only applied if the whole group still fits. Repeated turns
+ * of the same selection make one undo step until endHistoryStep is called.
+ * @param {number} deltaDeg - Clockwise degrees to add
+ * @returns {boolean} True if the rotation was applied
+ */
+export function rotateSelection(deltaDeg) {
+  if (state.readOnly) return false;
+  const selected = getSelectedInstances();
+  if (selected.length === 0) return false;
+
+  const bounds = getGroupBounds(selected);
+  const pivotX = bounds.xIn + bounds.widthIn / 2;
+  const pivotY = bounds.yIn + bounds.heightIn / 2;
+  const rad = (deltaDeg * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+
+  const candidates = selected.map((i) => {
+    const dx = i.xIn + i.widthIn / 2 - pivotX;
+    const dy = i.yIn + i.heightIn / 2 - pivotY;
+    const centerX = pivotX + dx * cos - dy * sin;
+    const centerY = pivotY + dx * sin + dy * cos;
+    return {
+      ...i,
+      xIn: centerX - i.widthIn / 2,
+      yIn: centerY - i.heightIn / 2,
+      rotationDeg: normalizeRotation((i.rotationDeg || 0) + deltaDeg),
+    };
+  });
+  if (!canPlaceGroup(candidates)) return false;
+
+  recordHistory(selected.length > 1 ? "Rotate designs" : "Rotate design", `rotate:${state.selectedInstanceIds.join(",")}`);
+  applyGroup(candidates);
+  notifyListeners();
+  return true;
+}
+
+/**
+ * Copy the selection next to itself (right, below, left or above - whichever fits first)
+ * The copies become the new selection.
+ * @returns {boolean} True if there was room for the copies
+ */
+export function duplicateSelection() {
+  if (state.readOnly) return false;
+  const selected = getSelectedInstances();
+  if (selected.length === 0) return false;
+
+  const bounds = getGroupBounds(selected);
+  const offsets = [
+    [bounds.widthIn, 0],
+    [0, bounds.heightIn],
+    [-bounds.widthIn, 0],
+    [0, -bounds.heightIn],
+  ];
+  for (const [dxIn, dyIn] of offsets) {
+    const copies = selected.map((i) => ({
+      ...i,
+      id: `instance_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      xIn: i.xIn + dxIn,
+      yIn: i.yIn + dyIn,
+    }));
+    if (!canPlaceGroup(copies)) continue;
+
+    recordHistory(selected.length > 1 ? `Duplicate ${selected.length} copies` : "Duplicate copy");
+    state.instances = [...state.instances, ...copies];
+    state.selectedInstanceIds = copies.map((c) => c.id);
+    state.selectedInstanceId = copies[copies.length - 1].id;
+    notifyListeners();
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Line up the selected instances' deadspace boxes, or space them evenly
+ * Only applied if the result has no overlaps.
+ * @param {string} mode - "left", "center", "right", "top", "middle", "bottom",
+ *   "distribute-horizontal" or "distribute-vertical"
+ * @returns {boolean} True if the alignment was applied
+ */
+export function alignSelection(mode) {
+  if (state.readOnly) return false;
+  const selected = getSelectedInstances();
+  if (selected.length < 2) return false;
+
+  const boxes = getOccupiedAreas(selected);
+  const bounds = getGroupBounds(selected);
+  const offsets = selected.map(() => ({ dxIn: 0, dyIn: 0 }));
+
+  if (mode === "distribute-horizontal" || mode === "distribute-vertical") {
+    // Equal gaps between neighbouring boxes, keeping the outermost two where they are
+    const horizontal = mode === "distribute-horizontal";
+    const start = horizontal ? "xIn" : "yIn";
+    const size = horizontal ? "widthIn" : "heightIn";
+    const order = boxes
+      .map((box, index) => ({ box, index }))
+      .sort((a, b) => a.box[start] + a.box[size] / 2 - (b.box[start] + b.box[size] / 2));
+    const totalSize = boxes.reduce((sum, box) => sum + box[size], 0);
+    const gap = (bounds[size] - totalSize) / (boxes.length - 1);
+    let cursor = bounds[start];
+    order.forEach(({ box, index }) => {
+      offsets[index][horizontal ? "dxIn" : "dyIn"] = cursor - box[start];
+      cursor += box[size] + gap;
+    });
+  } else {
+    boxes.forEach((box, index) => {
+      if (mode === "left") offsets[index].dxIn = bounds.xIn - box.xIn;
+      else if (mode === "center") offsets[index].dxIn = bounds.xIn + bounds.widthIn / 2 - (box.xIn + box.widthIn / 2);
+      else if (mode === "right") offsets[index].dxIn = bounds.xIn + bounds.widthIn - (box.xIn + box.widthIn);
+      else if (mode === "top") offsets[index].dyIn = bounds.yIn - box.yIn;
+      else if (mode === "middle") offsets[index].dyIn = bounds.yIn + bounds.heightIn / 2 - (box.yIn + box.heightIn / 2);
+      else if (mode === "bottom") offsets[index].dyIn = bounds.yIn + bounds.heightIn - (box.yIn + box.heightIn);
+    });
+  }
+
+  const candidates = selected.map((i, index) => ({
+    ...i,
+    xIn: i.xIn + offsets[index].dxIn,
+    yIn: i.yIn + offsets[index].dyIn,
+  }));
+  if (!canPlaceGroup(candidates)) return false;
+
+  recordHistory(mode.startsWith("distribute") ? "Distribute designs" : `Align ${mode}`);
+  applyGroup(candidates);
+  notifyListeners();
+  return true;
+}
+
+/**
+ * Pack the selected copies tightly into the free space around the rest of the sheet
+ * Copies keep their own sizes and tilt (modulo 90°). Nothing moves unless every
+ * selected copy finds a place. Packing runs in the packing worker.
+ * @returns {Promise<Object|null>} {placedCount, requestedCount}, or null if cancelled or read-only
+ */
+export async function packSelection() {
+  if (state.readOnly) return null;
+  const sheetSize = SHEET_SIZES.find((s) => s.id === state.selectedSheetSizeId);
+  const selected = getSelectedInstances();
+  if (!sheetSize || selected.length === 0) return { placedCount: 0, requestedCount: 0 };
+
+  // One pack item per design, size and tilt; item IDs map placements back to copies
+  const designs = new Map(state.designFiles.map((d) => [d.id, d]));
+  const groups = new Map();
+  selected.forEach((instance) => {
+    const tilt = normalizeRotation(instance.rotationDeg) % 90;
+    const key = `${instance.designId}|${instance.widthIn}|${instance.heightIn}|${tilt}`;
+    if (!groups.has(key)) {
+      const design = designs.get(instance.designId);
+      groups.set(key, {
+        item: {
+          designId: key,
+          widthIn: instance.widthIn,
+          heightIn: instance.heightIn,
+          quantity: 0,
+          rotationDeg: tilt,
+          outline: design ? design.outline || null : null,
+        },
+        instances: [],
+      });
+    }
+    const group = groups.get(key);
+    group.item.quantity++;
+    group.instances.push(instance);
+  });
+
+  const selectedIds = new Set(selected.map((i) => i.id));
+  const startSheetId = state.activeSheetId;
+
+  return queuePacking("Packing selection", async (generation) => {
+    const result = await runPacking(generation, "packDesigns", {
+      sheetWidthIn: sheetSize.widthIn,
+      sheetHeightIn: sheetSize.heightIn,
+      items: Array.from(groups.values()).map((group) => group.item),
+      existingOccupiedAreas: getOccupiedAreas(state.instances.filter((i) => !selectedIds.has(i.id))),
+    });
+    if (!result) return null;
+    const summary = { placedCount: result.placedCount, requestedCount: result.requestedCount };
+    if (result.placedCount < result.requestedCount || state.activeSheetId !== startSheetId) return summary;
+
+    recordHistory("Pack selection");
+    const moved = new Map();
+    result.placements.forEach((placement) => {
+      const instance = groups.get(placement.designId).instances.shift();
+      if (instance) {
+        moved.set(instance.id, { xIn: placement.xIn, yIn: placement.yIn, rotationDeg: placement.rotated || 0 });
+      }
+    });
+    state.instances.forEach((instance) => {
+      if (moved.has(instance.id)) Object.assign(instance, moved.get(instance.id));
+    });
+    notifyListeners();
+    return summary;
+  });
+}
+
+/**
+ * Clear all instances on the active sheet
  */
 export function clearInstances() {
+  if (state.readOnly) return;
+  if (state.instances.length > 0) {
+    recordHistory("Clear sheet");
+  }
   state.instances = [];
   state.selectedInstanceId = null;
   notifyListeners();
@@ -453,7 +1739,10 @@ export function clearInstances() {
  * Reset all state
  */
 export function resetAll() {
-  state = { ...defaultState };
+  clearTimeout(autosaveTimer);
+  autosaveTimer = null;
+  state = createDefaultState();
+  history.clear();
   notifyListeners();
 }
 
@@ -466,3 +1755,304 @@ export function setSnapIncrement(increment) {
   notifyListeners();
 }
 
+/**
+ * Accept the low-resolution artwork in a quality report so the order can go ahead
+ * The acknowledgement lapses as soon as the report's errors change.
+ * @param {string|null} key - QualityReport key, or null to withdraw the acknowledgement
+ */
+export function acknowledgeQualityIssues(key) {
+  state.qualityAcknowledgedKey = key;
+  notifyListeners();
+}
+
+/**
+ * End the current continuous change (drag, rotation) so the next one is a separate undo step
+ */
+export function endHistoryStep() {
+  history.seal();
+}
+
+/**
+ * Undo the last change to the designs or sheets
+ * Any packing in progress is cancelled first, since it was packing around the old layout.
+ * @returns {boolean} True if something was undone
+ */
+export function undo() {
+  if (state.readOnly || !history.getStatus().canUndo) return false;
+  cancelPacking();
+  restoreSnapshot(history.undo(takeSnapshot));
+  scheduleAutosave();
+  notifyListeners();
+  return true;
+}
+
+/**
+ * Redo the last undone change
+ * @returns {boolean} True if something was redone
+ */
+export function redo() {
+  if (state.readOnly || !history.getStatus().canRedo) return false;
+  cancelPacking();
+  restoreSnapshot(history.redo(takeSnapshot));
+  scheduleAutosave();
+  notifyListeners();
+  return true;
+}
+
+/**
+ * Turn draft autosave on or off
+ * Turning it off saves any change still waiting to be autosaved.
+ * @param {boolean} enabled
+ */
+export function setAutosave(enabled) {
+  autosaveEnabled = enabled;
+  if (!enabled && autosaveTimer) {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    saveDraft();
+  }
+}
+
+/**
+ * Save the current work to its draft in IndexedDB
+ * Saves run one at a time so an older save never lands after a newer one.
+ * @param {string} [name] - Rename the draft before saving
+ * @returns {Promise<boolean>} True if the draft was saved
+ */
+export function saveDraft(name) {
+  if (state.readOnly || !isDraftStorageAvailable()) return Promise.resolve(false);
+  if (name && name.trim()) {
+    state.draft = { ...state.draft, name: name.trim() };
+  }
+  clearTimeout(autosaveTimer);
+  autosaveTimer = null;
+
+  const draftStatus = state.draft;
+  const layout = getDraftLayout();
+  const designs = [...state.designFiles];
+
+  const save = draftSaving.then(async () => {
+    updateDraftStatus({ status: "saving" });
+    try {
+      const images = await getDesignImages(designs);
+      const attachments = await getDesignAttachments(designs);
+      const updatedAt = Date.now();
+      await putDraft({
+        id: draftStatus.id,
+        name: draftStatus.name,
+        updatedAt,
+        designCount: layout.designFiles.length,
+        instanceCount: layout.sheets.reduce((count, sheet) => count + sheet.instances.length, 0),
+        layout,
+      }, images, attachments);
+
+      // The customer may have moved on to another draft meanwhile
+      if (state.draft.id === draftStatus.id) {
+        updateDraftStatus({ savedAt: updatedAt, status: "saved" });
+      }
+      return true;
+    } catch (error) {
+      console.error("Failed to save draft:", error);
+      if (state.draft.id === draftStatus.id) {
+        updateDraftStatus({ status: "error" });
+      }
+      return false;
+    }
+  });
+
+  draftSaving = save;
+  return save;
+}
+
+/**
+ * List saved drafts, most recently saved first
+ * @returns {Promise<Array>} Array of {id, name, updatedAt, designCount, instanceCount}
+ */
+export async function listDrafts() {
+  if (!isDraftStorageAvailable()) return [];
+  try {
+    return await getDrafts();
+  } catch (error) {
+    console.error("Failed to list drafts:", error);
+    return [];
+  }
+}
+
+/**
+ * Replace the current work with a saved draft
+ * Designs whose image is missing from the draft are dropped along with their instances.
+ * @param {string} id
+ * @returns {Promise<boolean>} True if the draft was restored
+ */
+export async function restoreDraft(id) {
+  if (!isDraftStorageAvailable()) return false;
+
+  let saved;
+  try {
+    await draftSaving;
+    saved = await getDraft(id);
+  } catch (error) {
+    console.error("Failed to load draft:", error);
+    return false;
+  }
+  if (!saved) return false;
+
+  const { draft, images, attachments } = saved;
+  const designFiles = draft.layout.designFiles
+    .filter((file) => images.has(file.id))
+    .map((file) => {
+      const url = URL.createObjectURL(images.get(file.id));
+      imageBlobs.set(url, images.get(file.id));
+      return restoreDesignAttachments({ ...file, url }, attachments.get(file.id));
+    });
+  const designIds = new Set(designFiles.map((file) => file.id));
+  const sheets = draft.layout.sheets.map((sheet) => ({
+    ...sheet,
+    instances: sheet.instances.filter((instance) => designIds.has(instance.designId)),
+  }));
+  if (sheets.length === 0) {
+    sheets.push(createSheet(state.selectedSheetSizeId));
+  }
+
+  cancelPacking();
+  clearTimeout(autosaveTimer);
+  autosaveTimer = null;
+  state.designFiles = designFiles;
+  state.sheets = sheets;
+  state.sheetQuantity = draft.layout.sheetQuantity || 1;
+  activateSheet(sheets.find((sheet) => sheet.id === draft.layout.activeSheetId) || sheets[0]);
+  state.draft = { id: draft.id, name: draft.name, savedAt: draft.updatedAt, status: "saved" };
+  state.readOnly = false;
+  state.sharedSheet = null;
+  history.clear();
+  notifyListeners();
+  return true;
+}
+
+/**
+ * Delete a saved draft
+ * Deleting the draft currently open detaches the work from it; the next
+ * autosave starts a new draft.
+ * @param {string} id
+ * @returns {Promise<boolean>} True if the draft was deleted
+ */
+export async function deleteDraft(id) {
+  if (!isDraftStorageAvailable()) return false;
+  try {
+    await draftSaving;
+    await removeDraft(id);
+  } catch (error) {
+    console.error("Failed to delete draft:", error);
+    return false;
+  }
+  if (state.draft.id === id) {
+    state.draft = createDraftStatus();
+    notifyListeners();
+  }
+  return true;
+}
+
+/**
+ * Upload the current work so it can be sent as a link
+ * Only signed-in operators can create share links.
+ * @returns {Promise<Object>} {token, url}, or {error} with a message to show if the upload failed
+ */
+export async function shareSheet() {
+  const layout = getDraftLayout(false);
+  const designs = [...state.designFiles];
+  try {
+    const images = await getDesignImages(designs);
+    const token = await uploadSharedSheet({
+      name: state.sharedSheet?.name || state.draft.name,
+      layout,
+      images,
+      fileNames: Object.fromEntries(designs.map((design) => [design.id, design.name])),
+    });
+    return { token, url: getShareUrl(token) };
+  } catch (error) {
+    console.error("Failed to share sheet:", error);
+    return {
+      error: error.status === 401 || error.status === 413
+        ? error.message
+        : "Couldn't create a share link. Please try again.",
+    };
+  }
+}
+
+/**
+ * Open a shared sheet read-only, replacing the current work
+ * Nothing autosaves and edits are ignored until duplicateSharedSheet is called.
+ * @param {string} token - Share token from /order?sheet=<token>
+ * @returns {Promise<boolean>} True if the sheet was loaded
+ */
+export async function loadSharedSheet(token) {
+  let shared;
+  try {
+    shared = await fetchSharedSheet(token);
+  } catch (error) {
+    console.error("Failed to load shared sheet:", error);
+    return false;
+  }
+
+  const { layout, imageUrls } = shared;
+  const designFiles = (layout.designFiles || [])
+    .filter((file) => imageUrls[file.id])
+    .map((file) => restoreDesignAttachments({ ...file, url: imageUrls[file.id] }));
+  const designIds = new Set(designFiles.map((file) => file.id));
+  const sheets = (layout.sheets || []).map((sheet) => ({
+    ...sheet,
+    instances: (sheet.instances || []).filter((instance) => designIds.has(instance.designId)),
+  }));
+  if (sheets.length === 0) {
+    sheets.push(createSheet(state.selectedSheetSizeId));
+  }
+
+  cancelPacking();
+  clearTimeout(autosaveTimer);
+  autosaveTimer = null;
+  state.designFiles = designFiles;
+  state.sheets = sheets;
+  state.sheetQuantity = layout.sheetQuantity || 1;
+  activateSheet(sheets.find((sheet) => sheet.id === layout.activeSheetId) || sheets[0]);
+  state.draft = createDraftStatus();
+  state.readOnly = true;
+  state.sharedSheet = { token, name: shared.name || "Shared sheet" };
+  history.clear();
+  notifyListeners();
+  return true;
+}
+
+/**
+ * Make the shared sheet being viewed an editable draft of the customer's own
+ * The artwork is copied locally (through /api/drafts, so the bucket needs no CORS rules), since the shared links to it expire.
+ * @returns {Promise<boolean>} True if the sheet was duplicated
+ */
+export async function duplicateSharedSheet() {
+  if (!state.readOnly || !state.sharedSheet) return false;
+
+  const { token, name: sharedName } = state.sharedSheet;
+  let designFiles;
+  try {
+    designFiles = await Promise.all(
+      state.designFiles.map(async (design) => {
+        const response = await fetch(getSharedImageUrl(token, design.id));
+        if (!response.ok) throw new Error(`Server responded with ${response.status}`);
+        const blob = await response.blob();
+        const url = URL.createObjectURL(blob);
+        imageBlobs.set(url, blob);
+        return { ...design, url };
+      })
+    );
+  } catch (error) {
+    console.error("Failed to copy shared artwork:", error);
+    return false;
+  }
+
+  state.designFiles = designFiles;
+  state.draft = { ...createDraftStatus(), name: `${sharedName} (copy)` };
+  state.readOnly = false;
+  state.sharedSheet = null;
+  scheduleAutosave();
+  notifyListeners();
+  return true;
+}
@@ -0,0 +1,107 @@
+/**
+ * Gang Builder Auto-Trim
+ *
+ * Crops transparent margins off uploaded artwork. A design is sized from its
+ * pixel dimensions, so an empty border would otherwise take up sheet space
+ * and push neighbouring designs away for nothing.
+ */
+
+/**
+ * @typedef {Object} TrimBox
+ * @property {number} left - Left edge of the visible art in the untrimmed image (px)
+ * @property {number} top - Top edge of the visible art in the untrimmed image (px)
+ * @property {number} widthPx - Trimmed width (px)
+ * @property {number} heightPx - Trimmed height (px)
+ * @property {number} sourceWidthPx - Untrimmed width (px)
+ * @property {number} sourceHeightPx - Untrimmed height (px)
+ */
+
+/**
+ * Alpha values at or below this count as empty margin
+ */
+const TRIM_ALPHA_THRESHOLD = 8;
+
+/**
+ * Margins thinner than this share of the image aren't worth re-encoding for
+ */
+const MIN_TRIM_RATIO = 0.01;
+
+/**
+ * Tight bounding box of the non-transparent pixels
+ * @param {Object} imageData - {data, width, height} as returned by getImageData
+ * @param {number} [alphaThreshold=8]
+ * @returns {Object|null} {left, top, width, height}, or null when every pixel is transparent
+ */
+export function findOpaqueBounds({ data, width, height }, alphaThreshold = TRIM_ALPHA_THRESHOLD) {
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width * 4;
+    for (let x = 0; x < width; x++) {
+      if (data[row + x * 4 + 3] <= alphaThreshold) continue;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+
+  if (maxX < 0) return null;
+  return { left: minX, top: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+/**
+ * Crop the transparent margins off an image
+ * Works on the full-resolution artwork and encodes the crop as a PNG.
+ * @param {HTMLImageElement} img - Loaded image
+ * @returns {Promise<Object|null>} {url, blob, img, trim: TrimBox}, or null when there is nothing worth trimming
+ */
+export async function trimTransparentMargins(img) {
+  const sourceWidthPx = img.naturalWidth;
+  const sourceHeightPx = img.naturalHeight;
+  const canvas = document.createElement("canvas");
+  canvas.width = sourceWidthPx;
+  canvas.height = sourceHeightPx;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(img, 0, 0);
+
+  const bounds = findOpaqueBounds(ctx.getImageData(0, 0, sourceWidthPx, sourceHeightPx));
+  if (!bounds) return null;
+  const trimmedArea = bounds.width * bounds.height;
+  if (trimmedArea >= sourceWidthPx * sourceHeightPx * (1 - MIN_TRIM_RATIO)) return null;
+
+  const cropCanvas = document.createElement("canvas");
+  cropCanvas.width = bounds.width;
+  cropCanvas.height = bounds.height;
+  cropCanvas
+    .getContext("2d")
+    .drawImage(canvas, bounds.left, bounds.top, bounds.width, bounds.height, 0, 0, bounds.width, bounds.height);
+
+  const blob = await new Promise((resolve, reject) => {
+    cropCanvas.toBlob((result) => (result ? resolve(result) : reject(new Error("Could not encode PNG"))), "image/png");
+  });
+  const url = URL.createObjectURL(blob);
+  const trimmedImg = await new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error("Failed to load trimmed image"));
+    image.src = url;
+  });
+
+  return {
+    url,
+    blob,
+    img: trimmedImg,
+    trim: {
+      left: bounds.left,
+      top: bounds.top,
+      widthPx: bounds.width,
+      heightPx: bounds.height,
+      sourceWidthPx,
+      sourceHeightPx,
+    },
+  };
+}
@@ -0,0 +1,99 @@
+/**
+ * Gang Builder White Underbase
+ *
+ * DTF film is printed colour first, then a white underbase wherever the artwork
+ * has ink. The white follows the alpha channel, so soft or semi-transparent
+ * areas get a thin, patchy underbase that shows the garment through or washes
+ * out - fine gradients into transparency rarely survive the press.
+ */
+
+/**
+ * Alpha at or below this gets no ink at all
+ */
+const NO_INK_ALPHA = 8;
+
+/**
+ * Alpha at or above this gets a full white underbase
+ */
+const SOLID_INK_ALPHA = 230;
+
+/**
+ * Share of a design's inked pixels that can be semi-transparent before it is flagged
+ * (anti-aliased edges alone stay well under this)
+ */
+const SEMI_TRANSPARENT_WARNING_RATIO = 0.05;
+
+/**
+ * Preview colours: the white ink and the semi-transparent areas it prints weakly in
+ */
+const SOLID_INK_RGB = [255, 255, 255];
+const WEAK_INK_RGB = [255, 140, 60];
+
+/**
+ * @typedef {Object} UnderbaseReport
+ * @property {number} inkPct - Share of the image that gets any white ink (0-100)
+ * @property {number} semiTransparentPct - Share of the inked pixels that are semi-transparent (0-100)
+ * @property {boolean} hasWeakAreas - True when enough of the artwork is semi-transparent to print badly
+ */
+
+/**
+ * Build the underbase preview of an image's pixels
+ * Solid ink is white, semi-transparent ink is orange at its own strength, and
+ * pixels without ink are left transparent.
+ * @param {Object} imageData - {data, width, height} as returned by getImageData
+ * @returns {Object} {data: Uint8ClampedArray, report: UnderbaseReport}
+ */
+export function buildUnderbaseMask({ data, width, height }) {
+  const mask = new Uint8ClampedArray(width * height * 4);
+  let inked = 0;
+  let semiTransparent = 0;
+
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = data[i + 3];
+    if (alpha <= NO_INK_ALPHA) continue;
+    inked++;
+
+    const solid = alpha >= SOLID_INK_ALPHA;
+    if (!solid) semiTransparent++;
+    const [r, g, b] = solid ? SOLID_INK_RGB : WEAK_INK_RGB;
+    mask[i] = r;
+    mask[i + 1] = g;
+    mask[i + 2] = b;
+    // Weak ink stays visible however faint it is, so thin areas can be spotted
+    mask[i + 3] = solid ? 255 : Math.max(alpha, 96);
+  }
+
+  const total = width * height;
+  const semiRatio = inked > 0 ? semiTransparent / inked : 0;
+  return {
+    data: mask,
+    report: {
+      inkPct: total > 0 ? (inked / total) * 100 : 0,
+      semiTransparentPct: semiRatio * 100,
+      hasWeakAreas: semiRatio > SEMI_TRANSPARENT_WARNING_RATIO,
+    },
+  };
+}
+
+/**
+ * Underbase preview of a loaded image
+ * Works on a downscaled copy - the preview is for spotting areas, not measuring them.
+ * @param {HTMLImageElement} img - Loaded image
+ * @param {number} [maxSidePx=1024] - Long side of the preview
+ * @returns {Object} {canvas: HTMLCanvasElement, report: UnderbaseReport}
+ */
+export function createUnderbasePreview(img, maxSidePx = 1024) {
+  const ratio = Math.min(1, maxSidePx / Math.max(img.naturalWidth, img.naturalHeight));
+  const width = Math.max(1, Math.round(img.naturalWidth * ratio));
+  const height = Math.max(1, Math.round(img.naturalHeight * ratio));
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(img, 0, 0, width, height);
+
+  const { data, report } = buildUnderbaseMask(ctx.getImageData(0, 0, width, height));
+  ctx.putImageData(new ImageData(data, width, height), 0, 0);
+  return { canvas, report };
+}